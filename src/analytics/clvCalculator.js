@@ -1,9 +1,30 @@
 import { differenceInDays, subDays } from 'date-fns';
 import { logger } from '../utils/logger.js';
+import { PROCESS_TIMEZONE, localDay } from '../utils/timezone.js';
+import { UnconvertedOrderError } from '../utils/fxRates.js';
+
+// Amounts read back from Postgres DECIMAL columns arrive as strings
+function amount(value) {
+  return parseFloat(value) || 0;
+}
+
+// Records read with their amounts in the reporting currency carry them as
+// <field>_reporting, null when no exchange rate converted the order
+function reportingAmount(record, field) {
+  const converted = `${field}_reporting`;
+  if (!(converted in record)) {
+    return amount(record[field]);
+  }
+  if (record[converted] === null) {
+    throw new UnconvertedOrderError(record, field);
+  }
+  return amount(record[converted]);
+}
 
 export class CLVCalculator {
   constructor() {
     this.defaultChurnDays = 365; // Consider customer churned after 1 year of inactivity
+    this.cartAbandonmentHours = 24; // Unconverted carts idle this long count as abandoned
     this.rfmWeights = {
       recency: 0.35,
       frequency: 0.35,
@@ -26,6 +47,8 @@ export class CLVCalculator {
         customer_id: customer.id,
         calculation_date: calculationDate,
         total_revenue: this.calculateTotalRevenue(customerOrders),
+        total_refunds: this.calculateTotalRefunds(customerOrders),
+        refund_rate: 0,
         total_orders: customerOrders.length,
         average_order_value: 0,
         purchase_frequency: 0,
@@ -41,6 +64,10 @@ export class CLVCalculator {
 
       // Calculate basic metrics
       metrics.average_order_value = metrics.total_revenue / metrics.total_orders;
+      metrics.refund_rate = this.calculateRefundRate(
+        metrics.total_revenue + metrics.total_refunds,
+        metrics.total_refunds
+      );
 
       // Calculate customer lifespan
       const firstOrderDate = new Date(customerOrders[0].processed_at);
@@ -71,13 +98,46 @@ export class CLVCalculator {
 
       return metrics;
     } catch (error) {
-      logger.error('Error calculating customer metrics', { error, customerId: customer.id });
+      // Left to the caller, which skips such customers until the rates are loaded
+      if (!(error instanceof UnconvertedOrderError)) {
+        logger.error('Error calculating customer metrics', { error, customerId: customer.id });
+      }
       throw error;
     }
   }
 
+  // The same metrics over the orders of every source customer linked to a
+  // unified customer, as if one customer had placed them all
+  calculateUnifiedCustomerMetrics(unifiedCustomer, orders, calculationDate = new Date()) {
+    const { customer_id: _customerId, ...metrics } = this.calculateCustomerMetrics(
+      unifiedCustomer,
+      orders.map(order => ({ ...order, customer_id: unifiedCustomer.id })),
+      calculationDate
+    );
+
+    return {
+      unified_customer_id: unifiedCustomer.id,
+      source_count: unifiedCustomer.source_count,
+      ...metrics,
+    };
+  }
+
+  // Net revenue: what the orders were placed for less what was refunded on them
   calculateTotalRevenue(orders) {
-    return orders.reduce((sum, order) => sum + (order.total_price || 0), 0);
+    return orders.reduce(
+      (sum, order) =>
+        sum + reportingAmount(order, 'total_price') - reportingAmount(order, 'total_refunded'),
+      0
+    );
+  }
+
+  calculateTotalRefunds(orders) {
+    return orders.reduce((sum, order) => sum + reportingAmount(order, 'total_refunded'), 0);
+  }
+
+  // Share of gross revenue that was refunded
+  calculateRefundRate(grossRevenue, refunds) {
+    return grossRevenue > 0 ? refunds / grossRevenue : 0;
   }
 
   calculateSimpleCLV(metrics) {
@@ -202,6 +262,8 @@ export class CLVCalculator {
       customer_id: customerId,
       calculation_date: calculationDate,
       total_revenue: 0,
+      total_refunds: 0,
+      refund_rate: 0,
       total_orders: 0,
       average_order_value: 0,
       purchase_frequency: 0,
@@ -216,15 +278,26 @@ export class CLVCalculator {
     };
   }
 
-  calculateDailyMetrics(orders, products, calculationDate = new Date()) {
-    const dayOrders = orders.filter(order => {
-      const orderDate = new Date(order.processed_at);
-      return orderDate.toDateString() === calculationDate.toDateString();
-    });
-
+  // carts are the carts and checkouts started that day, when the source reports them;
+  // without them the funnel metrics are left null. The day is the store's
+  // calendar day in timezone.
+  calculateDailyMetrics(
+    orders,
+    products,
+    calculationDate = new Date(),
+    carts = null,
+    timezone = PROCESS_TIMEZONE
+  ) {
+    const day = localDay(calculationDate, timezone);
+    const dayOrders = orders.filter(order => localDay(order.processed_at, timezone) === day);
+
+    // total_revenue is net of the refunds later made on the day's orders
     const metrics = {
       metric_date: calculationDate,
+      gross_revenue: 0,
+      total_refunds: 0,
       total_revenue: 0,
+      refund_rate: 0,
       total_orders: dayOrders.length,
       total_customers: new Set(),
       new_customers: 0,
@@ -233,6 +306,10 @@ export class CLVCalculator {
       total_products_sold: 0,
       top_selling_products: [],
       revenue_by_source: {},
+      conversion_rate: null,
+      cart_abandonment_rate: null,
+      abandoned_carts: null,
+      abandoned_revenue: null,
     };
 
     // Calculate metrics
@@ -240,7 +317,11 @@ export class CLVCalculator {
     const customerOrderCounts = {};
 
     dayOrders.forEach(order => {
-      metrics.total_revenue += order.total_price || 0;
+      const price = reportingAmount(order, 'total_price');
+      const refunded = reportingAmount(order, 'total_refunded');
+      const netPrice = price - refunded;
+      metrics.gross_revenue += price;
+      metrics.total_refunds += refunded;
 
       if (order.customer_id) {
         metrics.total_customers.add(order.customer_id);
@@ -249,7 +330,7 @@ export class CLVCalculator {
 
       // Track revenue by source
       const source = order.source_name || 'direct';
-      metrics.revenue_by_source[source] = (metrics.revenue_by_source[source] || 0) + (order.total_price || 0);
+      metrics.revenue_by_source[source] = (metrics.revenue_by_source[source] || 0) + netPrice;
 
       // Count products sold
       if (order.line_items) {
@@ -267,15 +348,19 @@ export class CLVCalculator {
               };
             }
             productSales[productId].quantity += item.quantity || 0;
-            productSales[productId].revenue += (item.price || 0) * (item.quantity || 0);
+            productSales[productId].revenue +=
+              reportingAmount(item, 'price') * (item.quantity || 0);
           }
         });
       }
     });
 
+    metrics.total_revenue = metrics.gross_revenue - metrics.total_refunds;
+    metrics.refund_rate = this.calculateRefundRate(metrics.gross_revenue, metrics.total_refunds);
+
     // Calculate average order value
     if (metrics.total_orders > 0) {
-      metrics.average_order_value = metrics.total_revenue / metrics.total_orders;
+      metrics.average_order_value = metrics.gross_revenue / metrics.total_orders;
     }
 
     // Get top selling products
@@ -295,9 +380,52 @@ export class CLVCalculator {
       }
     });
 
+    if (carts) {
+      const funnel = this.calculateCartFunnel(
+        carts,
+        metrics.total_orders,
+        calculationDate,
+        new Date(),
+        timezone
+      );
+      Object.assign(metrics, funnel);
+    }
+
     return metrics;
   }
 
+  // Every order is a converted checkout. Carts that did not convert are abandoned
+  // once idle for cartAbandonmentHours and still open before that.
+  calculateCartFunnel(
+    carts,
+    orderCount,
+    calculationDate = new Date(),
+    now = new Date(),
+    timezone = PROCESS_TIMEZONE
+  ) {
+    const idleBefore = now.getTime() - this.cartAbandonmentHours * 60 * 60 * 1000;
+    const day = localDay(calculationDate, timezone);
+    const unconverted = carts.filter(cart =>
+      localDay(cart.created_at, timezone) === day && (cart.status || 'open') === 'open'
+    );
+    const abandoned = unconverted.filter(cart =>
+      new Date(cart.updated_at || cart.created_at).getTime() <= idleBefore
+    );
+
+    const checkouts = orderCount + unconverted.length;
+    const settled = orderCount + abandoned.length;
+
+    return {
+      conversion_rate: checkouts > 0 ? orderCount / checkouts : 0,
+      cart_abandonment_rate: settled > 0 ? abandoned.length / settled : 0,
+      abandoned_carts: abandoned.length,
+      abandoned_revenue: abandoned.reduce(
+        (sum, cart) => sum + reportingAmount(cart, 'total_price'),
+        0
+      ),
+    };
+  }
+
   // Cohort analysis
   analyzeCohorts(customers, orders, cohortMonths = 12) {
     const cohorts = {};
@@ -307,7 +435,8 @@ export class CLVCalculator {
       const firstOrderDate = customer.first_purchase_date;
       if (!firstOrderDate) return;
 
-      const cohortKey = `${firstOrderDate.getFullYear()}-${String(firstOrderDate.getMonth() + 1).padStart(2, '0')}`;
+      // first_purchase_date is already the store's local day
+      const cohortKey = localDay(firstOrderDate).slice(0, 7);
 
       if (!cohorts[cohortKey]) {
         cohorts[cohortKey] = {
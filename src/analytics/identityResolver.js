@@ -0,0 +1,222 @@
+import { logger } from '../utils/logger.js';
+
+function normalizeEmail(email) {
+  return email?.trim().toLowerCase() || null;
+}
+
+// The last ten digits, so +44 7700 900123 and 07700 900123 match
+function normalizePhone(phone) {
+  const digits = phone?.replace(/\D/g, '') || '';
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+function normalizeName(name) {
+  return name?.trim().toLowerCase().replace(/\s+/g, ' ') || null;
+}
+
+function normalizePostalCode(postalCode) {
+  return postalCode?.replace(/\s+/g, '').toUpperCase() || null;
+}
+
+// Each rule derives a match key from a customer, or null when it cannot match;
+// customers sharing a key are the same shopper with the rule's confidence
+export const MATCH_RULES = {
+  email: {
+    confidence: 1,
+    key: customer => normalizeEmail(customer.email),
+  },
+  phone: {
+    confidence: 0.9,
+    key: customer => normalizePhone(customer.phone),
+  },
+  name_postal: {
+    confidence: 0.7,
+    key: customer => {
+      const parts = [
+        normalizeName(customer.first_name),
+        normalizeName(customer.last_name),
+        normalizePostalCode(customer.postal_code),
+      ];
+      return parts.every(Boolean) ? parts.join('|') : null;
+    },
+  },
+};
+
+// Reads rules given as e.g. ['email', 'phone:0.8'], the confidence defaulting
+// to the rule's own
+export function parseMatchRules(entries) {
+  return entries.map(entry => {
+    const [name, confidence] = entry.split(':').map(part => part.trim());
+
+    if (!MATCH_RULES[name]) {
+      throw new Error(`Unknown identity match rule: ${name}`);
+    }
+    if (confidence === undefined) {
+      return { name, confidence: MATCH_RULES[name].confidence };
+    }
+
+    const value = parseFloat(confidence);
+    if (isNaN(value) || value <= 0 || value > 1) {
+      throw new Error(`Confidence of identity match rule ${name} must be above 0 and at most 1`);
+    }
+    return { name, confidence: value };
+  });
+}
+
+const PROFILE_FIELDS = ['email', 'phone', 'first_name', 'last_name', 'postal_code', 'country'];
+
+// Groups source customer records into unified customers. Records are linked
+// when any enabled rule gives them the same key, transitively, and every record
+// keeps the match that linked it for auditing.
+export class IdentityResolver {
+  constructor(rules = ['email', 'phone', 'name_postal']) {
+    this.rules = parseMatchRules(rules).sort((a, b) => b.confidence - a.confidence);
+    // Keys shared by more records than this are placeholders, not one shopper
+    this.maxGroupSize = 20;
+  }
+
+  // customers carry their current unified_customer_id, which a unified customer
+  // keeps as long as it holds most of the same records
+  resolve(customers) {
+    try {
+      const parent = new Map(customers.map(customer => [customer.id, customer.id]));
+      const edges = new Map(customers.map(customer => [customer.id, []]));
+
+      const find = id => {
+        while (parent.get(id) !== id) {
+          parent.set(id, parent.get(parent.get(id)));
+          id = parent.get(id);
+        }
+        return id;
+      };
+
+      // Strongest rules first, so each record joins through its best match
+      for (const rule of this.rules) {
+        for (const [key, group] of this.groupByKey(customers, MATCH_RULES[rule.name].key)) {
+          if (group.length > this.maxGroupSize) {
+            logger.warn(`Ignoring ${rule.name} key shared by ${group.length} customers`);
+            continue;
+          }
+
+          for (const customer of group.slice(1)) {
+            const [a, b] = [find(group[0].id), find(customer.id)];
+            if (a === b) continue;
+
+            parent.set(b, a);
+            const edge = { rule: rule.name, confidence: rule.confidence, key };
+            edges.get(group[0].id).push({ ...edge, to: customer.id });
+            edges.get(customer.id).push({ ...edge, to: group[0].id });
+          }
+        }
+      }
+
+      const clusters = new Map();
+      for (const customer of customers) {
+        const root = find(customer.id);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(customer);
+      }
+
+      const unified = [...clusters.values()]
+        .sort((a, b) => b.length - a.length)
+        .map(members => this.unify(members, edges));
+      this.assignIds(unified);
+
+      return unified;
+    } catch (error) {
+      logger.error('Error resolving customer identities', error);
+      throw error;
+    }
+  }
+
+  groupByKey(customers, key) {
+    const groups = new Map();
+
+    for (const customer of customers) {
+      const value = key(customer);
+      if (!value) continue;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(customer);
+    }
+
+    return [...groups].filter(([, group]) => group.length > 1);
+  }
+
+  // The oldest record anchors the unified customer. Every other record links to
+  // the one it matched on the way from the anchor, with the confidence of the
+  // weakest match along that path.
+  unify(members, edges) {
+    const anchor = members.reduce((oldest, customer) =>
+      customer.id < oldest.id ? customer : oldest
+    );
+    const links = [
+      {
+        customer_id: anchor.id,
+        match_rule: 'anchor',
+        matched_customer_id: null,
+        match_key: null,
+        confidence: 1,
+      },
+    ];
+
+    const queue = [links[0]];
+    const seen = new Set([anchor.id]);
+    while (queue.length > 0) {
+      const link = queue.shift();
+
+      for (const edge of edges.get(link.customer_id)) {
+        if (seen.has(edge.to)) continue;
+        seen.add(edge.to);
+
+        const next = {
+          customer_id: edge.to,
+          match_rule: edge.rule,
+          matched_customer_id: link.customer_id,
+          match_key: edge.key,
+          confidence: Math.min(link.confidence, edge.confidence),
+        };
+        links.push(next);
+        queue.push(next);
+      }
+    }
+
+    // Profile fields come from the most recently updated record that has them
+    const latest = [...members].sort(
+      (a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0)
+    );
+    const profile = Object.fromEntries(
+      PROFILE_FIELDS.map(field => {
+        const source = latest.find(customer => customer[field]);
+        return [field, source ? source[field] : null];
+      })
+    );
+
+    return {
+      id: null,
+      ...profile,
+      email: normalizeEmail(profile.email),
+      source_count: new Set(members.map(customer => customer.source_type)).size,
+      links,
+      previous_ids: members.map(customer => customer.unified_customer_id).filter(Boolean),
+    };
+  }
+
+  // Largest unified customers first take the id most of their records had
+  assignIds(unified) {
+    const taken = new Set();
+
+    for (const customer of unified) {
+      const counts = new Map();
+      for (const id of customer.previous_ids) {
+        if (!taken.has(id)) counts.set(id, (counts.get(id) || 0) + 1);
+      }
+
+      const [best] = [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+      if (best) {
+        customer.id = best[0];
+        taken.add(best[0]);
+      }
+      delete customer.previous_ids;
+    }
+  }
+}
@@ -0,0 +1,56 @@
+import { ETLPipeline, ENTITIES } from '../pipelines/etlPipeline.js';
+import { WINDOW_SIZES } from '../utils/dateWindows.js';
+
+const USAGE = `
+Usage:
+  npm start -- backfill --source <source> --from <date> --to <date> [--entity <entity>] [--window <size>]
+
+  --entity  One of ${ENTITIES.join(', ')}; all entities when omitted
+  --window  One of ${WINDOW_SIZES.join(', ')} (default: day)
+
+Orders are selected by their creation time in [from, to), other entities by their
+last-modified time. Windows that already completed are skipped, so an interrupted
+backfill can be resumed by running it again.
+`;
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw new Error(`Invalid --${name} date: ${value}`);
+  }
+  return date;
+}
+
+export async function backfillCommand(_args, options) {
+  if (!options.source || !options.from || !options.to) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.entity && !ENTITIES.includes(options.entity)) {
+    throw new Error(`Unknown entity "${options.entity}", expected one of: ${ENTITIES.join(', ')}`);
+  }
+
+  const pipeline = new ETLPipeline();
+
+  try {
+    const summary = await pipeline.backfill({
+      sourceType: options.source,
+      entities: options.entity ? [options.entity] : null,
+      from: parseDate(options.from, 'from'),
+      to: parseDate(options.to, 'to'),
+      window: options.window || 'day',
+    });
+
+    console.log(
+      `Backfill finished: ${summary.completed} completed, ${summary.skipped} skipped, ` +
+        `${summary.failed} failed of ${summary.windows} windows`
+    );
+
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await pipeline.close();
+  }
+}
@@ -0,0 +1,36 @@
+import { ETLPipeline } from '../pipelines/etlPipeline.js';
+import { config } from '../utils/config.js';
+
+const USAGE = `
+Usage:
+  npm start -- fx-rates <file>
+
+Loads exchange rates from a CSV file (date,currency,rate with an optional base
+column, or the ECB's CSV) or an ECB eurofxref XML file, then converts the orders
+that were waiting for them into REPORTING_CURRENCY. Scheduled runs load
+FX_RATES_FILE the same way when it is set.
+`;
+
+export async function fxRatesCommand(args) {
+  if (args.length !== 1) {
+    console.log(USAGE);
+    return;
+  }
+
+  const pipeline = new ETLPipeline();
+
+  try {
+    const result = await pipeline.loadFxRates(args[0]);
+    console.log(`Read ${result.rates} rates, ${result.loaded} new or changed`);
+    console.log(`Converted ${result.converted} orders into ${config.fx.reportingCurrency}`);
+
+    if (result.missing.length > 0) {
+      console.log('Orders still without a rate, by currency and day:');
+      for (const missing of result.missing) {
+        console.log(`  ${missing}`);
+      }
+    }
+  } finally {
+    await pipeline.close();
+  }
+}
@@ -0,0 +1,34 @@
+import { ETLPipeline } from '../pipelines/etlPipeline.js';
+import { config } from '../utils/config.js';
+
+const USAGE = `
+Usage:
+  npm start -- identities
+
+Links the customers of every source into unified customers with the rules in
+IDENTITY_MATCH_RULES and recalculates unified customer metrics. Scheduled runs
+do the same after loading all sources; run this after changing the rules.
+`;
+
+export async function identitiesCommand(args) {
+  // identities takes no positional arguments
+  if (args.length > 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  const pipeline = new ETLPipeline();
+
+  try {
+    const saved = await pipeline.resolveIdentities();
+    console.log(
+      `${saved.unified} unified customers from ${saved.links} customer records ` +
+        `(rules: ${config.identity.matchRules.join(', ')})`
+    );
+    if (saved.removed > 0) {
+      console.log(`Removed ${saved.removed} unified customers left without records`);
+    }
+  } finally {
+    await pipeline.close();
+  }
+}
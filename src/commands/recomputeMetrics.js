@@ -0,0 +1,34 @@
+import { ETLPipeline } from '../pipelines/etlPipeline.js';
+
+const USAGE = `
+Usage:
+  npm start -- recompute-metrics --from <YYYY-MM-DD> --to <YYYY-MM-DD> [--source <source>]
+
+Recalculates daily_metrics for every day from --from through --to, in each store's
+time zone, from the orders and carts already loaded. All enabled sources when
+--source is omitted. Runs already recompute the days of the orders they load; use
+this after loading exchange rates or changing REPORTING_CURRENCY.
+`;
+
+export async function recomputeMetricsCommand(_args, options) {
+  if (!options.from || !options.to) {
+    console.log(USAGE);
+    return;
+  }
+
+  const pipeline = new ETLPipeline();
+
+  try {
+    const results = await pipeline.recomputeMetrics({
+      sourceType: options.source || null,
+      from: options.from,
+      to: options.to,
+    });
+
+    for (const [source, days] of Object.entries(results)) {
+      console.log(`${source}: recomputed ${days} days`);
+    }
+  } finally {
+    await pipeline.close();
+  }
+}
@@ -0,0 +1,76 @@
+import { PostgresLoader } from '../db/postgresLoader.js';
+import { config } from '../utils/config.js';
+
+const USAGE = `
+Usage:
+  npm start -- reconcile [--from <date>] [--to <date>] [--source <source>] [--all]
+
+Matches loaded payments to orders, then lists orders whose settled payments
+(charged less refunds and lost disputes) disagree with the order total.
+--all lists every matched order, --source filters by the order's store.
+`;
+
+function parseDateOption(name, value) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid --${name} date: ${value}`);
+  }
+  return date;
+}
+
+export async function reconcileCommand(args, options) {
+  // reconcile takes no positional arguments
+  if (args.length > 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  const loader = new PostgresLoader(config.database);
+
+  try {
+    const from = parseDateOption('from', options.from);
+    const to = parseDateOption('to', options.to);
+
+    await loader.linkPaymentRefunds();
+    const matched = await loader.matchPaymentsToOrders();
+    console.log(
+      `Matched ${matched.metadata} payments by metadata and ${matched.email} by email and amount`
+    );
+
+    const rows = await loader.getPaymentReconciliation({
+      from,
+      to,
+      sourceType: options.source || null,
+      all: Boolean(options.all),
+    });
+
+    if (rows.length === 0) {
+      console.log(options.all ? 'No orders with matched payments' : 'No mismatched orders');
+    } else {
+      console.table(
+        rows.map(row => ({
+          order: `${row.source_type}/${row.order_number}`,
+          processed_at: row.processed_at?.toISOString() || null,
+          currency: row.order_currency,
+          total_price: row.total_price,
+          charged: row.charged,
+          refunded: row.refunded,
+          disputed: row.disputed,
+          settled: row.settled,
+          difference: row.difference,
+          fees: row.fees,
+          reason: row.reason,
+        }))
+      );
+    }
+
+    const unmatched = await loader.countUnmatchedPayments();
+    if (unmatched > 0) {
+      console.log(`${unmatched} succeeded payments are not matched to any order`);
+    }
+  } finally {
+    await loader.close();
+  }
+}
@@ -0,0 +1,64 @@
+import { PostgresLoader } from '../db/postgresLoader.js';
+import { ENTITIES } from '../pipelines/etlPipeline.js';
+import { config } from '../utils/config.js';
+
+const USAGE = `
+Usage:
+  npm start -- watermark list [--source <source>]
+  npm start -- watermark reset --source <source> --entity <entity> [--to <date>]
+
+Without --to, reset removes the watermark so the next run re-extracts the entity in full.
+`;
+
+export async function watermarkCommand(args, options) {
+  const [action] = args;
+  const loader = new PostgresLoader(config.database);
+
+  try {
+    if (action === 'list') {
+      const rows = await loader.listWatermarks(options.source || null);
+      if (rows.length === 0) {
+        console.log('No watermarks recorded');
+        return;
+      }
+
+      console.table(
+        rows.map(row => ({
+          source: row.source_type,
+          entity: row.entity,
+          watermark: row.watermark?.toISOString() || null,
+          updated_at: row.updated_at?.toISOString() || null,
+        }))
+      );
+      return;
+    }
+
+    if (action === 'reset') {
+      if (!options.source || !options.entity) {
+        throw new Error('watermark reset requires --source and --entity');
+      }
+      if (!ENTITIES.includes(options.entity)) {
+        throw new Error(
+          `Unknown entity "${options.entity}", expected one of: ${ENTITIES.join(', ')}`
+        );
+      }
+
+      const watermark = options.to ? new Date(options.to) : null;
+      if (watermark && isNaN(watermark.getTime())) {
+        throw new Error(`Invalid --to date: ${options.to}`);
+      }
+
+      await loader.resetWatermark(options.source, options.entity, watermark);
+      console.log(
+        watermark
+          ? `Watermark for ${options.source}/${options.entity} set to ${watermark.toISOString()}`
+          : `Watermark for ${options.source}/${options.entity} cleared`
+      );
+      return;
+    }
+
+    console.log(USAGE);
+  } finally {
+    await loader.close();
+  }
+}
@@ -0,0 +1,40 @@
+import { ETLPipeline } from '../pipelines/etlPipeline.js';
+import { WebhookServer } from '../webhooks/server.js';
+import { config } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+const USAGE = `
+Usage:
+  npm start -- webhooks
+
+Listens on WEBHOOK_PORT for Shopify and WooCommerce webhooks at
+/webhooks/<source> and loads each delivery as it arrives. Scheduled runs still
+catch up on anything a webhook missed.
+`;
+
+export async function webhooksCommand(args) {
+  // webhooks takes no positional arguments
+  if (args.length > 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  const pipeline = new ETLPipeline();
+  const server = new WebhookServer(pipeline, { port: config.webhooks.port });
+
+  try {
+    await server.start();
+  } catch (error) {
+    await pipeline.close();
+    throw error;
+  }
+
+  const shutdown = async signal => {
+    logger.info(`Received ${signal}, stopping webhook server`);
+    await server.stop();
+    await pipeline.close();
+  };
+
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { HttpClient } from '../utils/httpClient.js';
+
+// Everything a connector can declare it extracts
+export const CAPABILITIES = [
+  'customers',
+  'orders',
+  'products',
+  'inventory',
+  'carts',
+  'refunds',
+  'payments',
+];
+
+const TRANSFORMS = {
+  customers: 'transformCustomer',
+  orders: 'transformOrder',
+  products: 'transformProduct',
+  carts: 'transformCart',
+  locations: 'transformLocation',
+  inventory: 'transformInventoryLevel',
+  payments: 'transformPayment',
+  payment_refunds: 'transformPaymentRefund',
+  payment_disputes: 'transformPaymentDispute',
+};
+
+export async function collectPages(pages) {
+  const records = [];
+  for await (const page of pages) {
+    records.push(...page);
+  }
+  return records;
+}
+
+// Shared plumbing for platform connectors. A subclass declares its registry entry
+// as static fields, implements fetchPage() for its paging scheme and ping() for
+// the connection test, and exposes streamX(since, until) generators for the
+// entities in its capabilities. Without until a stream reads the records modified
+// since `since`; with until it reads the backfill window [since, until).
+export class BaseConnector {
+  // Source type stored with every row, e.g. 'shopify'
+  static source = null;
+  // Human readable name for logs and messages
+  static label = null;
+  static capabilities = [];
+  // Config key -> { env, required, type: 'string' | 'integer' | 'list' | 'timezone', values,
+  // default }
+  static configSchema = {};
+  // Webhook topic -> entity of the record it delivers, for sources that push changes
+  static webhookTopics = {};
+
+  // The connectors the pipeline runs for one enabled source config. Most
+  // sources are a single connector; a source can expand into several, each
+  // with its own source getter.
+  static instances(config) {
+    return [new this(config)];
+  }
+
+  constructor(config = {}) {
+    this.rateLimitDelay = 0; // milliseconds between pages
+    this.http = new HttpClient({ name: this.label, ...config.retry });
+    this.timezone = config.timezone || null;
+  }
+
+  get source() {
+    return this.constructor.source;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  supports(capability) {
+    return this.constructor.capabilities.includes(capability);
+  }
+
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  logApiError(error, endpoint) {
+    logger.error(`${this.label} API error: ${error.message}`, {
+      endpoint,
+      status: error.response?.status,
+      data: error.response?.data,
+    });
+  }
+
+  // Requests one page of an endpoint and returns { data, next }, where next is
+  // the cursor for the following page or null after the last one
+  async fetchPage(_endpoint, _params, _cursor) {
+    throw new Error(`${this.label} connector does not implement fetchPage`);
+  }
+
+  async *paginate(endpoint, params = {}) {
+    let cursor;
+
+    do {
+      const page = await this.fetchPage(endpoint, params, cursor);
+      yield page.data;
+
+      cursor = page.next;
+      await this.sleep(this.rateLimitDelay);
+    } while (cursor !== null && cursor !== undefined);
+  }
+
+  async ping() {
+    throw new Error(`${this.label} connector does not implement ping`);
+  }
+
+  // IANA time zone the store's days are kept in, or null when it reports none
+  async getTimezone() {
+    return this.timezone;
+  }
+
+  async testConnection() {
+    try {
+      await this.ping();
+      logger.info(`${this.label} connection test successful`);
+      return true;
+    } catch (error) {
+      logger.error(`${this.label} connection test failed`, error);
+      return false;
+    }
+  }
+
+  // Backfill windows select orders by when they were placed, so an order edited,
+  // refunded or fulfilled later still falls in its window. Incremental reads and
+  // the other entities go by last-modified time.
+  windowedByCreation(entity, until) {
+    return entity === 'orders' && Boolean(until);
+  }
+
+  // Whether a read hands out records in updated_at order, which lets the pipeline
+  // checkpoint the watermark after every page rather than at the end
+  inUpdateOrder(entity, _since, until) {
+    return !this.windowedByCreation(entity, until);
+  }
+
+  // Called by a regular run once every page of the entity is loaded, with the
+  // run's transaction client when there is one
+  async entityLoaded(_entity, _client) {}
+
+  // Webhooks are accepted once the topics are declared and a secret is configured
+  acceptsWebhooks() {
+    return Object.keys(this.constructor.webhookTopics).length > 0 && Boolean(this.webhookSecret);
+  }
+
+  // Reads { id, topic, signature } of a delivery from its lower-cased headers
+  readWebhook(_headers) {
+    throw new Error(`${this.label} connector does not implement readWebhook`);
+  }
+
+  // Checks a base64 HMAC-SHA256 of the raw body, the scheme Shopify and
+  // WooCommerce both sign with
+  verifyWebhook(body, signature) {
+    if (!this.webhookSecret || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(body).digest();
+    const received = Buffer.from(signature, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  async getCustomers(since = null, until = null) {
+    return collectPages(this.streamCustomers(since, until));
+  }
+
+  async getOrders(since = null, until = null) {
+    return collectPages(this.streamOrders(since, until));
+  }
+
+  async getProducts(since = null, until = null) {
+    return collectPages(this.streamProducts(since, until));
+  }
+
+  // Maps a raw API record onto the Shopify-shaped record DataTransformer reads.
+  // Connectors whose API differs implement transformCustomer/Order/Product, and
+  // payment connectors transformPayment/PaymentRefund/PaymentDispute.
+  normalize(entity, record) {
+    const transform = this[TRANSFORMS[entity]];
+    return typeof transform === 'function' ? transform.call(this, record) : record;
+  }
+}
@@ -0,0 +1,265 @@
+import { logger } from '../utils/logger.js';
+import { BaseConnector } from './baseConnector.js';
+
+// Requests left in the current window below which we wait for the window to reset
+const RATE_LIMIT_FLOOR = 5;
+
+const FINANCIAL_STATUSES = {
+  Pending: 'pending',
+  'Awaiting Payment': 'pending',
+  'Manual Verification Required': 'pending',
+  Disputed: 'pending',
+  'Awaiting Fulfillment': 'paid',
+  'Awaiting Shipment': 'paid',
+  'Awaiting Pickup': 'paid',
+  'Partially Shipped': 'paid',
+  Shipped: 'paid',
+  Completed: 'paid',
+  Refunded: 'refunded',
+  'Partially Refunded': 'partially_refunded',
+  Cancelled: 'voided',
+  Declined: 'voided',
+};
+
+const FULFILLMENT_STATUSES = {
+  'Partially Shipped': 'partial',
+  Shipped: 'fulfilled',
+  Completed: 'fulfilled',
+};
+
+// Orders come from the V2 API, customers and the catalog from V3
+export class BigCommerceConnector extends BaseConnector {
+  static source = 'bigcommerce';
+  static label = 'BigCommerce';
+  static capabilities = ['customers', 'orders', 'products'];
+  static configSchema = {
+    storeHash: { env: 'BIGCOMMERCE_STORE_HASH', required: true },
+    accessToken: { env: 'BIGCOMMERCE_ACCESS_TOKEN', required: true },
+  };
+
+  constructor(config) {
+    super(config);
+    this.storeHash = config.storeHash;
+    this.accessToken = config.accessToken;
+    this.apiUrl = config.apiUrl || 'https://api.bigcommerce.com';
+    this.baseURL = `${this.apiUrl}/stores/${this.storeHash}`;
+    this.rateLimitDelay = 250; // milliseconds between requests
+  }
+
+  async makeRequest(endpoint, params = {}) {
+    const response = await this.request(endpoint, params);
+    return response.data;
+  }
+
+  // Returns the full axios response so callers can read the rate limit headers
+  async request(endpoint, params = {}) {
+    try {
+      const response = await this.http.get(`${this.baseURL}${endpoint}`, {
+        headers: {
+          'X-Auth-Token': this.accessToken,
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+        },
+        params,
+      });
+
+      // Wait out the window instead of running into 429s
+      const left = parseInt(response.headers?.['x-rate-limit-requests-left']);
+      const resetMs = parseInt(response.headers?.['x-rate-limit-time-reset-ms']);
+      if (left < RATE_LIMIT_FLOOR && resetMs > 0) {
+        logger.info(`BigCommerce rate limit nearly used, waiting ${resetMs}ms`);
+        await this.sleep(resetMs);
+      }
+
+      return response;
+    } catch (error) {
+      this.logApiError(error, endpoint);
+      throw error;
+    }
+  }
+
+  // V3 responses carry meta.pagination; V2 returns a bare array (or 204 with an
+  // empty body), so a short page is the last one
+  async fetchPage(endpoint, params, page = 1) {
+    const limit = params.limit || 250;
+    const response = await this.request(endpoint, { ...params, page, limit });
+    const body = response.data;
+
+    if (!body || Array.isArray(body)) {
+      const records = body || [];
+      return { data: records, next: records.length === limit ? page + 1 : null };
+    }
+
+    const totalPages = body.meta?.pagination?.total_pages || 1;
+    return { data: body.data || [], next: page < totalPages ? page + 1 : null };
+  }
+
+  buildWindowParams(since, until, minKey, maxKey) {
+    const params = {};
+    if (since) params[minKey] = since.toISOString();
+    if (until) params[maxKey] = until.toISOString();
+    return params;
+  }
+
+  async *streamCustomers(since = null, until = null) {
+    const params = {
+      ...this.buildWindowParams(since, until, 'date_modified:min', 'date_modified:max'),
+      sort: 'date_modified:asc',
+      include: 'addresses',
+    };
+
+    logger.info('Fetching BigCommerce customers', { since, until });
+
+    for await (const batch of this.paginate('/v3/customers', params)) {
+      logger.info(`Fetched ${batch.length} customers`);
+      yield batch;
+    }
+  }
+
+  async *streamProducts(since = null, until = null) {
+    const params = {
+      ...this.buildWindowParams(since, until, 'date_modified:min', 'date_modified:max'),
+      sort: 'date_modified',
+      direction: 'asc',
+      include: 'variants',
+    };
+
+    logger.info('Fetching BigCommerce products', { since, until });
+
+    for await (const batch of this.paginate('/v3/catalog/products', params)) {
+      logger.info(`Fetched ${batch.length} products`);
+      yield batch;
+    }
+  }
+
+  // V2 orders only link to their line items, so each page is completed with
+  // one request per order
+  async *streamOrders(since = null, until = null) {
+    const field = this.windowedByCreation('orders', until) ? 'date_created' : 'date_modified';
+    const params = {
+      ...this.buildWindowParams(since, until, `min_${field}`, `max_${field}`),
+      sort: `${field}:asc`,
+    };
+
+    logger.info('Fetching BigCommerce orders', { since, until });
+
+    for await (const batch of this.paginate('/v2/orders', params)) {
+      const orders = [];
+      for (const order of batch) {
+        orders.push({ ...order, products: await this.getOrderProducts(order.id) });
+      }
+
+      logger.info(`Fetched ${orders.length} orders`);
+      yield orders;
+    }
+  }
+
+  async getOrderProducts(orderId) {
+    const products = [];
+    for await (const batch of this.paginate(`/v2/orders/${orderId}/products`)) {
+      products.push(...batch);
+    }
+    return products;
+  }
+
+  async ping() {
+    await this.makeRequest('/v2/store');
+  }
+
+  // Transform BigCommerce data to match the Shopify structure DataTransformer reads
+  transformCustomer(customer) {
+    const address = customer.addresses?.[0];
+
+    return {
+      id: customer.id?.toString(),
+      email: customer.email,
+      first_name: customer.first_name,
+      last_name: customer.last_name,
+      phone: customer.phone || address?.phone || '',
+      default_address: address
+        ? {
+            city: address.city,
+            province: address.state_or_province,
+            country: address.country_code || address.country,
+            zip: address.postal_code,
+            phone: address.phone,
+          }
+        : undefined,
+      created_at: customer.date_created,
+      updated_at: customer.date_modified,
+    };
+  }
+
+  transformOrder(order) {
+    const discounts =
+      parseFloat(order.discount_amount || 0) + parseFloat(order.coupon_discount || 0);
+
+    return {
+      id: order.id?.toString(),
+      order_number: order.id?.toString(),
+      email: order.billing_address?.email,
+      financial_status: FINANCIAL_STATUSES[order.status] || order.status?.toLowerCase(),
+      fulfillment_status: FULFILLMENT_STATUSES[order.status] || null,
+      total_price: order.total_inc_tax,
+      subtotal_price: order.subtotal_ex_tax,
+      total_tax: order.total_tax,
+      total_shipping: order.shipping_cost_inc_tax,
+      total_discounts: discounts,
+      currency: order.currency_code,
+      billing_address: {
+        first_name: order.billing_address?.first_name,
+        last_name: order.billing_address?.last_name,
+        phone: order.billing_address?.phone,
+        city: order.billing_address?.city,
+        province: order.billing_address?.state,
+        country: order.billing_address?.country_iso2 || order.billing_address?.country,
+        zip: order.billing_address?.zip,
+      },
+      created_at: order.date_created,
+      updated_at: order.date_modified,
+      source_name: order.order_source,
+      line_items: (Array.isArray(order.products) ? order.products : []).map(item => ({
+        id: item.id?.toString(),
+        product_id: item.product_id?.toString(),
+        variant_id: item.variant_id?.toString(),
+        title: item.name,
+        quantity: item.quantity,
+        price: item.price_inc_tax ?? item.base_price,
+        sku: item.sku,
+        total_discount: (item.applied_discounts || []).reduce(
+          (sum, discount) => sum + parseFloat(discount.amount || 0),
+          0
+        ),
+      })),
+    };
+  }
+
+  transformProduct(product) {
+    const variants = product.variants?.length > 0 ? product.variants : [product];
+
+    return {
+      id: product.id?.toString(),
+      title: product.name,
+      vendor: '',
+      product_type: product.type,
+      status: product.is_visible ? 'active' : 'draft',
+      tags: [],
+      variants: variants.map(variant => ({
+        id: variant.id?.toString(),
+        product_id: product.id?.toString(),
+        title: variant.option_values?.map(option => option.label).join(' / ') || product.name,
+        price: variant.price ?? variant.calculated_price ?? product.price,
+        compare_at_price: variant.retail_price || product.retail_price || null,
+        sku: variant.sku,
+        barcode: variant.gtin || variant.upc || null,
+        options: Object.fromEntries(
+          (variant.option_values || []).map(option => [option.option_display_name, option.label])
+        ),
+        inventory_quantity: variant.inventory_level,
+        weight: variant.weight ?? variant.calculated_weight,
+      })),
+      created_at: product.date_created,
+      updated_at: product.date_modified,
+    };
+  }
+}
@@ -1,8 +1,83 @@
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { BaseConnector, collectPages } from './baseConnector.js';
+
+const PAGE_SIZE = 500;
+
+// Ids asked for per request by id, keeping the where clause well within URL limits
+const FETCH_BY_IDS_SIZE = 100;
+
+export const SYNC_MODES = ['query', 'messages'];
+
+const ORDER_EXPAND = ['customer', 'lineItems[*].productType', 'lineItems[*].variant'];
+const PRODUCT_EXPAND = ['productType', 'masterVariant.prices[*]'];
+
+// Change feed messages applied by incremental runs in messages mode
+const CUSTOMER_MESSAGES = ['CustomerCreated', 'CustomerDeleted'];
+const ORDER_MESSAGES = ['OrderCreated', 'OrderStateChanged', 'ReturnInfoAdded', 'ReturnInfoSet'];
+const PRODUCT_MESSAGES = ['ProductPublished'];
+
+// Records after `last` in keyset order: a greater key, or the same key and a greater id
+function afterCondition(keyset, last) {
+  if (keyset === 'id') {
+    return `id > "${last.id}"`;
+  }
+  const value = last[keyset];
+  return `${keyset} > "${value}" or (${keyset} = "${value}" and id > "${last.id}")`;
+}
+
+// The last message of every resource in a page; a resource's messages are
+// numbered in the order they happened by sequenceNumber
+function latestByResource(messages) {
+  const latest = new Map();
+  for (const message of messages) {
+    const current = latest.get(message.resource.id);
+    if (!current || message.sequenceNumber > current.sequenceNumber) {
+      latest.set(message.resource.id, message);
+    }
+  }
+  return [...latest.values()];
+}
+
+// Variant ids only count up within their product
+function variantId(productId, variant) {
+  return variant?.id !== undefined ? `${productId}/${variant.id}` : undefined;
+}
+
+// Enum attributes carry a label and localized ones a value per locale
+function attributeValue(value) {
+  const label = value?.label ?? value;
+  return label && typeof label === 'object' ? label[Object.keys(label)[0]] : label;
+}
+
+// ProductPublished carries the published projection rather than the product
+function publishedProduct(projection) {
+  return {
+    id: projection.id,
+    productType: projection.productType,
+    createdAt: projection.createdAt,
+    lastModifiedAt: projection.lastModifiedAt,
+    masterData: { published: true, current: projection },
+  };
+}
+
+export class CommercetoolsConnector extends BaseConnector {
+  static source = 'commercetools';
+  static label = 'Commercetools';
+  static capabilities = ['customers', 'orders', 'products', 'inventory', 'carts', 'refunds'];
+  static configSchema = {
+    projectKey: { env: 'COMMERCETOOLS_PROJECT_KEY', required: true },
+    clientId: { env: 'COMMERCETOOLS_CLIENT_ID', required: true },
+    clientSecret: { env: 'COMMERCETOOLS_CLIENT_SECRET', required: true },
+    region: { env: 'COMMERCETOOLS_REGION', default: 'us-central1' },
+    // query filters on lastModifiedAt; messages reads the change feed, which
+    // also sees deleted customers
+    syncMode: { env: 'COMMERCETOOLS_SYNC_MODE', values: SYNC_MODES, default: 'query' },
+    // Projects carry no time zone of their own, so days are bucketed in this one
+    timezone: { env: 'COMMERCETOOLS_TIMEZONE', type: 'timezone' },
+  };
 
-export class CommercetoolsConnector {
   constructor(config) {
+    super(config);
     this.projectKey = config.projectKey;
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
@@ -12,6 +87,11 @@ export class CommercetoolsConnector {
     this.accessToken = null;
     this.tokenExpiry = null;
     this.rateLimitDelay = 200; // milliseconds between requests
+    this.pageSize = config.pageSize || PAGE_SIZE;
+    this.syncMode = config.syncMode || 'query';
+    // Loader that applies customer deletions: markCustomersDeleted()
+    this.tracker = config.tracker || null;
+    this.pendingDeletions = [];
   }
 
   async getAccessToken() {
@@ -21,7 +101,7 @@ export class CommercetoolsConnector {
     }
 
     try {
-      const response = await axios.post(
+      const response = await this.http.post(
         `${this.authUrl}/oauth/token`,
         `grant_type=client_credentials&scope=${this.scope}`,
         {
@@ -29,7 +109,9 @@ export class CommercetoolsConnector {
             'Content-Type': 'application/x-www-form-urlencoded',
             'Authorization': `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`,
           },
-        }
+        },
+        // A client credentials grant only issues a token, so it is safe to repeat
+        { idempotent: true }
       );
 
       this.accessToken = response.data.access_token;
@@ -44,168 +126,238 @@ export class CommercetoolsConnector {
     }
   }
 
+  // Tokens can be revoked before their expiry; a 401 drops the cached token so
+  // the retried request authenticates again
+  invalidateAccessToken() {
+    this.accessToken = null;
+    this.tokenExpiry = null;
+  }
+
   async makeRequest(endpoint, params = {}) {
     try {
-      const accessToken = await this.getAccessToken();
-
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.apiUrl}/${this.projectKey}${endpoint}`,
-        {
+        async () => ({
           headers: {
-            'Authorization': `Bearer ${accessToken}`,
+            'Authorization': `Bearer ${await this.getAccessToken()}`,
             'Content-Type': 'application/json',
           },
           params,
-        }
+        }),
+        { onUnauthorized: () => this.invalidateAccessToken() }
       );
 
       return response.data;
     } catch (error) {
-      logger.error(`Commercetools API error: ${error.message}`, {
-        endpoint,
-        status: error.response?.status,
-        data: error.response?.data,
-      });
+      this.logApiError(error, endpoint);
       throw error;
     }
   }
 
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Keyset paging: each page asks for the records after the last one returned,
+  // as offset paging stops at 10,000. params.keyset names the field pages walk
+  // in, with id as the tie-breaker.
+  async fetchPage(endpoint, { keyset = 'id', where, ...params }, last = null) {
+    const limit = params.limit || this.pageSize;
+    const conditions = [where, last && afterCondition(keyset, last)].filter(Boolean);
+
+    const response = await this.makeRequest(endpoint, {
+      ...params,
+      sort: keyset === 'id' ? ['id asc'] : [`${keyset} asc`, 'id asc'],
+      limit,
+      withTotal: false,
+      ...(conditions.length > 0 && {
+        where: conditions.map(condition => `(${condition})`).join(' and '),
+      }),
+    });
+
+    const results = response.results || [];
+    return { data: response, next: results.length === limit ? results[results.length - 1] : null };
   }
 
-  async *paginate(endpoint, params = {}) {
-    const limit = params.limit || 500;
-    let offset = 0;
-    let hasMorePages = true;
-
-    while (hasMorePages) {
-      const response = await this.makeRequest(endpoint, {
-        ...params,
-        limit,
-        offset,
-      });
-
-      yield response;
-
-      // Check if there are more pages
-      hasMorePages = response.total > offset + limit;
-      offset += limit;
+  buildWindowWhere(field, since, until) {
+    const conditions = [];
+    if (since) conditions.push(`${field} >= "${since.toISOString()}"`);
+    if (until) conditions.push(`${field} < "${until.toISOString()}"`);
+    return conditions.join(' and ');
+  }
 
-      await this.sleep(this.rateLimitDelay);
-    }
+  // Full syncs walk the ids; windowed reads walk the field they filter on, which
+  // for lastModifiedAt lets the pipeline checkpoint after every page
+  queryParams(since, until, params = {}, field = 'lastModifiedAt') {
+    const where = this.buildWindowWhere(field, since, until);
+    return where ? { ...params, where, keyset: field } : { ...params, keyset: 'id' };
   }
 
-  async getCustomers(since = null) {
-    const customers = [];
-    const params = {
-      sort: 'lastModifiedAt asc',
-    };
+  // Incremental runs read the change feed in messages mode; full syncs and
+  // backfill windows always query the resources
+  usesMessages(since, until) {
+    return this.syncMode === 'messages' && Boolean(since) && !until;
+  }
 
-    if (since) {
-      params.where = `lastModifiedAt > "${since.toISOString()}"`;
-    }
+  inUpdateOrder(entity, since, until) {
+    return (
+      Boolean(since || until) &&
+      !this.usesMessages(since, until) &&
+      super.inUpdateOrder(entity, since, until)
+    );
+  }
 
-    logger.info('Fetching Commercetools customers', { since });
+  async *streamQuery(endpoint, name, since, until, params = {}, field = 'lastModifiedAt') {
+    logger.info(`Fetching Commercetools ${name}`, { since, until });
 
-    for await (const batch of this.paginate('/customers', params)) {
+    const query = this.queryParams(since, until, params, field);
+    for await (const batch of this.paginate(endpoint, query)) {
       if (batch.results) {
-        customers.push(...batch.results);
-        logger.info(`Fetched ${batch.results.length} customers`);
+        logger.info(`Fetched ${batch.results.length} ${name}`);
+        yield batch.results;
       }
     }
+  }
 
-    return customers;
+  // Pages of the messages of the given types created since the watermark,
+  // oldest first. The project must have messages enabled. A message's
+  // sequenceNumber only counts the messages of its own resource, so it cannot
+  // order the feed; pages walk createdAt with the message id as tie-breaker.
+  async *streamMessages(types, since) {
+    const where = [
+      `type in (${types.map(type => `"${type}"`).join(', ')})`,
+      `createdAt >= "${since.toISOString()}"`,
+    ].join(' and ');
+
+    logger.info('Reading Commercetools messages', { types, since });
+
+    for await (const batch of this.paginate('/messages', { where, keyset: 'createdAt' })) {
+      logger.info(`Read ${batch.results?.length || 0} messages`);
+      yield batch.results || [];
+    }
   }
 
-  async getOrders(since = null) {
-    const orders = [];
-    const params = {
-      sort: 'lastModifiedAt asc',
-      expand: ['customer', 'lineItems[*].productType', 'lineItems[*].variant'],
-    };
+  async fetchByIds(endpoint, ids, params = {}) {
+    const records = [];
 
-    if (since) {
-      params.where = `lastModifiedAt > "${since.toISOString()}"`;
+    for (let i = 0; i < ids.length; i += FETCH_BY_IDS_SIZE) {
+      const batch = ids.slice(i, i + FETCH_BY_IDS_SIZE);
+      const response = await this.makeRequest(endpoint, {
+        ...params,
+        where: `id in (${batch.map(id => `"${id}"`).join(', ')})`,
+        limit: batch.length,
+        withTotal: false,
+      });
+      records.push(...(response.results || []));
     }
 
-    logger.info('Fetching Commercetools orders', { since });
+    return records;
+  }
 
-    for await (const batch of this.paginate('/orders', params)) {
-      if (batch.results) {
-        orders.push(...batch.results);
-        logger.info(`Fetched ${batch.results.length} orders`);
-      }
+  async *streamCustomers(since = null, until = null) {
+    if (this.usesMessages(since, until)) {
+      yield* this.streamCustomerMessages(since);
+      return;
     }
 
-    return orders;
+    yield* this.streamQuery('/customers', 'customers', since, until);
   }
 
-  async getProducts(since = null) {
-    const products = [];
-    const params = {
-      sort: 'lastModifiedAt asc',
-      expand: ['productType', 'masterVariant.prices[*]'],
-    };
-
-    if (since) {
-      params.where = `lastModifiedAt > "${since.toISOString()}"`;
+  async *streamOrders(since = null, until = null) {
+    if (this.usesMessages(since, until)) {
+      yield* this.streamOrderMessages(since);
+      return;
     }
 
-    logger.info('Fetching Commercetools products', { since });
+    const field = this.windowedByCreation('orders', until) ? 'createdAt' : 'lastModifiedAt';
+    yield* this.streamQuery('/orders', 'orders', since, until, { expand: ORDER_EXPAND }, field);
+  }
 
-    for await (const batch of this.paginate('/products', params)) {
-      if (batch.results) {
-        products.push(...batch.results);
-        logger.info(`Fetched ${batch.results.length} products`);
-      }
+  async *streamProducts(since = null, until = null) {
+    if (this.usesMessages(since, until)) {
+      yield* this.streamProductMessages(since);
+      return;
     }
 
-    return products;
+    yield* this.streamQuery('/products', 'products', since, until, { expand: PRODUCT_EXPAND });
   }
 
-  async getInventory(since = null) {
-    const inventory = [];
-    const params = {
-      sort: 'lastModifiedAt asc',
-    };
+  // New customers come with their CustomerCreated message. Deletions are
+  // applied once the customers are loaded, in the same transaction.
+  async *streamCustomerMessages(since) {
+    this.pendingDeletions = [];
 
-    if (since) {
-      params.where = `lastModifiedAt > "${since.toISOString()}"`;
-    }
+    for await (const messages of this.streamMessages(CUSTOMER_MESSAGES, since)) {
+      const latest = latestByResource(messages);
+
+      this.pendingDeletions.push(
+        ...latest
+          .filter(message => message.type === 'CustomerDeleted')
+          .map(message => ({ id: message.resource.id, deleted_at: message.createdAt }))
+      );
 
-    logger.info('Fetching Commercetools inventory');
+      const customers = latest
+        .filter(message => message.type === 'CustomerCreated')
+        .map(message => message.customer);
+      if (customers.length > 0) yield customers;
+    }
+  }
 
-    for await (const batch of this.paginate('/inventory', params)) {
-      if (batch.results) {
-        inventory.push(...batch.results);
-        logger.info(`Fetched ${batch.results.length} inventory entries`);
-      }
+  // OrderCreated carries the new order; orders whose state or returns changed
+  // are fetched again as they are now
+  async *streamOrderMessages(since) {
+    for await (const messages of this.streamMessages(ORDER_MESSAGES, since)) {
+      const latest = latestByResource(messages);
+
+      const created = latest
+        .filter(message => message.type === 'OrderCreated')
+        .map(message => message.order);
+      const changedIds = latest
+        .filter(message => message.type !== 'OrderCreated')
+        .map(message => message.resource.id);
+      const changed = await this.fetchByIds('/orders', changedIds, { expand: ORDER_EXPAND });
+
+      const orders = [...created, ...changed];
+      if (orders.length > 0) yield orders;
     }
+  }
 
-    return inventory;
+  async *streamProductMessages(since) {
+    for await (const messages of this.streamMessages(PRODUCT_MESSAGES, since)) {
+      const products = latestByResource(messages).map(message =>
+        publishedProduct(message.productProjection)
+      );
+      if (products.length > 0) yield products;
+    }
   }
 
-  async getCarts(since = null) {
-    const carts = [];
-    const params = {
-      sort: 'lastModifiedAt asc',
-    };
+  async entityLoaded(entity, client) {
+    if (entity !== 'customers' || this.pendingDeletions.length === 0) return;
 
-    if (since) {
-      params.where = `lastModifiedAt > "${since.toISOString()}"`;
+    const deletions = this.pendingDeletions;
+    this.pendingDeletions = [];
+    if (this.tracker) {
+      await this.tracker.markCustomersDeleted(this.source, deletions, client);
     }
+  }
 
-    logger.info('Fetching Commercetools carts');
+  // Supply channels are the project's stock locations
+  async getLocations() {
+    return collectPages(this.streamQuery('/channels', 'channels', null, null, {
+      where: 'roles contains any ("InventorySupply")',
+    }));
+  }
 
-    for await (const batch of this.paginate('/carts', params)) {
-      if (batch.results) {
-        carts.push(...batch.results);
-        logger.info(`Fetched ${batch.results.length} carts`);
-      }
-    }
+  async *streamInventory() {
+    yield* this.streamQuery('/inventory', 'inventory entries', null, null);
+  }
 
-    return carts;
+  async getInventory(since = null, until = null) {
+    return collectPages(this.streamQuery('/inventory', 'inventory entries', since, until));
+  }
+
+  async *streamCarts(since = null, until = null) {
+    yield* this.streamQuery('/carts', 'carts', since, until);
+  }
+
+  async getCarts(since = null, until = null) {
+    return collectPages(this.streamCarts(since, until));
   }
 
   async getAnalytics() {
@@ -246,16 +398,9 @@ export class CommercetoolsConnector {
     }
   }
 
-  async testConnection() {
-    try {
-      await this.getAccessToken();
-      const project = await this.makeRequest('');
-      logger.info('Commercetools connection test successful', { project: project.key });
-      return true;
-    } catch (error) {
-      logger.error('Commercetools connection test failed', error);
-      return false;
-    }
+  async ping() {
+    await this.getAccessToken();
+    await this.makeRequest('');
   }
 
   // Transform Commercetools data to match our unified structure
@@ -314,27 +459,116 @@ export class CommercetoolsConnector {
       total_shipping: shippingTotal,
       total_discounts: discountTotal,
       currency: order.totalPrice?.currencyCode || 'USD',
+      billing_address: {
+        first_name: order.billingAddress?.firstName,
+        last_name: order.billingAddress?.lastName,
+        phone: order.billingAddress?.phone || order.billingAddress?.mobile,
+        city: order.billingAddress?.city,
+        province: order.billingAddress?.state || order.billingAddress?.region,
+        country: order.billingAddress?.country,
+        zip: order.billingAddress?.postalCode,
+      },
       created_at: order.createdAt,
       updated_at: order.lastModifiedAt,
       line_items: order.lineItems?.map(item => ({
         id: item.id,
         product_id: item.productId,
-        variant_id: item.variant?.id,
+        variant_id: variantId(item.productId, item.variant),
         title: item.name?.[Object.keys(item.name)[0]] || '',
         quantity: item.quantity,
         price: item.price?.value?.centAmount ? item.price.value.centAmount / 100 : 0,
         sku: item.variant?.sku,
       })) || [],
+      refunds: this.transformReturns(order),
+    };
+  }
+
+  // Returns carry no amount: a return refunds what was paid for its items
+  // whose payment state is Refunded, at their line's discounted unit price
+  transformReturns(order) {
+    const lines = new Map((order.lineItems || []).map(line => [line.id, line]));
+    const unitPrice = line =>
+      line?.totalPrice?.centAmount && line.quantity
+        ? line.totalPrice.centAmount / line.quantity / 100
+        : 0;
+
+    return (order.returnInfo || [])
+      .map(returnInfo => {
+        const items = (returnInfo.items || [])
+          .filter(item => item.paymentState === 'Refunded')
+          .map(item => ({
+            id: item.id,
+            line_item_id: item.lineItemId,
+            quantity: item.quantity,
+            subtotal: Math.round(unitPrice(lines.get(item.lineItemId)) * item.quantity * 100) / 100,
+          }));
+
+        return {
+          id: returnInfo.returnTrackingId || returnInfo.items?.[0]?.id,
+          order_id: order.id,
+          amount: items.reduce((sum, item) => sum + item.subtotal, 0),
+          currency: order.totalPrice?.currencyCode,
+          note: returnInfo.items?.[0]?.comment,
+          processed_at: returnInfo.returnDate || returnInfo.items?.[0]?.createdAt,
+          created_at: returnInfo.items?.[0]?.createdAt,
+          refund_line_items: items,
+        };
+      })
+      .filter(refund => refund.refund_line_items.length > 0);
+  }
+
+  transformLocation(channel) {
+    return {
+      id: channel.id,
+      name: channel.name?.[Object.keys(channel.name)[0]] || channel.key,
+      city: channel.address?.city,
+      country: channel.address?.country,
+      active: true,
+    };
+  }
+
+  // Inventory entries are kept per SKU, and per supply channel when they have one
+  transformInventoryLevel(entry) {
+    return {
+      inventory_item_id: entry.sku,
+      sku: entry.sku,
+      location_id: entry.supplyChannel?.id,
+      available: entry.availableQuantity ?? entry.quantityOnStock,
+      updated_at: entry.lastModifiedAt,
+    };
+  }
+
+  // Ordered carts are converted, merged ones live on in the customer's cart;
+  // active and frozen carts are still open
+  transformCart(cart) {
+    const statuses = { Ordered: 'converted', Merged: 'merged' };
+
+    return {
+      id: cart.id,
+      email: cart.customerEmail,
+      status: statuses[cart.cartState] || 'open',
+      currency: cart.totalPrice?.currencyCode,
+      total_price: cart.totalPrice?.centAmount ? cart.totalPrice.centAmount / 100 : 0,
+      completed_at: cart.cartState === 'Ordered' ? cart.lastModifiedAt : null,
+      created_at: cart.createdAt,
+      updated_at: cart.lastModifiedAt,
+      line_items: cart.lineItems?.map(item => ({
+        product_id: item.productId,
+        variant_id: variantId(item.productId, item.variant),
+        title: item.name?.[Object.keys(item.name)[0]] || '',
+        sku: item.variant?.sku,
+        quantity: item.quantity,
+        price: item.price?.value?.centAmount ? item.price.value.centAmount / 100 : 0,
+      })) || [],
     };
   }
 
   transformProduct(product) {
-    const masterVariant = product.masterData?.current?.masterVariant || {};
     const productData = product.masterData?.current || {};
+    const masterVariant = productData.masterVariant || {};
 
-    const price = masterVariant.prices?.[0]?.value?.centAmount
-      ? masterVariant.prices[0].value.centAmount / 100
-      : 0;
+    const variants = [masterVariant, ...(productData.variants || [])]
+      .filter(variant => variant.id !== undefined);
 
     const name = productData.name
       ? productData.name[Object.keys(productData.name)[0]]
@@ -347,14 +581,28 @@ export class CommercetoolsConnector {
       product_type: product.productType?.id || '',
       status: product.masterData?.published ? 'active' : 'draft',
       tags: productData.categories?.map(cat => cat.id) || [],
-      variants: [{
-        id: masterVariant.id,
-        product_id: product.id,
-        title: name,
-        price: price,
-        sku: masterVariant.sku,
-        inventory_quantity: 0, // Will be updated from inventory data
-      }],
+      variants: variants.map((variant, index) => {
+        const options = Object.fromEntries(
+          (variant.attributes || []).map(attribute => [
+            attribute.name,
+            attributeValue(attribute.value),
+          ])
+        );
+
+        return {
+          id: variantId(product.id, variant),
+          product_id: product.id,
+          title: name,
+          price: variant.prices?.[0]?.value?.centAmount
+            ? variant.prices[0].value.centAmount / 100
+            : 0,
+          sku: variant.sku,
+          position: index + 1,
+          options,
+          // Only product projections carry availability; otherwise it comes from inventory
+          inventory_quantity: variant.availability?.availableQuantity ?? 0,
+        };
+      }),
       created_at: product.createdAt,
       updated_at: product.lastModifiedAt,
     };
@@ -370,4 +618,4 @@ export class CommercetoolsConnector {
 
     return stateMap[state] || state?.toLowerCase() || 'pending';
   }
-}
\ No newline at end of file
+}
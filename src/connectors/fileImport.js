@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { parseCsv } from '../utils/csv.js';
+import { BaseConnector } from './baseConnector.js';
+
+const PAGE_SIZE = 500;
+
+const FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+};
+
+// Stored in source_type columns, which are VARCHAR(20)
+const SOURCE_TYPE = /^[a-z][a-z0-9_]{0,19}$/;
+
+const ENTITIES = ['customers', 'orders', 'products'];
+
+// Reads and checks a mapping file:
+// {
+//   "source_type": "amazon",
+//   "directory": "amazon",
+//   "files": [{
+//     "entity": "orders",
+//     "pattern": "orders-*.csv",
+//     "columns": { "id": "amazon-order-id", "currency": { "value": "USD" } },
+//     "line_items": { "columns": { "sku": "sku", "quantity": "quantity-purchased" } }
+//   }]
+// }
+export function readMapping(file) {
+  const fail = message => {
+    throw new Error(`Invalid import mapping ${file}: ${message}`);
+  };
+
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (!SOURCE_TYPE.test(mapping.source_type || '')) {
+    fail('source_type must be 1-20 lowercase letters, digits or underscores');
+  }
+  if (!Array.isArray(mapping.files) || mapping.files.length === 0) {
+    fail('files must list at least one file pattern');
+  }
+
+  for (const spec of mapping.files) {
+    if (!ENTITIES.includes(spec.entity)) {
+      fail(`entity must be one of ${ENTITIES.join(', ')}, got "${spec.entity}"`);
+    }
+    if (!spec.pattern) {
+      fail(`${spec.entity} needs a file pattern`);
+    }
+    if (!spec.columns?.id) {
+      fail(`${spec.entity} needs an id column`);
+    }
+    if (spec.format && !Object.values(FORMATS).includes(spec.format)) {
+      fail(`format must be csv or jsonl, got "${spec.format}"`);
+    }
+  }
+
+  return mapping;
+}
+
+// Glob with * and ? wildcards, matched against the whole file name
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// A column is a field name, a dotted path into a JSONL record, or { value }
+function readColumn(row, column) {
+  if (typeof column === 'object' && column !== null) {
+    return column.value;
+  }
+  if (column in row) {
+    return row[column];
+  }
+  return column.split('.').reduce((value, key) => value?.[key], row);
+}
+
+// Empty cells are left out so DataTransformer applies its own defaults
+function mapColumns(columns, row) {
+  const record = {};
+  for (const [field, column] of Object.entries(columns)) {
+    const value = readColumn(row, column);
+    if (value !== undefined && value !== null && value !== '') {
+      record[field] = value;
+    }
+  }
+  return record;
+}
+
+function chunk(records, size) {
+  const pages = [];
+  for (let i = 0; i < records.length; i += size) {
+    pages.push(records.slice(i, i + size));
+  }
+  return pages;
+}
+
+// Orders mapped without a total_price add up their lines
+function lineTotal(items) {
+  const total = items.reduce(
+    (sum, item) =>
+      sum +
+      parseFloat(item.price || 0) * parseInt(item.quantity || 1) -
+      parseFloat(item.total_discount || 0),
+    0
+  );
+  return Math.round(total * 100) / 100;
+}
+
+function inWindow(record, since, until, byCreation) {
+  const time = new Date(
+    byCreation ? record.created_at : record.updated_at || record.created_at
+  ).getTime();
+  return (!since || time >= since.getTime()) && time < until.getTime();
+}
+
+// Imports sales exports (Amazon, wholesale, point of sale) from CSV or JSONL
+// files. Each mapping file becomes its own source: its files are read from
+// FILE_IMPORT_DIR/<directory> and loaded under its source_type. Files are
+// remembered by checksum through the tracker, so a file is imported once
+// however often it is renamed or copied.
+export class FileImportConnector extends BaseConnector {
+  static source = 'file';
+  static label = 'File import';
+  static capabilities = ['customers', 'orders', 'products'];
+  static configSchema = {
+    directory: { env: 'FILE_IMPORT_DIR', required: true },
+    // Paths of the mapping files, one per imported source
+    mappings: { env: 'FILE_IMPORT_MAPPINGS', type: 'list', required: true },
+  };
+
+  static instances(config) {
+    return config.mappings.map(file => new this({ ...config, mapping: readMapping(file) }));
+  }
+
+  constructor(config) {
+    super(config);
+    this.mapping = config.mapping;
+    this.directory = path.resolve(
+      config.directory,
+      this.mapping.directory || this.mapping.source_type
+    );
+    this.pageSize = config.pageSize || PAGE_SIZE;
+    // Remembers imported files: getImportedChecksums() and recordImportedFile()
+    this.tracker = config.tracker || null;
+    // Files read by the current run, recorded once their entity is loaded
+    this.pendingFiles = new Map();
+  }
+
+  get source() {
+    return this.mapping.source_type;
+  }
+
+  supports(capability) {
+    return this.mapping.files.some(spec => spec.entity === capability);
+  }
+
+  async ping() {
+    await fs.promises.access(this.directory, fs.constants.R_OK);
+  }
+
+  async *streamCustomers(since = null, until = null) {
+    yield* this.streamFiles('customers', since, until);
+  }
+
+  async *streamOrders(since = null, until = null) {
+    yield* this.streamFiles('orders', since, until);
+  }
+
+  async *streamProducts(since = null, until = null) {
+    yield* this.streamFiles('products', since, until);
+  }
+
+  // A regular run reads every file not imported before, whatever its dates. A
+  // backfill window (until given) rereads all files and keeps the records
+  // modified within the window, or for orders created within it.
+  async *streamFiles(entity, since, until) {
+    const imported =
+      !until && this.tracker
+        ? await this.tracker.getImportedChecksums(this.source, entity)
+        : new Set();
+    const pending = [];
+    this.pendingFiles.set(entity, pending);
+
+    for (const spec of this.mapping.files.filter(file => file.entity === entity)) {
+      for (const name of await this.listFiles(spec.pattern)) {
+        const content = await fs.promises.readFile(path.join(this.directory, name), 'utf8');
+        const checksum = crypto.createHash('sha256').update(content).digest('hex');
+
+        if (imported.has(checksum)) {
+          logger.info(`Skipping ${name}, already imported`, { source: this.source, entity });
+          continue;
+        }
+
+        let records = this.readRecords(spec, name, content);
+        if (until) {
+          const byCreation = this.windowedByCreation(entity, until);
+          records = records.filter(record => inWindow(record, since, until, byCreation));
+        }
+
+        logger.info(`Read ${records.length} ${entity} from ${name}`, { source: this.source });
+        for (const page of chunk(records, this.pageSize)) {
+          yield page;
+        }
+
+        if (!until) {
+          pending.push({
+            source_type: this.source,
+            entity,
+            file_name: name,
+            checksum,
+            records: records.length,
+          });
+        }
+        imported.add(checksum);
+      }
+    }
+  }
+
+  // Recorded with the entity's rows, in the same transaction when there is one,
+  // so a rolled back load imports its files again on the next run
+  async entityLoaded(entity, client) {
+    const files = this.pendingFiles.get(entity) || [];
+    this.pendingFiles.delete(entity);
+
+    if (!this.tracker) return;
+    for (const file of files) {
+      await this.tracker.recordImportedFile(file, client);
+    }
+  }
+
+  // Oldest export first, assuming names sort by date as exports usually do
+  async listFiles(pattern) {
+    const matcher = patternToRegExp(pattern);
+    const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && matcher.test(entry.name))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  parseRows(spec, name, content) {
+    const format = spec.format || FORMATS[path.extname(name).toLowerCase()];
+
+    if (format === 'csv') {
+      const delimiter = spec.delimiter || (name.endsWith('.tsv') ? '\t' : ',');
+      return parseCsv(content, { delimiter });
+    }
+
+    if (format === 'jsonl') {
+      return content.split(/\r?\n/).flatMap((line, index) => {
+        if (!line.trim()) return [];
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          throw new Error(`${name} line ${index + 1}: ${error.message}`);
+        }
+      });
+    }
+
+    throw new Error(`Cannot tell the format of ${name}; set "format" in the mapping`);
+  }
+
+  // Maps rows onto records; for orders, rows sharing an id become one order
+  // with a line item per row unless line_items.path names a nested list
+  readRecords(spec, name, content) {
+    const rows = this.parseRows(spec, name, content);
+    const records = new Map();
+
+    rows.forEach((row, index) => {
+      const record = mapColumns(spec.columns, row);
+      if (!record.id) {
+        logger.warn(`Skipping ${spec.entity} without an id in ${name}`, { row: index + 1 });
+        return;
+      }
+
+      if (spec.entity !== 'orders' || !spec.line_items) {
+        records.set(String(record.id), record);
+        return;
+      }
+
+      const order = records.get(String(record.id)) || { ...record, line_items: [] };
+      const items = spec.line_items.path ? readColumn(row, spec.line_items.path) || [] : [row];
+      order.line_items.push(...items.map(item => mapColumns(spec.line_items.columns, item)));
+      records.set(String(record.id), order);
+    });
+
+    return [...records.values()].map(record =>
+      record.line_items && record.total_price === undefined
+        ? { ...record, total_price: lineTotal(record.line_items) }
+        : record
+    );
+  }
+
+  // Flat address columns become the default_address DataTransformer reads
+  transformCustomer(customer) {
+    const { city, state, country, postal_code: zip, ...rest } = customer;
+    return { ...rest, default_address: { city, province: state, country, zip } };
+  }
+}
@@ -0,0 +1,255 @@
+import { logger } from '../utils/logger.js';
+import { BaseConnector } from './baseConnector.js';
+
+// Magento visibility 1: children of configurable products, only sold as variants
+const NOT_VISIBLE_INDIVIDUALLY = 1;
+const STATUS_ENABLED = 1;
+
+const FINANCIAL_STATUSES = {
+  pending: 'pending',
+  pending_payment: 'pending',
+  payment_review: 'pending',
+  holded: 'pending',
+  processing: 'paid',
+  complete: 'paid',
+  closed: 'refunded',
+  canceled: 'voided',
+};
+
+// Magento filters and reports timestamps in UTC as 'YYYY-MM-DD HH:MM:SS'
+function formatDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function parseDate(value) {
+  if (!value || value.includes('T')) return value;
+  return `${value.replace(' ', 'T')}Z`;
+}
+
+export class MagentoConnector extends BaseConnector {
+  static source = 'magento';
+  static label = 'Magento';
+  static capabilities = ['customers', 'orders', 'products'];
+  static configSchema = {
+    url: { env: 'MAGENTO_URL', required: true },
+    // Integration access token, sent as a bearer token
+    accessToken: { env: 'MAGENTO_ACCESS_TOKEN', required: true },
+    storeCode: { env: 'MAGENTO_STORE_CODE', default: 'default' },
+    pageSize: { env: 'MAGENTO_PAGE_SIZE', type: 'integer', default: 100 },
+  };
+
+  constructor(config) {
+    super(config);
+    this.url = config.url;
+    this.accessToken = config.accessToken;
+    this.storeCode = config.storeCode || 'default';
+    this.pageSize = config.pageSize || 100;
+    this.baseURL = `${this.url}/rest/${this.storeCode}/V1`;
+    this.rateLimitDelay = 200; // milliseconds between requests
+  }
+
+  async makeRequest(endpoint, params = {}) {
+    try {
+      const response = await this.http.get(`${this.baseURL}${endpoint}`, {
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        params,
+      });
+
+      return response.data;
+    } catch (error) {
+      this.logApiError(error, endpoint);
+      throw error;
+    }
+  }
+
+  // Magento answers a page past the end with the last page again, so paging
+  // stops on total_count rather than on an empty page
+  async fetchPage(endpoint, params, page = 1) {
+    const response = await this.makeRequest(endpoint, {
+      ...params,
+      'searchCriteria[pageSize]': this.pageSize,
+      'searchCriteria[currentPage]': page,
+    });
+
+    return {
+      data: response.items || [],
+      next: page * this.pageSize < (response.total_count || 0) ? page + 1 : null,
+    };
+  }
+
+  // Each filter gets its own filter group, which Magento combines with AND
+  buildSearchCriteria(since, until, filters = [], field = 'updated_at') {
+    const conditions = [...filters];
+    if (since) {
+      conditions.push({ field, value: formatDate(since), condition: 'gteq' });
+    }
+    if (until) {
+      conditions.push({ field, value: formatDate(until), condition: 'lt' });
+    }
+
+    const params = {
+      'searchCriteria[sortOrders][0][field]': field,
+      'searchCriteria[sortOrders][0][direction]': 'ASC',
+    };
+
+    conditions.forEach(({ field, value, condition }, index) => {
+      const prefix = `searchCriteria[filter_groups][${index}][filters][0]`;
+      params[`${prefix}[field]`] = field;
+      params[`${prefix}[value]`] = value;
+      params[`${prefix}[condition_type]`] = condition;
+    });
+
+    return params;
+  }
+
+  async *streamCustomers(since = null, until = null) {
+    logger.info('Fetching Magento customers', { since, until });
+
+    const params = this.buildSearchCriteria(since, until);
+    for await (const batch of this.paginate('/customers/search', params)) {
+      logger.info(`Fetched ${batch.length} customers`);
+      yield batch;
+    }
+  }
+
+  async *streamOrders(since = null, until = null) {
+    logger.info('Fetching Magento orders', { since, until });
+
+    const field = this.windowedByCreation('orders', until) ? 'created_at' : 'updated_at';
+    const params = this.buildSearchCriteria(since, until, [], field);
+    for await (const batch of this.paginate('/orders', params)) {
+      logger.info(`Fetched ${batch.length} orders`);
+      yield batch;
+    }
+  }
+
+  // Children of configurable products are loaded as the parent's variants rather
+  // than as products of their own
+  async *streamProducts(since = null, until = null) {
+    logger.info('Fetching Magento products', { since, until });
+
+    const params = this.buildSearchCriteria(since, until, [
+      { field: 'visibility', value: NOT_VISIBLE_INDIVIDUALLY, condition: 'neq' },
+    ]);
+
+    for await (const batch of this.paginate('/products', params)) {
+      const products = [];
+      for (const product of batch) {
+        products.push(
+          product.type_id === 'configurable'
+            ? { ...product, children: await this.getConfigurableChildren(product.sku) }
+            : product
+        );
+      }
+
+      logger.info(`Fetched ${products.length} products`);
+      yield products;
+    }
+  }
+
+  async getConfigurableChildren(sku) {
+    return this.makeRequest(`/configurable-products/${encodeURIComponent(sku)}/children`);
+  }
+
+  async ping() {
+    await this.makeRequest('/store/storeConfigs');
+  }
+
+  // Transform Magento data to match the Shopify structure DataTransformer reads
+  transformCustomer(customer) {
+    const addresses = customer.addresses || [];
+    const address = addresses.find(addr => addr.default_billing) || addresses[0];
+
+    return {
+      id: customer.id?.toString(),
+      email: customer.email,
+      first_name: customer.firstname,
+      last_name: customer.lastname,
+      phone: address?.telephone || '',
+      default_address: address
+        ? {
+            city: address.city,
+            province: address.region?.region,
+            country: address.country_id,
+            zip: address.postcode,
+            phone: address.telephone,
+          }
+        : undefined,
+      created_at: parseDate(customer.created_at),
+      updated_at: parseDate(customer.updated_at),
+    };
+  }
+
+  // A configurable line is ordered as a parent item plus a child item for the
+  // chosen simple product; the parent carries the price, the child the variant
+  transformOrder(order) {
+    const items = order.items || [];
+    const children = new Map(
+      items.filter(item => item.parent_item_id).map(item => [item.parent_item_id, item])
+    );
+
+    return {
+      id: order.entity_id?.toString(),
+      order_number: order.increment_id,
+      email: order.customer_email,
+      financial_status: FINANCIAL_STATUSES[order.status] || order.status,
+      fulfillment_status: order.status === 'complete' ? 'fulfilled' : null,
+      total_price: order.grand_total,
+      subtotal_price: order.subtotal,
+      total_tax: order.tax_amount,
+      total_shipping: order.shipping_amount,
+      total_discounts: Math.abs(order.discount_amount || 0),
+      currency: order.order_currency_code,
+      billing_address: {
+        first_name: order.billing_address?.firstname || order.customer_firstname,
+        last_name: order.billing_address?.lastname || order.customer_lastname,
+        phone: order.billing_address?.telephone,
+        city: order.billing_address?.city,
+        province: order.billing_address?.region,
+        country: order.billing_address?.country_id,
+        zip: order.billing_address?.postcode,
+      },
+      created_at: parseDate(order.created_at),
+      updated_at: parseDate(order.updated_at),
+      line_items: items
+        .filter(item => !item.parent_item_id)
+        .map(item => ({
+          id: item.item_id?.toString(),
+          product_id: item.product_id?.toString(),
+          variant_id: (children.get(item.item_id)?.product_id ?? item.product_id)?.toString(),
+          title: item.name,
+          quantity: item.qty_ordered,
+          price: item.price,
+          sku: item.sku,
+          total_discount: Math.abs(item.discount_amount || 0),
+        })),
+    };
+  }
+
+  transformProduct(product) {
+    const variants = product.type_id === 'configurable' ? product.children || [] : [product];
+
+    return {
+      id: product.id?.toString(),
+      title: product.name,
+      vendor: '',
+      product_type: product.type_id,
+      status: product.status === STATUS_ENABLED ? 'active' : 'draft',
+      tags: [],
+      variants: variants.map(variant => ({
+        id: variant.id?.toString(),
+        product_id: product.id?.toString(),
+        title: variant.name,
+        price: variant.price,
+        sku: variant.sku,
+        inventory_quantity: variant.extension_attributes?.stock_item?.qty,
+        weight: variant.weight,
+      })),
+      created_at: parseDate(product.created_at),
+      updated_at: parseDate(product.updated_at),
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import { BaseConnector, CAPABILITIES } from './baseConnector.js';
+import { ShopifyConnector } from './shopify.js';
+import { WooCommerceConnector } from './woocommerce.js';
+import { CommercetoolsConnector } from './commercetools.js';
+import { BigCommerceConnector } from './bigcommerce.js';
+import { MagentoConnector } from './magento.js';
+import { StripeConnector } from './stripe.js';
+import { FileImportConnector } from './fileImport.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+const connectors = new Map();
+
+export function registerConnector(Connector) {
+  if (!(Connector.prototype instanceof BaseConnector)) {
+    throw new Error(`${Connector.name} must extend BaseConnector`);
+  }
+
+  const { source, label, capabilities } = Connector;
+  if (!source || !label) {
+    throw new Error(`${Connector.name} must declare a source and a label`);
+  }
+  if (connectors.has(source)) {
+    throw new Error(`A connector for ${source} is already registered`);
+  }
+
+  const unknown = capabilities.filter(capability => !CAPABILITIES.includes(capability));
+  if (unknown.length > 0) {
+    throw new Error(`${label} declares unknown capabilities: ${unknown.join(', ')}`);
+  }
+
+  connectors.set(source, Connector);
+}
+
+export function getConnector(source) {
+  const Connector = connectors.get(source);
+  if (!Connector) {
+    throw new Error(`Unknown source: ${source}`);
+  }
+  return Connector;
+}
+
+export function listConnectors() {
+  return [...connectors.values()];
+}
+
+// e.g. ENABLE_SHOPIFY
+export function enableVariable(source) {
+  return `ENABLE_${source.toUpperCase()}`;
+}
+
+function parseValue(field, value) {
+  if (value === undefined || value === '') {
+    return field.type === 'list' ? field.default || [] : field.default;
+  }
+
+  switch (field.type) {
+    case 'integer':
+      return parseInt(value);
+    case 'list':
+      return value
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+// Builds a source's config from the environment variables its configSchema names
+export function readSourceConfig(Connector, env = process.env) {
+  const sourceConfig = { enabled: env[enableVariable(Connector.source)] === 'true' };
+
+  for (const [key, field] of Object.entries(Connector.configSchema)) {
+    sourceConfig[key] = parseValue(field, env[field.env]);
+  }
+
+  return sourceConfig;
+}
+
+export function validateSourceConfig(Connector, sourceConfig) {
+  const errors = [];
+
+  for (const [key, field] of Object.entries(Connector.configSchema)) {
+    const value = sourceConfig[key];
+
+    const missing =
+      value === undefined ||
+      value === null ||
+      value === '' ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (field.required && missing) {
+      errors.push(`${field.env} is required when ${Connector.label} is enabled`);
+    } else if (field.type === 'integer' && value !== undefined && isNaN(value)) {
+      errors.push(`${field.env} must be an integer`);
+    } else if (field.type === 'list' && field.values) {
+      const unsupported = value.filter(item => !field.values.includes(item));
+      if (unsupported.length > 0) {
+        errors.push(`${field.env} contains unsupported values: ${unsupported.join(', ')}`);
+      }
+    } else if (field.type === 'timezone' && !missing && !isValidTimezone(value)) {
+      errors.push(`${field.env} must be an IANA time zone, e.g. Europe/Berlin`);
+    } else if (field.values && !missing && !field.values.includes(value)) {
+      errors.push(`${field.env} must be one of: ${field.values.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+// Sources run in registration order; payment providers come last so their
+// payments are matched against orders already loaded in the same run
+[
+  ShopifyConnector,
+  WooCommerceConnector,
+  CommercetoolsConnector,
+  BigCommerceConnector,
+  MagentoConnector,
+  FileImportConnector,
+  StripeConnector,
+].forEach(registerConnector);
@@ -1,18 +1,135 @@
-import axios from 'axios';
+import readline from 'readline';
 import { logger } from '../utils/logger.js';
+import { BaseConnector, collectPages } from './baseConnector.js';
+
+export const BULK_ENTITIES = ['customers', 'orders', 'products'];
+
+const BULK_TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+const BULK_RUN_MUTATION = `
+  mutation bulkOperationRunQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }`;
+
+const BULK_STATUS_QUERY = `
+  query bulkOperationStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }`;
+
+const MONEY = 'shopMoney { amount }';
+
+// GraphQL weight units by their REST abbreviation
+const WEIGHT_UNITS = { GRAMS: 'g', KILOGRAMS: 'kg', OUNCES: 'oz', POUNDS: 'lb' };
+
+// Field selections mirror the REST fields DataTransformer reads
+const BULK_SELECTIONS = {
+  customers: `
+    id email firstName lastName phone tags createdAt updatedAt numberOfOrders
+    amountSpent { amount }
+    defaultAddress { city province provinceCode country countryCodeV2 zip phone }`,
+  products: `
+    id title vendor productType status tags createdAt updatedAt
+    variants {
+      edges {
+        node {
+          id title sku barcode position price compareAtPrice inventoryQuantity
+          weight weightUnit createdAt updatedAt inventoryItem { id }
+          selectedOptions { name value }
+        }
+      }
+    }`,
+  orders: `
+    id name email createdAt updatedAt processedAt cancelledAt tags sourceName
+    displayFinancialStatus displayFulfillmentStatus currencyCode
+    subtotalPriceSet { ${MONEY} }
+    totalTaxSet { ${MONEY} }
+    totalDiscountsSet { ${MONEY} }
+    totalShippingPriceSet { ${MONEY} }
+    totalPriceSet { ${MONEY} }
+    billingAddress { firstName lastName phone city province country countryCodeV2 zip }
+    refunds { id note createdAt updatedAt totalRefundedSet { ${MONEY} } }
+    lineItems {
+      edges {
+        node {
+          id title variantTitle sku quantity
+          originalUnitPriceSet { ${MONEY} }
+          totalDiscountSet { ${MONEY} }
+          product { id }
+          variant { id }
+        }
+      }
+    }`,
+};
+
+export class ShopifyConnector extends BaseConnector {
+  static source = 'shopify';
+  static label = 'Shopify';
+  static capabilities = ['customers', 'orders', 'products', 'inventory', 'carts', 'refunds'];
+  static configSchema = {
+    storeUrl: { env: 'SHOPIFY_STORE_URL', required: true },
+    accessToken: { env: 'SHOPIFY_ACCESS_TOKEN', required: true },
+    // Entities to extract with GraphQL Bulk Operations instead of REST paging
+    bulkEntities: { env: 'SHOPIFY_BULK_ENTITIES', type: 'list', values: BULK_ENTITIES },
+    bulkPollInterval: { env: 'SHOPIFY_BULK_POLL_INTERVAL', type: 'integer', default: 5000 },
+    // Signs webhooks; the app's client secret, or the key shown under
+    // Settings > Notifications for webhooks created in the admin
+    webhookSecret: { env: 'SHOPIFY_WEBHOOK_SECRET' },
+  };
+  static webhookTopics = {
+    'orders/create': 'orders',
+    'orders/updated': 'orders',
+    'customers/update': 'customers',
+    'products/update': 'products',
+    'checkouts/create': 'carts',
+    'checkouts/update': 'carts',
+  };
 
-export class ShopifyConnector {
   constructor(config) {
+    super(config);
     this.storeUrl = config.storeUrl;
     this.accessToken = config.accessToken;
     this.apiVersion = '2024-01';
     this.baseURL = `${this.storeUrl}/admin/api/${this.apiVersion}`;
     this.rateLimitDelay = 500; // milliseconds between requests
+    this.bulkEntities = new Set(config.bulkEntities || []);
+    this.bulkPollInterval = config.bulkPollInterval || 5000;
+    this.bulkPageSize = config.bulkPageSize || 250;
+    this.webhookSecret = config.webhookSecret || null;
+  }
+
+  // X-Shopify-Webhook-Id is kept when Shopify retries a delivery
+  readWebhook(headers) {
+    return {
+      id: headers['x-shopify-webhook-id'],
+      topic: headers['x-shopify-topic'],
+      signature: headers['x-shopify-hmac-sha256'],
+    };
+  }
+
+  useBulk(entity) {
+    return this.bulkEntities.has(entity);
+  }
+
+  // Checkouts are read as two listings, open then closed, so updated_at only
+  // rises within each of them
+  inUpdateOrder(entity, since, until) {
+    return entity !== 'carts' && super.inUpdateOrder(entity, since, until);
   }
 
   async makeRequest(endpoint, params = {}) {
+    const response = await this.request(endpoint, params);
+    return response.data;
+  }
+
+  // Returns the full axios response so pagination can read the Link header
+  async request(endpoint, params = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}${endpoint}`, {
+      const response = await this.http.get(`${this.baseURL}${endpoint}`, {
         headers: {
           'X-Shopify-Access-Token': this.accessToken,
           'Content-Type': 'application/json',
@@ -21,137 +138,386 @@ export class ShopifyConnector {
       });
 
       // Handle rate limiting
-      if (response.headers['x-shopify-shop-api-call-limit']) {
-        const [used, total] = response.headers['x-shopify-shop-api-call-limit'].split('/');
+      const callLimit = response.headers?.['x-shopify-shop-api-call-limit'];
+      if (callLimit) {
+        const [used, total] = callLimit.split('/');
         if (parseInt(used) / parseInt(total) > 0.8) {
           await this.sleep(this.rateLimitDelay * 2);
         }
       }
 
-      return response.data;
+      return response;
     } catch (error) {
-      logger.error(`Shopify API error: ${error.message}`, {
-        endpoint,
-        status: error.response?.status,
-        data: error.response?.data,
-      });
+      this.logApiError(error, endpoint);
       throw error;
     }
   }
 
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Cursor pagination: follow-up pages only accept page_info and limit
+  async fetchPage(endpoint, params, pageInfo) {
+    const limit = params.limit || 250;
+    const response = await this.request(
+      endpoint,
+      pageInfo ? { page_info: pageInfo, limit } : { ...params, limit }
+    );
+
+    return { data: response.data, next: parseNextPageInfo(response.headers?.link) };
   }
 
-  async *paginate(endpoint, params = {}) {
-    let hasNextPage = true;
-    let pageInfo = null;
+  // Pages are requested in ascending order of the field the window filters on;
+  // for updated_at that lets the pipeline checkpoint its watermark after every page
+  buildListParams(since, until, params = {}, field = 'updated_at') {
+    const listParams = { ...params, order: `${field} asc` };
 
-    while (hasNextPage) {
-      const queryParams = pageInfo
-        ? { page_info: pageInfo, limit: params.limit || 250 }
-        : { ...params, limit: params.limit || 250 };
+    if (since) {
+      listParams[`${field}_min`] = since.toISOString();
+    }
+    if (until) {
+      listParams[`${field}_max`] = until.toISOString();
+    }
 
-      const response = await this.makeRequest(endpoint, queryParams);
-      yield response;
+    return listParams;
+  }
 
-      // Check for next page
-      const linkHeader = response.headers?.link;
-      if (linkHeader && linkHeader.includes('rel="next"')) {
-        const matches = linkHeader.match(/page_info=([^>]+).*?rel="next"/);
-        pageInfo = matches ? matches[1] : null;
-        hasNextPage = !!pageInfo;
-      } else {
-        hasNextPage = false;
+  windowField(entity, until) {
+    return this.windowedByCreation(entity, until) ? 'created_at' : 'updated_at';
+  }
+
+  async *streamEntity(entity, endpoint, since, until, params = {}) {
+    if (this.useBulk(entity)) {
+      yield* this.bulkPages(entity, since, until);
+      return;
+    }
+
+    logger.info(`Fetching Shopify ${entity}`, { since, until });
+
+    const listParams = this.buildListParams(since, until, params, this.windowField(entity, until));
+    for await (const batch of this.paginate(endpoint, listParams)) {
+      if (batch[entity]) {
+        logger.info(`Fetched ${batch[entity].length} ${entity}`);
+        yield batch[entity];
       }
+    }
+  }
+
+  async *streamCustomers(since = null, until = null) {
+    yield* this.streamEntity('customers', '/customers.json', since, until);
+  }
+
+  async *streamOrders(since = null, until = null) {
+    yield* this.streamEntity('orders', '/orders.json', since, until, { status: 'any' });
+  }
+
+  async *streamProducts(since = null, until = null) {
+    yield* this.streamEntity('products', '/products.json', since, until);
+  }
 
-      await this.sleep(this.rateLimitDelay);
+  // Abandoned checkouts are listed either open or closed. Closed ones were
+  // completed or deleted, so both are read to see checkouts convert.
+  async *streamCarts(since = null, until = null) {
+    for (const status of ['open', 'closed']) {
+      yield* this.streamEntity('checkouts', '/checkouts.json', since, until, { status });
     }
   }
 
-  async getCustomers(since = null) {
-    const customers = [];
+  async getLocations() {
+    const response = await this.makeRequest('/locations.json');
+    return response.locations || [];
+  }
+
+  // Levels can only be listed for up to 50 locations per request
+  async *streamInventory(locations = []) {
+    const locationIds = locations.map(location => location.id);
+
+    for (let start = 0; start < locationIds.length; start += 50) {
+      yield* this.streamInventoryLevels(locationIds.slice(start, start + 50));
+    }
+  }
+
+  async *streamInventoryLevels(locationIds = []) {
     const params = {};
 
-    if (since) {
-      params.updated_at_min = since.toISOString();
+    if (locationIds.length > 0) {
+      params.location_ids = locationIds.join(',');
     }
 
-    logger.info('Fetching Shopify customers', { since });
+    logger.info('Fetching Shopify inventory levels');
 
-    for await (const batch of this.paginate('/customers.json', params)) {
-      if (batch.customers) {
-        customers.push(...batch.customers);
-        logger.info(`Fetched ${batch.customers.length} customers`);
+    for await (const batch of this.paginate('/inventory_levels.json', params)) {
+      if (batch.inventory_levels) {
+        logger.info(`Fetched ${batch.inventory_levels.length} inventory levels`);
+        yield batch.inventory_levels;
       }
     }
+  }
 
-    return customers;
+  async getInventoryLevels(locationIds = []) {
+    return collectPages(this.streamInventoryLevels(locationIds));
   }
 
-  async getOrders(since = null) {
-    const orders = [];
-    const params = {
-      status: 'any',
-    };
+  // Bulk Operations (GraphQL) extraction. Mutations are not retried unless
+  // options.idempotent says sending them twice is harmless.
+  async graphqlRequest(query, variables = {}, options = {}) {
+    try {
+      const response = await this.http.post(
+        `${this.baseURL}/graphql.json`,
+        { query, variables },
+        {
+          headers: {
+            'X-Shopify-Access-Token': this.accessToken,
+            'Content-Type': 'application/json',
+          },
+        },
+        options
+      );
 
-    if (since) {
-      params.updated_at_min = since.toISOString();
+      if (response.data.errors?.length) {
+        throw new Error(response.data.errors.map(e => e.message).join('; '));
+      }
+
+      return response.data.data;
+    } catch (error) {
+      logger.error(`Shopify GraphQL error: ${error.message}`, {
+        status: error.response?.status,
+        data: error.response?.data,
+      });
+      throw error;
     }
+  }
 
-    logger.info('Fetching Shopify orders', { since });
+  buildBulkQuery(entity, since = null, until = null) {
+    const field = this.windowField(entity, until);
+    const sortKey = field.toUpperCase();
+    const conditions = [];
+    if (since) conditions.push(`${field}:>='${since.toISOString()}'`);
+    if (until) conditions.push(`${field}:<'${until.toISOString()}'`);
 
-    for await (const batch of this.paginate('/orders.json', params)) {
-      if (batch.orders) {
-        orders.push(...batch.orders);
-        logger.info(`Fetched ${batch.orders.length} orders`);
-      }
-    }
+    const filter = conditions.length
+      ? `(query: "${conditions.join(' AND ')}", sortKey: ${sortKey})`
+      : `(sortKey: ${sortKey})`;
 
-    return orders;
+    return `{
+      ${entity}${filter} {
+        edges { node { ${BULK_SELECTIONS[entity]} } }
+      }
+    }`;
   }
 
-  async getProducts(since = null) {
-    const products = [];
-    const params = {};
+  async runBulkOperation(query) {
+    const result = await this.graphqlRequest(BULK_RUN_MUTATION, { query });
+    const { bulkOperation, userErrors } = result.bulkOperationRunQuery;
 
-    if (since) {
-      params.updated_at_min = since.toISOString();
+    if (userErrors?.length) {
+      throw new Error(
+        `Shopify bulk operation rejected: ${userErrors.map(e => e.message).join('; ')}`
+      );
     }
 
-    logger.info('Fetching Shopify products', { since });
+    logger.info('Shopify bulk operation submitted', { id: bulkOperation.id });
+
+    let operation = bulkOperation;
+    while (!BULK_TERMINAL_STATUSES.includes(operation.status)) {
+      await this.sleep(this.bulkPollInterval);
+      const status = await this.graphqlRequest(
+        BULK_STATUS_QUERY,
+        { id: bulkOperation.id },
+        { idempotent: true }
+      );
+      operation = status.node;
+    }
 
-    for await (const batch of this.paginate('/products.json', params)) {
-      if (batch.products) {
-        products.push(...batch.products);
-        logger.info(`Fetched ${batch.products.length} products`);
+    if (operation.status !== 'COMPLETED') {
+      const reason = operation.errorCode ? ` (${operation.errorCode})` : '';
+      throw new Error(
+        `Shopify bulk operation ${operation.id} ended with status ${operation.status}${reason}`
+      );
+    }
+
+    logger.info('Shopify bulk operation completed', {
+      id: operation.id,
+      objectCount: operation.objectCount,
+    });
+
+    return operation;
+  }
+
+  // Reads the JSONL result line by line. Child rows (line items, variants) carry
+  // a __parentId and are written directly after their parent, so each parent is
+  // complete once the next top-level row arrives.
+  async *readBulkResult(url) {
+    const response = await this.http.get(url, { responseType: 'stream' });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+    let current = null;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const row = JSON.parse(line);
+      if (row.__parentId) {
+        if (current && current.node.id === row.__parentId) {
+          current.children.push(row);
+        } else {
+          logger.warn('Skipping orphaned Shopify bulk row', { parentId: row.__parentId });
+        }
+        continue;
       }
+
+      if (current) yield current;
+      current = { node: row, children: [] };
     }
 
-    return products;
+    if (current) yield current;
   }
 
-  async getInventoryLevels(locationIds = []) {
-    const inventoryLevels = [];
-    const params = {};
+  async *bulkRecords(entity, since = null, until = null) {
+    const operation = await this.runBulkOperation(this.buildBulkQuery(entity, since, until));
+    if (!operation.url) return;
 
-    if (locationIds.length > 0) {
-      params.location_ids = locationIds.join(',');
+    for await (const { node, children } of this.readBulkResult(operation.url)) {
+      yield this.fromBulkNode(entity, node, children);
     }
+  }
 
-    logger.info('Fetching Shopify inventory levels');
+  async *bulkPages(entity, since = null, until = null) {
+    logger.info(`Fetching Shopify ${entity} via bulk operation`, { since, until });
 
-    for await (const batch of this.paginate('/inventory_levels.json', params)) {
-      if (batch.inventory_levels) {
-        inventoryLevels.push(...batch.inventory_levels);
-        logger.info(`Fetched ${batch.inventory_levels.length} inventory levels`);
+    let page = [];
+    for await (const record of this.bulkRecords(entity, since, until)) {
+      page.push(record);
+      if (page.length >= this.bulkPageSize) {
+        yield page;
+        page = [];
       }
     }
 
-    return inventoryLevels;
+    if (page.length > 0) yield page;
+  }
+
+  fromBulkNode(entity, node, children) {
+    if (entity === 'customers') return this.fromBulkCustomer(node);
+    if (entity === 'products') return this.fromBulkProduct(node, children);
+    return this.fromBulkOrder(node, children);
+  }
+
+  // Transform GraphQL bulk rows to the REST shape DataTransformer expects
+  fromBulkCustomer(node) {
+    const address = node.defaultAddress;
+
+    return {
+      id: parseGid(node.id),
+      email: node.email,
+      first_name: node.firstName,
+      last_name: node.lastName,
+      phone: node.phone,
+      default_address: address
+        ? {
+            city: address.city,
+            province: address.province || address.provinceCode,
+            country: address.country || address.countryCodeV2,
+            zip: address.zip,
+            phone: address.phone,
+          }
+        : null,
+      total_spent: node.amountSpent?.amount,
+      orders_count: node.numberOfOrders,
+      tags: node.tags || [],
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+    };
   }
 
-  async getAnalytics() {
+  fromBulkProduct(node, variants) {
+    const productId = parseGid(node.id);
+
+    return {
+      id: productId,
+      title: node.title,
+      vendor: node.vendor,
+      product_type: node.productType,
+      status: node.status?.toLowerCase(),
+      tags: node.tags || [],
+      variants: variants.map(variant => ({
+        id: parseGid(variant.id),
+        product_id: productId,
+        title: variant.title,
+        price: variant.price,
+        compare_at_price: variant.compareAtPrice,
+        sku: variant.sku,
+        barcode: variant.barcode,
+        inventory_item_id: parseGid(variant.inventoryItem?.id),
+        position: variant.position,
+        options: Object.fromEntries(
+          (variant.selectedOptions || []).map(option => [option.name, option.value])
+        ),
+        inventory_quantity: variant.inventoryQuantity,
+        weight: variant.weight,
+        weight_unit: WEIGHT_UNITS[variant.weightUnit] || null,
+        created_at: variant.createdAt,
+        updated_at: variant.updatedAt,
+      })),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+    };
+  }
+
+  fromBulkOrder(node, lineItems) {
+    return {
+      id: parseGid(node.id),
+      order_number: node.name?.replace(/^#/, ''),
+      email: node.email,
+      financial_status: node.displayFinancialStatus?.toLowerCase(),
+      fulfillment_status: node.displayFulfillmentStatus?.toLowerCase(),
+      currency: node.currencyCode,
+      subtotal_price: node.subtotalPriceSet?.shopMoney.amount,
+      total_tax: node.totalTaxSet?.shopMoney.amount,
+      total_discounts: node.totalDiscountsSet?.shopMoney.amount,
+      total_shipping: node.totalShippingPriceSet?.shopMoney.amount,
+      total_price: node.totalPriceSet?.shopMoney.amount,
+      processed_at: node.processedAt,
+      cancelled_at: node.cancelledAt,
+      tags: node.tags || [],
+      source_name: node.sourceName,
+      billing_address: node.billingAddress
+        ? {
+            first_name: node.billingAddress.firstName,
+            last_name: node.billingAddress.lastName,
+            phone: node.billingAddress.phone,
+            city: node.billingAddress.city,
+            province: node.billingAddress.province,
+            country: node.billingAddress.country || node.billingAddress.countryCodeV2,
+            zip: node.billingAddress.zip,
+          }
+        : null,
+      // Bulk queries cannot nest the refund line item connection inside the
+      // refunds list, so bulk refunds carry their amount only
+      refunds: (node.refunds || []).map(refund => ({
+        id: parseGid(refund.id),
+        order_id: parseGid(node.id),
+        note: refund.note,
+        amount: refund.totalRefundedSet?.shopMoney.amount,
+        created_at: refund.createdAt,
+        updated_at: refund.updatedAt,
+        refund_line_items: [],
+      })),
+      line_items: lineItems.map(item => ({
+        id: parseGid(item.id),
+        product_id: parseGid(item.product?.id),
+        variant_id: parseGid(item.variant?.id),
+        title: item.title,
+        variant_title: item.variantTitle,
+        sku: item.sku,
+        quantity: item.quantity,
+        price: item.originalUnitPriceSet?.shopMoney.amount,
+        total_discount: item.totalDiscountSet?.shopMoney.amount,
+      })),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+    };
+  }
+
+  // Revenue is in the shop's currency, or converted into the reporting
+  // currency when given FX rates (an FxRates)
+  async getAnalytics(fx = null) {
     try {
       const reports = {};
 
@@ -164,16 +530,17 @@ export class ShopifyConnector {
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
       const recentOrders = await this.getOrders(thirtyDaysAgo);
+      const currency = fx?.reportingCurrency || shop.shop?.currency;
+      const totalRevenue = recentOrders.reduce((sum, order) => {
+        const price = parseFloat(order.total_price || 0);
+        return sum + (fx ? fx.convert(price, order.currency, order.created_at) : price);
+      }, 0);
 
       reports.orderStats = {
+        currency,
         totalOrders: recentOrders.length,
-        totalRevenue: recentOrders.reduce((sum, order) => {
-          const price = parseFloat(order.total_price || 0);
-          return sum + price;
-        }, 0),
-        averageOrderValue: recentOrders.length > 0
-          ? recentOrders.reduce((sum, order) => sum + parseFloat(order.total_price || 0), 0) / recentOrders.length
-          : 0,
+        totalRevenue,
+        averageOrderValue: recentOrders.length > 0 ? totalRevenue / recentOrders.length : 0,
       };
 
       return reports;
@@ -183,14 +550,24 @@ export class ShopifyConnector {
     }
   }
 
-  async testConnection() {
-    try {
-      await this.makeRequest('/shop.json');
-      logger.info('Shopify connection test successful');
-      return true;
-    } catch (error) {
-      logger.error('Shopify connection test failed', error);
-      return false;
-    }
+  async getTimezone() {
+    const shop = await this.makeRequest('/shop.json');
+    return shop.shop?.iana_timezone || this.timezone;
+  }
+
+  async ping() {
+    await this.makeRequest('/shop.json');
   }
-}
\ No newline at end of file
+}
+
+function parseNextPageInfo(linkHeader) {
+  if (!linkHeader) return null;
+  const next = linkHeader.split(',').find(link => link.includes('rel="next"'));
+  const matches = next?.match(/page_info=([^&>]+)/);
+  return matches ? matches[1] : null;
+}
+
+// gid://shopify/Order/123 -> '123'
+function parseGid(gid) {
+  return gid ? gid.split('/').pop() : null;
+}
@@ -0,0 +1,245 @@
+import { logger } from '../utils/logger.js';
+import { BaseConnector } from './baseConnector.js';
+
+const PAGE_SIZE = 100;
+
+// Stripe amounts are integers in the currency's smallest unit, except for these
+// currencies which have no minor unit at all
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif',
+  'clp',
+  'djf',
+  'gnf',
+  'jpy',
+  'kmf',
+  'krw',
+  'mga',
+  'pyg',
+  'rwf',
+  'ugx',
+  'vnd',
+  'vuv',
+  'xaf',
+  'xof',
+  'xpf',
+];
+
+// Stripe objects keep changing after they are created (pending charges settle,
+// disputes are won or lost) but can only be listed by creation time, so an
+// incremental read reaches back this many days
+const LOOKBACK_DAYS = {
+  charges: 7,
+  refunds: 7,
+  disputes: 120,
+};
+
+function toAmount(amount, currency) {
+  if (amount === null || amount === undefined) return null;
+  return ZERO_DECIMAL_CURRENCIES.includes(currency?.toLowerCase()) ? amount : amount / 100;
+}
+
+function toDate(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+function toTimestamp(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+// Balance transactions are only objects when the list was requested with expand
+function balanceTransaction(record) {
+  return typeof record.balance_transaction === 'object' ? record.balance_transaction : null;
+}
+
+export class StripeConnector extends BaseConnector {
+  static source = 'stripe';
+  static label = 'Stripe';
+  static capabilities = ['payments'];
+  static configSchema = {
+    secretKey: { env: 'STRIPE_SECRET_KEY', required: true },
+    // Charge metadata key holding the store's order id or order number
+    orderMetadataKey: { env: 'STRIPE_ORDER_METADATA_KEY', default: 'order_id' },
+  };
+
+  constructor(config) {
+    super(config);
+    this.secretKey = config.secretKey;
+    this.orderMetadataKey = config.orderMetadataKey || 'order_id';
+    this.baseURL = config.apiUrl || 'https://api.stripe.com/v1';
+    this.rateLimitDelay = 100; // milliseconds between requests
+    this.pageSize = config.pageSize || PAGE_SIZE;
+  }
+
+  async makeRequest(endpoint, params = {}) {
+    try {
+      const response = await this.http.get(`${this.baseURL}${endpoint}`, {
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+        },
+        params,
+      });
+
+      return response.data;
+    } catch (error) {
+      this.logApiError(error, endpoint);
+      throw error;
+    }
+  }
+
+  // List endpoints page with starting_after, the id of the last object seen
+  async fetchPage(endpoint, params, startingAfter = null) {
+    const response = await this.makeRequest(endpoint, {
+      ...params,
+      limit: this.pageSize,
+      ...(startingAfter && { starting_after: startingAfter }),
+    });
+
+    const data = response.data || [];
+    return {
+      data,
+      next: response.has_more && data.length > 0 ? data[data.length - 1].id : null,
+    };
+  }
+
+  // Incremental reads (no until) reach back by the endpoint's lookback period
+  createdFilter(endpoint, since, until) {
+    const params = {};
+
+    if (since) {
+      const lookback = until ? 0 : LOOKBACK_DAYS[endpoint.slice(1)] * 24 * 60 * 60 * 1000;
+      params['created[gte]'] = toTimestamp(new Date(since).getTime() - lookback);
+    }
+    if (until) {
+      params['created[lt]'] = toTimestamp(until);
+    }
+
+    return params;
+  }
+
+  // Stripe lists newest first with no way to reverse the order. For the watermark
+  // to move forward a window is handed out oldest first, holding one page at a
+  // time: the list is walked down to its oldest page, and from there each page
+  // asks with ending_before for the objects just newer than the last one.
+  async *streamAscending(endpoint, since, until, params = {}) {
+    const filter = { ...params, ...this.createdFilter(endpoint, since, until) };
+
+    let oldest = [];
+    let pages = 0;
+    for await (const page of this.paginate(endpoint, filter)) {
+      if (page.length > 0) oldest = page;
+      pages++;
+    }
+    if (oldest.length === 0) return;
+
+    yield [...oldest].reverse();
+
+    let newer = pages > 1;
+    let endingBefore = oldest[0].id;
+    while (newer) {
+      await this.sleep(this.rateLimitDelay);
+      const response = await this.makeRequest(endpoint, {
+        ...filter,
+        limit: this.pageSize,
+        ending_before: endingBefore,
+      });
+      const data = response.data || [];
+      if (data.length === 0) break;
+
+      yield [...data].reverse();
+      endingBefore = data[0].id;
+      newer = response.has_more;
+    }
+  }
+
+  async *streamPayments(since = null, until = null) {
+    logger.info('Fetching Stripe charges', { since, until });
+
+    for await (const batch of this.streamAscending('/charges', since, until, {
+      expand: ['data.balance_transaction'],
+    })) {
+      logger.info(`Fetched ${batch.length} charges`);
+      yield batch;
+    }
+  }
+
+  async *streamPaymentRefunds(since = null, until = null) {
+    logger.info('Fetching Stripe refunds', { since, until });
+
+    for await (const batch of this.streamAscending('/refunds', since, until, {
+      expand: ['data.balance_transaction'],
+    })) {
+      logger.info(`Fetched ${batch.length} refunds`);
+      yield batch;
+    }
+  }
+
+  async *streamPaymentDisputes(since = null, until = null) {
+    logger.info('Fetching Stripe disputes', { since, until });
+
+    for await (const batch of this.streamAscending('/disputes', since, until)) {
+      logger.info(`Fetched ${batch.length} disputes`);
+      yield batch;
+    }
+  }
+
+  async ping() {
+    await this.makeRequest('/balance');
+  }
+
+  transformPayment(charge) {
+    const transaction = balanceTransaction(charge);
+
+    return {
+      id: charge.id,
+      order_reference: charge.metadata?.[this.orderMetadataKey] || null,
+      email: charge.billing_details?.email || charge.receipt_email || null,
+      status: charge.status,
+      captured: charge.captured,
+      currency: charge.currency,
+      amount: toAmount(charge.amount, charge.currency),
+      amount_refunded: toAmount(charge.amount_refunded, charge.currency),
+      fee: transaction ? toAmount(transaction.fee, transaction.currency) : null,
+      net: transaction ? toAmount(transaction.net, transaction.currency) : null,
+      settlement_currency: transaction?.currency || null,
+      balance_transaction_id: transaction?.id || charge.balance_transaction || null,
+      created_at: toDate(charge.created),
+      updated_at: toDate(charge.created),
+    };
+  }
+
+  transformPaymentRefund(refund) {
+    const transaction = balanceTransaction(refund);
+
+    return {
+      id: refund.id,
+      payment_id: refund.charge,
+      status: refund.status,
+      reason: refund.reason,
+      currency: refund.currency,
+      amount: toAmount(refund.amount, refund.currency),
+      fee: transaction ? toAmount(transaction.fee, transaction.currency) : null,
+      created_at: toDate(refund.created),
+      updated_at: toDate(refund.created),
+    };
+  }
+
+  // Dispute fees are charged through the dispute's own balance transactions
+  transformPaymentDispute(dispute) {
+    const transactions = dispute.balance_transactions || [];
+
+    return {
+      id: dispute.id,
+      payment_id: dispute.charge,
+      status: dispute.status,
+      reason: dispute.reason,
+      currency: dispute.currency,
+      amount: toAmount(dispute.amount, dispute.currency),
+      fee: transactions.reduce(
+        (sum, transaction) => sum + toAmount(transaction.fee, transaction.currency),
+        0
+      ),
+      created_at: toDate(dispute.created),
+      updated_at: toDate(dispute.created),
+    };
+  }
+}
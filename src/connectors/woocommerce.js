@@ -1,18 +1,52 @@
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { BaseConnector } from './baseConnector.js';
+
+// The plain date fields are in the site's time zone with no offset; the _gmt
+// ones are UTC, also without one
+function gmtDate(value) {
+  return value ? `${value}Z` : null;
+}
+
+export class WooCommerceConnector extends BaseConnector {
+  static source = 'woocommerce';
+  static label = 'WooCommerce';
+  static capabilities = ['customers', 'orders', 'products', 'refunds'];
+  static configSchema = {
+    url: { env: 'WOOCOMMERCE_URL', required: true },
+    consumerKey: { env: 'WOOCOMMERCE_CONSUMER_KEY', required: true },
+    consumerSecret: { env: 'WOOCOMMERCE_CONSUMER_SECRET', required: true },
+    // The secret entered for the webhooks under WooCommerce > Settings > Advanced
+    webhookSecret: { env: 'WOOCOMMERCE_WEBHOOK_SECRET' },
+  };
+  static webhookTopics = {
+    'order.created': 'orders',
+    'order.updated': 'orders',
+    'customer.updated': 'customers',
+    'product.updated': 'products',
+  };
 
-export class WooCommerceConnector {
   constructor(config) {
+    super(config);
     this.baseURL = config.url;
     this.consumerKey = config.consumerKey;
     this.consumerSecret = config.consumerSecret;
+    this.webhookSecret = config.webhookSecret || null;
     this.version = 'wc/v3';
     this.rateLimitDelay = 300; // milliseconds between requests
   }
 
+  // The delivery id stays the same when WooCommerce retries a failed delivery
+  readWebhook(headers) {
+    return {
+      id: headers['x-wc-webhook-delivery-id'],
+      topic: headers['x-wc-webhook-topic'],
+      signature: headers['x-wc-webhook-signature'],
+    };
+  }
+
   async makeRequest(endpoint, params = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/wp-json/${this.version}${endpoint}`, {
+      const response = await this.http.get(`${this.baseURL}/wp-json/${this.version}${endpoint}`, {
         auth: {
           username: this.consumerKey,
           password: this.consumerSecret,
@@ -22,101 +56,114 @@ export class WooCommerceConnector {
 
       return response;
     } catch (error) {
-      logger.error(`WooCommerce API error: ${error.message}`, {
-        endpoint,
-        status: error.response?.status,
-        data: error.response?.data,
-      });
+      this.logApiError(error, endpoint);
       throw error;
     }
   }
 
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  async *paginate(endpoint, params = {}) {
-    let page = 1;
-    let hasMorePages = true;
+  async fetchPage(endpoint, params, page = 1) {
+    const response = await this.makeRequest(endpoint, {
+      ...params,
+      page,
+      per_page: params.per_page || 100,
+    });
 
-    while (hasMorePages) {
-      const response = await this.makeRequest(endpoint, {
-        ...params,
-        page,
-        per_page: params.per_page || 100,
-      });
-
-      yield response.data;
-
-      // Check if there are more pages
-      const totalPages = parseInt(response.headers['x-wp-totalpages'] || 1);
-      hasMorePages = page < totalPages;
-      page++;
-
-      await this.sleep(this.rateLimitDelay);
-    }
+    const totalPages = parseInt(response.headers['x-wp-totalpages'] || 1);
+    return { data: response.data, next: page < totalPages ? page + 1 : null };
   }
 
-  async getCustomers(since = null) {
-    const customers = [];
+  // The customers endpoint can only filter by registration date, so every read is
+  // a full read by id, and the customers modified in [since, until) are kept
+  async *streamCustomers(since = null, until = null) {
     const params = {
-      orderby: 'registered_date',
+      orderby: 'id',
       order: 'asc',
     };
 
-    if (since) {
-      params.after = since.toISOString();
-    }
-
-    logger.info('Fetching WooCommerce customers', { since });
+    logger.info('Fetching WooCommerce customers', { since, until });
 
     for await (const batch of this.paginate('/customers', params)) {
-      customers.push(...batch);
-      logger.info(`Fetched ${batch.length} customers`);
-    }
+      const modified = batch.filter(customer => {
+        const modifiedAt = new Date(
+          gmtDate(customer.date_modified_gmt || customer.date_created_gmt)
+        );
+        return (!since || modifiedAt > since) && (!until || modifiedAt < until);
+      });
 
-    return customers;
+      logger.info(`Fetched ${batch.length} customers, ${modified.length} modified`);
+      if (modified.length > 0) {
+        yield modified;
+      }
+    }
   }
 
-  async getOrders(since = null) {
-    const orders = [];
+  async *streamOrders(since = null, until = null) {
+    const byCreation = this.windowedByCreation('orders', until);
     const params = {
-      orderby: 'date',
+      orderby: byCreation ? 'date' : 'modified',
       order: 'asc',
       status: 'any',
+      dates_are_gmt: true,
     };
 
     if (since) {
-      params.after = since.toISOString();
+      params[byCreation ? 'after' : 'modified_after'] = since.toISOString();
+    }
+    if (until) {
+      params[byCreation ? 'before' : 'modified_before'] = until.toISOString();
     }
 
-    logger.info('Fetching WooCommerce orders', { since });
+    logger.info('Fetching WooCommerce orders', { since, until });
 
     for await (const batch of this.paginate('/orders', params)) {
-      orders.push(...batch);
       logger.info(`Fetched ${batch.length} orders`);
+      yield await this.attachRefunds(batch);
+    }
+  }
+
+  // Order listings only summarise refunds, so orders that have any are given
+  // their full refunds with the lines they refunded
+  async attachRefunds(orders) {
+    for (const order of orders) {
+      if (!order.refunds?.length) continue;
+
+      const response = await this.makeRequest(`/orders/${order.id}/refunds`, { per_page: 100 });
+      order.refunds = response.data;
+      await this.sleep(this.rateLimitDelay);
     }
 
     return orders;
   }
 
-  async getProducts(since = null) {
-    const products = [];
+  async *streamProducts(since = null, until = null) {
     const params = {
-      orderby: 'date',
+      orderby: 'modified',
       order: 'asc',
       status: 'any',
+      dates_are_gmt: true,
     };
 
     if (since) {
-      params.after = since.toISOString();
+      params.modified_after = since.toISOString();
+    }
+    if (until) {
+      params.modified_before = until.toISOString();
     }
 
-    logger.info('Fetching WooCommerce products', { since });
+    logger.info('Fetching WooCommerce products', { since, until });
 
     for await (const batch of this.paginate('/products', params)) {
-      products.push(...batch);
       logger.info(`Fetched ${batch.length} products`);
+      yield await this.attachVariations(batch);
+    }
+  }
+
+  // Product listings only give the ids of a variable product's variations
+  async attachVariations(products) {
+    for (const product of products) {
+      if (product.type !== 'variable' || !product.variations?.length) continue;
+
+      product.variations = await this.getProductVariations(product.id);
     }
 
     return products;
@@ -186,15 +233,19 @@ export class WooCommerceConnector {
     return coupons;
   }
 
-  async testConnection() {
-    try {
-      const response = await this.makeRequest('/system_status');
-      logger.info('WooCommerce connection test successful');
-      return true;
-    } catch (error) {
-      logger.error('WooCommerce connection test failed', error);
-      return false;
-    }
+  // Customers come in id order, not modification order
+  inUpdateOrder(entity, since, until) {
+    return entity !== 'customers' && super.inUpdateOrder(entity, since, until);
+  }
+
+  // timezone_string is blank for stores set to a UTC offset rather than a city
+  async getTimezone() {
+    const systemStatus = await this.makeRequest('/system_status');
+    return systemStatus.data.settings?.timezone_string || this.timezone;
+  }
+
+  async ping() {
+    await this.makeRequest('/system_status');
   }
 
   // Transform WooCommerce data to match Shopify structure for consistency
@@ -215,8 +266,8 @@ export class WooCommerceConnector {
       ],
       total_spent: customer.total_spent,
       orders_count: customer.orders_count,
-      created_at: customer.date_created,
-      updated_at: customer.date_modified,
+      created_at: gmtDate(customer.date_created_gmt),
+      updated_at: gmtDate(customer.date_modified_gmt),
     };
   }
 
@@ -232,17 +283,51 @@ export class WooCommerceConnector {
       total_shipping: order.shipping_total,
       total_discounts: order.discount_total,
       currency: order.currency,
-      created_at: order.date_created,
-      updated_at: order.date_modified,
+      billing_address: {
+        first_name: order.billing?.first_name,
+        last_name: order.billing?.last_name,
+        phone: order.billing?.phone,
+        city: order.billing?.city,
+        province: order.billing?.state,
+        country: order.billing?.country,
+        zip: order.billing?.postcode,
+      },
+      created_at: gmtDate(order.date_created_gmt),
+      updated_at: gmtDate(order.date_modified_gmt),
       line_items: order.line_items?.map(item => ({
         id: item.id?.toString(),
         product_id: item.product_id?.toString(),
-        variant_id: item.variation_id?.toString(),
+        // Simple products have no variation id; their variant is the product itself
+        variant_id: (item.variation_id || item.product_id)?.toString(),
         title: item.name,
         quantity: item.quantity,
         price: item.price,
         sku: item.sku,
       })) || [],
+      // Summaries, as in webhook payloads, have no date and are left to the next run
+      refunds: order.refunds
+        ?.filter(refund => refund.date_created_gmt)
+        .map(refund => this.transformRefund(refund, order)) || [],
+    };
+  }
+
+  // Refund lines point at the order line they refund through _refunded_item_id
+  // and carry negative quantities and totals
+  transformRefund(refund, order) {
+    return {
+      id: refund.id?.toString(),
+      order_id: order.id?.toString(),
+      note: refund.reason,
+      amount: refund.amount,
+      created_at: gmtDate(refund.date_created_gmt),
+      refund_line_items: refund.line_items?.map(item => ({
+        id: item.id?.toString(),
+        line_item_id: item.meta_data
+          ?.find(meta => meta.key === '_refunded_item_id')
+          ?.value?.toString(),
+        quantity: item.quantity,
+        subtotal: item.total,
+      })) || [],
     };
   }
 
@@ -254,17 +339,42 @@ export class WooCommerceConnector {
       product_type: product.type,
       status: product.status === 'publish' ? 'active' : product.status,
       tags: product.tags?.map(tag => tag.name) || [],
-      variants: [{
-        id: product.id?.toString(),
-        product_id: product.id?.toString(),
-        title: product.name,
-        price: product.price,
-        compare_at_price: product.regular_price,
-        sku: product.sku,
-        inventory_quantity: product.stock_quantity,
-      }],
-      created_at: product.date_created,
-      updated_at: product.date_modified,
+      // A simple product is its own only variant
+      variants: product.variations?.[0]?.id
+        ? product.variations.map(variation => this.transformVariation(variation, product))
+        : [{
+            id: product.id?.toString(),
+            product_id: product.id?.toString(),
+            title: product.name,
+            price: product.price,
+            compare_at_price: product.regular_price,
+            sku: product.sku,
+            barcode: product.global_unique_id,
+            inventory_quantity: product.stock_quantity,
+            weight: product.weight,
+          }],
+      created_at: gmtDate(product.date_created_gmt),
+      updated_at: gmtDate(product.date_modified_gmt),
+    };
+  }
+
+  transformVariation(variation, product) {
+    const attributes = variation.attributes || [];
+
+    return {
+      id: variation.id?.toString(),
+      product_id: product.id?.toString(),
+      title: attributes.map(attribute => attribute.option).join(' / ') || product.name,
+      price: variation.price,
+      compare_at_price: variation.regular_price,
+      sku: variation.sku,
+      barcode: variation.global_unique_id,
+      options: Object.fromEntries(attributes.map(attribute => [attribute.name, attribute.option])),
+      inventory_quantity: variation.stock_quantity,
+      weight: variation.weight,
+      position: variation.menu_order,
+      created_at: gmtDate(variation.date_created_gmt),
+      updated_at: gmtDate(variation.date_modified_gmt),
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,37 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { from as copyFrom } from 'pg-copy-streams';
+
+// Escapes the characters that are special in COPY text format
+function escapeCopyText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+function formatArrayElement(value) {
+  if (value === null || value === undefined) return 'NULL';
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export function formatCopyValue(value) {
+  if (value === null || value === undefined) return '\\N';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return escapeCopyText(`{${value.map(formatArrayElement).join(',')}}`);
+  }
+  if (typeof value === 'object') return escapeCopyText(JSON.stringify(value));
+  return escapeCopyText(String(value));
+}
+
+export function formatCopyRow(row, columns) {
+  return `${columns.map(column => formatCopyValue(row[column])).join('\t')}\n`;
+}
+
+// Streams rows into a table with COPY FROM STDIN on the given client
+export async function copyRows(client, table, columns, rows) {
+  const stream = client.query(copyFrom(`COPY ${table} (${columns.join(', ')}) FROM STDIN`));
+  await pipeline(Readable.from(rows.map(row => formatCopyRow(row, columns))), stream);
+}
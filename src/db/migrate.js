@@ -1,57 +1,107 @@
 import pg from 'pg';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import dotenv from 'dotenv';
+import { Migrator } from './migrator.js';
+import { listConnectors, enableVariable } from '../connectors/registry.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const { Pool } = pg;
 
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  database: process.env.DB_NAME,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-});
-
-async function runMigration() {
-  try {
-    console.log('Running database migration...');
-
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-
-    await pool.query(schema);
+const USAGE = `
+Usage:
+  npm run migrate [-- up] [--to <version>]
+  npm run migrate -- down [--steps <n>] [--to <version>]
+  npm run migrate -- status
+  npm run migrate -- baseline <version>
 
-    console.log('Database migration completed successfully');
+up applies pending migrations, down reverts the latest one (or every one newer
+than --to, 0 for all of them). baseline records migrations up to <version> as
+applied without running them, for databases created before migrations were
+versioned. Versions may be given without their leading zeros.
+`;
 
-    // Insert default data sources
+// One data source per registered connector, for the latest schema
+async function seedDataSources(pool) {
+  for (const Connector of listConnectors()) {
     await pool.query(`
       INSERT INTO data_sources (name, type, is_active)
-      VALUES
-        ('Primary Shopify Store', 'shopify', $1),
-        ('Primary WooCommerce Store', 'woocommerce', $2),
-        ('Primary Commercetools Store', 'commercetools', $3)
+      VALUES ($1, $2, $3)
       ON CONFLICT (name) DO NOTHING
     `, [
-      process.env.ENABLE_SHOPIFY === 'true',
-      process.env.ENABLE_WOOCOMMERCE === 'true',
-      process.env.ENABLE_COMMERCETOOLS === 'true'
+      `Primary ${Connector.label} Store`,
+      Connector.source,
+      process.env[enableVariable(Connector.source)] === 'true',
     ]);
+  }
+}
+
+function listMigrations(migrations) {
+  return migrations.map(migration => `  ${migration.version}_${migration.name}`).join('\n');
+}
+
+async function runMigration() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      to: { type: 'string' },
+      steps: { type: 'string' },
+    },
+  });
+  const [action = 'up', version] = positionals;
+
+  const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+  });
+  const migrator = new Migrator(pool);
+
+  try {
+    if (action === 'up') {
+      const applied = await migrator.up({ to: values.to || null });
+      console.log(
+        applied.length > 0
+          ? `Applied migrations:\n${listMigrations(applied)}`
+          : 'Database is up to date'
+      );
 
-    console.log('Default data sources added');
+      // Older schemas may not allow every registered source type yet
+      if (await migrator.isLatest()) {
+        await seedDataSources(pool);
+        console.log('Default data sources added');
+      } else {
+        console.log('Default data sources are added once every migration is applied');
+      }
+    } else if (action === 'down') {
+      const steps = parseInt(values.steps || '1');
+      if (isNaN(steps) || steps < 1) {
+        throw new Error(`Invalid --steps: ${values.steps}`);
+      }
 
+      const reverted = await migrator.down({ steps, to: values.to || null });
+      console.log(
+        reverted.length > 0
+          ? `Reverted migrations:\n${listMigrations(reverted)}`
+          : 'Nothing to revert'
+      );
+    } else if (action === 'status') {
+      console.table(await migrator.status());
+    } else if (action === 'baseline' && version) {
+      const recorded = await migrator.baseline(version);
+      console.log(`Recorded as applied:\n${listMigrations(recorded)}`);
+    } else {
+      console.log(USAGE);
+      process.exitCode = 1;
+    }
   } catch (error) {
-    console.error('Migration failed:', error);
-    process.exit(1);
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
   } finally {
     await pool.end();
   }
 }
 
-runMigration();
\ No newline at end of file
+runMigration();
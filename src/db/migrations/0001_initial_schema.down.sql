@@ -0,0 +1,12 @@
+-- Reverts the initial E-commerce Analytics schema
+
+DROP TABLE IF EXISTS etl_logs CASCADE;
+DROP TABLE IF EXISTS daily_metrics CASCADE;
+DROP TABLE IF EXISTS customer_metrics CASCADE;
+DROP TABLE IF EXISTS order_items CASCADE;
+DROP TABLE IF EXISTS orders CASCADE;
+DROP TABLE IF EXISTS products CASCADE;
+DROP TABLE IF EXISTS customers CASCADE;
+DROP TABLE IF EXISTS data_sources CASCADE;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -1,14 +1,4 @@
--- E-commerce Analytics Database Schema
-
--- Drop existing tables if they exist
-DROP TABLE IF EXISTS daily_metrics CASCADE;
-DROP TABLE IF EXISTS customer_metrics CASCADE;
-DROP TABLE IF EXISTS order_items CASCADE;
-DROP TABLE IF EXISTS orders CASCADE;
-DROP TABLE IF EXISTS products CASCADE;
-DROP TABLE IF EXISTS customers CASCADE;
-DROP TABLE IF EXISTS data_sources CASCADE;
-DROP TABLE IF EXISTS etl_logs CASCADE;
+-- Initial E-commerce Analytics schema
 
 -- Data sources table
 CREATE TABLE data_sources (
@@ -194,4 +184,4 @@ CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_data_sources_updated_at BEFORE UPDATE ON data_sources
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
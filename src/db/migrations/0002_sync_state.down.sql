@@ -0,0 +1,3 @@
+-- Reverts the extraction watermarks
+
+DROP TABLE IF EXISTS sync_state CASCADE;
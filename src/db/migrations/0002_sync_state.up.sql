@@ -0,0 +1,12 @@
+-- Sync state table holding the extraction watermark per source and entity
+
+CREATE TABLE sync_state (
+    source_type VARCHAR(20) NOT NULL,
+    entity VARCHAR(50) NOT NULL,
+    watermark TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (source_type, entity)
+);
+
+CREATE TRIGGER update_sync_state_updated_at BEFORE UPDATE ON sync_state
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
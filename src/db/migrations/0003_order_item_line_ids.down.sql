@@ -0,0 +1,6 @@
+-- Reverts line item ids on order items
+
+ALTER TABLE order_items
+    DROP CONSTRAINT IF EXISTS order_items_order_id_source_line_item_id_key,
+    DROP COLUMN IF EXISTS source_line_item_id,
+    DROP COLUMN IF EXISTS updated_at;
@@ -0,0 +1,14 @@
+-- Order items are upserted by the platform's line item id. Rows loaded before
+-- get a placeholder id, which the next load of their order prunes and replaces
+-- with the platform's lines.
+
+ALTER TABLE order_items
+    ADD COLUMN source_line_item_id VARCHAR(100),
+    ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE order_items SET source_line_item_id = 'legacy-' || id;
+
+ALTER TABLE order_items
+    ALTER COLUMN source_line_item_id SET NOT NULL,
+    ADD CONSTRAINT order_items_order_id_source_line_item_id_key
+        UNIQUE (order_id, source_line_item_id);
@@ -0,0 +1,8 @@
+-- Restores the fixed list of platforms. Data sources of the types added since,
+-- which the list does not allow, are removed first.
+
+DELETE FROM data_sources WHERE type NOT IN ('shopify', 'woocommerce', 'commercetools');
+
+ALTER TABLE data_sources
+    ADD CONSTRAINT data_sources_type_check
+    CHECK (type IN ('shopify', 'woocommerce', 'commercetools'));
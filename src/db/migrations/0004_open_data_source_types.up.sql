@@ -0,0 +1,3 @@
+-- Source types come from the connector registry, so the database no longer
+-- keeps its own list of platforms
+ALTER TABLE data_sources DROP CONSTRAINT IF EXISTS data_sources_type_check;
@@ -0,0 +1,6 @@
+-- Reverts the payments tables and reconciliation view
+
+DROP VIEW IF EXISTS payment_reconciliation;
+DROP TABLE IF EXISTS payment_refunds CASCADE;
+DROP TABLE IF EXISTS payments CASCADE;
+DROP INDEX IF EXISTS idx_orders_email;
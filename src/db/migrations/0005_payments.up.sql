@@ -0,0 +1,116 @@
+-- Payments from payment providers such as Stripe, matched to store orders
+
+CREATE TABLE payments (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(100) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    -- How order_id was found: 'metadata' or 'email_amount'
+    match_method VARCHAR(20),
+    -- Order id or number the store attached to the payment
+    order_reference VARCHAR(100),
+    email VARCHAR(255),
+    status VARCHAR(50),
+    captured BOOLEAN,
+    currency VARCHAR(10),
+    amount DECIMAL(15, 2),
+    amount_refunded DECIMAL(15, 2),
+    -- Provider fee and net amount in the settlement currency
+    fee DECIMAL(15, 2),
+    net DECIMAL(15, 2),
+    settlement_currency VARCHAR(10),
+    balance_transaction_id VARCHAR(100),
+    dispute_id VARCHAR(100),
+    dispute_status VARCHAR(50),
+    dispute_reason VARCHAR(100),
+    dispute_amount DECIMAL(15, 2),
+    dispute_fee DECIMAL(15, 2),
+    disputed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, source_type)
+);
+
+CREATE TABLE payment_refunds (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(100) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    source_payment_id VARCHAR(100),
+    status VARCHAR(50),
+    reason VARCHAR(100),
+    currency VARCHAR(10),
+    amount DECIMAL(15, 2),
+    fee DECIMAL(15, 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, source_type)
+);
+
+CREATE INDEX idx_payments_order ON payments(order_id);
+CREATE INDEX idx_payments_unmatched ON payments(created_at) WHERE order_id IS NULL;
+CREATE INDEX idx_payment_refunds_payment ON payment_refunds(payment_id);
+CREATE INDEX idx_orders_email ON orders(email);
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payment_refunds_updated_at BEFORE UPDATE ON payment_refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- What each matched order actually settled for: captured charges less
+-- succeeded refunds and lost disputes, next to the order's total_price.
+-- reason is null when the two agree.
+CREATE VIEW payment_reconciliation AS
+WITH refunds AS (
+    SELECT payment_id, SUM(amount) AS refunded, SUM(COALESCE(fee, 0)) AS fees
+    FROM payment_refunds
+    WHERE status = 'succeeded'
+    GROUP BY payment_id
+),
+settled AS (
+    SELECT
+        p.order_id,
+        COUNT(*) AS payments,
+        MIN(p.currency) AS currency,
+        COUNT(DISTINCT p.currency) AS currencies,
+        SUM(p.amount) AS charged,
+        SUM(COALESCE(r.refunded, 0)) AS refunded,
+        SUM(CASE WHEN p.dispute_status = 'lost' THEN p.dispute_amount ELSE 0 END) AS disputed,
+        SUM(COALESCE(p.fee, 0) + COALESCE(r.fees, 0) + COALESCE(p.dispute_fee, 0)) AS fees
+    FROM payments p
+    LEFT JOIN refunds r ON r.payment_id = p.id
+    WHERE p.order_id IS NOT NULL AND p.status = 'succeeded' AND p.captured
+    GROUP BY p.order_id
+),
+compared AS (
+    SELECT
+        o.id AS order_id,
+        o.source_type,
+        o.order_number,
+        o.processed_at,
+        UPPER(o.currency) AS order_currency,
+        o.total_price,
+        s.currency AS payment_currency,
+        s.currencies,
+        s.payments,
+        s.charged,
+        s.refunded,
+        s.disputed,
+        s.fees,
+        s.charged - s.refunded - s.disputed AS settled
+    FROM orders o
+    JOIN settled s ON s.order_id = o.id
+)
+SELECT
+    order_id, source_type, order_number, processed_at, order_currency, payment_currency,
+    payments, total_price, charged, refunded, disputed, fees, settled,
+    settled - total_price AS difference,
+    CASE
+        WHEN currencies > 1 OR payment_currency <> order_currency THEN 'currency'
+        WHEN ABS(settled - total_price) < 0.01 THEN NULL
+        WHEN refunded > 0 OR disputed > 0 THEN 'refunded'
+        WHEN settled < total_price THEN 'underpaid'
+        ELSE 'overpaid'
+    END AS reason
+FROM compared;
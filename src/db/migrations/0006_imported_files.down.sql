@@ -0,0 +1,3 @@
+-- Reverts the imported files table
+
+DROP TABLE IF EXISTS imported_files CASCADE;
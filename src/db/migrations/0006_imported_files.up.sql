@@ -0,0 +1,13 @@
+-- Files loaded by the file import connector, so each is imported only once
+
+CREATE TABLE imported_files (
+    id SERIAL PRIMARY KEY,
+    source_type VARCHAR(20) NOT NULL,
+    entity VARCHAR(50) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    -- SHA-256 of the file contents, in hex
+    checksum CHAR(64) NOT NULL,
+    records INTEGER DEFAULT 0,
+    imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_type, entity, checksum)
+);
@@ -0,0 +1,3 @@
+-- Reverts the webhook deliveries table
+
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
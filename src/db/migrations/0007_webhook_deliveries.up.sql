@@ -0,0 +1,13 @@
+-- Webhook deliveries already ingested, so a redelivered webhook is loaded once
+
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    source_type VARCHAR(20) NOT NULL,
+    -- The platform's delivery id, repeated when it retries the same event
+    webhook_id VARCHAR(255) NOT NULL,
+    topic VARCHAR(100) NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_type, webhook_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_received ON webhook_deliveries(received_at);
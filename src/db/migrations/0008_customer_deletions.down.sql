@@ -0,0 +1,3 @@
+-- Reverts the customer deletion marker
+
+ALTER TABLE customers DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,4 @@
+-- Customers deleted at their source stay for the orders that reference them,
+-- marked with the time the source deleted them
+
+ALTER TABLE customers ADD COLUMN deleted_at TIMESTAMP;
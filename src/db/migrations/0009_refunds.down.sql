@@ -0,0 +1,13 @@
+-- Reverts the refunds tables and refund metrics
+
+ALTER TABLE customer_metrics
+    DROP COLUMN IF EXISTS refund_rate,
+    DROP COLUMN IF EXISTS total_refunds;
+
+ALTER TABLE daily_metrics
+    DROP COLUMN IF EXISTS refund_rate,
+    DROP COLUMN IF EXISTS total_refunds,
+    DROP COLUMN IF EXISTS gross_revenue;
+
+DROP TABLE IF EXISTS refund_items CASCADE;
+DROP TABLE IF EXISTS refunds CASCADE;
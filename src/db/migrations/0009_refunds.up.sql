@@ -0,0 +1,49 @@
+-- Refunds and returns of store orders, with the order lines they gave money
+-- back for. Revenue metrics are net of them from here on.
+
+CREATE TABLE refunds (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(100) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    currency VARCHAR(10),
+    amount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+    reason TEXT,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, source_type)
+);
+
+CREATE TABLE refund_items (
+    id SERIAL PRIMARY KEY,
+    refund_id INTEGER NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+    source_id VARCHAR(100) NOT NULL,
+    source_line_item_id VARCHAR(100),
+    quantity INTEGER,
+    amount DECIMAL(15, 2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(refund_id, source_id)
+);
+
+CREATE INDEX idx_refunds_order ON refunds(order_id);
+CREATE INDEX idx_refunds_processed ON refunds(source_type, processed_at);
+CREATE INDEX idx_refund_items_order_item ON refund_items(order_item_id);
+
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_refund_items_updated_at BEFORE UPDATE ON refund_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- total_revenue becomes net of refunds; the gross amount and refunds sit beside it
+ALTER TABLE daily_metrics
+    ADD COLUMN gross_revenue DECIMAL(15, 2),
+    ADD COLUMN total_refunds DECIMAL(15, 2),
+    ADD COLUMN refund_rate DECIMAL(5, 4);
+
+ALTER TABLE customer_metrics
+    ADD COLUMN total_refunds DECIMAL(15, 2),
+    ADD COLUMN refund_rate DECIMAL(5, 4);
@@ -0,0 +1,7 @@
+-- Reverts the carts table and cart metrics
+
+ALTER TABLE daily_metrics
+    DROP COLUMN IF EXISTS abandoned_revenue,
+    DROP COLUMN IF EXISTS abandoned_carts;
+
+DROP TABLE IF EXISTS carts CASCADE;
@@ -0,0 +1,32 @@
+-- Carts and checkouts started at the sources, converted or not. status is
+-- 'open', 'converted' or 'merged'; abandonment is derived from last_activity_at
+-- when metrics are calculated.
+
+CREATE TABLE carts (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(100) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    currency VARCHAR(10),
+    total_price DECIMAL(15, 2),
+    item_count INTEGER,
+    line_items JSONB,
+    source_order_id VARCHAR(100),
+    completed_at TIMESTAMP,
+    last_activity_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, source_type)
+);
+
+CREATE INDEX idx_carts_created ON carts(source_type, created_at);
+CREATE INDEX idx_carts_customer ON carts(customer_id);
+
+CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON carts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE daily_metrics
+    ADD COLUMN abandoned_carts INTEGER,
+    ADD COLUMN abandoned_revenue DECIMAL(15, 2);
@@ -0,0 +1,5 @@
+-- Reverts the product variants table and order item variant links
+
+ALTER TABLE order_items DROP COLUMN IF EXISTS variant_id;
+
+DROP TABLE IF EXISTS product_variants CASCADE;
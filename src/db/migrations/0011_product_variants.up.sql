@@ -0,0 +1,33 @@
+-- Every variant of a product, with order items linked to the exact variant
+-- sold. products keeps its first variant's sku, price and inventory.
+
+CREATE TABLE product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    source_id VARCHAR(100) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    title VARCHAR(255),
+    sku VARCHAR(100),
+    barcode VARCHAR(255),
+    options JSONB,
+    price DECIMAL(15, 2),
+    compare_at_price DECIMAL(15, 2),
+    inventory_quantity INTEGER,
+    weight DECIMAL(10, 3),
+    weight_unit VARCHAR(10),
+    position INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, source_type)
+);
+
+CREATE INDEX idx_product_variants_product ON product_variants(product_id);
+CREATE INDEX idx_product_variants_sku ON product_variants(sku);
+
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE order_items
+    ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_order_items_variant ON order_items(variant_id);
@@ -0,0 +1,8 @@
+-- Reverts the inventory snapshots, locations and variant inventory item ids
+
+DROP VIEW IF EXISTS inventory_daily;
+DROP TABLE IF EXISTS inventory_snapshots CASCADE;
+
+ALTER TABLE product_variants DROP COLUMN IF EXISTS inventory_item_id;
+
+DROP TABLE IF EXISTS locations CASCADE;
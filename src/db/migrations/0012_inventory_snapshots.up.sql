@@ -0,0 +1,70 @@
+-- Stock locations and a daily snapshot of the stock held per inventory item
+-- and location. Snapshots link to the variant they count, found by the
+-- source's inventory item id or by SKU.
+
+CREATE TABLE locations (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(100) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    name VARCHAR(255),
+    city VARCHAR(100),
+    country VARCHAR(100),
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, source_type)
+);
+
+ALTER TABLE product_variants ADD COLUMN inventory_item_id VARCHAR(100);
+
+CREATE INDEX idx_product_variants_inventory_item ON product_variants(inventory_item_id);
+
+-- source_location_id is empty for stock a source holds outside any location
+CREATE TABLE inventory_snapshots (
+    id SERIAL PRIMARY KEY,
+    snapshot_date DATE NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    source_item_id VARCHAR(255) NOT NULL,
+    source_location_id VARCHAR(100) NOT NULL DEFAULT '',
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+    location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+    sku VARCHAR(100),
+    available INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(snapshot_date, source_type, source_item_id, source_location_id)
+);
+
+CREATE INDEX idx_inventory_snapshots_variant ON inventory_snapshots(variant_id, snapshot_date);
+CREATE INDEX idx_inventory_snapshots_sku ON inventory_snapshots(source_type, sku, snapshot_date);
+
+CREATE TRIGGER update_locations_updated_at BEFORE UPDATE ON locations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_inventory_snapshots_updated_at BEFORE UPDATE ON inventory_snapshots
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Stock on hand per variant and day across locations, next to the units sold
+-- in the 28 days up to the snapshot and the days of cover they leave
+CREATE VIEW inventory_daily AS
+SELECT
+    s.snapshot_date,
+    s.source_type,
+    s.variant_id,
+    s.sku,
+    SUM(s.available) AS on_hand,
+    SUM(s.available) <= 0 AS out_of_stock,
+    COALESCE(sold.units, 0) AS units_sold_28d,
+    CASE
+        WHEN sold.units > 0 THEN ROUND(SUM(s.available) / (sold.units / 28.0), 1)
+    END AS days_of_cover
+FROM inventory_snapshots s
+LEFT JOIN LATERAL (
+    SELECT SUM(oi.quantity) AS units
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.variant_id = s.variant_id
+      AND o.processed_at >= s.snapshot_date - INTERVAL '27 days'
+      AND o.processed_at < s.snapshot_date + INTERVAL '1 day'
+) sold ON true
+GROUP BY s.snapshot_date, s.source_type, s.variant_id, s.sku, sold.units;
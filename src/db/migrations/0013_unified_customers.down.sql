@@ -0,0 +1,5 @@
+-- Reverts unified customers, their identity links and metrics
+
+DROP TABLE IF EXISTS unified_customer_metrics CASCADE;
+DROP TABLE IF EXISTS customer_identity_links CASCADE;
+DROP TABLE IF EXISTS unified_customers CASCADE;
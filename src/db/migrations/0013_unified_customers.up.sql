@@ -0,0 +1,67 @@
+-- Unified customers: one shopper across sources. Source customer records are
+-- linked to a unified customer by normalised email, phone or name and postal
+-- code; each link keeps the rule, key and confidence it was made with.
+
+CREATE TABLE unified_customers (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    postal_code VARCHAR(20),
+    country VARCHAR(100),
+    source_count INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_unified_customers_email ON unified_customers(email);
+
+-- match_rule is 'anchor' for the record the others were matched to; otherwise
+-- matched_customer_id is the record this one shared match_key with
+CREATE TABLE customer_identity_links (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    unified_customer_id INTEGER NOT NULL REFERENCES unified_customers(id) ON DELETE CASCADE,
+    match_rule VARCHAR(30) NOT NULL,
+    matched_customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    match_key VARCHAR(255),
+    confidence DECIMAL(4, 3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(customer_id)
+);
+
+CREATE INDEX idx_customer_identity_links_unified ON customer_identity_links(unified_customer_id);
+
+CREATE TRIGGER update_unified_customers_updated_at BEFORE UPDATE ON unified_customers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_customer_identity_links_updated_at BEFORE UPDATE ON customer_identity_links
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- CLV, RFM and churn over the orders of all of a unified customer's records
+CREATE TABLE unified_customer_metrics (
+    id SERIAL PRIMARY KEY,
+    unified_customer_id INTEGER REFERENCES unified_customers(id) ON DELETE CASCADE,
+    calculation_date DATE NOT NULL,
+    source_count INTEGER,
+    total_revenue DECIMAL(15, 2),
+    total_refunds DECIMAL(15, 2),
+    refund_rate DECIMAL(5, 4),
+    total_orders INTEGER,
+    average_order_value DECIMAL(15, 2),
+    purchase_frequency DECIMAL(10, 4),
+    customer_lifespan_days INTEGER,
+    customer_lifetime_value DECIMAL(15, 2),
+    churn_probability DECIMAL(5, 4),
+    days_since_last_purchase INTEGER,
+    rfm_recency_score INTEGER CHECK (rfm_recency_score BETWEEN 1 AND 5),
+    rfm_frequency_score INTEGER CHECK (rfm_frequency_score BETWEEN 1 AND 5),
+    rfm_monetary_score INTEGER CHECK (rfm_monetary_score BETWEEN 1 AND 5),
+    customer_segment VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(unified_customer_id, calculation_date)
+);
+
+CREATE INDEX idx_unified_customer_metrics_date ON unified_customer_metrics(calculation_date);
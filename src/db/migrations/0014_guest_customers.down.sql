@@ -0,0 +1,10 @@
+-- Reverts guest customers, unlinking their orders and carts first
+
+UPDATE orders SET customer_id = NULL
+WHERE customer_id IN (SELECT id FROM customers WHERE is_guest);
+
+DELETE FROM customers WHERE is_guest;
+
+DROP INDEX IF EXISTS idx_customers_source_email;
+
+ALTER TABLE customers DROP COLUMN IF EXISTS is_guest;
@@ -0,0 +1,7 @@
+-- Guest customers: buyers who checked out without an account, created from the
+-- billing details of their orders and keyed by their email. A guest is merged
+-- into the registered customer of the same source and email once there is one.
+
+ALTER TABLE customers ADD COLUMN is_guest BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX idx_customers_source_email ON customers(source_type, email);
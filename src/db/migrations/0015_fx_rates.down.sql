@@ -0,0 +1,14 @@
+-- Reverts exchange rates and the orders' reporting currency amounts
+
+DROP INDEX IF EXISTS idx_orders_unconverted;
+
+ALTER TABLE orders
+    DROP COLUMN IF EXISTS reporting_currency,
+    DROP COLUMN IF EXISTS fx_rate,
+    DROP COLUMN IF EXISTS subtotal_price_reporting,
+    DROP COLUMN IF EXISTS total_tax_reporting,
+    DROP COLUMN IF EXISTS total_discounts_reporting,
+    DROP COLUMN IF EXISTS total_shipping_reporting,
+    DROP COLUMN IF EXISTS total_price_reporting;
+
+DROP TABLE IF EXISTS fx_rates CASCADE;
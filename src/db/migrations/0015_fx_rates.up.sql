@@ -0,0 +1,31 @@
+-- Exchange rates, loaded from CSV or ECB XML files as units of currency per
+-- unit of base_currency, and order amounts converted into the reporting
+-- currency at the rate of the order's day
+
+CREATE TABLE fx_rates (
+    id SERIAL PRIMARY KEY,
+    rate_date DATE NOT NULL,
+    base_currency VARCHAR(10) NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    rate DECIMAL(20, 10) NOT NULL CHECK (rate > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(rate_date, base_currency, currency)
+);
+
+CREATE INDEX idx_fx_rates_currency_date ON fx_rates(currency, rate_date);
+
+CREATE TRIGGER update_fx_rates_updated_at BEFORE UPDATE ON fx_rates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- fx_rate is null until the order is converted, and again after each reload
+ALTER TABLE orders
+    ADD COLUMN reporting_currency VARCHAR(10),
+    ADD COLUMN fx_rate DECIMAL(20, 10),
+    ADD COLUMN subtotal_price_reporting DECIMAL(15, 2),
+    ADD COLUMN total_tax_reporting DECIMAL(15, 2),
+    ADD COLUMN total_discounts_reporting DECIMAL(15, 2),
+    ADD COLUMN total_shipping_reporting DECIMAL(15, 2),
+    ADD COLUMN total_price_reporting DECIMAL(15, 2);
+
+CREATE INDEX idx_orders_unconverted ON orders(source_type) WHERE fx_rate IS NULL;
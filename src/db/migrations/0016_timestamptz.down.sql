@@ -0,0 +1,182 @@
+-- Reverts TIMESTAMPTZ columns to TIMESTAMP and drops the data sources' time zones
+
+DROP VIEW IF EXISTS payment_reconciliation;
+DROP VIEW IF EXISTS inventory_daily;
+
+ALTER TABLE data_sources
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE customers
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP,
+    ALTER COLUMN deleted_at TYPE TIMESTAMP;
+
+ALTER TABLE products
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE orders
+    ALTER COLUMN processed_at TYPE TIMESTAMP,
+    ALTER COLUMN cancelled_at TYPE TIMESTAMP,
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE order_items
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE customer_metrics
+    ALTER COLUMN created_at TYPE TIMESTAMP;
+
+ALTER TABLE daily_metrics
+    ALTER COLUMN created_at TYPE TIMESTAMP;
+
+ALTER TABLE etl_logs
+    ALTER COLUMN started_at TYPE TIMESTAMP,
+    ALTER COLUMN completed_at TYPE TIMESTAMP;
+
+ALTER TABLE sync_state
+    ALTER COLUMN watermark TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE payments
+    ALTER COLUMN disputed_at TYPE TIMESTAMP,
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE payment_refunds
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE imported_files
+    ALTER COLUMN imported_at TYPE TIMESTAMP;
+
+ALTER TABLE webhook_deliveries
+    ALTER COLUMN received_at TYPE TIMESTAMP;
+
+ALTER TABLE refunds
+    ALTER COLUMN processed_at TYPE TIMESTAMP,
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE refund_items
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE carts
+    ALTER COLUMN completed_at TYPE TIMESTAMP,
+    ALTER COLUMN last_activity_at TYPE TIMESTAMP,
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE product_variants
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE locations
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE inventory_snapshots
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE unified_customers
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE customer_identity_links
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE unified_customer_metrics
+    ALTER COLUMN created_at TYPE TIMESTAMP;
+
+ALTER TABLE fx_rates
+    ALTER COLUMN created_at TYPE TIMESTAMP,
+    ALTER COLUMN updated_at TYPE TIMESTAMP;
+
+ALTER TABLE data_sources DROP COLUMN IF EXISTS timezone;
+
+-- What each matched order actually settled for: captured charges less
+-- succeeded refunds and lost disputes, next to the order's total_price.
+-- reason is null when the two agree.
+CREATE VIEW payment_reconciliation AS
+WITH refunds AS (
+    SELECT payment_id, SUM(amount) AS refunded, SUM(COALESCE(fee, 0)) AS fees
+    FROM payment_refunds
+    WHERE status = 'succeeded'
+    GROUP BY payment_id
+),
+settled AS (
+    SELECT
+        p.order_id,
+        COUNT(*) AS payments,
+        MIN(p.currency) AS currency,
+        COUNT(DISTINCT p.currency) AS currencies,
+        SUM(p.amount) AS charged,
+        SUM(COALESCE(r.refunded, 0)) AS refunded,
+        SUM(CASE WHEN p.dispute_status = 'lost' THEN p.dispute_amount ELSE 0 END) AS disputed,
+        SUM(COALESCE(p.fee, 0) + COALESCE(r.fees, 0) + COALESCE(p.dispute_fee, 0)) AS fees
+    FROM payments p
+    LEFT JOIN refunds r ON r.payment_id = p.id
+    WHERE p.order_id IS NOT NULL AND p.status = 'succeeded' AND p.captured
+    GROUP BY p.order_id
+),
+compared AS (
+    SELECT
+        o.id AS order_id,
+        o.source_type,
+        o.order_number,
+        o.processed_at,
+        UPPER(o.currency) AS order_currency,
+        o.total_price,
+        s.currency AS payment_currency,
+        s.currencies,
+        s.payments,
+        s.charged,
+        s.refunded,
+        s.disputed,
+        s.fees,
+        s.charged - s.refunded - s.disputed AS settled
+    FROM orders o
+    JOIN settled s ON s.order_id = o.id
+)
+SELECT
+    order_id, source_type, order_number, processed_at, order_currency, payment_currency,
+    payments, total_price, charged, refunded, disputed, fees, settled,
+    settled - total_price AS difference,
+    CASE
+        WHEN currencies > 1 OR payment_currency <> order_currency THEN 'currency'
+        WHEN ABS(settled - total_price) < 0.01 THEN NULL
+        WHEN refunded > 0 OR disputed > 0 THEN 'refunded'
+        WHEN settled < total_price THEN 'underpaid'
+        ELSE 'overpaid'
+    END AS reason
+FROM compared;
+
+-- Stock on hand per variant and day across locations, next to the units sold
+-- in the 28 days up to the snapshot and the days of cover they leave
+CREATE VIEW inventory_daily AS
+SELECT
+    s.snapshot_date,
+    s.source_type,
+    s.variant_id,
+    s.sku,
+    SUM(s.available) AS on_hand,
+    SUM(s.available) <= 0 AS out_of_stock,
+    COALESCE(sold.units, 0) AS units_sold_28d,
+    CASE
+        WHEN sold.units > 0 THEN ROUND(SUM(s.available) / (sold.units / 28.0), 1)
+    END AS days_of_cover
+FROM inventory_snapshots s
+LEFT JOIN LATERAL (
+    SELECT SUM(oi.quantity) AS units
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.variant_id = s.variant_id
+      AND o.processed_at >= s.snapshot_date - INTERVAL '27 days'
+      AND o.processed_at < s.snapshot_date + INTERVAL '1 day'
+) sold ON true
+GROUP BY s.snapshot_date, s.source_type, s.variant_id, s.sku, sold.units;
@@ -0,0 +1,5 @@
+-- Reverts the source modification times of customers and orders
+
+ALTER TABLE orders DROP COLUMN IF EXISTS source_updated_at;
+
+ALTER TABLE customers DROP COLUMN IF EXISTS source_updated_at;
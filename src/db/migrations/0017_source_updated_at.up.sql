@@ -0,0 +1,7 @@
+-- The time the source last modified each customer and order, so a payload older
+-- than the stored one (a late or out-of-order webhook retry) is not loaded over
+-- it. Rows loaded before this migration have none and take the next payload.
+
+ALTER TABLE customers ADD COLUMN source_updated_at TIMESTAMPTZ;
+
+ALTER TABLE orders ADD COLUMN source_updated_at TIMESTAMPTZ;
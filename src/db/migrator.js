@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// e.g. 0002_add_refunds.up.sql / 0002_add_refunds.down.sql
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+export function migrationChecksum(migration) {
+  return crypto
+    .createHash('sha256')
+    .update(migration.up)
+    .update('\0')
+    .update(migration.down)
+    .digest('hex');
+}
+
+export class Migrator {
+  constructor(pool, directory = MIGRATIONS_DIR) {
+    this.pool = pool;
+    this.directory = directory;
+  }
+
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      if (!migrations.has(version)) {
+        migrations.set(version, { version, name });
+      }
+      migrations.get(version)[direction] = fs.readFileSync(path.join(this.directory, file), 'utf8');
+    }
+
+    const sorted = [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+    for (const migration of sorted) {
+      if (migration.up === undefined || migration.down === undefined) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} needs both an up and a down file`
+        );
+      }
+      migration.checksum = migrationChecksum(migration);
+    }
+
+    return sorted;
+  }
+
+  async ensureTable() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`);
+  }
+
+  async getApplied() {
+    const result = await this.pool.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  // One row per migration: pending, applied, changed (file edited after it was
+  // applied) or missing (applied but its files are gone)
+  async status() {
+    await this.ensureTable();
+
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+
+    const rows = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      let state = 'pending';
+      if (row) {
+        state = row.checksum === migration.checksum ? 'applied' : 'changed';
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        applied_at: row?.applied_at || null,
+      };
+    });
+
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        rows.push({ version, name: row.name, state: 'missing', applied_at: row.applied_at });
+      }
+    }
+
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  // Whether every migration is applied, so the schema is the latest one
+  async isLatest() {
+    return (await this.status()).every(row => row.state === 'applied');
+  }
+
+  verify(statuses) {
+    const mismatched = statuses.filter(row => ['changed', 'missing'].includes(row.state));
+    if (mismatched.length > 0) {
+      const list = mismatched.map(row => `${row.version}_${row.name} (${row.state})`).join(', ');
+      throw new Error(`Applied migrations do not match their files: ${list}`);
+    }
+  }
+
+  // Versions compare as strings, so `to` is padded to a known version's width;
+  // a version no migration has is rejected rather than compared. 0000, before
+  // the first migration, is only a target for down.
+  resolveVersion(version, migrations = this.loadMigrations(), { allowNone = false } = {}) {
+    const padded = String(version).padStart(4, '0');
+    if (allowNone && padded === '0000') {
+      return padded;
+    }
+    if (!migrations.some(migration => migration.version === padded)) {
+      throw new Error(`Unknown migration version ${version}`);
+    }
+    return padded;
+  }
+
+  // Applies pending migrations in version order, up to and including `to`
+  async up({ to = null } = {}) {
+    const statuses = await this.status();
+    this.verify(statuses);
+
+    const migrations = this.loadMigrations();
+    to = to && this.resolveVersion(to, migrations);
+    const pending = statuses
+      .filter(row => row.state === 'pending' && (!to || row.version <= to))
+      .map(row => migrations.find(migration => migration.version === row.version));
+
+    for (const migration of pending) {
+      logger.info(`Applying migration ${migration.version}_${migration.name}`);
+      await this.inTransaction(async client => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+    }
+
+    return pending;
+  }
+
+  // Reverts the latest `steps` applied migrations, or every one newer than `to`
+  async down({ steps = 1, to = null } = {}) {
+    const statuses = await this.status();
+    this.verify(statuses);
+
+    const migrations = this.loadMigrations();
+    to = to && this.resolveVersion(to, migrations, { allowNone: true });
+    const applied = statuses.filter(row => row.state === 'applied').reverse();
+    const reverting = (to ? applied.filter(row => row.version > to) : applied.slice(0, steps)).map(
+      row => migrations.find(migration => migration.version === row.version)
+    );
+
+    for (const migration of reverting) {
+      logger.info(`Reverting migration ${migration.version}_${migration.name}`);
+      await this.inTransaction(async client => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+    }
+
+    return reverting;
+  }
+
+  // Marks migrations up to `version` as applied without running them, for
+  // databases created before migrations were versioned
+  async baseline(version) {
+    const statuses = await this.status();
+    if (statuses.some(row => row.state !== 'pending')) {
+      throw new Error('Baseline is only possible before any migration was applied');
+    }
+
+    version = this.resolveVersion(version);
+    const migrations = this.loadMigrations().filter(migration => migration.version <= version);
+
+    for (const migration of migrations) {
+      await this.pool.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+
+    return migrations;
+  }
+
+  async inTransaction(work) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await work(client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -1,10 +1,350 @@
+import crypto from 'crypto';
 import pg from 'pg';
 import { logger } from '../utils/logger.js';
+import { copyRows } from './bulkCopy.js';
 
 const { Pool } = pg;
 
+const DEFAULT_BATCH_SIZE = 100;
+
+const CUSTOMER_COLUMNS = [
+  'source_id', 'source_type', 'email', 'first_name', 'last_name',
+  'phone', 'city', 'state', 'country', 'postal_code',
+  'total_spent', 'orders_count', 'tags', 'first_purchase_date',
+  'last_purchase_date', 'created_at', 'updated_at',
+];
+
+const CUSTOMER_UPDATES = [
+  'email', 'first_name', 'last_name', 'phone', 'city', 'state', 'country',
+  'postal_code', 'total_spent', 'orders_count', 'tags', 'last_purchase_date',
+];
+
+// Guest customers only carry what their orders tell about the buyer
+const GUEST_COLUMNS = [
+  'source_id', 'source_type', 'email', 'first_name', 'last_name', 'phone', 'city', 'state',
+  'country', 'postal_code', 'is_guest', 'created_at',
+];
+
+const GUEST_UPDATES = [
+  'first_name', 'last_name', 'phone', 'city', 'state', 'country', 'postal_code',
+];
+
+// An order without a detail keeps the one an earlier order gave
+const GUEST_SET = [
+  ...GUEST_UPDATES.map(column => `${column} = COALESCE(EXCLUDED.${column}, customers.${column})`),
+  'updated_at = CURRENT_TIMESTAMP',
+].join(',\n        ');
+
+const PRODUCT_COLUMNS = [
+  'source_id', 'source_type', 'title', 'vendor', 'product_type',
+  'sku', 'price', 'compare_at_price', 'inventory_quantity',
+  'tags', 'status', 'created_at', 'updated_at',
+];
+
+const PRODUCT_UPDATES = [
+  'title', 'vendor', 'product_type', 'sku', 'price', 'compare_at_price',
+  'inventory_quantity', 'tags', 'status',
+];
+
+// Variants join their product through source_product_id; options is JSONB
+const VARIANT_COLUMNS = [
+  'source_id', 'source_type', 'title', 'sku', 'barcode', 'inventory_item_id', 'options', 'price',
+  'compare_at_price', 'inventory_quantity', 'weight', 'weight_unit', 'position',
+  'created_at', 'updated_at',
+];
+
+const VARIANT_UPDATES = [
+  'product_id',
+  ...VARIANT_COLUMNS.filter(
+    column => !['source_id', 'source_type', 'created_at', 'updated_at'].includes(column)
+  ),
+];
+
+const LOCATION_COLUMNS = ['source_id', 'source_type', 'name', 'city', 'country', 'active'];
+
+const LOCATION_UPDATES = ['name', 'city', 'country', 'active'];
+
+// A snapshot row is one inventory item at one location on one day
+const INVENTORY_COLUMNS = [
+  'snapshot_date', 'source_type', 'source_item_id', 'source_location_id', 'sku', 'available',
+];
+
+// Unified customers are staged with the ids allocated for them
+const UNIFIED_COLUMNS = [
+  'id', 'email', 'phone', 'first_name', 'last_name', 'postal_code', 'country', 'source_count',
+];
+
+const UNIFIED_UPDATES = UNIFIED_COLUMNS.filter(column => column !== 'id');
+
+const LINK_COLUMNS = [
+  'customer_id', 'unified_customer_id', 'match_rule', 'matched_customer_id', 'match_key',
+  'confidence',
+];
+
+const LINK_UPDATES = LINK_COLUMNS.filter(column => column !== 'customer_id');
+
+const UNIFIED_METRIC_COLUMNS = [
+  'unified_customer_id', 'calculation_date', 'source_count', 'total_revenue', 'total_refunds',
+  'refund_rate', 'total_orders', 'average_order_value', 'purchase_frequency',
+  'customer_lifespan_days', 'customer_lifetime_value', 'churn_probability',
+  'days_since_last_purchase', 'rfm_recency_score', 'rfm_frequency_score', 'rfm_monetary_score',
+  'customer_segment',
+];
+
+const ORDER_COLUMNS = [
+  'source_id', 'source_type', 'order_number', 'customer_id', 'email',
+  'financial_status', 'fulfillment_status', 'currency',
+  'subtotal_price', 'total_tax', 'total_discounts', 'total_shipping',
+  'total_price', 'processed_at', 'cancelled_at', 'tags',
+  'source_name', 'created_at', 'updated_at',
+];
+
+const ORDER_UPDATES = ORDER_COLUMNS.filter(
+  column => !['source_id', 'source_type', 'created_at', 'updated_at'].includes(column)
+);
+
+// Order amounts also kept in the reporting currency, as <column>_reporting
+const REPORTING_AMOUNTS = [
+  'subtotal_price', 'total_tax', 'total_discounts', 'total_shipping', 'total_price',
+];
+
+// A reloaded order may have a new total, currency or date, so it is converted again
+const REPORTING_RESET = ['reporting_currency', 'fx_rate']
+  .concat(REPORTING_AMOUNTS.map(column => `${column}_reporting`))
+  .map(column => `${column} = NULL`)
+  .join(',\n        ');
+
+const FX_RATE_COLUMNS = ['rate_date', 'base_currency', 'currency', 'rate'];
+
+const ORDER_ITEM_COLUMNS = [
+  'source_line_item_id', 'source_product_id', 'source_variant_id',
+  'title', 'variant_title', 'sku', 'quantity', 'price', 'total_discount',
+  'fulfillment_status',
+];
+
+// Refunds join their order through source_order_id and their items the order's
+// lines through source_line_item_id
+const REFUND_COLUMNS = [
+  'source_id', 'source_type', 'currency', 'amount', 'reason', 'processed_at',
+  'created_at', 'updated_at',
+];
+
+const REFUND_UPDATES = ['order_id', 'currency', 'amount', 'reason', 'processed_at'];
+
+const REFUND_ITEM_COLUMNS = ['source_id', 'source_line_item_id', 'quantity', 'amount'];
+
+// Carts join their customer by email. line_items is JSONB, written as JSON text.
+const CART_COLUMNS = [
+  'source_id', 'source_type', 'email', 'status', 'currency', 'total_price',
+  'item_count', 'line_items', 'source_order_id', 'completed_at', 'last_activity_at',
+  'created_at', 'updated_at',
+];
+
+const CART_UPDATES = [
+  'customer_id',
+  ...CART_COLUMNS.filter(
+    column => !['source_id', 'source_type', 'created_at', 'updated_at'].includes(column)
+  ),
+];
+
+const PAYMENT_COLUMNS = [
+  'source_id', 'source_type', 'order_reference', 'email', 'status', 'captured',
+  'currency', 'amount', 'amount_refunded', 'fee', 'net', 'settlement_currency',
+  'balance_transaction_id', 'created_at', 'updated_at',
+];
+
+// order_id and match_method belong to matchPaymentsToOrders, disputes to
+// applyPaymentDisputeBatch, so a reloaded charge keeps both
+const PAYMENT_UPDATES = PAYMENT_COLUMNS.filter(
+  column => !['source_id', 'source_type', 'created_at', 'updated_at'].includes(column)
+);
+
+const PAYMENT_REFUND_COLUMNS = [
+  'source_id', 'source_type', 'source_payment_id', 'status', 'reason',
+  'currency', 'amount', 'fee', 'created_at', 'updated_at',
+];
+
+const PAYMENT_REFUND_UPDATES = ['payment_id', 'status', 'reason', 'currency', 'amount', 'fee'];
+
+// Disputes are stored on the payment they were raised against
+const DISPUTE_COLUMNS = [
+  'source_type', 'dispute_id', 'dispute_status', 'dispute_reason',
+  'dispute_amount', 'dispute_fee', 'disputed_at',
+];
+
+// How far an order may be from a payment matched to it by email and amount
+const PAYMENT_MATCH_WINDOW = '3 days';
+
+function chunk(rows, size) {
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += size) {
+    chunks.push(rows.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// ON CONFLICT cannot touch the same row twice in one statement, so only the
+// last occurrence of a record within a batch is kept
+function lastBySource(rows) {
+  const bySource = new Map();
+  for (const row of rows) {
+    bySource.delete(`${row.source_type}:${row.source_id}`);
+    bySource.set(`${row.source_type}:${row.source_id}`, row);
+  }
+  return [...bySource.values()];
+}
+
+// Items keyed by their order's source id, carrying the order's source type.
+// A line repeated within a batch keeps its last occurrence.
+function groupItemsByOrder(orders, orderItems) {
+  const sourceTypes = new Map(orders.map(order => [order.source_id, order.source_type]));
+  const byOrder = new Map();
+
+  for (const item of orderItems) {
+    if (!byOrder.has(item.source_order_id)) {
+      byOrder.set(item.source_order_id, new Map());
+    }
+    byOrder.get(item.source_order_id).set(item.source_line_item_id, {
+      ...item,
+      source_type: item.source_type || sourceTypes.get(item.source_order_id),
+    });
+  }
+
+  return new Map([...byOrder].map(([orderId, items]) => [orderId, [...items.values()]]));
+}
+
+// Variants keyed by their product's source type and source id
+function groupVariantsByProduct(variants) {
+  const byProduct = new Map();
+
+  for (const variant of variants) {
+    const key = `${variant.source_type}:${variant.source_product_id}`;
+    if (!byProduct.has(key)) {
+      byProduct.set(key, []);
+    }
+    byProduct.get(key).push(variant);
+  }
+
+  return byProduct;
+}
+
+// Refund items keyed by their refund's source type and source id
+function groupItemsByRefund(refundItems) {
+  const byRefund = new Map();
+
+  for (const item of refundItems) {
+    const key = `${item.source_type}:${item.source_refund_id}`;
+    if (!byRefund.has(key)) {
+      byRefund.set(key, []);
+    }
+    byRefund.get(key).push(item);
+  }
+
+  return byRefund;
+}
+
+// A payment's order reference is an order's source id or its number, and neither
+// is unique across stores. The reference only counts when exactly one order has
+// it as source id or, failing any such order, exactly one has it as number.
+function uniqueReferenceMatches(candidates) {
+  const byPayment = new Map();
+
+  for (const row of candidates) {
+    if (!byPayment.has(row.payment_id)) {
+      byPayment.set(row.payment_id, { sourceIds: [], numbers: [] });
+    }
+    byPayment.get(row.payment_id)[row.by_source_id ? 'sourceIds' : 'numbers'].push(row.order_id);
+  }
+
+  const matches = [];
+  for (const [paymentId, { sourceIds, numbers }] of byPayment) {
+    const orders = sourceIds.length > 0 ? sourceIds : numbers;
+    if (orders.length === 1) {
+      matches.push({ payment_id: paymentId, order_id: orders[0] });
+    }
+  }
+  return matches;
+}
+
+function cartRow(cart) {
+  return { ...cart, line_items: JSON.stringify(cart.line_items || []) };
+}
+
+function disputeRow(dispute) {
+  return {
+    source_type: dispute.source_type,
+    source_payment_id: dispute.source_payment_id,
+    dispute_id: dispute.source_id,
+    dispute_status: dispute.status,
+    dispute_reason: dispute.reason,
+    dispute_amount: dispute.amount,
+    dispute_fee: dispute.fee,
+    disputed_at: dispute.created_at,
+  };
+}
+
+// Keyed by the buyer's email, hashed to fit source_id. The email is the
+// transformer's normalized one, as every email match here assumes.
+function guestCustomerRow(order) {
+  const billing = order.billing || {};
+
+  return {
+    source_id: `guest:${crypto.createHash('sha1').update(order.email).digest('hex')}`,
+    source_type: order.source_type,
+    email: order.email,
+    first_name: billing.first_name ?? null,
+    last_name: billing.last_name ?? null,
+    phone: billing.phone ?? null,
+    city: billing.city ?? null,
+    state: billing.state ?? null,
+    country: billing.country ?? null,
+    postal_code: billing.postal_code ?? null,
+    is_guest: true,
+    created_at: order.created_at,
+  };
+}
+
+function placeholders(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => `$${i + offset + 1}`).join(', ');
+}
+
+// Skips updates that would not change the row, so updated_at shows when it last did
+function changedWhere(table, columns) {
+  const current = columns.map(column => `${table}.${column}`).join(', ');
+  const excluded = columns.map(column => `EXCLUDED.${column}`).join(', ');
+  return `WHERE (${current}) IS DISTINCT FROM (${excluded})`;
+}
+
+function updateSet(columns) {
+  return [
+    ...columns.map(column => `${column} = EXCLUDED.${column}`),
+    'updated_at = CURRENT_TIMESTAMP',
+  ].join(',\n        ');
+}
+
+// Customers and orders keep their source's updated_at in source_updated_at,
+// since updated_at is the time of the last load. A payload older than the
+// stored one, such as a late or out-of-order webhook retry, is skipped; rows
+// or payloads without a modification time cannot be ordered and are updated.
+const SOURCE_VERSIONED = ['customers', 'orders'];
+
+function sourceVersion(table) {
+  return {
+    columns: ', source_updated_at',
+    values: ', s.updated_at',
+    set: ',\n        source_updated_at = EXCLUDED.source_updated_at',
+    where: `
+      WHERE ${table}.source_updated_at IS NULL
+        OR EXCLUDED.source_updated_at IS NULL
+        OR ${table}.source_updated_at <= EXCLUDED.source_updated_at`,
+  };
+}
+
+const UNVERSIONED = { columns: '', values: '', set: '', where: '' };
+
 export class PostgresLoader {
-  constructor(config) {
+  constructor(config, options = {}) {
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
     this.pool = new Pool({
       host: config.host,
       port: config.port,
@@ -46,15 +386,120 @@ export class PostgresLoader {
     client.release();
   }
 
+  // Inside an open transaction (client given) the work runs under a savepoint,
+  // so a failure only undoes its own writes and the outer transaction can go on
+  async transaction(work, client = null) {
+    if (client) {
+      await client.query('SAVEPOINT load_step');
+      try {
+        const result = await work(client);
+        await client.query('RELEASE SAVEPOINT load_step');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT load_step');
+        throw error;
+      }
+    }
+
+    client = await this.beginTransaction();
+
+    try {
+      const result = await work(client);
+      await this.commitTransaction(client);
+      return result;
+    } catch (error) {
+      await this.rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  // Bulk load helpers: a batch is staged with COPY into a temp table that is
+  // dropped on commit, then merged into its target with one statement
+  async copyRows(client, table, columns, rows) {
+    return copyRows(client, table, columns, rows);
+  }
+
+  // keys adds columns the target table lacks, as { name: type }, used to join
+  // staged rows back to their parents
+  async stageRows(client, table, columns, rows, keys = {}) {
+    const stage = `${table}_stage`;
+    const keyColumns = Object.entries(keys).map(([name, type]) => `NULL::${type} AS ${name}`);
+
+    // A long transaction stages several batches, so drop the previous one first
+    await client.query(`DROP TABLE IF EXISTS ${stage}`);
+    await client.query(
+      `CREATE TEMP TABLE ${stage} ON COMMIT DROP AS
+      SELECT ${[...columns, ...keyColumns].join(', ')} FROM ${table} WITH NO DATA`
+    );
+    await this.copyRows(client, stage, [...columns, ...Object.keys(keys)], rows);
+    return stage;
+  }
+
+  // Rows of a source versioned table that were skipped as stale are left out
+  // of the merged rows returned
+  async mergeBySource(client, table, columns, updates, rows) {
+    const stage = await this.stageRows(client, table, columns, rows);
+    const version = SOURCE_VERSIONED.includes(table) ? sourceVersion(table) : UNVERSIONED;
+
+    const result = await client.query(`
+      INSERT INTO ${table} (${columns.join(', ')}${version.columns})
+      SELECT ${columns.map(column => `s.${column}`).join(', ')}${version.values}
+      FROM ${stage} s
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(updates)}${version.set}${version.where}
+      RETURNING id, source_id`);
+
+    const ids = new Map(result.rows.map(row => [row.source_id, row.id]));
+    return rows
+      .filter(row => ids.has(row.source_id))
+      .map(row => ({ ...row, id: ids.get(row.source_id) }));
+  }
+
+  // Loads rows batch by batch through the bulk path. A batch the database
+  // rejects is retried row by row so only the offending rows are reported.
+  // With a client, everything runs inside the caller's transaction. A row
+  // load that returns null skipped its row.
+  async loadInBatches(rows, key, bulkLoad, rowLoad, client = null) {
+    const results = { inserted: [], failed: [] };
+
+    for (const batch of chunk(lastBySource(rows), this.batchSize)) {
+      try {
+        results.inserted.push(...(await this.transaction(tx => bulkLoad(batch, tx), client)));
+      } catch (error) {
+        logger.warn(`Bulk load failed, retrying ${batch.length} rows individually`, {
+          error: error.message,
+        });
+
+        for (const row of batch) {
+          try {
+            const loaded = client
+              ? await this.transaction(tx => rowLoad(row, tx), client)
+              : await rowLoad(row, this.pool);
+            if (loaded) {
+              results.inserted.push(loaded);
+            }
+          } catch (rowError) {
+            results.failed.push({ [key]: row, error: rowError.message });
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
   // Customer operations
-  async upsertCustomer(customer) {
+  // Returns null when the stored customer is newer than the one given
+  async upsertCustomer(customer, client = this.pool) {
+    const version = sourceVersion('customers');
     const query = `
       INSERT INTO customers (
         source_id, source_type, email, first_name, last_name,
         phone, city, state, country, postal_code,
         total_spent, orders_count, tags, first_purchase_date,
-        last_purchase_date, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        last_purchase_date, created_at, updated_at, source_updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $17)
       ON CONFLICT (source_id, source_type)
       DO UPDATE SET
         email = EXCLUDED.email,
@@ -69,7 +514,7 @@ export class PostgresLoader {
         orders_count = EXCLUDED.orders_count,
         tags = EXCLUDED.tags,
         last_purchase_date = EXCLUDED.last_purchase_date,
-        updated_at = CURRENT_TIMESTAMP
+        updated_at = CURRENT_TIMESTAMP${version.set}${version.where}
       RETURNING id`;
 
     const values = [
@@ -93,32 +538,133 @@ export class PostgresLoader {
     ];
 
     try {
-      const result = await this.pool.query(query, values);
-      return result.rows[0].id;
+      const result = await client.query(query, values);
+      return result.rows[0]?.id ?? null;
     } catch (error) {
       logger.error('Error upserting customer', { error, customer });
       throw error;
     }
   }
 
-  async upsertCustomerBatch(customers) {
-    const inserted = [];
-    const failed = [];
+  async upsertCustomerBatch(customers, client = null) {
+    return this.loadInBatches(
+      customers,
+      'customer',
+      (batch, tx) => this.mergeBySource(tx, 'customers', CUSTOMER_COLUMNS, CUSTOMER_UPDATES, batch),
+      async (customer, tx) => {
+        const id = await this.upsertCustomer(customer, tx);
+        return id ? { ...customer, id } : null;
+      },
+      client
+    );
+  }
+
+  // Creates or updates a guest customer for the buyer of every order whose
+  // email no registered customer of the source has
+  async mergeGuestCustomers(client, orders) {
+    const guests = lastBySource(orders.filter(order => order.email).map(guestCustomerRow));
+    if (guests.length === 0) return;
 
-    for (const customer of customers) {
-      try {
-        const id = await this.upsertCustomer(customer);
-        inserted.push({ ...customer, id });
-      } catch (error) {
-        failed.push({ customer, error: error.message });
-      }
+    const stage = await this.stageRows(client, 'customers', GUEST_COLUMNS, guests);
+    await client.query(`
+      INSERT INTO customers (${GUEST_COLUMNS.join(', ')})
+      SELECT ${GUEST_COLUMNS.join(', ')} FROM ${stage} s
+      WHERE NOT EXISTS (
+        SELECT 1 FROM customers c
+        WHERE c.email = s.email AND c.source_type = s.source_type AND NOT c.is_guest
+      )
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${GUEST_SET}`);
+  }
+
+  async upsertGuestCustomer(order, client = this.pool) {
+    if (!order.email) return;
+
+    const guest = guestCustomerRow(order);
+    const query = `
+      INSERT INTO customers (${GUEST_COLUMNS.join(', ')})
+      SELECT ${placeholders(GUEST_COLUMNS.length)}
+      WHERE NOT EXISTS (
+        SELECT 1 FROM customers
+        WHERE email = $3 AND source_type = $2 AND NOT is_guest
+      )
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${GUEST_SET}`;
+
+    try {
+      await client.query(query, GUEST_COLUMNS.map(column => guest[column]));
+    } catch (error) {
+      logger.error('Error upserting guest customer', { error, email: order.email });
+      throw error;
+    }
+  }
+
+  // Guests who have since registered hand their orders and carts to the
+  // registered customer with their email, and are removed
+  async mergeRegisteredGuests(sourceType, client = null) {
+    const pairs = `
+      SELECT DISTINCT ON (g.id) g.id AS guest_id, r.id AS customer_id
+      FROM customers g
+      JOIN customers r
+        ON r.email = g.email AND r.source_type = g.source_type AND NOT r.is_guest
+      WHERE g.is_guest AND g.source_type = $1
+      ORDER BY g.id, r.id`;
+
+    try {
+      return await this.transaction(async tx => {
+        for (const table of ['orders', 'carts']) {
+          await tx.query(
+            `UPDATE ${table} t SET customer_id = p.customer_id
+            FROM (${pairs}) p
+            WHERE t.customer_id = p.guest_id`,
+            [sourceType]
+          );
+        }
+
+        const result = await tx.query(
+          `DELETE FROM customers c USING (${pairs}) p WHERE c.id = p.guest_id`,
+          [sourceType]
+        );
+        if (result.rowCount > 0) {
+          logger.info(`Merged ${result.rowCount} ${sourceType} guests into registered customers`);
+        }
+        return result.rowCount;
+      }, client);
+    } catch (error) {
+      logger.error('Error merging registered guests', { error, sourceType });
+      throw error;
     }
+  }
+
+  // Customers deleted at the source keep their row for the orders that
+  // reference it. deletions: [{ id, deleted_at }] with source ids.
+  async markCustomersDeleted(sourceType, deletions, client = this.pool) {
+    if (deletions.length === 0) return 0;
+
+    const query = `
+      UPDATE customers c
+      SET deleted_at = d.deleted_at
+      FROM unnest($2::varchar[], $3::timestamptz[]) AS d(source_id, deleted_at)
+      WHERE c.source_type = $1 AND c.source_id = d.source_id AND c.deleted_at IS NULL`;
 
-    return { inserted, failed };
+    try {
+      const result = await client.query(query, [
+        sourceType,
+        deletions.map(deletion => String(deletion.id)),
+        deletions.map(deletion => new Date(deletion.deleted_at)),
+      ]);
+      logger.info(`Marked ${result.rowCount} ${sourceType} customers deleted`);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error marking customers deleted', { error, sourceType });
+      throw error;
+    }
   }
 
   // Product operations
-  async upsertProduct(product) {
+  async upsertProduct(product, client = this.pool) {
     const query = `
       INSERT INTO products (
         source_id, source_type, title, vendor, product_type,
@@ -156,7 +702,7 @@ export class PostgresLoader {
     ];
 
     try {
-      const result = await this.pool.query(query, values);
+      const result = await client.query(query, values);
       return result.rows[0].id;
     } catch (error) {
       logger.error('Error upserting product', { error, product });
@@ -164,32 +710,106 @@ export class PostgresLoader {
     }
   }
 
-  async upsertProductBatch(products) {
-    const inserted = [];
-    const failed = [];
+  // Loads products with their variants. A product's variants are replaced by
+  // the ones given, so variants removed at the source are deleted.
+  async upsertProductBatch(products, variants = [], client = null) {
+    const variantsByProduct = groupVariantsByProduct(variants);
+    const variantsOf = product =>
+      variantsByProduct.get(`${product.source_type}:${product.source_id}`) || [];
 
-    for (const product of products) {
-      try {
-        const id = await this.upsertProduct(product);
-        inserted.push({ ...product, id });
-      } catch (error) {
-        failed.push({ product, error: error.message });
-      }
+    return this.loadInBatches(
+      products,
+      'product',
+      async (batch, tx) => {
+        const merged = await this.mergeBySource(
+          tx,
+          'products',
+          PRODUCT_COLUMNS,
+          PRODUCT_UPDATES,
+          batch
+        );
+        await this.mergeProductVariants(tx, merged, batch.flatMap(variantsOf));
+        return merged;
+      },
+      async product => this.upsertProductWithVariants(product, variantsOf(product), client),
+      client
+    );
+  }
+
+  async mergeProductVariants(client, products, variants) {
+    let rows = [];
+
+    if (variants.length > 0) {
+      const stage = await this.stageRows(client, 'product_variants', VARIANT_COLUMNS, variants, {
+        source_product_id: 'VARCHAR(100)',
+      });
+
+      const result = await client.query(`
+        INSERT INTO product_variants (product_id, ${VARIANT_COLUMNS.join(', ')})
+        SELECT p.id, ${VARIANT_COLUMNS.map(column => `s.${column}`).join(', ')}
+        FROM ${stage} s
+        JOIN products p ON p.source_id = s.source_product_id AND p.source_type = s.source_type
+        ON CONFLICT (source_id, source_type)
+        DO UPDATE SET
+          ${updateSet(VARIANT_UPDATES)}
+        RETURNING id`);
+      rows = result.rows;
     }
 
-    return { inserted, failed };
+    await client.query(
+      `DELETE FROM product_variants
+      WHERE product_id = ANY($1) AND id <> ALL($2)`,
+      [products.map(product => product.id), rows.map(row => row.id)]
+    );
+  }
+
+  // Writes a product and replaces its variants in one transaction
+  async upsertProductWithVariants(product, variants, client = null) {
+    return this.transaction(async tx => {
+      const productId = await this.upsertProduct(product, tx);
+      await this.upsertProductVariants(variants, productId, tx);
+      return { ...product, id: productId };
+    }, client);
+  }
+
+  async upsertProductVariants(variants, productId, client = this.pool) {
+    const query = `
+      INSERT INTO product_variants (product_id, ${VARIANT_COLUMNS.join(', ')})
+      VALUES ($1, ${placeholders(VARIANT_COLUMNS.length, 1)})
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(VARIANT_UPDATES)}`;
+
+    try {
+      for (const variant of variants) {
+        await client.query(query, [productId, ...VARIANT_COLUMNS.map(column => variant[column])]);
+      }
+
+      await client.query(
+        `DELETE FROM product_variants
+        WHERE product_id = $1 AND NOT (source_id = ANY($2))`,
+        [productId, variants.map(variant => variant.source_id)]
+      );
+    } catch (error) {
+      logger.error('Error upserting product variants', { error, productId });
+      throw error;
+    }
   }
 
   // Order operations
-  async upsertOrder(order, customerId = null) {
+  // Returns null when the stored order is newer than the one given
+  async upsertOrder(order, customerId = null, client = this.pool) {
+    const version = sourceVersion('orders');
     const query = `
       INSERT INTO orders (
         source_id, source_type, order_number, customer_id, email,
         financial_status, fulfillment_status, currency,
         subtotal_price, total_tax, total_discounts, total_shipping,
         total_price, processed_at, cancelled_at, tags,
-        source_name, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        source_name, created_at, updated_at, source_updated_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $19
+      )
       ON CONFLICT (source_id, source_type)
       DO UPDATE SET
         order_number = EXCLUDED.order_number,
@@ -207,7 +827,8 @@ export class PostgresLoader {
         cancelled_at = EXCLUDED.cancelled_at,
         tags = EXCLUDED.tags,
         source_name = EXCLUDED.source_name,
-        updated_at = CURRENT_TIMESTAMP
+        updated_at = CURRENT_TIMESTAMP,
+        ${REPORTING_RESET}${version.set}${version.where}
       RETURNING id`;
 
     const values = [
@@ -233,101 +854,851 @@ export class PostgresLoader {
     ];
 
     try {
-      const result = await this.pool.query(query, values);
-      return result.rows[0].id;
+      const result = await client.query(query, values);
+      return result.rows[0]?.id ?? null;
     } catch (error) {
       logger.error('Error upserting order', { error, order });
       throw error;
     }
   }
 
+  // Loads orders with their line items. Each batch is merged in one transaction;
+  // customers and products are linked with joins instead of per-row lookups.
+  // Orders older than the stored ones are skipped together with their items.
+  async upsertOrderBatch(orders, orderItems = [], client = null) {
+    const itemsByOrder = groupItemsByOrder(orders, orderItems);
+    const results = {
+      orders: { inserted: [], failed: [] },
+      orderItems: { inserted: [], failed: [] },
+    };
+
+    for (const batch of chunk(lastBySource(orders), this.batchSize)) {
+      try {
+        const loaded = await this.transaction(async tx => {
+          await this.mergeGuestCustomers(tx, batch);
+          const merged = await this.mergeOrders(tx, batch);
+          const items = merged.flatMap(order => itemsByOrder.get(order.source_id) || []);
+          return { orders: merged, items: await this.mergeOrderItems(tx, merged, items) };
+        }, client);
+
+        results.orders.inserted.push(...loaded.orders);
+        results.orderItems.inserted.push(...loaded.items);
+      } catch (error) {
+        logger.warn(`Bulk order load failed, retrying ${batch.length} orders individually`, {
+          error: error.message,
+        });
+
+        for (const order of batch) {
+          try {
+            const { orderId, items } = await this.upsertOrderWithItems(
+              order,
+              itemsByOrder.get(order.source_id) || [],
+              client
+            );
+            if (orderId) {
+              results.orders.inserted.push({ ...order, id: orderId });
+              results.orderItems.inserted.push(...items);
+            }
+          } catch (orderError) {
+            results.orders.failed.push({ order, error: orderError.message });
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  async mergeOrders(client, orders) {
+    const stage = await this.stageRows(client, 'orders', ORDER_COLUMNS, orders);
+    const version = sourceVersion('orders');
+    const select = ORDER_COLUMNS.map(column =>
+      column === 'customer_id' ? 'COALESCE(c.id, s.customer_id)' : `s.${column}`
+    );
+
+    const result = await client.query(`
+      INSERT INTO orders (${ORDER_COLUMNS.join(', ')}${version.columns})
+      SELECT ${select.join(', ')}${version.values}
+      FROM ${stage} s
+      LEFT JOIN LATERAL (
+        SELECT id FROM customers
+        WHERE email = s.email AND source_type = s.source_type
+        ORDER BY is_guest
+        LIMIT 1
+      ) c ON true
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(ORDER_UPDATES)},
+        ${REPORTING_RESET}${version.set}${version.where}
+      RETURNING id, source_id`);
+
+    const ids = new Map(result.rows.map(row => [row.source_id, row.id]));
+    return orders
+      .filter(order => ids.has(order.source_id))
+      .map(order => ({ ...order, id: ids.get(order.source_id) }));
+  }
+
+  // Upserts the items of already merged orders and deletes the items those
+  // orders no longer have at the source
+  async mergeOrderItems(client, orders, items) {
+    let rows = [];
+
+    if (items.length > 0) {
+      const stage = await this.stageRows(client, 'order_items', ORDER_ITEM_COLUMNS, items, {
+        source_order_id: 'VARCHAR(100)',
+        source_type: 'VARCHAR(20)',
+      });
+
+      const result = await client.query(`
+        INSERT INTO order_items (
+          order_id, product_id, variant_id, ${ORDER_ITEM_COLUMNS.join(', ')}
+        )
+        SELECT o.id, COALESCE(p.id, v.product_id), v.id,
+          ${ORDER_ITEM_COLUMNS.map(column => `s.${column}`).join(', ')}
+        FROM ${stage} s
+        JOIN orders o ON o.source_id = s.source_order_id AND o.source_type = s.source_type
+        LEFT JOIN products p
+          ON p.source_id = s.source_product_id AND p.source_type = s.source_type
+        LEFT JOIN product_variants v
+          ON v.source_id = s.source_variant_id AND v.source_type = s.source_type
+        ON CONFLICT (order_id, source_line_item_id)
+        DO UPDATE SET
+          ${updateSet(['product_id', 'variant_id', ...ORDER_ITEM_COLUMNS.slice(1)])}
+        RETURNING id, order_id, source_line_item_id`);
+      rows = result.rows;
+    }
+
+    await client.query(
+      `DELETE FROM order_items
+      WHERE order_id = ANY($1) AND id <> ALL($2)`,
+      [orders.map(order => order.id), rows.map(row => row.id)]
+    );
+
+    const orderIds = new Map(orders.map(order => [order.source_id, order.id]));
+    const ids = new Map(rows.map(row => [`${row.order_id}:${row.source_line_item_id}`, row.id]));
+    return items.map(item => {
+      const orderId = orderIds.get(item.source_order_id);
+      return { ...item, order_id: orderId, id: ids.get(`${orderId}:${item.source_line_item_id}`) };
+    });
+  }
+
+  // Writes an order, its buyer's guest customer and its line items in one
+  // transaction, so a failed order leaves none of them behind
+  async upsertOrderWithItems(order, orderItems, client = null) {
+    return this.transaction(async tx => {
+      await this.upsertGuestCustomer(order, tx);
+      const customerId = await this.findCustomerId(order.email, order.source_type, tx);
+      const orderId = await this.upsertOrder(order, customerId, tx);
+      if (!orderId) {
+        return { orderId, items: [] };
+      }
+      const items = await this.upsertOrderItems(orderItems, orderId, tx);
+      return { orderId, items };
+    }, client);
+  }
+
   // Order items operations
-  async insertOrderItems(orderItems, orderId) {
-    if (!orderItems || orderItems.length === 0) return [];
+  // Items are keyed by their source line item id within the order; items no
+  // longer present at the source (edits, partial cancellations) are deleted.
+  // As in mergeOrderItems, an item whose product is not found takes its
+  // variant's product.
+  async upsertOrderItems(orderItems, orderId, client = this.pool) {
+    const items = orderItems || [];
 
     const query = `
       INSERT INTO order_items (
-        order_id, product_id, source_product_id, source_variant_id,
+        order_id, source_line_item_id, product_id, source_product_id, source_variant_id,
         title, variant_title, sku, quantity, price, total_discount,
-        fulfillment_status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        fulfillment_status, variant_id
+      ) VALUES (
+        $1, $2,
+        COALESCE(
+          $3,
+          (SELECT product_id FROM product_variants WHERE source_id = $5 AND source_type = $13)
+        ),
+        $4, $5, $6, $7, $8, $9, $10, $11, $12,
+        (SELECT id FROM product_variants WHERE source_id = $5 AND source_type = $13)
+      )
+      ON CONFLICT (order_id, source_line_item_id)
+      DO UPDATE SET
+        product_id = EXCLUDED.product_id,
+        variant_id = EXCLUDED.variant_id,
+        source_product_id = EXCLUDED.source_product_id,
+        source_variant_id = EXCLUDED.source_variant_id,
+        title = EXCLUDED.title,
+        variant_title = EXCLUDED.variant_title,
+        sku = EXCLUDED.sku,
+        quantity = EXCLUDED.quantity,
+        price = EXCLUDED.price,
+        total_discount = EXCLUDED.total_discount,
+        fulfillment_status = EXCLUDED.fulfillment_status,
+        updated_at = CURRENT_TIMESTAMP
       RETURNING id`;
 
-    const insertedItems = [];
-
-    for (const item of orderItems) {
-      // Try to find the product
-      const productId = await this.findProductId(item.source_product_id, item.source_type);
-
-      const values = [
-        orderId,
-        productId,
-        item.source_product_id,
-        item.source_variant_id,
-        item.title,
-        item.variant_title,
-        item.sku,
-        item.quantity,
-        item.price,
-        item.total_discount,
-        item.fulfillment_status,
-      ];
+    const upsertedItems = [];
 
-      try {
-        const result = await this.pool.query(query, values);
-        insertedItems.push({ ...item, id: result.rows[0].id });
-      } catch (error) {
-        logger.error('Error inserting order item', { error, item });
+    try {
+      for (const item of items) {
+        // Try to find the product
+        const productId = await this.findProductId(
+          item.source_product_id,
+          item.source_type,
+          client
+        );
+
+        const values = [
+          orderId,
+          item.source_line_item_id,
+          productId,
+          item.source_product_id,
+          item.source_variant_id,
+          item.title,
+          item.variant_title,
+          item.sku,
+          item.quantity,
+          item.price,
+          item.total_discount,
+          item.fulfillment_status,
+          item.source_type,
+        ];
+
+        const result = await client.query(query, values);
+        upsertedItems.push({ ...item, id: result.rows[0].id });
       }
+
+      await client.query(
+        `DELETE FROM order_items
+        WHERE order_id = $1 AND NOT (source_line_item_id = ANY($2))`,
+        [orderId, items.map(item => item.source_line_item_id)]
+      );
+    } catch (error) {
+      logger.error('Error upserting order items', { error, orderId });
+      throw error;
     }
 
-    return insertedItems;
+    return upsertedItems;
   }
 
-  async findProductId(sourceProductId, sourceType) {
-    if (!sourceProductId) return null;
+  // Refund operations
+  // A refund whose order is not loaded fails on its NOT NULL order_id and is
+  // reported with the batch's failed rows
+  async upsertRefundBatch(refunds, refundItems = [], client = null) {
+    const itemsByRefund = groupItemsByRefund(refundItems);
+    const itemsOf = refund => itemsByRefund.get(`${refund.source_type}:${refund.source_id}`) || [];
+
+    return this.loadInBatches(
+      refunds,
+      'refund',
+      async (batch, tx) => {
+        const merged = await this.mergeRefunds(tx, batch);
+        await this.mergeRefundItems(tx, merged, batch.flatMap(itemsOf));
+        return merged;
+      },
+      async refund => this.upsertRefundWithItems(refund, itemsOf(refund), client),
+      client
+    );
+  }
+
+  async mergeRefunds(client, refunds) {
+    const stage = await this.stageRows(client, 'refunds', REFUND_COLUMNS, refunds, {
+      source_order_id: 'VARCHAR(100)',
+    });
+
+    const result = await client.query(`
+      INSERT INTO refunds (order_id, ${REFUND_COLUMNS.join(', ')})
+      SELECT o.id, ${REFUND_COLUMNS.map(column => `s.${column}`).join(', ')}
+      FROM ${stage} s
+      LEFT JOIN orders o ON o.source_id = s.source_order_id AND o.source_type = s.source_type
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(REFUND_UPDATES)}
+      RETURNING id, source_id`);
+
+    const ids = new Map(result.rows.map(row => [row.source_id, row.id]));
+    return refunds.map(refund => ({ ...refund, id: ids.get(refund.source_id) }));
+  }
+
+  // Upserts the items of already merged refunds, linked to the order lines they
+  // refund, and deletes the items those refunds no longer have
+  async mergeRefundItems(client, refunds, items) {
+    let rows = [];
+
+    if (items.length > 0) {
+      const stage = await this.stageRows(client, 'refund_items', REFUND_ITEM_COLUMNS, items, {
+        source_refund_id: 'VARCHAR(100)',
+        source_type: 'VARCHAR(20)',
+      });
+
+      const result = await client.query(`
+        INSERT INTO refund_items (refund_id, order_item_id, ${REFUND_ITEM_COLUMNS.join(', ')})
+        SELECT r.id, oi.id, ${REFUND_ITEM_COLUMNS.map(column => `s.${column}`).join(', ')}
+        FROM ${stage} s
+        JOIN refunds r ON r.source_id = s.source_refund_id AND r.source_type = s.source_type
+        LEFT JOIN order_items oi
+          ON oi.order_id = r.order_id AND oi.source_line_item_id = s.source_line_item_id
+        ON CONFLICT (refund_id, source_id)
+        DO UPDATE SET
+          ${updateSet(['order_item_id', ...REFUND_ITEM_COLUMNS.slice(1)])}
+        RETURNING id`);
+      rows = result.rows;
+    }
+
+    await client.query(
+      `DELETE FROM refund_items
+      WHERE refund_id = ANY($1) AND id <> ALL($2)`,
+      [refunds.map(refund => refund.id), rows.map(row => row.id)]
+    );
+  }
+
+  // Writes a refund and replaces its items in one transaction
+  async upsertRefundWithItems(refund, refundItems, client = null) {
+    return this.transaction(async tx => {
+      const refundId = await this.upsertRefund(refund, tx);
+      await this.upsertRefundItems(refundItems, refundId, tx);
+      return { ...refund, id: refundId };
+    }, client);
+  }
 
+  async upsertRefund(refund, client = this.pool) {
+    const orderParam = `$${REFUND_COLUMNS.length + 1}`;
     const query = `
-      SELECT id FROM products
-      WHERE source_id = $1 AND source_type = $2
-      LIMIT 1`;
+      INSERT INTO refunds (order_id, ${REFUND_COLUMNS.join(', ')})
+      VALUES (
+        (SELECT id FROM orders WHERE source_id = ${orderParam} AND source_type = $2),
+        ${placeholders(REFUND_COLUMNS.length)}
+      )
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(REFUND_UPDATES)}
+      RETURNING id`;
 
     try {
-      const result = await this.pool.query(query, [sourceProductId, sourceType]);
-      return result.rows[0]?.id || null;
+      const result = await client.query(query, [
+        ...REFUND_COLUMNS.map(column => refund[column]),
+        refund.source_order_id,
+      ]);
+      return result.rows[0].id;
     } catch (error) {
-      logger.error('Error finding product', { error, sourceProductId });
-      return null;
+      logger.error('Error upserting refund', { error, refund });
+      throw error;
     }
   }
 
-  async findCustomerId(email, sourceType) {
-    if (!email) return null;
-
+  async upsertRefundItems(refundItems, refundId, client = this.pool) {
     const query = `
-      SELECT id FROM customers
-      WHERE email = $1 AND source_type = $2
-      LIMIT 1`;
+      INSERT INTO refund_items (refund_id, order_item_id, ${REFUND_ITEM_COLUMNS.join(', ')})
+      VALUES (
+        $1,
+        (SELECT oi.id FROM order_items oi
+          JOIN refunds r ON r.order_id = oi.order_id
+          WHERE r.id = $1 AND oi.source_line_item_id = $3),
+        ${placeholders(REFUND_ITEM_COLUMNS.length, 1)}
+      )
+      ON CONFLICT (refund_id, source_id)
+      DO UPDATE SET
+        ${updateSet(['order_item_id', ...REFUND_ITEM_COLUMNS.slice(1)])}`;
 
     try {
-      const result = await this.pool.query(query, [email.toLowerCase(), sourceType]);
-      return result.rows[0]?.id || null;
+      for (const item of refundItems) {
+        await client.query(query, [refundId, ...REFUND_ITEM_COLUMNS.map(column => item[column])]);
+      }
+
+      await client.query(
+        `DELETE FROM refund_items
+        WHERE refund_id = $1 AND NOT (source_id = ANY($2))`,
+        [refundId, refundItems.map(item => item.source_id)]
+      );
     } catch (error) {
-      logger.error('Error finding customer', { error, email });
-      return null;
+      logger.error('Error upserting refund items', { error, refundId });
+      throw error;
     }
   }
 
-  // Customer metrics operations
-  async upsertCustomerMetrics(metrics) {
+  // Inventory operations
+  async upsertLocationBatch(locations, client = null) {
+    return this.loadInBatches(
+      locations,
+      'location',
+      (batch, tx) => this.mergeBySource(tx, 'locations', LOCATION_COLUMNS, LOCATION_UPDATES, batch),
+      async (location, tx) => ({ ...location, id: await this.upsertLocation(location, tx) }),
+      client
+    );
+  }
+
+  async upsertLocation(location, client = this.pool) {
     const query = `
-      INSERT INTO customer_metrics (
-        customer_id, calculation_date, total_revenue, total_orders,
-        average_order_value, purchase_frequency, customer_lifespan_days,
-        customer_lifetime_value, churn_probability, days_since_last_purchase,
+      INSERT INTO locations (${LOCATION_COLUMNS.join(', ')})
+      VALUES (${placeholders(LOCATION_COLUMNS.length)})
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(LOCATION_UPDATES)}
+      RETURNING id`;
+
+    try {
+      const result = await client.query(query, LOCATION_COLUMNS.map(column => location[column]));
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error upserting location', { error, location });
+      throw error;
+    }
+  }
+
+  // Writes the day's snapshot of inventory levels, replacing one taken earlier
+  // that day. Levels find their variant by inventory item id, else by SKU.
+  async upsertInventorySnapshotBatch(levels, client = null) {
+    // source_id only keys a level within its batch, so a repeated one keeps its last value
+    const keyed = levels.map(level => ({
+      ...level,
+      source_id: `${level.source_item_id}@${level.source_location_id}`,
+    }));
+
+    return this.loadInBatches(
+      keyed,
+      'level',
+      (batch, tx) => this.mergeInventorySnapshots(tx, batch),
+      async (level, tx) => ({ ...level, id: await this.upsertInventorySnapshot(level, tx) }),
+      client
+    );
+  }
+
+  async mergeInventorySnapshots(client, levels) {
+    const stage = await this.stageRows(client, 'inventory_snapshots', INVENTORY_COLUMNS, levels);
+
+    const result = await client.query(`
+      INSERT INTO inventory_snapshots (variant_id, location_id, ${INVENTORY_COLUMNS.join(', ')})
+      SELECT v.id, l.id, ${INVENTORY_COLUMNS.map(column => `s.${column}`).join(', ')}
+      FROM ${stage} s
+      LEFT JOIN LATERAL (
+        SELECT id FROM product_variants
+        WHERE source_type = s.source_type
+          AND (inventory_item_id = s.source_item_id OR sku = s.sku)
+        ORDER BY (inventory_item_id = s.source_item_id) IS TRUE DESC
+        LIMIT 1
+      ) v ON true
+      LEFT JOIN locations l
+        ON l.source_id = s.source_location_id AND l.source_type = s.source_type
+      ON CONFLICT (snapshot_date, source_type, source_item_id, source_location_id)
+      DO UPDATE SET
+        ${updateSet(['variant_id', 'location_id', 'sku', 'available'])}
+      RETURNING id, source_item_id, source_location_id`);
+
+    const ids = new Map(
+      result.rows.map(row => [`${row.source_item_id}@${row.source_location_id}`, row.id])
+    );
+    return levels.map(level => ({ ...level, id: ids.get(level.source_id) }));
+  }
+
+  async upsertInventorySnapshot(level, client = this.pool) {
+    const query = `
+      INSERT INTO inventory_snapshots (variant_id, location_id, ${INVENTORY_COLUMNS.join(', ')})
+      VALUES (
+        (SELECT id FROM product_variants
+          WHERE source_type = $2 AND (inventory_item_id = $3 OR sku = $5)
+          ORDER BY (inventory_item_id = $3) IS TRUE DESC
+          LIMIT 1),
+        (SELECT id FROM locations WHERE source_id = $4 AND source_type = $2),
+        ${placeholders(INVENTORY_COLUMNS.length)}
+      )
+      ON CONFLICT (snapshot_date, source_type, source_item_id, source_location_id)
+      DO UPDATE SET
+        ${updateSet(['variant_id', 'location_id', 'sku', 'available'])}
+      RETURNING id`;
+
+    try {
+      const result = await client.query(query, INVENTORY_COLUMNS.map(column => level[column]));
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error upserting inventory snapshot', { error, level });
+      throw error;
+    }
+  }
+
+  // Cart operations
+  async upsertCartBatch(carts, client = null) {
+    return this.loadInBatches(
+      carts,
+      'cart',
+      (batch, tx) => this.mergeCarts(tx, batch),
+      async (cart, tx) => ({ ...cart, id: await this.upsertCart(cart, tx) }),
+      client
+    );
+  }
+
+  async mergeCarts(client, carts) {
+    const stage = await this.stageRows(client, 'carts', CART_COLUMNS, carts.map(cartRow));
+
+    const result = await client.query(`
+      INSERT INTO carts (customer_id, ${CART_COLUMNS.join(', ')})
+      SELECT c.id, ${CART_COLUMNS.map(column => `s.${column}`).join(', ')}
+      FROM ${stage} s
+      LEFT JOIN LATERAL (
+        SELECT id FROM customers
+        WHERE email = s.email AND source_type = s.source_type
+        ORDER BY is_guest
+        LIMIT 1
+      ) c ON true
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(CART_UPDATES)}
+      RETURNING id, source_id`);
+
+    const ids = new Map(result.rows.map(row => [row.source_id, row.id]));
+    return carts.map(cart => ({ ...cart, id: ids.get(cart.source_id) }));
+  }
+
+  async upsertCart(cart, client = this.pool) {
+    const query = `
+      INSERT INTO carts (customer_id, ${CART_COLUMNS.join(', ')})
+      VALUES (
+        (SELECT id FROM customers
+          WHERE email = $3 AND source_type = $2
+          ORDER BY is_guest
+          LIMIT 1),
+        ${placeholders(CART_COLUMNS.length)}
+      )
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(CART_UPDATES)}
+      RETURNING id`;
+
+    try {
+      const row = cartRow(cart);
+      const result = await client.query(query, CART_COLUMNS.map(column => row[column]));
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error upserting cart', { error, cart });
+      throw error;
+    }
+  }
+
+  async findProductId(sourceProductId, sourceType, client = this.pool) {
+    if (!sourceProductId) return null;
+
+    const query = `
+      SELECT id FROM products
+      WHERE source_id = $1 AND source_type = $2
+      LIMIT 1`;
+
+    try {
+      const result = await client.query(query, [sourceProductId, sourceType]);
+      return result.rows[0]?.id || null;
+    } catch (error) {
+      logger.error('Error finding product', { error, sourceProductId });
+      return null;
+    }
+  }
+
+  async findCustomerId(email, sourceType, client = this.pool) {
+    if (!email) return null;
+
+    const query = `
+      SELECT id FROM customers
+      WHERE email = $1 AND source_type = $2
+      ORDER BY is_guest
+      LIMIT 1`;
+
+    try {
+      const result = await client.query(query, [email, sourceType]);
+      return result.rows[0]?.id || null;
+    } catch (error) {
+      logger.error('Error finding customer', { error, email });
+      return null;
+    }
+  }
+
+  // Payment operations
+  async upsertPayment(payment, client = this.pool) {
+    const query = `
+      INSERT INTO payments (${PAYMENT_COLUMNS.join(', ')})
+      VALUES (${placeholders(PAYMENT_COLUMNS.length)})
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(PAYMENT_UPDATES)}
+      RETURNING id`;
+
+    try {
+      const result = await client.query(query, PAYMENT_COLUMNS.map(column => payment[column]));
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error upserting payment', { error, payment });
+      throw error;
+    }
+  }
+
+  async upsertPaymentBatch(payments, client = null) {
+    return this.loadInBatches(
+      payments,
+      'payment',
+      (batch, tx) => this.mergeBySource(tx, 'payments', PAYMENT_COLUMNS, PAYMENT_UPDATES, batch),
+      async (payment, tx) => ({ ...payment, id: await this.upsertPayment(payment, tx) }),
+      client
+    );
+  }
+
+  // Refunds of a payment that is not loaded yet keep a null payment_id until
+  // linkPaymentRefunds finds it
+  async upsertPaymentRefund(refund, client = this.pool) {
+    const query = `
+      INSERT INTO payment_refunds (payment_id, ${PAYMENT_REFUND_COLUMNS.join(', ')})
+      VALUES (
+        (SELECT id FROM payments WHERE source_id = $3 AND source_type = $2),
+        ${placeholders(PAYMENT_REFUND_COLUMNS.length)}
+      )
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(PAYMENT_REFUND_UPDATES)}
+      RETURNING id`;
+
+    try {
+      const result = await client.query(
+        query,
+        PAYMENT_REFUND_COLUMNS.map(column => refund[column])
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error upserting payment refund', { error, refund });
+      throw error;
+    }
+  }
+
+  async upsertPaymentRefundBatch(refunds, client = null) {
+    return this.loadInBatches(
+      refunds,
+      'refund',
+      (batch, tx) => this.mergePaymentRefunds(tx, batch),
+      async (refund, tx) => ({ ...refund, id: await this.upsertPaymentRefund(refund, tx) }),
+      client
+    );
+  }
+
+  async mergePaymentRefunds(client, refunds) {
+    const stage = await this.stageRows(client, 'payment_refunds', PAYMENT_REFUND_COLUMNS, refunds);
+
+    const result = await client.query(`
+      INSERT INTO payment_refunds (payment_id, ${PAYMENT_REFUND_COLUMNS.join(', ')})
+      SELECT p.id, ${PAYMENT_REFUND_COLUMNS.map(column => `s.${column}`).join(', ')}
+      FROM ${stage} s
+      LEFT JOIN payments p
+        ON p.source_id = s.source_payment_id AND p.source_type = s.source_type
+      ON CONFLICT (source_id, source_type)
+      DO UPDATE SET
+        ${updateSet(PAYMENT_REFUND_UPDATES)}
+      RETURNING id, source_id`);
+
+    const ids = new Map(result.rows.map(row => [row.source_id, row.id]));
+    return refunds.map(refund => ({ ...refund, id: ids.get(refund.source_id) }));
+  }
+
+  // A dispute whose payment is not loaded fails, which holds the dispute
+  // watermark back until the payment arrives
+  async applyPaymentDispute(dispute, client = this.pool) {
+    const row = disputeRow(dispute);
+    const columns = DISPUTE_COLUMNS.slice(1);
+
+    const query = `
+      UPDATE payments
+      SET
+        ${columns.map((column, i) => `${column} = $${i + 3}`).join(',\n        ')},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE source_id = $1 AND source_type = $2
+      RETURNING id`;
+
+    try {
+      const result = await client.query(query, [
+        row.source_payment_id,
+        row.source_type,
+        ...columns.map(column => row[column]),
+      ]);
+      if (result.rows.length === 0) {
+        throw new Error(`Payment ${dispute.source_payment_id} is not loaded`);
+      }
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error applying payment dispute', { error, dispute });
+      throw error;
+    }
+  }
+
+  async applyPaymentDisputeBatch(disputes, client = null) {
+    return this.loadInBatches(
+      disputes,
+      'dispute',
+      (batch, tx) => this.mergePaymentDisputes(tx, batch),
+      async (dispute, tx) => ({
+        ...dispute,
+        payment_id: await this.applyPaymentDispute(dispute, tx),
+      }),
+      client
+    );
+  }
+
+  async mergePaymentDisputes(client, disputes) {
+    const stage = await this.stageRows(
+      client,
+      'payments',
+      DISPUTE_COLUMNS,
+      disputes.map(disputeRow),
+      { source_payment_id: 'VARCHAR(100)' }
+    );
+    const columns = DISPUTE_COLUMNS.slice(1);
+
+    const result = await client.query(`
+      UPDATE payments p
+      SET
+        ${columns.map(column => `${column} = s.${column}`).join(',\n        ')},
+        updated_at = CURRENT_TIMESTAMP
+      FROM ${stage} s
+      WHERE p.source_id = s.source_payment_id AND p.source_type = s.source_type
+      RETURNING p.id, s.dispute_id`);
+
+    // Sends the batch down the row by row path, which reports each orphan
+    const ids = new Map(result.rows.map(row => [row.dispute_id, row.id]));
+    const orphans = disputes.filter(dispute => !ids.has(dispute.source_id));
+    if (orphans.length > 0) {
+      throw new Error(`${orphans.length} disputes reference payments that are not loaded`);
+    }
+
+    return disputes.map(dispute => ({ ...dispute, payment_id: ids.get(dispute.source_id) }));
+  }
+
+  async linkPaymentRefunds(client = this.pool) {
+    const query = `
+      UPDATE payment_refunds r
+      SET payment_id = p.id
+      FROM payments p
+      WHERE r.payment_id IS NULL
+        AND p.source_id = r.source_payment_id
+        AND p.source_type = r.source_type`;
+
+    try {
+      const result = await client.query(query);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error linking payment refunds', { error });
+      throw error;
+    }
+  }
+
+  // Links unmatched payments to orders, first by the order id or number the
+  // store put in the payment metadata, then by email, currency and exact amount
+  // within PAYMENT_MATCH_WINDOW of the order. An order takes at most one
+  // payment by email and amount, the closest in time.
+  async matchPaymentsToOrders(client = this.pool) {
+    const referenceCandidates = `
+      SELECT
+        p.id AS payment_id,
+        o.id AS order_id,
+        o.source_id = p.order_reference AS by_source_id
+      FROM payments p
+      JOIN orders o
+        ON o.source_id = p.order_reference OR o.order_number = p.order_reference
+      WHERE p.order_id IS NULL AND p.order_reference IS NOT NULL`;
+
+    const byMetadata = `
+      UPDATE payments p
+      SET order_id = m.order_id, match_method = 'metadata'
+      FROM unnest($1::int[], $2::int[]) AS m(payment_id, order_id)
+      WHERE p.id = m.payment_id`;
+
+    const byEmailAndAmount = `
+      WITH candidates AS (
+        SELECT
+          p.id AS payment_id,
+          o.id AS order_id,
+          ABS(EXTRACT(EPOCH FROM o.processed_at - p.created_at)) AS distance
+        FROM payments p
+        JOIN orders o
+          ON o.email = p.email
+          AND UPPER(o.currency) = p.currency
+          AND o.total_price = p.amount
+          AND o.processed_at BETWEEN p.created_at - INTERVAL '${PAYMENT_MATCH_WINDOW}'
+            AND p.created_at + INTERVAL '${PAYMENT_MATCH_WINDOW}'
+        WHERE p.order_id IS NULL
+          AND p.email IS NOT NULL
+          AND p.status = 'succeeded'
+          AND NOT EXISTS (SELECT 1 FROM payments matched WHERE matched.order_id = o.id)
+      ),
+      closest AS (
+        SELECT DISTINCT ON (payment_id) payment_id, order_id, distance
+        FROM candidates
+        ORDER BY payment_id, distance
+      ),
+      matches AS (
+        SELECT DISTINCT ON (order_id) payment_id, order_id
+        FROM closest
+        ORDER BY order_id, distance
+      )
+      UPDATE payments p
+      SET order_id = m.order_id, match_method = 'email_amount'
+      FROM matches m
+      WHERE p.id = m.payment_id`;
+
+    try {
+      const candidates = (await client.query(referenceCandidates)).rows;
+      const matches = uniqueReferenceMatches(candidates);
+      const metadata = matches.length > 0
+        ? (
+            await client.query(byMetadata, [
+              matches.map(match => match.payment_id),
+              matches.map(match => match.order_id),
+            ])
+          ).rowCount
+        : 0;
+      const ambiguous = new Set(candidates.map(row => row.payment_id)).size - matches.length;
+      const email = (await client.query(byEmailAndAmount)).rowCount;
+
+      logger.info('Matched payments to orders', { metadata, ambiguous, email });
+      return { metadata, email };
+    } catch (error) {
+      logger.error('Error matching payments to orders', { error });
+      throw error;
+    }
+  }
+
+  // Orders whose settled payments disagree with total_price, or every matched
+  // order with all set
+  async getPaymentReconciliation({ from = null, to = null, sourceType = null, all = false } = {}) {
+    const query = `
+      SELECT * FROM payment_reconciliation
+      WHERE ($1::timestamptz IS NULL OR processed_at >= $1)
+        AND ($2::timestamptz IS NULL OR processed_at < $2)
+        AND ($3::varchar IS NULL OR source_type = $3)
+        AND ($4::boolean OR reason IS NOT NULL)
+      ORDER BY processed_at, order_id`;
+
+    try {
+      const result = await this.pool.query(query, [from, to, sourceType, all]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting payment reconciliation', { error, from, to, sourceType });
+      throw error;
+    }
+  }
+
+  async countUnmatchedPayments() {
+    const query = `
+      SELECT COUNT(*)::int AS count FROM payments
+      WHERE order_id IS NULL AND status = 'succeeded'`;
+
+    try {
+      const result = await this.pool.query(query);
+      return result.rows[0]?.count || 0;
+    } catch (error) {
+      logger.error('Error counting unmatched payments', { error });
+      throw error;
+    }
+  }
+
+  // Customer metrics operations
+  async upsertCustomerMetrics(metrics) {
+    const query = `
+      INSERT INTO customer_metrics (
+        customer_id, calculation_date, total_revenue, total_orders,
+        average_order_value, purchase_frequency, customer_lifespan_days,
+        customer_lifetime_value, churn_probability, days_since_last_purchase,
         rfm_recency_score, rfm_frequency_score, rfm_monetary_score,
-        customer_segment
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        customer_segment, total_refunds, refund_rate
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
       ON CONFLICT (customer_id, calculation_date)
       DO UPDATE SET
         total_revenue = EXCLUDED.total_revenue,
@@ -341,7 +1712,9 @@ export class PostgresLoader {
         rfm_recency_score = EXCLUDED.rfm_recency_score,
         rfm_frequency_score = EXCLUDED.rfm_frequency_score,
         rfm_monetary_score = EXCLUDED.rfm_monetary_score,
-        customer_segment = EXCLUDED.customer_segment
+        customer_segment = EXCLUDED.customer_segment,
+        total_refunds = EXCLUDED.total_refunds,
+        refund_rate = EXCLUDED.refund_rate
       RETURNING id`;
 
     const values = [
@@ -359,6 +1732,8 @@ export class PostgresLoader {
       metrics.rfm_frequency_score,
       metrics.rfm_monetary_score,
       metrics.customer_segment,
+      metrics.total_refunds,
+      metrics.refund_rate,
     ];
 
     try {
@@ -370,6 +1745,211 @@ export class PostgresLoader {
     }
   }
 
+  async upsertUnifiedCustomerMetrics(metrics) {
+    const updates = UNIFIED_METRIC_COLUMNS.slice(2).map(column => `${column} = EXCLUDED.${column}`);
+    const query = `
+      INSERT INTO unified_customer_metrics (${UNIFIED_METRIC_COLUMNS.join(', ')})
+      VALUES (${placeholders(UNIFIED_METRIC_COLUMNS.length)})
+      ON CONFLICT (unified_customer_id, calculation_date)
+      DO UPDATE SET
+        ${updates.join(',\n        ')}
+      RETURNING id`;
+
+    try {
+      const result = await this.pool.query(
+        query,
+        UNIFIED_METRIC_COLUMNS.map(column => metrics[column])
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error upserting unified customer metrics', { error, metrics });
+      throw error;
+    }
+  }
+
+  // Identity operations
+  // Every source customer with the unified customer it is linked to so far
+  async getIdentityCandidates() {
+    const query = `
+      SELECT c.id, c.source_type, c.email, c.phone, c.first_name, c.last_name,
+        c.postal_code, c.country, c.updated_at, l.unified_customer_id
+      FROM customers c
+      LEFT JOIN customer_identity_links l ON l.customer_id = c.id
+      ORDER BY c.id`;
+
+    try {
+      const result = await this.pool.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error reading identity candidates', { error });
+      throw error;
+    }
+  }
+
+  // Writes a full resolution: new unified customers get ids, links whose match
+  // changed are rewritten, and unified customers left without records removed
+  async saveUnifiedCustomers(unified, client = null) {
+    return this.transaction(tx => this.writeUnifiedCustomers(tx, unified), client);
+  }
+
+  async writeUnifiedCustomers(client, unified) {
+    try {
+      const fresh = unified.filter(customer => !customer.id).length;
+      const allocated = await client.query(
+        `SELECT nextval(pg_get_serial_sequence('unified_customers', 'id'))::int AS id
+        FROM generate_series(1, $1)`,
+        [fresh]
+      );
+      const ids = allocated.rows.map(row => row.id);
+      const rows = unified.map(customer =>
+        customer.id ? customer : { ...customer, id: ids.shift() }
+      );
+
+      const stage = await this.stageRows(client, 'unified_customers', UNIFIED_COLUMNS, rows);
+      await client.query(`
+        INSERT INTO unified_customers (${UNIFIED_COLUMNS.join(', ')})
+        SELECT ${UNIFIED_COLUMNS.join(', ')} FROM ${stage}
+        ON CONFLICT (id)
+        DO UPDATE SET
+          ${updateSet(UNIFIED_UPDATES)}
+        ${changedWhere('unified_customers', UNIFIED_UPDATES)}`);
+
+      const links = rows.flatMap(customer =>
+        customer.links.map(link => ({ ...link, unified_customer_id: customer.id }))
+      );
+      const linkStage = await this.stageRows(
+        client,
+        'customer_identity_links',
+        LINK_COLUMNS,
+        links
+      );
+      await client.query(`
+        INSERT INTO customer_identity_links (${LINK_COLUMNS.join(', ')})
+        SELECT ${LINK_COLUMNS.join(', ')} FROM ${linkStage}
+        ON CONFLICT (customer_id)
+        DO UPDATE SET
+          ${updateSet(LINK_UPDATES)}
+        ${changedWhere('customer_identity_links', LINK_UPDATES)}`);
+
+      const removed = await client.query(`
+        DELETE FROM unified_customers u
+        WHERE NOT EXISTS (
+          SELECT 1 FROM customer_identity_links l WHERE l.unified_customer_id = u.id
+        )`);
+
+      return { unified: rows.length, links: links.length, removed: removed.rowCount };
+    } catch (error) {
+      logger.error('Error saving unified customers', { error });
+      throw error;
+    }
+  }
+
+  // Exchange rate operations
+  async upsertFxRates(rates, client = null) {
+    // A rate repeated in the file keeps its last value
+    const unique = [
+      ...new Map(
+        rates.map(rate => [`${rate.rate_date}|${rate.base_currency}|${rate.currency}`, rate])
+      ).values(),
+    ];
+    if (unique.length === 0) return 0;
+
+    try {
+      return await this.transaction(async tx => {
+        const stage = await this.stageRows(tx, 'fx_rates', FX_RATE_COLUMNS, unique);
+        const result = await tx.query(`
+          INSERT INTO fx_rates (${FX_RATE_COLUMNS.join(', ')})
+          SELECT ${FX_RATE_COLUMNS.join(', ')} FROM ${stage}
+          ON CONFLICT (rate_date, base_currency, currency)
+          DO UPDATE SET
+            ${updateSet(['rate'])}
+          ${changedWhere('fx_rates', ['rate'])}`);
+        return result.rowCount;
+      }, client);
+    } catch (error) {
+      logger.error('Error upserting FX rates', { error, count: unique.length });
+      throw error;
+    }
+  }
+
+  // The rates of the given currencies over [from, to], days as YYYY-MM-DD
+  async getFxRates(currencies, from, to, client = this.pool) {
+    const query = `
+      SELECT to_char(rate_date, 'YYYY-MM-DD') AS rate_date, base_currency, currency, rate
+      FROM fx_rates
+      WHERE currency = ANY($1) AND rate_date BETWEEN $2 AND $3
+      ORDER BY rate_date`;
+
+    try {
+      const result = await client.query(query, [currencies, from, to]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting FX rates', { error, currencies, from, to });
+      throw error;
+    }
+  }
+
+  // Orders not yet converted into the reporting currency, of every source
+  // when sourceType is null. orderIds limits them to those orders, from and to
+  // to orders dated within [from, to).
+  async getUnconvertedOrders(
+    reportingCurrency,
+    sourceType = null,
+    client = this.pool,
+    { orderIds = null, from = null, to = null } = {}
+  ) {
+    const query = `
+      SELECT id, currency, COALESCE(processed_at, created_at) AS order_date
+      FROM orders
+      WHERE ($2::varchar IS NULL OR source_type = $2)
+        AND ($3::integer[] IS NULL OR id = ANY($3))
+        AND ($4::timestamptz IS NULL OR COALESCE(processed_at, created_at) >= $4)
+        AND ($5::timestamptz IS NULL OR COALESCE(processed_at, created_at) < $5)
+        AND (fx_rate IS NULL OR reporting_currency IS DISTINCT FROM $1)`;
+
+    try {
+      const result = await client.query(query, [
+        reportingCurrency,
+        sourceType,
+        orderIds,
+        from,
+        to,
+      ]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting unconverted orders', { error, sourceType });
+      throw error;
+    }
+  }
+
+  // conversions: [{ id, reporting_currency, fx_rate }], the amounts following
+  // from each order's own
+  async saveOrderConversions(conversions, client = null) {
+    if (conversions.length === 0) return 0;
+
+    const columns = ['id', 'reporting_currency', 'fx_rate'];
+    const amounts = REPORTING_AMOUNTS.map(
+      column => `${column}_reporting = ROUND(o.${column} * s.fx_rate, 2)`
+    );
+
+    try {
+      return await this.transaction(async tx => {
+        const stage = await this.stageRows(tx, 'orders', columns, conversions);
+        const result = await tx.query(`
+          UPDATE orders o SET
+            reporting_currency = s.reporting_currency,
+            fx_rate = s.fx_rate,
+            ${amounts.join(',\n            ')}
+          FROM ${stage} s
+          WHERE o.id = s.id`);
+        return result.rowCount;
+      }, client);
+    } catch (error) {
+      logger.error('Error saving order conversions', { error, count: conversions.length });
+      throw error;
+    }
+  }
+
   // Daily metrics operations
   async upsertDailyMetrics(metrics) {
     const query = `
@@ -377,8 +1957,11 @@ export class PostgresLoader {
         metric_date, source_type, total_revenue, total_orders,
         total_customers, new_customers, returning_customers,
         average_order_value, total_products_sold, top_selling_products,
-        revenue_by_source, conversion_rate, cart_abandonment_rate
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        revenue_by_source, conversion_rate, cart_abandonment_rate,
+        gross_revenue, total_refunds, refund_rate, abandoned_carts, abandoned_revenue
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18
+      )
       ON CONFLICT (metric_date, source_type)
       DO UPDATE SET
         total_revenue = EXCLUDED.total_revenue,
@@ -391,7 +1974,12 @@ export class PostgresLoader {
         top_selling_products = EXCLUDED.top_selling_products,
         revenue_by_source = EXCLUDED.revenue_by_source,
         conversion_rate = EXCLUDED.conversion_rate,
-        cart_abandonment_rate = EXCLUDED.cart_abandonment_rate
+        cart_abandonment_rate = EXCLUDED.cart_abandonment_rate,
+        gross_revenue = EXCLUDED.gross_revenue,
+        total_refunds = EXCLUDED.total_refunds,
+        refund_rate = EXCLUDED.refund_rate,
+        abandoned_carts = EXCLUDED.abandoned_carts,
+        abandoned_revenue = EXCLUDED.abandoned_revenue
       RETURNING id`;
 
     const values = [
@@ -408,6 +1996,11 @@ export class PostgresLoader {
       JSON.stringify(metrics.revenue_by_source),
       metrics.conversion_rate,
       metrics.cart_abandonment_rate,
+      metrics.gross_revenue,
+      metrics.total_refunds,
+      metrics.refund_rate,
+      metrics.abandoned_carts,
+      metrics.abandoned_revenue,
     ];
 
     try {
@@ -419,6 +2012,220 @@ export class PostgresLoader {
     }
   }
 
+  // Recalculates daily_metrics for the source's days (YYYY-MM-DD in timezone) in
+  // one statement over their orders, and carts when withCarts is set. The same
+  // metrics as calculateDailyMetrics, in the reporting currency: cartRates holds
+  // the { currency, day, rate } converting the value of the days' open carts.
+  async recomputeDailyMetrics(sourceType, days, options, client = this.pool) {
+    const { timezone, withCarts = false, cartRates = [], abandonmentHours = 24 } = options;
+    const query = `
+      WITH days AS (
+        SELECT DISTINCT unnest($2::date[]) AS day
+      ),
+      bounds AS (
+        SELECT
+          MIN(day)::timestamp AT TIME ZONE $3 AS starts,
+          (MAX(day) + 1)::timestamp AT TIME ZONE $3 AS ends
+        FROM days
+      ),
+      day_orders AS (
+        SELECT
+          (o.processed_at AT TIME ZONE $3)::date AS day,
+          o.id, o.customer_id, o.fx_rate,
+          COALESCE(NULLIF(o.source_name, ''), 'direct') AS source,
+          o.total_price_reporting AS price,
+          COALESCE(r.refunded, 0) * o.fx_rate AS refunded
+        FROM orders o
+        CROSS JOIN bounds
+        LEFT JOIN LATERAL (
+          SELECT SUM(amount) AS refunded FROM refunds WHERE order_id = o.id
+        ) r ON true
+        WHERE o.source_type = $1
+          AND o.processed_at >= bounds.starts AND o.processed_at < bounds.ends
+          AND (o.processed_at AT TIME ZONE $3)::date IN (SELECT day FROM days)
+      ),
+      order_totals AS (
+        SELECT day,
+          COUNT(*) AS total_orders,
+          SUM(price) AS gross_revenue,
+          SUM(refunded) AS total_refunds,
+          COUNT(DISTINCT customer_id) AS total_customers
+        FROM day_orders
+        GROUP BY day
+      ),
+      customer_totals AS (
+        SELECT day,
+          COUNT(*) FILTER (WHERE orders = 1) AS new_customers,
+          COUNT(*) FILTER (WHERE orders > 1) AS returning_customers
+        FROM (
+          SELECT day, customer_id, COUNT(*) AS orders
+          FROM day_orders
+          WHERE customer_id IS NOT NULL
+          GROUP BY day, customer_id
+        ) c
+        GROUP BY day
+      ),
+      source_totals AS (
+        SELECT day, jsonb_object_agg(source, revenue) AS revenue_by_source
+        FROM (
+          SELECT day, source, SUM(price - refunded) AS revenue
+          FROM day_orders
+          GROUP BY day, source
+        ) s
+        GROUP BY day
+      ),
+      items AS (
+        SELECT o.day, oi.source_product_id, oi.title, COALESCE(oi.quantity, 0) AS quantity,
+          oi.price * o.fx_rate * COALESCE(oi.quantity, 0) AS revenue
+        FROM day_orders o
+        JOIN order_items oi ON oi.order_id = o.id
+      ),
+      product_totals AS (
+        SELECT day,
+          jsonb_agg(
+            jsonb_build_object(
+              'product_id', source_product_id,
+              'title', title,
+              'quantity', quantity,
+              'revenue', revenue
+            ) ORDER BY revenue DESC
+          ) AS top_selling_products
+        FROM (
+          SELECT day, source_product_id, MIN(title) AS title,
+            SUM(quantity) AS quantity, SUM(revenue) AS revenue,
+            ROW_NUMBER() OVER (PARTITION BY day ORDER BY SUM(revenue) DESC) AS rank
+          FROM items
+          WHERE source_product_id IS NOT NULL AND source_product_id <> ''
+          GROUP BY day, source_product_id
+        ) p
+        WHERE rank <= 10
+        GROUP BY day
+      ),
+      item_totals AS (
+        SELECT day, SUM(quantity) AS total_products_sold
+        FROM items
+        GROUP BY day
+      ),
+      cart_totals AS (
+        SELECT day,
+          COUNT(*) AS open_carts,
+          COUNT(*) FILTER (WHERE abandoned) AS abandoned_carts,
+          COALESCE(SUM(value) FILTER (WHERE abandoned), 0) AS abandoned_revenue
+        FROM (
+          SELECT
+            (c.created_at AT TIME ZONE $3)::date AS day,
+            c.total_price * COALESCE(fx.rate, 1) AS value,
+            COALESCE(c.last_activity_at, c.created_at)
+              <= now() - make_interval(hours => $6::int) AS abandoned
+          FROM carts c
+          CROSS JOIN bounds
+          LEFT JOIN jsonb_to_recordset($5::jsonb) AS fx(currency text, day date, rate numeric)
+            ON fx.currency = c.currency AND fx.day = (c.created_at AT TIME ZONE $3)::date
+          WHERE $4::boolean
+            AND c.source_type = $1
+            AND COALESCE(c.status, 'open') = 'open'
+            AND c.created_at >= bounds.starts AND c.created_at < bounds.ends
+            AND (c.created_at AT TIME ZONE $3)::date IN (SELECT day FROM days)
+        ) c
+        GROUP BY day
+      ),
+      metrics AS (
+        SELECT
+          d.day,
+          COALESCE(o.total_orders, 0) AS total_orders,
+          COALESCE(o.gross_revenue, 0) AS gross_revenue,
+          COALESCE(o.total_refunds, 0) AS total_refunds,
+          COALESCE(o.total_customers, 0) AS total_customers,
+          COALESCE(ct.open_carts, 0) AS open_carts,
+          COALESCE(ct.abandoned_carts, 0) AS abandoned_carts,
+          COALESCE(ct.abandoned_revenue, 0) AS abandoned_revenue,
+          cu.new_customers, cu.returning_customers, s.revenue_by_source,
+          p.top_selling_products, i.total_products_sold
+        FROM days d
+        LEFT JOIN order_totals o ON o.day = d.day
+        LEFT JOIN customer_totals cu ON cu.day = d.day
+        LEFT JOIN source_totals s ON s.day = d.day
+        LEFT JOIN product_totals p ON p.day = d.day
+        LEFT JOIN item_totals i ON i.day = d.day
+        LEFT JOIN cart_totals ct ON ct.day = d.day
+      )
+      INSERT INTO daily_metrics (
+        metric_date, source_type, total_revenue, total_orders,
+        total_customers, new_customers, returning_customers,
+        average_order_value, total_products_sold, top_selling_products,
+        revenue_by_source, conversion_rate, cart_abandonment_rate,
+        gross_revenue, total_refunds, refund_rate, abandoned_carts, abandoned_revenue
+      )
+      SELECT
+        day, $1, gross_revenue - total_refunds, total_orders,
+        total_customers, COALESCE(new_customers, 0), COALESCE(returning_customers, 0),
+        COALESCE(gross_revenue / NULLIF(total_orders, 0), 0), COALESCE(total_products_sold, 0),
+        COALESCE(top_selling_products, '[]'::jsonb), COALESCE(revenue_by_source, '{}'::jsonb),
+        CASE WHEN $4::boolean THEN
+          COALESCE(total_orders::numeric / NULLIF(total_orders + open_carts, 0), 0)
+        END,
+        CASE WHEN $4::boolean THEN
+          COALESCE(abandoned_carts::numeric / NULLIF(total_orders + abandoned_carts, 0), 0)
+        END,
+        gross_revenue, total_refunds, COALESCE(total_refunds / NULLIF(gross_revenue, 0), 0),
+        CASE WHEN $4::boolean THEN abandoned_carts END,
+        CASE WHEN $4::boolean THEN abandoned_revenue END
+      FROM metrics
+      ON CONFLICT (metric_date, source_type)
+      DO UPDATE SET
+        total_revenue = EXCLUDED.total_revenue,
+        total_orders = EXCLUDED.total_orders,
+        total_customers = EXCLUDED.total_customers,
+        new_customers = EXCLUDED.new_customers,
+        returning_customers = EXCLUDED.returning_customers,
+        average_order_value = EXCLUDED.average_order_value,
+        total_products_sold = EXCLUDED.total_products_sold,
+        top_selling_products = EXCLUDED.top_selling_products,
+        revenue_by_source = EXCLUDED.revenue_by_source,
+        conversion_rate = EXCLUDED.conversion_rate,
+        cart_abandonment_rate = EXCLUDED.cart_abandonment_rate,
+        gross_revenue = EXCLUDED.gross_revenue,
+        total_refunds = EXCLUDED.total_refunds,
+        refund_rate = EXCLUDED.refund_rate,
+        abandoned_carts = EXCLUDED.abandoned_carts,
+        abandoned_revenue = EXCLUDED.abandoned_revenue`;
+
+    try {
+      const result = await client.query(query, [
+        sourceType,
+        days,
+        timezone,
+        withCarts,
+        JSON.stringify(cartRates),
+        abandonmentHours,
+      ]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error recomputing daily metrics', { error, sourceType, days: days.length });
+      throw error;
+    }
+  }
+
+  // The currencies of the source's open carts on each of the days, whose value
+  // recomputeDailyMetrics needs a rate for
+  async getCartCurrencyDays(sourceType, days, timezone, client = this.pool) {
+    const query = `
+      SELECT DISTINCT currency, to_char(created_at AT TIME ZONE $3, 'YYYY-MM-DD') AS day
+      FROM carts
+      WHERE source_type = $1
+        AND currency IS NOT NULL
+        AND COALESCE(status, 'open') = 'open'
+        AND (created_at AT TIME ZONE $3)::date = ANY($2::date[])`;
+
+    try {
+      const result = await client.query(query, [sourceType, days, timezone]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting cart currencies', { error, sourceType });
+      throw error;
+    }
+  }
+
   // ETL logging
   async logETLRun(logEntry) {
     const query = `
@@ -469,6 +2276,188 @@ export class PostgresLoader {
     }
   }
 
+  // Windows a backfill already loaded, keyed as "<start ISO>/<end ISO>"
+  async getCompletedBackfillWindows(sourceType, entity) {
+    const query = `
+      SELECT metadata->>'window_start' AS window_start,
+        metadata->>'window_end' AS window_end
+      FROM etl_logs
+      WHERE pipeline_name = 'backfill' AND source_type = $1
+        AND metadata->>'entity' = $2
+        AND status = 'success'`;
+
+    try {
+      const result = await this.pool.query(query, [sourceType, entity]);
+      return new Set(result.rows.map(row => `${row.window_start}/${row.window_end}`));
+    } catch (error) {
+      logger.error('Error getting completed backfill windows', { error, sourceType, entity });
+      throw error;
+    }
+  }
+
+  // Store time zones, kept on the data sources for the days metrics are bucketed in
+  async getSourceTimezone(sourceType, client = this.pool) {
+    const query = `
+      SELECT timezone FROM data_sources
+      WHERE type = $1 AND timezone IS NOT NULL
+      ORDER BY id
+      LIMIT 1`;
+
+    try {
+      const result = await client.query(query, [sourceType]);
+      return result.rows[0]?.timezone || null;
+    } catch (error) {
+      logger.error('Error getting source timezone', { error, sourceType });
+      throw error;
+    }
+  }
+
+  async saveSourceTimezone(sourceType, timezone, client = this.pool) {
+    const query = `
+      UPDATE data_sources SET timezone = $2
+      WHERE type = $1 AND timezone IS DISTINCT FROM $2`;
+
+    try {
+      const result = await client.query(query, [sourceType, timezone]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error saving source timezone', { error, sourceType, timezone });
+      throw error;
+    }
+  }
+
+  // Sync state (extraction watermarks)
+  async getWatermark(sourceType, entity, client = this.pool) {
+    const query = `
+      SELECT watermark FROM sync_state
+      WHERE source_type = $1 AND entity = $2`;
+
+    try {
+      const result = await client.query(query, [sourceType, entity]);
+      return result.rows[0]?.watermark || null;
+    } catch (error) {
+      logger.error('Error getting watermark', { error, sourceType, entity });
+      throw error;
+    }
+  }
+
+  // Only ever moves the watermark forward; use resetWatermark to rewind it
+  async advanceWatermark(sourceType, entity, watermark, client = this.pool) {
+    const query = `
+      INSERT INTO sync_state (source_type, entity, watermark)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (source_type, entity)
+      DO UPDATE SET
+        watermark = GREATEST(sync_state.watermark, EXCLUDED.watermark)
+      RETURNING watermark`;
+
+    try {
+      const result = await client.query(query, [sourceType, entity, watermark]);
+      return result.rows[0]?.watermark || null;
+    } catch (error) {
+      logger.error('Error advancing watermark', { error, sourceType, entity, watermark });
+      throw error;
+    }
+  }
+
+  async resetWatermark(sourceType, entity, watermark = null) {
+    const query = watermark
+      ? `
+        INSERT INTO sync_state (source_type, entity, watermark)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (source_type, entity)
+        DO UPDATE SET watermark = EXCLUDED.watermark`
+      : `
+        DELETE FROM sync_state
+        WHERE source_type = $1 AND entity = $2`;
+
+    const values = watermark ? [sourceType, entity, watermark] : [sourceType, entity];
+
+    try {
+      await this.pool.query(query, values);
+      logger.info('Watermark reset', { sourceType, entity, watermark });
+    } catch (error) {
+      logger.error('Error resetting watermark', { error, sourceType, entity });
+      throw error;
+    }
+  }
+
+  async listWatermarks(sourceType = null) {
+    const query = `
+      SELECT source_type, entity, watermark, updated_at FROM sync_state
+      WHERE $1::varchar IS NULL OR source_type = $1
+      ORDER BY source_type, entity`;
+
+    try {
+      const result = await this.pool.query(query, [sourceType]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error listing watermarks', { error, sourceType });
+      throw error;
+    }
+  }
+
+  // File import tracking
+  async getImportedChecksums(sourceType, entity) {
+    const query = `
+      SELECT checksum FROM imported_files
+      WHERE source_type = $1 AND entity = $2`;
+
+    try {
+      const result = await this.pool.query(query, [sourceType, entity]);
+      return new Set(result.rows.map(row => row.checksum));
+    } catch (error) {
+      logger.error('Error getting imported files', { error, sourceType, entity });
+      throw error;
+    }
+  }
+
+  async recordImportedFile(file, client = this.pool) {
+    const query = `
+      INSERT INTO imported_files (source_type, entity, file_name, checksum, records)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (source_type, entity, checksum)
+      DO UPDATE SET
+        file_name = EXCLUDED.file_name,
+        records = EXCLUDED.records,
+        imported_at = CURRENT_TIMESTAMP`;
+
+    try {
+      await client.query(query, [
+        file.source_type,
+        file.entity,
+        file.file_name,
+        file.checksum,
+        file.records,
+      ]);
+    } catch (error) {
+      logger.error('Error recording imported file', { error, file });
+      throw error;
+    }
+  }
+
+  // Webhook deduplication. Returns false when the delivery was recorded before;
+  // recorded with the delivery's rows, a failed load leaves it to be retried.
+  async recordWebhookDelivery(delivery, client = this.pool) {
+    const query = `
+      INSERT INTO webhook_deliveries (source_type, webhook_id, topic)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (source_type, webhook_id) DO NOTHING
+      RETURNING id`;
+
+    try {
+      const result = await client.query(query, [
+        delivery.source_type,
+        delivery.webhook_id,
+        delivery.topic,
+      ]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error recording webhook delivery', { error, delivery });
+      throw error;
+    }
+  }
+
   async close() {
     await this.pool.end();
   }
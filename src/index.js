@@ -1,10 +1,19 @@
 import cron from 'node-cron';
 import { ETLPipeline } from './pipelines/etlPipeline.js';
 import { config, validateConfig } from './utils/config.js';
+import { listConnectors } from './connectors/registry.js';
 import { logger } from './utils/logger.js';
+import { watermarkCommand } from './commands/watermark.js';
+import { backfillCommand } from './commands/backfill.js';
+import { reconcileCommand } from './commands/reconcile.js';
+import { webhooksCommand } from './commands/webhooks.js';
+import { identitiesCommand } from './commands/identities.js';
+import { fxRatesCommand } from './commands/fxRates.js';
+import { recomputeMetricsCommand } from './commands/recomputeMetrics.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +24,15 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+function sourceStatus() {
+  return listConnectors()
+    .map(Connector => {
+      const enabled = config.sources[Connector.source].enabled;
+      return `  - ${Connector.label}: ${enabled ? 'Enabled' : 'Disabled'}`;
+    })
+    .join('\n');
+}
+
 async function runPipeline() {
   const pipeline = new ETLPipeline();
 
@@ -29,12 +47,48 @@ async function runPipeline() {
   }
 }
 
+// Subcommands take positional arguments plus --name value options
+const COMMANDS = {
+  watermark: watermarkCommand,
+  backfill: backfillCommand,
+  reconcile: reconcileCommand,
+  webhooks: webhooksCommand,
+  identities: identitiesCommand,
+  'fx-rates': fxRatesCommand,
+  'recompute-metrics': recomputeMetricsCommand,
+};
+
+function parseCommandLine() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      source: { type: 'string' },
+      entity: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      window: { type: 'string' },
+      all: { type: 'boolean' },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  const [command, ...args] = positionals;
+  return { command, args, options: values };
+}
+
 async function main() {
   try {
     // Validate configuration
     validateConfig();
     logger.info('Configuration validated successfully');
 
+    const { command, args, options } = parseCommandLine();
+    if (COMMANDS[command]) {
+      await COMMANDS[command](args, options);
+      return;
+    }
+
     // Run pipeline immediately if specified
     if (process.argv.includes('--run-now')) {
       logger.info('Running pipeline immediately (--run-now flag detected)');
@@ -72,16 +126,32 @@ Usage:
   npm start               - Show this help message
   npm start -- --run-now  - Run the pipeline immediately
   npm start -- --schedule - Start the scheduler for daily runs
-  npm run migrate         - Run database migrations
+  npm start -- watermark list [--source <source>]
+                          - Show extraction watermarks per source and entity
+  npm start -- watermark reset --source <source> --entity <entity> [--to <date>]
+                          - Clear or rewind a watermark
+  npm start -- backfill --source <source> --from <date> --to <date> [--entity <entity>] [--window day|week|month]
+                          - Re-extract a date range in resumable windows
+  npm start -- reconcile [--from <date>] [--to <date>] [--source <source>] [--all]
+                          - Match payments to orders and list settlement mismatches
+  npm start -- webhooks   - Receive Shopify and WooCommerce webhooks on WEBHOOK_PORT
+  npm start -- identities - Link customers across sources and recalculate unified metrics
+  npm start -- fx-rates <file>
+                          - Load exchange rates and convert orders into REPORTING_CURRENCY
+  npm start -- recompute-metrics --from <date> --to <date> [--source <source>]
+                          - Recalculate the daily metrics of a range of days
+  npm run migrate [-- up|down|status]
+                          - Apply, revert or list database migrations
 
 Configuration:
   Edit the .env file to configure your data sources and database connection.
   See .env.example for all available options.
 
 Current Configuration:
-  - Shopify: ${config.shopify.enabled ? 'Enabled' : 'Disabled'}
-  - WooCommerce: ${config.woocommerce.enabled ? 'Enabled' : 'Disabled'}
+${sourceStatus()}
   - Schedule: ${config.pipeline.scheduleCron}
+  - Reporting currency: ${config.fx.reportingCurrency}
+  - Default time zone: ${config.pipeline.defaultTimezone}
       `);
     }
   } catch (error) {
@@ -1,59 +1,176 @@
-import { ShopifyConnector } from '../connectors/shopify.js';
-import { WooCommerceConnector } from '../connectors/woocommerce.js';
-import { CommercetoolsConnector } from '../connectors/commercetools.js';
+import { listConnectors } from '../connectors/registry.js';
 import { DataTransformer } from '../transformers/dataTransformer.js';
 import { CLVCalculator } from '../analytics/clvCalculator.js';
+import { IdentityResolver } from '../analytics/identityResolver.js';
 import { PostgresLoader } from '../db/postgresLoader.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../utils/config.js';
+import { listDays, splitDateRange } from '../utils/dateWindows.js';
+import {
+  FxRates,
+  MissingRateError,
+  UnconvertedOrderError,
+  rateWindow,
+  readFxRatesFile,
+} from '../utils/fxRates.js';
+import { isValidTimezone, localDay } from '../utils/timezone.js';
+
+// Extraction order matters: orders and carts are linked to customers and products
+// loaded before them, refunds and disputes to the payments loaded before them
+export const ENTITIES = [
+  'customers', 'products', 'orders', 'carts', 'payments', 'payment_refunds',
+  'payment_disputes',
+];
+
+const EXTRACTORS = {
+  customers: 'getCustomers',
+  products: 'getProducts',
+  orders: 'getOrders',
+  carts: 'getCarts',
+  payments: 'getPayments',
+  payment_refunds: 'getPaymentRefunds',
+  payment_disputes: 'getPaymentDisputes',
+};
+
+const STREAMS = {
+  customers: 'streamCustomers',
+  products: 'streamProducts',
+  orders: 'streamOrders',
+  carts: 'streamCarts',
+  payments: 'streamPayments',
+  payment_refunds: 'streamPaymentRefunds',
+  payment_disputes: 'streamPaymentDisputes',
+};
+
+// Capability an entity needs when it is not named after one
+const ENTITY_CAPABILITIES = {
+  payment_refunds: 'payments',
+  payment_disputes: 'payments',
+};
+
+// Failed rows kept per entity in etl_logs.metadata
+const MAX_LOGGED_ERRORS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BACKFILL_PIPELINE = 'backfill';
+
+export function backfillWindowKey(start, end) {
+  return `${new Date(start).toISOString()}/${new Date(end).toISOString()}`;
+}
+
+function emptyDataset() {
+  return Object.fromEntries(ENTITIES.map(entity => [entity, []]));
+}
+
+// HTTP requests and retries a connector made since the `since` snapshot
+function httpUsage(connector, since = { requests: 0, retries: 0 }) {
+  const stats = connector?.http?.stats || { requests: 0, retries: 0 };
+  return {
+    requests: stats.requests - since.requests,
+    retries: stats.retries - since.retries,
+  };
+}
+
+// Entities the connector declares in its capabilities and has an extraction
+// method for, in extraction order
+function supportedEntities(connector, entities = ENTITIES) {
+  const declared = entity =>
+    typeof connector.supports !== 'function' ||
+    connector.supports(ENTITY_CAPABILITIES[entity] || entity);
+  const implemented = entity =>
+    typeof connector[STREAMS[entity]] === 'function' ||
+    typeof connector[EXTRACTORS[entity]] === 'function';
+
+  return entities.filter(entity => declared(entity) && implemented(entity));
+}
+
+// Stock is snapshotted on every run rather than extracted as changed records
+function supportsInventory(connector) {
+  return (
+    (typeof connector.supports !== 'function' || connector.supports('inventory')) &&
+    typeof connector.streamInventory === 'function'
+  );
+}
+
+// Failures hold the failed row under the entity's key, e.g. { order, error }
+function earliestFailure(failed) {
+  const failedAt = failed
+    .map(({ error: _error, ...failure }) => Object.values(failure)[0])
+    .map(record => record?.updated_at)
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+
+  return failedAt.length > 0 ? Math.min(...failedAt) : Infinity;
+}
 
 export class ETLPipeline {
   constructor() {
     this.transformer = new DataTransformer();
     this.clvCalculator = new CLVCalculator();
-    this.loader = new PostgresLoader(config.database);
+    this.identityResolver = new IdentityResolver(config.identity.matchRules);
+    this.loader = new PostgresLoader(config.database, {
+      batchSize: config.pipeline.batchSize,
+    });
+    this.loadTransaction = config.pipeline.loadTransaction;
+    this.maxErrorRate = config.pipeline.maxErrorRate;
+    this.reportingCurrency = config.fx.reportingCurrency;
+    this.fxRatesFile = config.fx.ratesFile;
+    this.defaultTimezone = config.pipeline.defaultTimezone;
+    this.timezones = {};
     this.connectors = {};
 
-    // Initialize connectors based on configuration
-    if (config.shopify.enabled) {
-      this.connectors.shopify = new ShopifyConnector(config.shopify);
-    }
-
-    if (config.woocommerce.enabled) {
-      this.connectors.woocommerce = new WooCommerceConnector(config.woocommerce);
-    }
+    const retry = {
+      retryAttempts: config.pipeline.retryAttempts,
+      retryDelay: config.pipeline.retryDelay,
+    };
 
-    if (config.commercetools.enabled) {
-      this.connectors.commercetools = new CommercetoolsConnector(config.commercetools);
+    // Initialize the connectors of every enabled source in the registry. The
+    // loader is their tracker for anything they remember between runs, such
+    // as the files already imported.
+    for (const Connector of listConnectors()) {
+      const sourceConfig = config.sources[Connector.source];
+      if (!sourceConfig?.enabled) continue;
+
+      const instances = Connector.instances({ ...sourceConfig, retry, tracker: this.loader });
+      for (const connector of instances) {
+        if (this.connectors[connector.source]) {
+          throw new Error(`Source ${connector.source} is configured more than once`);
+        }
+        this.connectors[connector.source] = connector;
+      }
     }
   }
 
   async run() {
     const startTime = Date.now();
-    const results = {
-      shopify: null,
-      woocommerce: null,
-      commercetools: null,
-    };
+    const results = Object.fromEntries(
+      listConnectors().map(Connector => [Connector.source, null])
+    );
 
     try {
       logger.info('Starting ETL pipeline run');
 
-      // Run Shopify pipeline
-      if (config.shopify.enabled) {
-        results.shopify = await this.runForSource('shopify');
-      }
+      // Stores may have moved time zone since the last run
+      this.timezones = {};
 
-      // Run WooCommerce pipeline
-      if (config.woocommerce.enabled) {
-        results.woocommerce = await this.runForSource('woocommerce');
+      // Orders whose rates are missing are left unconverted, and the metrics
+      // over them are skipped until rates are loaded
+      if (this.fxRatesFile) {
+        try {
+          await this.loadFxRates(this.fxRatesFile);
+        } catch (error) {
+          logger.error(`Failed to load FX rates from ${this.fxRatesFile}`, error);
+        }
       }
 
-      // Run Commercetools pipeline
-      if (config.commercetools.enabled) {
-        results.commercetools = await this.runForSource('commercetools');
+      for (const sourceType of Object.keys(this.connectors)) {
+        results[sourceType] = await this.runForSource(sourceType);
       }
 
+      // Unified customers span sources, so they are resolved once all have loaded
+      await this.resolveIdentities();
+
       const duration = (Date.now() - startTime) / 1000;
       logger.info(`ETL pipeline completed in ${duration} seconds`, results);
 
@@ -76,10 +193,12 @@ export class ETLPipeline {
       metadata: {},
     };
 
+    const connector = this.connectors[sourceType];
+    const httpBefore = httpUsage(connector);
+
     try {
       logger.info(`Starting ETL for ${sourceType}`);
 
-      const connector = this.connectors[sourceType];
       if (!connector) {
         throw new Error(`Connector for ${sourceType} not initialized`);
       }
@@ -90,40 +209,81 @@ export class ETLPipeline {
         throw new Error(`Failed to connect to ${sourceType}`);
       }
 
-      // Get last successful run to determine incremental load
+      // Sources synced before per-entity watermarks existed fall back to the
+      // completion time of their last successful run
       const lastRun = await this.loader.getLastETLRun('main_etl', sourceType);
-      const since = lastRun ? new Date(lastRun.completed_at) : null;
-
-      // Extract data
-      logger.info(`Extracting data from ${sourceType}`, { since });
-      const extractedData = await this.extractData(connector, since);
-      etlLog.records_extracted =
-        extractedData.customers.length +
-        extractedData.products.length +
-        extractedData.orders.length;
-
-      // Transform data
-      logger.info(`Transforming ${sourceType} data`);
-      const transformedData = await this.transformData(extractedData, sourceType);
-      etlLog.records_transformed =
-        transformedData.customers.length +
-        transformedData.products.length +
-        transformedData.orders.length;
-
-      // Load data
-      logger.info(`Loading ${sourceType} data to PostgreSQL`);
-      const loadResults = await this.loadData(transformedData, sourceType);
-      etlLog.records_loaded = loadResults.totalLoaded;
+      const fallbackSince = lastRun ? new Date(lastRun.completed_at) : null;
+
+      const loadResults = { watermarks: {} };
+      const entities = supportedEntities(connector);
+      const loadedDays = new Set();
+
+      // Each entity is extracted, loaded and checkpointed on its own so a failure
+      // in one entity never moves the watermark of another
+      const loadEntities = async client => {
+        for (const entity of entities) {
+          const since =
+            (await this.loader.getWatermark(sourceType, entity, client)) || fallbackSince;
+          const entityRun = await this.processEntity(connector, sourceType, entity, since, null, {
+            checkpoint: true,
+            client,
+          });
+
+          etlLog.records_extracted += entityRun.extracted;
+          etlLog.records_transformed += entityRun.transformed;
+          etlLog.records_loaded += entityRun.loaded;
+
+          loadResults[entity] = {
+            pages: entityRun.pages,
+            inserted: entityRun.inserted,
+            failed: entityRun.failed,
+            errors: entityRun.errors,
+          };
+          loadResults.watermarks[entity] = entityRun.watermark;
+          for (const day of entityRun.days) loadedDays.add(day);
+
+          if (typeof connector.entityLoaded === 'function') {
+            await connector.entityLoaded(entity, client);
+          }
+        }
+
+        if (entities.includes('payments')) {
+          loadResults.matched = await this.matchPayments(client);
+        }
+
+        // After the products, so the snapshot links to their variants
+        if (supportsInventory(connector)) {
+          loadResults.inventory = await this.captureInventory(connector, sourceType, client);
+        }
+
+        if (client) {
+          const rows = entities.map(entity => loadResults[entity]);
+          this.checkErrorRate(
+            rows.reduce((sum, entity) => sum + entity.inserted, 0),
+            rows.reduce((sum, entity) => sum + entity.failed, 0)
+          );
+        }
+      };
+
+      // With a source-wide transaction, any failure rolls back every entity
+      // and its watermark together
+      if (this.loadTransaction === 'source') {
+        await this.loader.transaction(loadEntities);
+      } else {
+        await loadEntities();
+      }
 
       // Calculate and store metrics
-      logger.info(`Calculating metrics for ${sourceType}`);
-      await this.calculateMetrics(transformedData, sourceType);
+      if (entities.includes('orders')) {
+        logger.info(`Calculating metrics for ${sourceType}`);
+        await this.calculateMetrics(sourceType, [...loadedDays]);
+      }
 
       // Mark as successful
       etlLog.status = 'success';
       etlLog.completed_at = new Date();
       etlLog.duration_seconds = Math.floor((etlLog.completed_at - etlLog.started_at) / 1000);
-      etlLog.metadata = loadResults;
+      etlLog.metadata = { ...loadResults, http: httpUsage(connector, httpBefore) };
 
       await this.loader.logETLRun(etlLog);
 
@@ -137,6 +297,7 @@ export class ETLPipeline {
 
       etlLog.status = 'failed';
       etlLog.error_message = error.message;
+      etlLog.metadata.http = httpUsage(connector, httpBefore);
       etlLog.completed_at = new Date();
       etlLog.duration_seconds = Math.floor((etlLog.completed_at - etlLog.started_at) / 1000);
 
@@ -149,26 +310,316 @@ export class ETLPipeline {
     }
   }
 
-  async extractData(connector, since) {
-    const data = {
-      customers: [],
-      products: [],
-      orders: [],
+  // Streams one entity page by page: each page is transformed and loaded before the
+  // connector is asked for the next one, so memory is bounded by the page size. With
+  // checkpoint set the watermark moves after every loaded page, so a crashed run
+  // resumes from the last committed page. options.client runs the load inside the
+  // caller's transaction; otherwise a 'page' load transaction wraps every page.
+  async processEntity(connector, sourceType, entity, since, until = null, options = {}) {
+    const run = {
+      pages: 0,
+      extracted: 0,
+      transformed: 0,
+      loaded: 0,
+      inserted: 0,
+      failed: 0,
+      errors: [],
+      watermark: null,
+      days: new Set(),
     };
+    let failureLimit = Infinity;
+    // Reads not in updated_at order (a full scan by id) only move the watermark
+    // once every page is loaded, so a crash cannot leave it past unread records
+    const inOrder =
+      typeof connector.inUpdateOrder !== 'function' ||
+      connector.inUpdateOrder(entity, since, until);
+    const loadedAt = [];
+
+    logger.info(`Extracting ${entity} from ${sourceType}`, { since, until });
+
+    for await (const page of this.extractPages(connector, entity, since, until)) {
+      const pageData = { ...emptyDataset(), [entity]: page };
+      const transformed = await this.transformData(pageData, sourceType);
+
+      const loadPage = async client => {
+        const results = await this.loadData(transformed, sourceType, client);
+        const entityResults = results[entity];
+
+        if (client && !options.client) {
+          this.checkErrorRate(entityResults.inserted.length, entityResults.failed.length);
+        }
+
+        // Once a row failed, later pages must not move the watermark past it
+        failureLimit = Math.min(failureLimit, earliestFailure(entityResults.failed));
+        if (options.checkpoint && inOrder) {
+          run.watermark = await this.advanceWatermark(
+            sourceType,
+            entity,
+            entityResults,
+            failureLimit,
+            client
+          );
+        } else if (options.checkpoint) {
+          for (const record of entityResults.inserted) {
+            if (record.updated_at) loadedAt.push(new Date(record.updated_at).getTime());
+          }
+        }
+
+        return results;
+      };
+
+      const results =
+        !options.client && this.loadTransaction === 'page'
+          ? await this.loader.transaction(loadPage)
+          : await loadPage(options.client);
+      const entityResults = results[entity];
+
+      run.pages++;
+      run.extracted += page.length;
+      run.transformed += transformed[entity].length;
+      run.loaded += results.totalLoaded;
+      run.inserted += entityResults.inserted.length;
+      run.failed += entityResults.failed.length;
+      for (const failure of entityResults.failed) {
+        if (run.errors.length >= MAX_LOGGED_ERRORS) break;
+        run.errors.push(failure.error);
+      }
+      for (const day of results.days) run.days.add(day);
+    }
+
+    const latest = loadedAt.reduce(
+      (max, time) => (time < failureLimit && time > max ? time : max),
+      -Infinity
+    );
+    if (options.checkpoint && latest > -Infinity) {
+      run.watermark = await this.loader.advanceWatermark(
+        sourceType,
+        entity,
+        new Date(latest),
+        options.client
+      );
+    } else if (options.checkpoint && (run.pages === 0 || !inOrder)) {
+      run.watermark = await this.loader.getWatermark(sourceType, entity, options.client);
+    }
+
+    logger.info(`Processed ${run.extracted} ${entity} from ${sourceType} in ${run.pages} pages`);
+    return run;
+  }
+
+  // Yields pages from the connector's stream method; connectors that only
+  // implement get* methods return the whole entity as a single page. Records are
+  // passed through the connector's normalize() when it has one.
+  async *extractPages(connector, entity, since, until = null) {
+    const normalize = page =>
+      typeof connector.normalize === 'function'
+        ? page.map(record => connector.normalize(entity, record))
+        : page;
+
+    if (typeof connector[STREAMS[entity]] === 'function') {
+      for await (const page of connector[STREAMS[entity]](since, until)) {
+        if (page.length > 0) yield normalize(page);
+      }
+      return;
+    }
+
+    const records = await connector[EXTRACTORS[entity]](since, until);
+    if (records.length > 0) yield normalize(records);
+  }
+
+  // Re-extracts one or all entities of a source between two dates, one window at a
+  // time. Every window is logged to etl_logs and skipped on a later run once it succeeded.
+  async backfill({ sourceType, entities = null, from, to, window = 'day' }) {
+    const connector = this.connectors[sourceType];
+    if (!connector) {
+      throw new Error(`Connector for ${sourceType} not initialized`);
+    }
+
+    // Every entity the source supports unless the caller picked some
+    const available = supportedEntities(connector);
+    entities = entities || available;
+
+    const unsupported = entities.filter(entity => !available.includes(entity));
+    if (unsupported.length > 0) {
+      throw new Error(`${sourceType} does not support ${unsupported.join(', ')}`);
+    }
+
+    const windows = splitDateRange(from, to, window);
+    const summary = {
+      windows: windows.length * entities.length,
+      completed: 0,
+      skipped: 0,
+      failed: 0,
+    };
+    const loadedDays = new Set();
+
+    for (const entity of entities) {
+      const done = await this.loader.getCompletedBackfillWindows(sourceType, entity);
+
+      for (const { start, end } of windows) {
+        if (done.has(backfillWindowKey(start, end))) {
+          logger.info(`Skipping completed backfill window for ${sourceType} ${entity}`, {
+            start,
+            end,
+          });
+          summary.skipped++;
+          continue;
+        }
+
+        const etlLog = {
+          pipeline_name: BACKFILL_PIPELINE,
+          source_type: sourceType,
+          status: 'running',
+          records_extracted: 0,
+          records_transformed: 0,
+          records_loaded: 0,
+          started_at: new Date(),
+          metadata: { entity, window_start: start, window_end: end },
+        };
+        const httpBefore = httpUsage(connector);
 
+        try {
+          const entityRun = await this.processEntity(connector, sourceType, entity, start, end);
+
+          etlLog.status = 'success';
+          etlLog.records_extracted = entityRun.extracted;
+          etlLog.records_transformed = entityRun.transformed;
+          etlLog.records_loaded = entityRun.loaded;
+          etlLog.metadata.failed = entityRun.failed;
+          for (const day of entityRun.days) loadedDays.add(day);
+          summary.completed++;
+        } catch (error) {
+          logger.error(`Backfill window failed for ${sourceType} ${entity}`, error);
+          etlLog.status = 'failed';
+          etlLog.error_message = error.message;
+          summary.failed++;
+        }
+
+        etlLog.metadata.http = httpUsage(connector, httpBefore);
+        etlLog.completed_at = new Date();
+        etlLog.duration_seconds = Math.floor((etlLog.completed_at - etlLog.started_at) / 1000);
+        await this.loader.logETLRun(etlLog);
+
+        // Stop at the first failure so a rerun resumes from this window
+        if (etlLog.status === 'failed') {
+          await this.recomputeDailyMetrics(sourceType, [...loadedDays]);
+          return summary;
+        }
+      }
+    }
+
+    if (entities.includes('payments') || entities.includes('payment_refunds')) {
+      await this.matchPayments();
+    }
+
+    // Backfilled orders and carts change the metrics of the days they fall on
+    await this.recomputeDailyMetrics(sourceType, [...loadedDays]);
+
+    return summary;
+  }
+
+  // Loads the source's locations and today's snapshot of its inventory levels,
+  // replacing a snapshot an earlier run took the same day
+  async captureInventory(connector, sourceType, client, snapshotDate = new Date()) {
+    const date = localDay(snapshotDate, await this.getTimezone(sourceType));
+    const normalize = (entity, record) =>
+      typeof connector.normalize === 'function' ? connector.normalize(entity, record) : record;
+    const run = { locations: 0, levels: 0, failed: 0, errors: [] };
+
+    const rawLocations =
+      typeof connector.getLocations === 'function' ? await connector.getLocations() : [];
+    if (rawLocations.length > 0) {
+      const locations = rawLocations.map(location =>
+        this.transformer.transformLocation(normalize('locations', location), sourceType)
+      );
+      run.locations = (await this.loader.upsertLocationBatch(locations, client)).inserted.length;
+    }
+
+    for await (const page of connector.streamInventory(rawLocations)) {
+      const levels = page.map(level =>
+        this.transformer.transformInventoryLevel(normalize('inventory', level), sourceType, date)
+      );
+      const results = await this.loader.upsertInventorySnapshotBatch(levels, client);
+
+      run.levels += results.inserted.length;
+      run.failed += results.failed.length;
+      for (const failure of results.failed) {
+        if (run.errors.length >= MAX_LOGGED_ERRORS) break;
+        run.errors.push(failure.error);
+      }
+    }
+
+    logger.info(`Captured ${run.levels} inventory levels for ${sourceType}`, {
+      date,
+      locations: run.locations,
+    });
+    return run;
+  }
+
+  // Links refunds loaded before their payment, then payments to orders
+  async matchPayments(client) {
+    await this.loader.linkPaymentRefunds(client);
+    return this.loader.matchPaymentsToOrders(client);
+  }
+
+  // Loads the record a webhook delivered, in one transaction with its delivery
+  // id so a redelivery is skipped and a failed load is left for the platform to
+  // retry. A customer or order older than the stored one, as a late retry can
+  // deliver, is skipped by the loader. Watermarks are left alone, so the
+  // scheduled run still reads what changed since it last ran.
+  async ingestWebhook(sourceType, { id, topic, entity, payload }) {
+    const connector = this.connectors[sourceType];
+    if (!connector) {
+      throw new Error(`Connector for ${sourceType} not initialized`);
+    }
+
+    let loadedDays = [];
+    const ingested = await this.loader.transaction(async client => {
+      const delivery = { source_type: sourceType, webhook_id: id, topic };
+      if (!(await this.loader.recordWebhookDelivery(delivery, client))) {
+        logger.info(`Skipping ${sourceType} webhook ${id}, already ingested`, { topic });
+        return { duplicate: true, loaded: 0 };
+      }
+
+      const record =
+        typeof connector.normalize === 'function' ? connector.normalize(entity, payload) : payload;
+      const transformed = await this.transformData(
+        { ...emptyDataset(), [entity]: [record] },
+        sourceType
+      );
+      const results = await this.loadData(transformed, sourceType, client);
+
+      const [failure] = results[entity].failed;
+      if (failure) {
+        throw new Error(`${sourceType} webhook ${id} failed to load: ${failure.error}`);
+      }
+      loadedDays = results.days;
+
+      logger.info(`Ingested ${sourceType} webhook ${id}`, { topic, entity });
+      return { duplicate: false, loaded: results.totalLoaded };
+    });
+
+    // The next scheduled run recomputes these days too, so a failure only delays them
     try {
-      // Extract customers
-      data.customers = await connector.getCustomers(since);
-      logger.info(`Extracted ${data.customers.length} customers`);
+      await this.recomputeDailyMetrics(sourceType, loadedDays);
+    } catch (error) {
+      logger.warn(`Could not recompute daily metrics after ${sourceType} webhook ${id}`, {
+        error: error.message,
+      });
+    }
 
-      // Extract products
-      data.products = await connector.getProducts(since);
-      logger.info(`Extracted ${data.products.length} products`);
+    return ingested;
+  }
 
-      // Extract orders
-      data.orders = await connector.getOrders(since);
-      logger.info(`Extracted ${data.orders.length} orders`);
+  async extractData(connector, since, entities = supportedEntities(connector), until = null) {
+    const data = emptyDataset();
 
+    try {
+      for (const entity of entities) {
+        for await (const page of this.extractPages(connector, entity, since, until)) {
+          data[entity].push(...page);
+        }
+        logger.info(`Extracted ${data[entity].length} ${entity}`);
+      }
     } catch (error) {
       logger.error('Data extraction failed', error);
       throw error;
@@ -181,8 +632,15 @@ export class ETLPipeline {
     const transformed = {
       customers: [],
       products: [],
+      productVariants: [],
       orders: [],
       orderItems: [],
+      refunds: [],
+      refundItems: [],
+      carts: [],
+      payments: [],
+      payment_refunds: [],
+      payment_disputes: [],
     };
 
     try {
@@ -192,11 +650,18 @@ export class ETLPipeline {
         sourceType
       );
 
-      // Transform products
+      // Transform products and all their variants
       transformed.products = this.transformer.transformProductBatch(
         data.products,
         sourceType
       );
+      for (const product of data.products) {
+        for (const [position, variant] of (product.variants || []).entries()) {
+          transformed.productVariants.push(
+            this.transformer.transformProductVariant(variant, product, sourceType, position)
+          );
+        }
+      }
 
       // Transform orders and order items
       for (const order of data.orders) {
@@ -205,23 +670,61 @@ export class ETLPipeline {
 
         // Transform order items if they exist
         if (order.line_items) {
-          for (const item of order.line_items) {
+          for (const [position, item] of order.line_items.entries()) {
             const transformedItem = this.transformer.transformOrderItem(
               item,
               null, // Will be set during loading
-              sourceType
+              sourceType,
+              position
             );
             transformedItem.source_order_id = transformedOrder.source_id;
             transformed.orderItems.push(transformedItem);
           }
         }
+
+        // Refunds ride along with their order, in the order's currency unless
+        // they name their own
+        for (const rawRefund of order.refunds || []) {
+          const refund = this.transformer.transformRefund(rawRefund, sourceType);
+          refund.source_order_id = transformedOrder.source_id;
+          refund.currency = refund.currency || transformedOrder.currency;
+          transformed.refunds.push(refund);
+
+          for (const rawItem of rawRefund.refund_line_items || []) {
+            const refundItem = this.transformer.transformRefundItem(rawItem, sourceType);
+            refundItem.source_refund_id = refund.source_id;
+            transformed.refundItems.push(refundItem);
+          }
+        }
       }
 
+      transformed.carts = this.transformer.transformCartBatch(data.carts || [], sourceType);
+
+      // Transform payments, their refunds and disputes
+      transformed.payments = this.transformer.transformPaymentBatch(
+        data.payments || [],
+        sourceType
+      );
+      transformed.payment_refunds = this.transformer.transformPaymentRefundBatch(
+        data.payment_refunds || [],
+        sourceType
+      );
+      transformed.payment_disputes = this.transformer.transformPaymentDisputeBatch(
+        data.payment_disputes || [],
+        sourceType
+      );
+
       logger.info('Data transformation completed', {
         customers: transformed.customers.length,
         products: transformed.products.length,
+        productVariants: transformed.productVariants.length,
         orders: transformed.orders.length,
         orderItems: transformed.orderItems.length,
+        refunds: transformed.refunds.length,
+        carts: transformed.carts.length,
+        payments: transformed.payments.length,
+        payment_refunds: transformed.payment_refunds.length,
+        payment_disputes: transformed.payment_disputes.length,
       });
 
     } catch (error) {
@@ -232,60 +735,114 @@ export class ETLPipeline {
     return transformed;
   }
 
-  async loadData(data, sourceType) {
+  // client, when given, is an open transaction every write joins
+  async loadData(data, sourceType, client) {
     const results = {
       customers: { inserted: [], failed: [] },
       products: { inserted: [], failed: [] },
       orders: { inserted: [], failed: [] },
       orderItems: { inserted: [], failed: [] },
+      refunds: { inserted: [], failed: [] },
+      carts: { inserted: [], failed: [] },
+      payments: { inserted: [], failed: [] },
+      payment_refunds: { inserted: [], failed: [] },
+      payment_disputes: { inserted: [], failed: [] },
       totalLoaded: 0,
+      days: [],
     };
 
     try {
       // Load customers
       logger.info('Loading customers');
-      results.customers = await this.loader.upsertCustomerBatch(data.customers);
+      results.customers = await this.loader.upsertCustomerBatch(data.customers, client);
+
+      // Guests who have since registered hand their orders to the new account
+      if (data.customers.length > 0) {
+        await this.loader.mergeRegisteredGuests(sourceType, client);
+      }
 
-      // Load products
+      // Load products with their variants
       logger.info('Loading products');
-      results.products = await this.loader.upsertProductBatch(data.products);
+      results.products = await this.loader.upsertProductBatch(
+        data.products,
+        data.productVariants,
+        client
+      );
 
-      // Load orders with customer linking
+      // Load orders with their line items, linked to customers by email
       logger.info('Loading orders');
-      for (const order of data.orders) {
-        try {
-          // Find customer ID if email exists
-          let customerId = null;
-          if (order.email) {
-            customerId = await this.loader.findCustomerId(order.email, sourceType);
-          }
+      const orderResults = await this.loader.upsertOrderBatch(
+        data.orders,
+        data.orderItems,
+        client
+      );
+      results.orders = orderResults.orders;
+      results.orderItems = orderResults.orderItems;
+
+      if (results.orders.inserted.length > 0) {
+        await this.convertOrderAmounts(
+          sourceType,
+          client,
+          results.orders.inserted.map(order => order.id)
+        );
+      }
 
-          const orderId = await this.loader.upsertOrder(order, customerId);
+      // Load the refunds of those orders with their line items
+      if (data.refunds?.length > 0) {
+        logger.info('Loading refunds');
+        results.refunds = await this.loader.upsertRefundBatch(
+          data.refunds,
+          data.refundItems,
+          client
+        );
+      }
 
-          // Load order items for this order
-          const orderItems = data.orderItems.filter(
-            item => item.source_order_id === order.source_id
-          );
+      // Update customer first/last purchase dates
+      if (data.orders.length > 0) {
+        await this.updateCustomerPurchaseDates(sourceType, client);
+      }
 
-          if (orderItems.length > 0) {
-            const insertedItems = await this.loader.insertOrderItems(orderItems, orderId);
-            results.orderItems.inserted.push(...insertedItems);
-          }
+      if (data.carts?.length > 0) {
+        logger.info('Loading carts');
+        results.carts = await this.loader.upsertCartBatch(data.carts, client);
+      }
 
-          results.orders.inserted.push({ ...order, id: orderId });
-        } catch (error) {
-          results.orders.failed.push({ order, error: error.message });
-        }
+      // Load payments and their refunds and disputes
+      if (data.payments?.length > 0) {
+        logger.info('Loading payments');
+        results.payments = await this.loader.upsertPaymentBatch(data.payments, client);
+      }
+      if (data.payment_refunds?.length > 0) {
+        logger.info('Loading payment refunds');
+        results.payment_refunds = await this.loader.upsertPaymentRefundBatch(
+          data.payment_refunds,
+          client
+        );
+      }
+      if (data.payment_disputes?.length > 0) {
+        logger.info('Loading payment disputes');
+        results.payment_disputes = await this.loader.applyPaymentDisputeBatch(
+          data.payment_disputes,
+          client
+        );
       }
 
-      // Update customer first/last purchase dates
-      await this.updateCustomerPurchaseDates(sourceType);
+      results.days = await this.loadedDays(
+        sourceType,
+        results.orders.inserted,
+        results.carts.inserted
+      );
 
       results.totalLoaded =
         results.customers.inserted.length +
         results.products.inserted.length +
         results.orders.inserted.length +
-        results.orderItems.inserted.length;
+        results.orderItems.inserted.length +
+        results.refunds.inserted.length +
+        results.carts.inserted.length +
+        results.payments.inserted.length +
+        results.payment_refunds.inserted.length +
+        results.payment_disputes.inserted.length;
 
       logger.info('Data loading completed', results);
 
@@ -297,46 +854,205 @@ export class ETLPipeline {
     return results;
   }
 
-  async updateCustomerPurchaseDates(sourceType) {
+  // The store-local days of loaded orders and carts, whose daily metrics they change
+  async loadedDays(sourceType, orders, carts) {
+    const dates = [
+      ...orders.map(order => order.processed_at),
+      ...carts.map(cart => cart.created_at),
+    ].filter(Boolean);
+    if (dates.length === 0) {
+      return [];
+    }
+
+    const timezone = await this.getTimezone(sourceType);
+    return [...new Set(dates.map(date => localDay(date, timezone)))];
+  }
+
+  // Moves the entity watermark to the highest source updated_at that was loaded.
+  // When rows failed, it stops short of the earliest failure so they are retried.
+  async advanceWatermark(sourceType, entity, results, limit = Infinity, client) {
+    const failureLimit = Math.min(limit, earliestFailure(results.failed));
+
+    const loadedAt = results.inserted
+      .map(record => record.updated_at)
+      .filter(Boolean)
+      .map(date => new Date(date).getTime())
+      .filter(time => time < failureLimit);
+
+    if (loadedAt.length === 0) {
+      return (await this.loader.getWatermark(sourceType, entity, client)) || null;
+    }
+
+    const watermark = new Date(Math.max(...loadedAt));
+    return this.loader.advanceWatermark(sourceType, entity, watermark, client);
+  }
+
+  // A transactional load is rolled back when too large a share of its rows was rejected
+  checkErrorRate(loaded, failed) {
+    const total = loaded + failed;
+    if (total > 0 && failed / total > this.maxErrorRate) {
+      throw new Error(
+        `${failed} of ${total} rows failed to load, ` +
+          `above the allowed error rate of ${this.maxErrorRate}`
+      );
+    }
+  }
+
+  // The purchase dates are the store's local days
+  async updateCustomerPurchaseDates(sourceType, client = this.loader.pool) {
     const query = `
       UPDATE customers c
       SET
         first_purchase_date = COALESCE(
-          (SELECT MIN(processed_at) FROM orders WHERE customer_id = c.id),
+          (SELECT (MIN(processed_at) AT TIME ZONE $2)::date FROM orders WHERE customer_id = c.id),
           first_purchase_date
         ),
         last_purchase_date = COALESCE(
-          (SELECT MAX(processed_at) FROM orders WHERE customer_id = c.id),
+          (SELECT (MAX(processed_at) AT TIME ZONE $2)::date FROM orders WHERE customer_id = c.id),
           last_purchase_date
         )
       WHERE source_type = $1`;
 
     try {
-      await this.loader.pool.query(query, [sourceType]);
+      const timezone = await this.getTimezone(sourceType);
+      await client.query(query, [sourceType, timezone]);
       logger.info('Updated customer purchase dates');
     } catch (error) {
       logger.error('Failed to update customer purchase dates', error);
     }
   }
 
-  async calculateMetrics(data, sourceType) {
+  // The store's time zone as its connector reports it, else as last saved for the
+  // source, else DEFAULT_TIMEZONE. Looked up once per run.
+  async getTimezone(sourceType) {
+    if (!this.timezones[sourceType]) {
+      this.timezones[sourceType] = await this.lookupTimezone(sourceType);
+    }
+    return this.timezones[sourceType];
+  }
+
+  async lookupTimezone(sourceType) {
+    const connector = this.connectors[sourceType];
+    let timezone = null;
+
     try {
-      const calculationDate = new Date();
+      timezone = await connector?.getTimezone?.();
+    } catch (error) {
+      logger.warn(`Could not get the ${sourceType} store's time zone`, { error: error.message });
+    }
+
+    if (isValidTimezone(timezone)) {
+      await this.loader.saveSourceTimezone(sourceType, timezone);
+      return timezone;
+    }
+    if (timezone) {
+      logger.warn(`${sourceType} reported an unknown time zone ${timezone}`);
+    }
+
+    return (await this.loader.getSourceTimezone(sourceType)) || this.defaultTimezone;
+  }
+
+  // Loads a CSV or ECB XML file of exchange rates, then converts the orders
+  // that were waiting for them
+  async loadFxRates(file) {
+    const rates = await readFxRatesFile(file);
+    const loaded = await this.loader.upsertFxRates(rates);
+    logger.info(`Loaded ${rates.length} FX rates from ${file}, ${loaded} new or changed`);
+
+    const conversions = await this.convertOrderAmounts();
+    return { rates: rates.length, loaded, ...conversions };
+  }
+
+  // The loaded rates that convert the currencies on the given dates
+  async getFxRates(currencies, dates, client) {
+    const { from, to } = rateWindow(dates);
+    const rates = await this.loader.getFxRates(
+      [...new Set([...currencies, this.reportingCurrency])],
+      from,
+      to,
+      client
+    );
+    return new FxRates(this.reportingCurrency, rates);
+  }
+
+  // Converts the orders of the source, or of all sources, that have no amounts
+  // in the reporting currency yet at the rate of their day. orderIds limits it to
+  // the orders a load just wrote. Orders without a rate are left unconverted and
+  // reported.
+  async convertOrderAmounts(sourceType = null, client, orderIds = null) {
+    const orders = await this.loader.getUnconvertedOrders(
+      this.reportingCurrency,
+      sourceType,
+      client,
+      { orderIds }
+    );
+    if (orders.length === 0) {
+      return { converted: 0, missing: [] };
+    }
+
+    const fx = await this.getFxRates(
+      orders.map(order => order.currency),
+      orders.map(order => order.order_date),
+      client
+    );
+
+    const conversions = [];
+    const missing = new Set();
+    for (const order of orders) {
+      try {
+        conversions.push({
+          id: order.id,
+          reporting_currency: this.reportingCurrency,
+          fx_rate: fx.rate(order.currency, order.order_date),
+        });
+      } catch (error) {
+        if (!(error instanceof MissingRateError)) throw error;
+        missing.add(`${error.currency} ${error.day}`);
+      }
+    }
+
+    await this.loader.saveOrderConversions(conversions, client);
+
+    if (missing.size > 0) {
+      logger.warn(
+        `${orders.length - conversions.length} orders could not be converted into ` +
+          `${this.reportingCurrency} for lack of exchange rates`,
+        { sourceType, missing: [...missing].slice(0, MAX_LOGGED_ERRORS) }
+      );
+    }
+    return { converted: conversions.length, missing: [...missing] };
+  }
 
-      // Get all customers with their orders for CLV calculation
+  // Customer metrics, and the daily metrics of the store's current day in its own
+  // time zone and of the earlier days a run loaded orders or carts of
+  async calculateMetrics(sourceType, loadedDays = []) {
+    try {
+      const now = new Date();
+      const timezone = await this.getTimezone(sourceType);
+      const calculationDate = localDay(now, timezone);
+
+      // Get all customers with their orders and what was refunded on them for
+      // CLV calculation
       const customersQuery = `
         SELECT c.*,
           array_agg(
             json_build_object(
               'id', o.id,
               'customer_id', o.customer_id,
+              'currency', o.currency,
               'total_price', o.total_price,
+              'total_refunded', COALESCE(r.refunded, 0),
+              'total_price_reporting', o.total_price_reporting,
+              'total_refunded_reporting', COALESCE(r.refunded, 0) * o.fx_rate,
               'processed_at', o.processed_at,
               'financial_status', o.financial_status
             ) ORDER BY o.processed_at
           ) FILTER (WHERE o.id IS NOT NULL) as orders
         FROM customers c
         LEFT JOIN orders o ON o.customer_id = c.id
+        LEFT JOIN (
+          SELECT order_id, SUM(amount) AS refunded FROM refunds GROUP BY order_id
+        ) r ON r.order_id = o.id
         WHERE c.source_type = $1
         GROUP BY c.id`;
 
@@ -344,49 +1060,25 @@ export class ETLPipeline {
       const customersWithOrders = result.rows;
 
       // Calculate CLV for each customer
+      const unconverted = [];
       for (const customer of customersWithOrders) {
         if (customer.orders && customer.orders.length > 0) {
-          const metrics = this.clvCalculator.calculateCustomerMetrics(
-            customer,
-            customer.orders,
-            calculationDate
-          );
+          let metrics;
+          try {
+            metrics = this.clvCalculator.calculateCustomerMetrics(customer, customer.orders, now);
+          } catch (error) {
+            if (!(error instanceof UnconvertedOrderError)) throw error;
+            unconverted.push(error);
+            continue;
+          }
+          metrics.calculation_date = calculationDate;
 
           await this.loader.upsertCustomerMetrics(metrics);
         }
       }
+      this.warnUnconverted(unconverted, 'customers', sourceType);
 
-      // Calculate daily metrics
-      const ordersQuery = `
-        SELECT o.*,
-          array_agg(
-            json_build_object(
-              'source_product_id', oi.source_product_id,
-              'title', oi.title,
-              'quantity', oi.quantity,
-              'price', oi.price
-            )
-          ) FILTER (WHERE oi.id IS NOT NULL) as line_items
-        FROM orders o
-        LEFT JOIN order_items oi ON oi.order_id = o.id
-        WHERE o.source_type = $1
-          AND DATE(o.processed_at) = DATE($2)
-        GROUP BY o.id`;
-
-      const ordersResult = await this.loader.pool.query(ordersQuery, [
-        sourceType,
-        calculationDate,
-      ]);
-
-      const dailyOrders = ordersResult.rows;
-      const dailyMetrics = this.clvCalculator.calculateDailyMetrics(
-        dailyOrders,
-        data.products,
-        calculationDate
-      );
-
-      dailyMetrics.source_type = sourceType;
-      await this.loader.upsertDailyMetrics(dailyMetrics);
+      await this.recomputeDailyMetrics(sourceType, [calculationDate, ...loadedDays]);
 
       logger.info(`Metrics calculation completed for ${sourceType}`);
 
@@ -396,6 +1088,209 @@ export class ETLPipeline {
     }
   }
 
+  // Links the customers of all sources into unified customers, then calculates
+  // their metrics over the orders of every linked record
+  async resolveIdentities(calculationDate = new Date()) {
+    try {
+      const candidates = await this.loader.getIdentityCandidates();
+      const unified = this.identityResolver.resolve(candidates);
+      const saved = await this.loader.saveUnifiedCustomers(unified);
+
+      logger.info(
+        `Resolved ${candidates.length} customers into ${saved.unified} unified customers`,
+        { removed: saved.removed }
+      );
+
+      await this.calculateUnifiedMetrics(calculationDate);
+      return saved;
+    } catch (error) {
+      logger.error('Identity resolution failed', error);
+      throw error;
+    }
+  }
+
+  async calculateUnifiedMetrics(calculationDate = new Date()) {
+    const result = await this.loader.pool.query(`
+      SELECT u.id, u.source_count,
+        array_agg(
+          json_build_object(
+            'id', o.id,
+            'currency', o.currency,
+            'total_price', o.total_price,
+            'total_refunded', COALESCE(r.refunded, 0),
+            'total_price_reporting', o.total_price_reporting,
+            'total_refunded_reporting', COALESCE(r.refunded, 0) * o.fx_rate,
+            'processed_at', o.processed_at,
+            'financial_status', o.financial_status
+          ) ORDER BY o.processed_at
+        ) FILTER (WHERE o.id IS NOT NULL) AS orders
+      FROM unified_customers u
+      JOIN customer_identity_links l ON l.unified_customer_id = u.id
+      LEFT JOIN orders o ON o.customer_id = l.customer_id
+      LEFT JOIN (
+        SELECT order_id, SUM(amount) AS refunded FROM refunds GROUP BY order_id
+      ) r ON r.order_id = o.id
+      GROUP BY u.id`);
+
+    const unconverted = [];
+    for (const unifiedCustomer of result.rows) {
+      if (!unifiedCustomer.orders?.length) continue;
+
+      let metrics;
+      try {
+        metrics = this.clvCalculator.calculateUnifiedCustomerMetrics(
+          unifiedCustomer,
+          unifiedCustomer.orders,
+          calculationDate
+        );
+      } catch (error) {
+        if (!(error instanceof UnconvertedOrderError)) throw error;
+        unconverted.push(error);
+        continue;
+      }
+      await this.loader.upsertUnifiedCustomerMetrics(metrics);
+    }
+    this.warnUnconverted(unconverted, 'unified customers');
+
+    logger.info(`Unified customer metrics calculated for ${result.rows.length} customers`);
+  }
+
+  // Logs the records whose metrics were skipped because an order of theirs has
+  // no amounts in the reporting currency yet
+  warnUnconverted(errors, records, sourceType = null) {
+    if (errors.length === 0) return;
+
+    logger.warn(
+      `Skipped the metrics of ${errors.length} ${records} with orders not converted into ` +
+        `${this.reportingCurrency}; load their exchange rates with fx-rates`,
+      {
+        sourceType,
+        orders: errors
+          .slice(0, MAX_LOGGED_ERRORS)
+          .map(error => `${error.orderId} (${error.currency})`),
+      }
+    );
+  }
+
+  // Recalculates daily_metrics for the source's days, given as YYYY-MM-DD in the
+  // store's time zone, in one set-based statement. Days with an order or cart
+  // that cannot be put in the reporting currency are skipped and logged, and
+  // are recalculated by a later run or recompute-metrics once rates are loaded.
+  async recomputeDailyMetrics(sourceType, days, client = this.loader.pool) {
+    if (days.length === 0) {
+      return 0;
+    }
+
+    const timezone = await this.getTimezone(sourceType);
+    days = [...new Set(days.map(day => localDay(day, timezone)))].sort();
+
+    // Day -> what keeps it from being converted. Local days lie within a day of
+    // the UTC ones, so only orders dated around the days are read.
+    const skipped = new Map();
+    const unconverted = await this.loader.getUnconvertedOrders(
+      this.reportingCurrency,
+      sourceType,
+      client,
+      {
+        from: new Date(Date.parse(days[0]) - DAY_MS),
+        to: new Date(Date.parse(days[days.length - 1]) + 2 * DAY_MS),
+      }
+    );
+    for (const order of unconverted) {
+      const day = order.order_date && localDay(order.order_date, timezone);
+      if (days.includes(day) && !skipped.has(day)) {
+        skipped.set(day, `order ${order.id} in ${order.currency}`);
+      }
+    }
+
+    const connector = this.connectors[sourceType];
+    const withCarts = Boolean(connector && supportedEntities(connector, ['carts']).length);
+    let cartRates = [];
+    if (withCarts) {
+      const rates = await this.getCartRates(sourceType, days, timezone, client);
+      for (const { currency, day } of rates.missing) {
+        if (!skipped.has(day)) skipped.set(day, `carts in ${currency}`);
+      }
+      cartRates = rates.rates;
+    }
+
+    if (skipped.size > 0) {
+      logger.warn(
+        `Skipped the daily metrics of ${skipped.size} days for ${sourceType} lacking ` +
+          `${this.reportingCurrency} exchange rates; load them with fx-rates`,
+        {
+          days: [...skipped]
+            .slice(0, MAX_LOGGED_ERRORS)
+            .map(([day, reason]) => `${day}: ${reason}`),
+        }
+      );
+      days = days.filter(day => !skipped.has(day));
+      if (days.length === 0) {
+        return 0;
+      }
+    }
+
+    const recomputed = await this.loader.recomputeDailyMetrics(
+      sourceType,
+      days,
+      {
+        timezone,
+        withCarts,
+        cartRates,
+        abandonmentHours: this.clvCalculator.cartAbandonmentHours,
+      },
+      client
+    );
+    logger.info(`Recomputed daily metrics of ${recomputed} days for ${sourceType}`, {
+      from: days[0],
+      to: days[days.length - 1],
+    });
+    return recomputed;
+  }
+
+  // Recomputes the daily metrics of the days from through to (YYYY-MM-DD, in each
+  // store's time zone) for one source or every enabled source
+  async recomputeMetrics({ sourceType = null, from, to }) {
+    const days = listDays(from, to);
+    const sources = sourceType ? [sourceType] : Object.keys(this.connectors);
+    const results = {};
+
+    for (const source of sources) {
+      if (!this.connectors[source]) {
+        throw new Error(`Connector for ${source} not initialized`);
+      }
+      results[source] = await this.recomputeDailyMetrics(source, days);
+    }
+
+    return results;
+  }
+
+  // Rates converting the value of the open carts of the days into the reporting
+  // currency, per currency and day, and the { currency, day } pairs without one
+  async getCartRates(sourceType, days, timezone, client) {
+    const currencyDays = await this.loader.getCartCurrencyDays(sourceType, days, timezone, client);
+    if (currencyDays.length === 0) {
+      return { rates: [], missing: [] };
+    }
+
+    const fx = await this.getFxRates(
+      currencyDays.map(row => row.currency),
+      currencyDays.map(row => row.day),
+      client
+    );
+    const rates = [];
+    const missing = [];
+    for (const { currency, day } of currencyDays) {
+      try {
+        rates.push({ currency, day, rate: fx.rate(currency, day) });
+      } catch (error) {
+        if (!(error instanceof MissingRateError)) throw error;
+        missing.push({ currency, day });
+      }
+    }
+    return { rates, missing };
+  }
+
   async close() {
     await this.loader.close();
   }
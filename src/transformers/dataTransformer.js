@@ -14,7 +14,7 @@ export class DataTransformer {
       const customer = {
         source_id: String(rawCustomer.id),
         source_type: sourceType,
-        email: rawCustomer.email?.toLowerCase() || null,
+        email: this.normalizeEmail(rawCustomer.email),
         first_name: rawCustomer.first_name || null,
         last_name: rawCustomer.last_name || null,
         phone: this.extractPhone(rawCustomer),
@@ -25,8 +25,8 @@ export class DataTransformer {
         total_spent: parseFloat(rawCustomer.total_spent || 0),
         orders_count: parseInt(rawCustomer.orders_count || 0),
         tags: this.extractTags(rawCustomer),
-        created_at: this.parseDate(rawCustomer.created_at),
-        updated_at: this.parseDate(rawCustomer.updated_at),
+        created_at: this.parseDate(rawCustomer.created_at || rawCustomer.date_created),
+        updated_at: this.parseDate(rawCustomer.updated_at || rawCustomer.date_modified),
       };
 
       return customer;
@@ -50,8 +50,8 @@ export class DataTransformer {
         inventory_quantity: this.extractInventory(rawProduct),
         tags: this.extractTags(rawProduct),
         status: this.normalizeStatus(rawProduct.status),
-        created_at: this.parseDate(rawProduct.created_at),
-        updated_at: this.parseDate(rawProduct.updated_at),
+        created_at: this.parseDate(rawProduct.created_at || rawProduct.date_created),
+        updated_at: this.parseDate(rawProduct.updated_at || rawProduct.date_modified),
       };
 
       return product;
@@ -61,27 +61,105 @@ export class DataTransformer {
     }
   }
 
+  // Variants follow Shopify's shape, with option1..option3 named by the product's
+  // options, unless the connector gives their options as { name: value }
+  transformProductVariant(rawVariant, rawProduct, sourceType, position = 0) {
+    try {
+      const variant = {
+        source_id: String(rawVariant.id),
+        source_type: sourceType,
+        source_product_id: String(rawVariant.product_id || rawProduct.id),
+        title: rawVariant.title || null,
+        sku: rawVariant.sku || null,
+        barcode: rawVariant.barcode || null,
+        inventory_item_id: rawVariant.inventory_item_id
+          ? String(rawVariant.inventory_item_id)
+          : null,
+        options: this.extractVariantOptions(rawVariant, rawProduct.options),
+        price: this.parseAmount(rawVariant.price),
+        compare_at_price: this.parseAmount(rawVariant.compare_at_price),
+        inventory_quantity: rawVariant.inventory_quantity !== undefined &&
+          rawVariant.inventory_quantity !== null
+          ? parseInt(rawVariant.inventory_quantity)
+          : null,
+        weight: this.parseAmount(rawVariant.weight),
+        weight_unit: rawVariant.weight_unit || null,
+        position: rawVariant.position || position + 1,
+        created_at: this.parseDate(rawVariant.created_at || rawProduct.created_at),
+        updated_at: this.parseDate(rawVariant.updated_at || rawProduct.updated_at),
+      };
+
+      return variant;
+    } catch (error) {
+      logger.error('Error transforming product variant', { error, rawVariant });
+      throw error;
+    }
+  }
+
+  transformLocation(rawLocation, sourceType) {
+    try {
+      const location = {
+        source_id: String(rawLocation.id),
+        source_type: sourceType,
+        name: rawLocation.name || null,
+        city: rawLocation.city || null,
+        country: rawLocation.country_code || rawLocation.country || null,
+        active: rawLocation.active !== false,
+      };
+
+      return location;
+    } catch (error) {
+      logger.error('Error transforming location', { error, rawLocation });
+      throw error;
+    }
+  }
+
+  // Inventory levels follow Shopify's shape; connectors without inventory items
+  // give the SKU as inventory_item_id
+  transformInventoryLevel(rawLevel, sourceType, snapshotDate) {
+    try {
+      const available = parseInt(rawLevel.available);
+
+      const level = {
+        snapshot_date: snapshotDate,
+        source_type: sourceType,
+        source_item_id: String(rawLevel.inventory_item_id),
+        source_location_id: rawLevel.location_id ? String(rawLevel.location_id) : '',
+        sku: rawLevel.sku || null,
+        available: isNaN(available) ? null : available,
+      };
+
+      return level;
+    } catch (error) {
+      logger.error('Error transforming inventory level', { error, rawLevel });
+      throw error;
+    }
+  }
+
   transformOrder(rawOrder, sourceType) {
     try {
       const order = {
         source_id: String(rawOrder.id),
         source_type: sourceType,
         order_number: rawOrder.order_number || rawOrder.number || String(rawOrder.id),
-        email: rawOrder.email?.toLowerCase() || rawOrder.contact_email?.toLowerCase() || null,
+        email: this.normalizeEmail(rawOrder.email) || this.normalizeEmail(rawOrder.contact_email),
         financial_status: this.normalizeFinancialStatus(rawOrder.financial_status || rawOrder.status),
         fulfillment_status: rawOrder.fulfillment_status || null,
-        currency: rawOrder.currency || 'USD',
+        currency: rawOrder.currency?.toUpperCase() || 'USD',
         subtotal_price: parseFloat(rawOrder.subtotal_price || rawOrder.subtotal || 0),
         total_tax: parseFloat(rawOrder.total_tax || 0),
         total_discounts: parseFloat(rawOrder.total_discounts || rawOrder.discount_total || 0),
         total_shipping: parseFloat(rawOrder.total_shipping || rawOrder.shipping_total || 0),
         total_price: parseFloat(rawOrder.total_price || rawOrder.total || 0),
-        processed_at: this.parseDate(rawOrder.processed_at || rawOrder.created_at),
+        processed_at: this.parseDate(
+          rawOrder.processed_at || rawOrder.created_at || rawOrder.date_created
+        ),
         cancelled_at: this.parseDate(rawOrder.cancelled_at),
         tags: this.extractTags(rawOrder),
         source_name: rawOrder.source_name || null,
-        created_at: this.parseDate(rawOrder.created_at),
-        updated_at: this.parseDate(rawOrder.updated_at),
+        billing: this.extractBilling(rawOrder),
+        created_at: this.parseDate(rawOrder.created_at || rawOrder.date_created),
+        updated_at: this.parseDate(rawOrder.updated_at || rawOrder.date_modified),
       };
 
       return order;
@@ -91,10 +169,12 @@ export class DataTransformer {
     }
   }
 
-  transformOrderItem(rawItem, orderId, sourceType) {
+  // Items without a source id are keyed by their position in the order
+  transformOrderItem(rawItem, orderId, sourceType, position = 0) {
     try {
       const item = {
         order_id: orderId,
+        source_line_item_id: rawItem.id ? String(rawItem.id) : `line-${position + 1}`,
         source_product_id: String(rawItem.product_id || ''),
         source_variant_id: String(rawItem.variant_id || rawItem.variation_id || ''),
         title: rawItem.title || rawItem.name,
@@ -113,7 +193,182 @@ export class DataTransformer {
     }
   }
 
+  // Shopify refunds carry their money in refund transactions; connectors that
+  // map other platforms onto them give the amount directly
+  transformRefund(rawRefund, sourceType) {
+    try {
+      const transactions = (rawRefund.transactions || []).filter(
+        transaction => transaction.kind === 'refund' && transaction.status === 'success'
+      );
+      const amount = rawRefund.amount !== undefined && rawRefund.amount !== null
+        ? Math.abs(parseFloat(rawRefund.amount) || 0)
+        : transactions.reduce((sum, transaction) => sum + parseFloat(transaction.amount || 0), 0);
+
+      const refund = {
+        source_id: String(rawRefund.id),
+        source_type: sourceType,
+        source_order_id: rawRefund.order_id ? String(rawRefund.order_id) : null,
+        currency: rawRefund.currency || transactions[0]?.currency || null,
+        amount,
+        reason: rawRefund.note || rawRefund.reason || null,
+        processed_at: this.parseDate(rawRefund.processed_at || rawRefund.created_at),
+        created_at: this.parseDate(rawRefund.created_at),
+        updated_at: this.parseDate(rawRefund.updated_at || rawRefund.created_at),
+      };
+
+      return refund;
+    } catch (error) {
+      logger.error('Error transforming refund', { error, rawRefund });
+      throw error;
+    }
+  }
+
+  transformRefundItem(rawItem, sourceType) {
+    try {
+      const item = {
+        source_id: String(rawItem.id),
+        source_type: sourceType,
+        source_line_item_id: rawItem.line_item_id ? String(rawItem.line_item_id) : null,
+        quantity: Math.abs(parseInt(rawItem.quantity || 0)),
+        amount: Math.abs(parseFloat(rawItem.subtotal || 0)),
+      };
+
+      return item;
+    } catch (error) {
+      logger.error('Error transforming refund item', { error, rawItem });
+      throw error;
+    }
+  }
+
+  // Carts follow the Shopify checkout shape. A cart without a status is
+  // converted once completed and open until then.
+  transformCart(rawCart, sourceType) {
+    try {
+      const lineItems = (rawCart.line_items || []).map(item => ({
+        source_product_id: item.product_id ? String(item.product_id) : null,
+        source_variant_id: item.variant_id ? String(item.variant_id) : null,
+        title: item.title || null,
+        variant_title: item.variant_title || null,
+        sku: item.sku || null,
+        quantity: parseInt(item.quantity || 1),
+        price: parseFloat(item.price || 0),
+      }));
+
+      const cart = {
+        source_id: String(rawCart.id),
+        source_type: sourceType,
+        email: this.normalizeEmail(rawCart.email),
+        status: rawCart.status || (rawCart.completed_at ? 'converted' : 'open'),
+        currency: rawCart.currency?.toUpperCase() || null,
+        total_price: parseFloat(rawCart.total_price || 0),
+        item_count: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+        line_items: lineItems,
+        source_order_id: rawCart.order_id ? String(rawCart.order_id) : null,
+        completed_at: this.parseDate(rawCart.completed_at),
+        last_activity_at: this.parseDate(rawCart.updated_at || rawCart.created_at),
+        created_at: this.parseDate(rawCart.created_at),
+        updated_at: this.parseDate(rawCart.updated_at || rawCart.created_at),
+      };
+
+      return cart;
+    } catch (error) {
+      logger.error('Error transforming cart', { error, rawCart });
+      throw error;
+    }
+  }
+
+  // Payment records come from payment connectors in major currency units
+  transformPayment(rawPayment, sourceType) {
+    try {
+      const payment = {
+        source_id: String(rawPayment.id),
+        source_type: sourceType,
+        order_reference: rawPayment.order_reference ? String(rawPayment.order_reference) : null,
+        email: this.normalizeEmail(rawPayment.email),
+        status: rawPayment.status || null,
+        captured: Boolean(rawPayment.captured),
+        currency: rawPayment.currency?.toUpperCase() || null,
+        amount: parseFloat(rawPayment.amount || 0),
+        amount_refunded: parseFloat(rawPayment.amount_refunded || 0),
+        fee: this.parseAmount(rawPayment.fee),
+        net: this.parseAmount(rawPayment.net),
+        settlement_currency: rawPayment.settlement_currency?.toUpperCase() || null,
+        balance_transaction_id: rawPayment.balance_transaction_id || null,
+        created_at: this.parseDate(rawPayment.created_at),
+        updated_at: this.parseDate(rawPayment.updated_at || rawPayment.created_at),
+      };
+
+      return payment;
+    } catch (error) {
+      logger.error('Error transforming payment', { error, rawPayment });
+      throw error;
+    }
+  }
+
+  transformPaymentRefund(rawRefund, sourceType) {
+    try {
+      const refund = {
+        source_id: String(rawRefund.id),
+        source_type: sourceType,
+        source_payment_id: rawRefund.payment_id ? String(rawRefund.payment_id) : null,
+        status: rawRefund.status || null,
+        reason: rawRefund.reason || null,
+        currency: rawRefund.currency?.toUpperCase() || null,
+        amount: parseFloat(rawRefund.amount || 0),
+        fee: this.parseAmount(rawRefund.fee),
+        created_at: this.parseDate(rawRefund.created_at),
+        updated_at: this.parseDate(rawRefund.updated_at || rawRefund.created_at),
+      };
+
+      return refund;
+    } catch (error) {
+      logger.error('Error transforming payment refund', { error, rawRefund });
+      throw error;
+    }
+  }
+
+  transformPaymentDispute(rawDispute, sourceType) {
+    try {
+      const dispute = {
+        source_id: String(rawDispute.id),
+        source_type: sourceType,
+        source_payment_id: rawDispute.payment_id ? String(rawDispute.payment_id) : null,
+        status: rawDispute.status || null,
+        reason: rawDispute.reason || null,
+        amount: parseFloat(rawDispute.amount || 0),
+        fee: this.parseAmount(rawDispute.fee),
+        created_at: this.parseDate(rawDispute.created_at),
+        updated_at: this.parseDate(rawDispute.updated_at || rawDispute.created_at),
+      };
+
+      return dispute;
+    } catch (error) {
+      logger.error('Error transforming payment dispute', { error, rawDispute });
+      throw error;
+    }
+  }
+
   // Helper methods
+  // Customers, guests, orders and carts are matched on the email as given here
+  normalizeEmail(email) {
+    return email?.trim().toLowerCase() || null;
+  }
+
+  // The buyer's details from the order, which guest customers are created from
+  extractBilling(rawOrder) {
+    const address = rawOrder.billing_address || {};
+
+    return {
+      first_name: address.first_name || rawOrder.customer?.first_name || null,
+      last_name: address.last_name || rawOrder.customer?.last_name || null,
+      phone: address.phone || rawOrder.phone || null,
+      city: address.city || null,
+      state: address.province || address.province_code || null,
+      country: address.country || address.country_code || null,
+      postal_code: address.zip || null,
+    };
+  }
+
   extractPhone(customer) {
     if (customer.phone) return customer.phone;
     if (customer.default_address?.phone) return customer.default_address.phone;
@@ -190,6 +445,18 @@ export class DataTransformer {
     return 0;
   }
 
+  extractVariantOptions(variant, productOptions = []) {
+    if (variant.options && !Array.isArray(variant.options)) return variant.options;
+
+    const options = {};
+    [variant.option1, variant.option2, variant.option3].forEach((value, index) => {
+      if (value) {
+        options[productOptions?.[index]?.name || `Option ${index + 1}`] = value;
+      }
+    });
+    return options;
+  }
+
   normalizeStatus(status) {
     if (!status) return 'active';
     const normalized = status.toLowerCase();
@@ -211,6 +478,13 @@ export class DataTransformer {
     return status;
   }
 
+  // Unlike prices, a missing fee stays null rather than becoming 0
+  parseAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(value);
+    return isNaN(amount) ? null : amount;
+  }
+
   parseDate(dateString) {
     if (!dateString) return null;
     const date = new Date(dateString);
@@ -230,6 +504,22 @@ export class DataTransformer {
     return orders.map(order => this.transformOrder(order, sourceType));
   }
 
+  transformCartBatch(carts, sourceType) {
+    return carts.map(cart => this.transformCart(cart, sourceType));
+  }
+
+  transformPaymentBatch(payments, sourceType) {
+    return payments.map(payment => this.transformPayment(payment, sourceType));
+  }
+
+  transformPaymentRefundBatch(refunds, sourceType) {
+    return refunds.map(refund => this.transformPaymentRefund(refund, sourceType));
+  }
+
+  transformPaymentDisputeBatch(disputes, sourceType) {
+    return disputes.map(dispute => this.transformPaymentDispute(dispute, sourceType));
+  }
+
   // Data validation
   validateCustomer(customer) {
     const errors = [];
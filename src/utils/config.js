@@ -1,31 +1,22 @@
 import dotenv from 'dotenv';
+import {
+  listConnectors,
+  readSourceConfig,
+  validateSourceConfig,
+} from '../connectors/registry.js';
+import { parseMatchRules } from '../analytics/identityResolver.js';
+import { isValidTimezone } from './timezone.js';
 
 dotenv.config();
 
-export const config = {
-  // Shopify configuration
-  shopify: {
-    enabled: process.env.ENABLE_SHOPIFY === 'true',
-    storeUrl: process.env.SHOPIFY_STORE_URL,
-    accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
-  },
-
-  // WooCommerce configuration
-  woocommerce: {
-    enabled: process.env.ENABLE_WOOCOMMERCE === 'true',
-    url: process.env.WOOCOMMERCE_URL,
-    consumerKey: process.env.WOOCOMMERCE_CONSUMER_KEY,
-    consumerSecret: process.env.WOOCOMMERCE_CONSUMER_SECRET,
-  },
+export const LOAD_TRANSACTION_SCOPES = ['none', 'page', 'source'];
 
-  // Commercetools configuration
-  commercetools: {
-    enabled: process.env.ENABLE_COMMERCETOOLS === 'true',
-    projectKey: process.env.COMMERCETOOLS_PROJECT_KEY,
-    clientId: process.env.COMMERCETOOLS_CLIENT_ID,
-    clientSecret: process.env.COMMERCETOOLS_CLIENT_SECRET,
-    region: process.env.COMMERCETOOLS_REGION || 'us-central1',
-  },
+export const config = {
+  // Data source configuration, one entry per registered connector, read from
+  // ENABLE_<SOURCE> and the variables in the connector's configSchema
+  sources: Object.fromEntries(
+    listConnectors().map(Connector => [Connector.source, readSourceConfig(Connector)])
+  ),
 
   // Database configuration
   database: {
@@ -42,6 +33,33 @@ export const config = {
     batchSize: parseInt(process.env.BATCH_SIZE || '100'),
     retryAttempts: parseInt(process.env.RETRY_ATTEMPTS || '3'),
     retryDelay: parseInt(process.env.RETRY_DELAY || '5000'), // milliseconds
+    // Unit of work that commits or rolls back as a whole: none, page or source
+    loadTransaction: process.env.LOAD_TRANSACTION || 'none',
+    // Share of rejected rows above which a transactional load is rolled back
+    maxErrorRate: parseFloat(process.env.MAX_ERROR_RATE || '0.05'),
+    // Time zone days are bucketed in for stores that report none of their own
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+  },
+
+  // Cross-source customer identity resolution: the rules that link customers,
+  // each optionally with its confidence, e.g. email,phone:0.8
+  identity: {
+    matchRules: (process.env.IDENTITY_MATCH_RULES || 'email,phone,name_postal')
+      .split(',')
+      .map(rule => rule.trim())
+      .filter(Boolean),
+  },
+
+  // Currency conversion: analytics sum order amounts converted into the
+  // reporting currency with rates loaded from ratesFile on every run
+  fx: {
+    reportingCurrency: (process.env.REPORTING_CURRENCY || 'USD').trim().toUpperCase(),
+    ratesFile: process.env.FX_RATES_FILE || null,
+  },
+
+  // Webhook receiver configuration
+  webhooks: {
+    port: parseInt(process.env.WEBHOOK_PORT || '3000'),
   },
 
   // Logging configuration
@@ -54,41 +72,42 @@ export const config = {
 export function validateConfig() {
   const errors = [];
 
-  if (config.shopify.enabled) {
-    if (!config.shopify.storeUrl) {
-      errors.push('SHOPIFY_STORE_URL is required when Shopify is enabled');
-    }
-    if (!config.shopify.accessToken) {
-      errors.push('SHOPIFY_ACCESS_TOKEN is required when Shopify is enabled');
-    }
+  const enabled = listConnectors().filter(Connector => config.sources[Connector.source].enabled);
+
+  for (const Connector of enabled) {
+    errors.push(...validateSourceConfig(Connector, config.sources[Connector.source]));
+  }
+
+  if (enabled.length === 0) {
+    const labels = listConnectors().map(Connector => Connector.label);
+    errors.push(`At least one data source (${labels.join(', ')}) must be enabled`);
+  }
+
+  if (!LOAD_TRANSACTION_SCOPES.includes(config.pipeline.loadTransaction)) {
+    errors.push(`LOAD_TRANSACTION must be one of: ${LOAD_TRANSACTION_SCOPES.join(', ')}`);
+  }
+
+  try {
+    parseMatchRules(config.identity.matchRules);
+  } catch (error) {
+    errors.push(`IDENTITY_MATCH_RULES: ${error.message}`);
+  }
+
+  if (!isValidTimezone(config.pipeline.defaultTimezone)) {
+    errors.push('DEFAULT_TIMEZONE must be an IANA time zone, e.g. America/New_York');
   }
 
-  if (config.woocommerce.enabled) {
-    if (!config.woocommerce.url) {
-      errors.push('WOOCOMMERCE_URL is required when WooCommerce is enabled');
-    }
-    if (!config.woocommerce.consumerKey) {
-      errors.push('WOOCOMMERCE_CONSUMER_KEY is required when WooCommerce is enabled');
-    }
-    if (!config.woocommerce.consumerSecret) {
-      errors.push('WOOCOMMERCE_CONSUMER_SECRET is required when WooCommerce is enabled');
-    }
+  if (!/^[A-Z]{3}$/.test(config.fx.reportingCurrency)) {
+    errors.push('REPORTING_CURRENCY must be a three-letter currency code');
   }
 
-  if (config.commercetools.enabled) {
-    if (!config.commercetools.projectKey) {
-      errors.push('COMMERCETOOLS_PROJECT_KEY is required when Commercetools is enabled');
-    }
-    if (!config.commercetools.clientId) {
-      errors.push('COMMERCETOOLS_CLIENT_ID is required when Commercetools is enabled');
-    }
-    if (!config.commercetools.clientSecret) {
-      errors.push('COMMERCETOOLS_CLIENT_SECRET is required when Commercetools is enabled');
-    }
+  if (isNaN(config.webhooks.port)) {
+    errors.push('WEBHOOK_PORT must be an integer');
   }
 
-  if (!config.shopify.enabled && !config.woocommerce.enabled && !config.commercetools.enabled) {
-    errors.push('At least one data source (Shopify, WooCommerce, or Commercetools) must be enabled');
+  const { maxErrorRate } = config.pipeline;
+  if (isNaN(maxErrorRate) || maxErrorRate < 0 || maxErrorRate > 1) {
+    errors.push('MAX_ERROR_RATE must be a number between 0 and 1');
   }
 
   if (!config.database.user) {
@@ -0,0 +1,53 @@
+// Parses RFC 4180 CSV: quoted fields may hold delimiters, line breaks and
+// doubled quotes. Returns one object per row keyed by the header row; blank
+// lines are skipped and missing trailing fields read as ''.
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field in CSV row ${rows.length + 1}`);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(values => values.some(value => value !== ''));
+  const columns = header.map(name => name.trim());
+
+  return records.map(values =>
+    Object.fromEntries(columns.map((name, i) => [name, values[i] ?? '']))
+  );
+}
@@ -0,0 +1,53 @@
+import { addDays, addMonths, addWeeks } from 'date-fns';
+
+const WINDOW_STEPS = {
+  day: addDays,
+  week: addWeeks,
+  month: addMonths,
+};
+
+export const WINDOW_SIZES = Object.keys(WINDOW_STEPS);
+
+// Splits [from, to) into consecutive windows; the last window is clipped to `to`
+export function splitDateRange(from, to, size = 'day') {
+  const step = WINDOW_STEPS[size];
+  if (!step) {
+    throw new Error(`Unknown window size "${size}", expected one of: ${WINDOW_SIZES.join(', ')}`);
+  }
+  if (!(from < to)) {
+    throw new Error('Date range start must be before its end');
+  }
+
+  const windows = [];
+  let start = from;
+
+  while (start < to) {
+    const next = step(start, 1);
+    const end = next < to ? next : to;
+    windows.push({ start, end });
+    start = end;
+  }
+
+  return windows;
+}
+
+// The calendar days from through to, both included, as YYYY-MM-DD
+export function listDays(from, to) {
+  for (const day of [from, to]) {
+    const date = new Date(`${day}T00:00:00Z`);
+    if (isNaN(date) || date.toISOString().slice(0, 10) !== day) {
+      throw new Error(`Invalid day "${day}", expected YYYY-MM-DD`);
+    }
+  }
+  if (from > to) {
+    throw new Error('Date range start must not be after its end');
+  }
+
+  // Stepped in UTC, where every day is 24 hours long
+  const days = [from];
+  while (days[days.length - 1] !== to) {
+    const next = new Date(`${days[days.length - 1]}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+    days.push(new Date(next).toISOString().slice(0, 10));
+  }
+  return days;
+}
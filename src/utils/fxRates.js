@@ -0,0 +1,210 @@
+import fs from 'fs';
+import { parseCsv } from './csv.js';
+
+// ECB reference rates are quoted against the euro
+const ECB_BASE = 'EUR';
+
+// A day without rates, such as a weekend, takes the latest of this many days before
+export const MAX_RATE_AGE_DAYS = 7;
+
+export class MissingRateError extends Error {
+  constructor(currency, reportingCurrency, day) {
+    super(`No ${currency} to ${reportingCurrency} exchange rate for ${day}`);
+    this.name = 'MissingRateError';
+    this.currency = currency;
+    this.day = day;
+  }
+}
+
+// Raised for an order metrics need in the reporting currency that no rate
+// converted yet
+export class UnconvertedOrderError extends Error {
+  constructor(order, field = 'total_price') {
+    super(
+      `Order ${order.id} in ${order.currency} has no ${field} in the reporting currency; ` +
+        'load the exchange rates of its date with fx-rates'
+    );
+    this.name = 'UnconvertedOrderError';
+    this.orderId = order.id;
+    this.currency = order.currency;
+  }
+}
+
+// UTC calendar day of an instant, so the rate of an order does not depend on
+// the time zone of the host; kept as it is when already given as YYYY-MM-DD
+export function dayOf(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function daysBefore(day, count) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - count);
+  return dayOf(date);
+}
+
+// The days whose rates can convert amounts of the given dates
+export function rateWindow(dates) {
+  const days = dates.map(dayOf).sort();
+  return { from: daysBefore(days[0], MAX_RATE_AGE_DAYS), to: days[days.length - 1] };
+}
+
+// Index of the last of the ordered days on or before day, -1 when there is none
+function lastDayIndex(days, day) {
+  let low = 0;
+  let high = days.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (days[middle] <= day) low = middle + 1;
+    else high = middle;
+  }
+  return low - 1;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// The ECB's daily CSV writes its date as 17 October 2025, its history CSV and
+// every other file as YYYY-MM-DD
+function parseRateDay(value) {
+  const match = value?.match(/^(\d{1,2}) ([A-Za-z]+) (\d{4})$/);
+  if (!match) return value;
+
+  const month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+  if (month === 0) return value;
+  return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+function rateRow(day, base, currency, value) {
+  const rate = parseFloat(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !base || !currency || !(rate > 0)) return null;
+
+  return {
+    rate_date: day,
+    base_currency: base.toUpperCase(),
+    currency: currency.toUpperCase(),
+    rate,
+  };
+}
+
+// Reads date,currency,rate rows with an optional base column (the euro when
+// absent), or the ECB's own daily or history CSV with a Date column and a
+// column per currency.
+// Rates are units of currency per unit of base; N/A and blank rates are skipped.
+export function parseFxCsv(text) {
+  const records = parseCsv(text);
+  const columns = Object.keys(records[0] || {});
+
+  if (!columns.includes('currency')) {
+    const date = columns.find(column => column.toLowerCase() === 'date');
+    if (!date) {
+      throw new Error('FX rates CSV needs either date, currency and rate columns or a Date column');
+    }
+
+    return records.flatMap(record =>
+      columns
+        .filter(column => column !== date && /^[A-Z]{3}$/.test(column))
+        .map(column => rateRow(parseRateDay(record[date].trim()), ECB_BASE, column, record[column]))
+        .filter(Boolean)
+    );
+  }
+
+  return records
+    .map(record =>
+      rateRow(
+        record.date?.trim(),
+        record.base?.trim() || ECB_BASE,
+        record.currency.trim(),
+        record.rate
+      )
+    )
+    .filter(Boolean);
+}
+
+// Reads the ECB's eurofxref XML: a Cube per day holding a Cube per currency
+export function parseEcbXml(text) {
+  const rates = [];
+
+  const days = text.matchAll(/<Cube\s+time=["']([^"']+)["']\s*>([\s\S]*?)<\/Cube>/g);
+
+  for (const [, day, cubes] of days) {
+    for (const [, currency, rate] of cubes.matchAll(
+      /<Cube\s+currency=["']([A-Z]{3})["']\s+rate=["']([^"']+)["']\s*\/>/g
+    )) {
+      const row = rateRow(day, ECB_BASE, currency, rate);
+      if (row) rates.push(row);
+    }
+  }
+
+  return rates;
+}
+
+// A file that gives no rate at all is rejected rather than loaded as nothing
+export async function readFxRatesFile(file) {
+  const content = await fs.promises.readFile(file, 'utf8');
+  const rates =
+    /\.xml$/i.test(file) || content.trimStart().startsWith('<')
+      ? parseEcbXml(content)
+      : parseFxCsv(content);
+
+  if (rates.length === 0) {
+    throw new Error(`${file} has no exchange rates with a valid date and rate`);
+  }
+  return rates;
+}
+
+// Converts amounts into the reporting currency. Any two currencies quoted
+// against the same base on a day give a cross rate.
+export class FxRates {
+  constructor(reportingCurrency, rates = []) {
+    this.reportingCurrency = reportingCurrency;
+    // base -> day -> currency -> rate, with each base's days in order
+    this.quotes = new Map();
+    this.days = new Map();
+
+    for (const rate of rates) {
+      const day = dayOf(rate.rate_date);
+      if (!this.quotes.has(rate.base_currency)) this.quotes.set(rate.base_currency, new Map());
+
+      const byDay = this.quotes.get(rate.base_currency);
+      if (!byDay.has(day)) byDay.set(day, new Map([[rate.base_currency, 1]]));
+      byDay.get(day).set(rate.currency, parseFloat(rate.rate));
+    }
+
+    for (const [base, byDay] of this.quotes) {
+      this.days.set(base, [...byDay.keys()].sort());
+    }
+  }
+
+  // Units of the reporting currency per unit of currency on the day of date
+  rate(currency, date) {
+    if (currency === this.reportingCurrency) return 1;
+
+    const day = dayOf(date);
+    const oldest = daysBefore(day, MAX_RATE_AGE_DAYS);
+    let best = null;
+
+    for (const [base, days] of this.days) {
+      const byDay = this.quotes.get(base);
+
+      for (let i = lastDayIndex(days, day); i >= 0 && days[i] >= oldest; i--) {
+        if (best && days[i] <= best.day) break;
+
+        const quotes = byDay.get(days[i]);
+        if (quotes.has(currency) && quotes.has(this.reportingCurrency)) {
+          best = { day: days[i], rate: quotes.get(this.reportingCurrency) / quotes.get(currency) };
+          break;
+        }
+      }
+    }
+
+    if (!best) {
+      throw new MissingRateError(currency, this.reportingCurrency, day);
+    }
+    return best.rate;
+  }
+
+  convert(amount, currency, date) {
+    return (parseFloat(amount) || 0) * this.rate(currency, date);
+  }
+}
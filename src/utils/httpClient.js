@@ -0,0 +1,115 @@
+import axios from 'axios';
+import { logger } from './logger.js';
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Methods that can be sent again without repeating a side effect
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'put', 'delete', 'options']);
+
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+]);
+
+export function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.has(error.response.status);
+  }
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full jitter: a random delay up to the exponential ceiling for this attempt
+export function backoffDelay(attempt, baseDelay, maxDelay, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+// Shared axios wrapper for the connectors. Transient failures (429, 5xx and
+// connection resets) of idempotent requests are retried with jittered
+// exponential backoff, honouring Retry-After up to maxRetryDelay. Posts are
+// only retried when the caller passes options.idempotent. Counts are kept for
+// the run log.
+export class HttpClient {
+  constructor(options = {}) {
+    this.name = options.name || 'HTTP';
+    this.retryAttempts = options.retryAttempts ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 60000;
+    this.stats = { requests: 0, retries: 0 };
+  }
+
+  async get(url, config = {}, options = {}) {
+    return this.request('get', url, undefined, config, options);
+  }
+
+  async post(url, data, config = {}, options = {}) {
+    return this.request('post', url, data, config, options);
+  }
+
+  // config may be a function so headers are rebuilt on every attempt, e.g. with
+  // a token refreshed by options.onUnauthorized after a 401
+  async request(method, url, data, config, options = {}) {
+    const retryable = options.idempotent ?? IDEMPOTENT_METHODS.has(method);
+    let attempt = 0;
+    let reauthorized = false;
+
+    for (;;) {
+      try {
+        const requestConfig = typeof config === 'function' ? await config() : config;
+        this.stats.requests++;
+
+        return method === 'post'
+          ? await axios.post(url, data, requestConfig)
+          : await axios.get(url, requestConfig);
+      } catch (error) {
+        if (error.response?.status === 401 && options.onUnauthorized && !reauthorized) {
+          reauthorized = true;
+          logger.warn(`${this.name} request unauthorized, refreshing credentials`, { url });
+          await options.onUnauthorized();
+          continue;
+        }
+
+        if (!retryable || attempt >= this.retryAttempts || !isRetryable(error)) {
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        const delay =
+          retryAfter === null
+            ? backoffDelay(attempt, this.retryDelay, this.maxRetryDelay)
+            : Math.min(retryAfter, this.maxRetryDelay);
+
+        attempt++;
+        this.stats.retries++;
+        logger.warn(`${this.name} request failed, retrying in ${delay}ms`, {
+          url,
+          attempt,
+          status: error.response?.status,
+          code: error.code,
+        });
+
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
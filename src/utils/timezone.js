@@ -0,0 +1,44 @@
+// Time zone of the Node process, for days bucketed without a store's
+export const PROCESS_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatters = new Map();
+
+function dayFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+// True for IANA names such as America/New_York and for UTC
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+
+  try {
+    dayFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Calendar day of an instant in the time zone, as YYYY-MM-DD. A day given as
+// YYYY-MM-DD is already local and kept as it is.
+export function localDay(date, timezone = PROCESS_TIMEZONE) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+
+  const parts = Object.fromEntries(
+    dayFormatter(timezone)
+      .formatToParts(new Date(date))
+      .map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
@@ -0,0 +1,143 @@
+import http from 'http';
+import { logger } from '../utils/logger.js';
+
+// Shopify caps webhook payloads well below this; anything larger is not a delivery
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+class WebhookError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+function readBody(request, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new WebhookError(413, 'Payload too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+// Receives webhooks at POST <basePath>/<source> for every source whose
+// connector accepts them and hands each verified delivery to the pipeline.
+// Topics a source does not map to an entity are acknowledged and dropped, so
+// the platform does not retry or disable the subscription.
+export class WebhookServer {
+  constructor(pipeline, options = {}) {
+    this.pipeline = pipeline;
+    this.port = options.port ?? 3000;
+    this.basePath = options.basePath || '/webhooks';
+    this.maxBodyBytes = options.maxBodyBytes || MAX_BODY_BYTES;
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  // Sources that can receive webhooks: declared topics and a configured secret
+  sources() {
+    return Object.keys(this.pipeline.connectors).filter(source =>
+      this.pipeline.connectors[source].acceptsWebhooks?.()
+    );
+  }
+
+  async start() {
+    const sources = this.sources();
+    if (sources.length === 0) {
+      throw new Error(
+        'No enabled source accepts webhooks; ' +
+          'set SHOPIFY_WEBHOOK_SECRET or WOOCOMMERCE_WEBHOOK_SECRET'
+      );
+    }
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const { port } = this.server.address();
+    logger.info(`Webhook server listening on port ${port}`, {
+      endpoints: sources.map(source => `${this.basePath}/${source}`),
+    });
+    return port;
+  }
+
+  async stop() {
+    await new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async handle(request, response) {
+    const reply = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+
+    try {
+      const result = await this.receive(request);
+      reply(200, result);
+    } catch (error) {
+      const status = error instanceof WebhookError ? error.status : 500;
+      if (status === 500) {
+        logger.error('Webhook ingestion failed', { error: error.message, url: request.url });
+      } else {
+        logger.warn(`Rejected webhook: ${error.message}`, { status, url: request.url });
+      }
+      reply(status, { error: status === 500 ? 'Ingestion failed' : error.message });
+    }
+  }
+
+  async receive(request) {
+    const url = new URL(request.url, 'http://localhost');
+    const prefix = `${this.basePath}/`;
+    const source = url.pathname.startsWith(prefix) ? url.pathname.slice(prefix.length) : null;
+    const connector = source && this.pipeline.connectors[source];
+
+    if (!connector?.acceptsWebhooks?.()) {
+      throw new WebhookError(404, 'Not found');
+    }
+    if (request.method !== 'POST') {
+      throw new WebhookError(405, 'Method not allowed');
+    }
+
+    const body = await readBody(request, this.maxBodyBytes);
+    const { id, topic, signature } = connector.readWebhook(request.headers);
+
+    if (!connector.verifyWebhook(body, signature)) {
+      throw new WebhookError(401, 'Invalid signature');
+    }
+
+    const entity = connector.constructor.webhookTopics[topic];
+    if (!entity) {
+      logger.info(`Ignoring ${source} webhook topic ${topic || '(none)'}`);
+      return { status: 'ignored' };
+    }
+    if (!id) {
+      throw new WebhookError(400, 'Missing webhook id');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch {
+      throw new WebhookError(400, 'Invalid JSON payload');
+    }
+
+    const result = await this.pipeline.ingestWebhook(source, { id, topic, entity, payload });
+    return { status: result.duplicate ? 'duplicate' : 'ingested' };
+  }
+}
@@ -124,6 +124,92 @@ describe('CLVCalculator', () => {
       const result = calculator.calculateTotalRevenue(orders);
       assert.equal(result, 150.00);
     });
+
+    it('should net out refunded amounts', () => {
+      const orders = [
+        { total_price: '100.00', total_refunded: '25.00' },
+        { total_price: 50.00, total_refunded: 0 },
+      ];
+
+      assert.equal(calculator.calculateTotalRevenue(orders), 125);
+      assert.equal(calculator.calculateTotalRefunds(orders), 25);
+    });
+
+    it('should sum amounts converted into the reporting currency', () => {
+      const orders = [
+        {
+          currency: 'EUR',
+          total_price: '100.00',
+          total_refunded: '10.00',
+          total_price_reporting: '110.00',
+          total_refunded_reporting: '11.00',
+        },
+        {
+          currency: 'USD',
+          total_price: '50.00',
+          total_refunded: 0,
+          total_price_reporting: '50.00',
+          total_refunded_reporting: 0,
+        },
+      ];
+
+      assert.equal(calculator.calculateTotalRevenue(orders), 149);
+      assert.equal(calculator.calculateTotalRefunds(orders), 11);
+    });
+
+    it('should refuse orders left without a rate', () => {
+      const orders = [
+        { id: 7, currency: 'JPY', total_price: '9000', total_price_reporting: null },
+      ];
+
+      assert.throws(
+        () => calculator.calculateTotalRevenue(orders),
+        /Order 7 in JPY has no total_price in the reporting currency/
+      );
+    });
+  });
+
+  describe('refunds', () => {
+    it('should score customers on net revenue and report their refund rate', () => {
+      const customer = { id: 1 };
+      const orders = [
+        { customer_id: 1, total_price: 600, total_refunded: 150, processed_at: '2024-01-01' },
+      ];
+
+      const metrics = calculator.calculateCustomerMetrics(
+        customer,
+        orders,
+        new Date('2024-01-10')
+      );
+
+      assert.equal(metrics.total_revenue, 450);
+      assert.equal(metrics.total_refunds, 150);
+      assert.equal(metrics.refund_rate, 0.25);
+      assert.equal(metrics.rfm_monetary_score, 2);
+    });
+  });
+
+  describe('calculateUnifiedCustomerMetrics', () => {
+    it('should score the orders of every linked record as one customer', () => {
+      const unifiedCustomer = { id: 7, source_count: 2 };
+      const orders = [
+        { customer_id: 1, total_price: 100, processed_at: '2024-01-01' },
+        { customer_id: 2, total_price: 300, processed_at: '2024-02-01' },
+      ];
+
+      const metrics = calculator.calculateUnifiedCustomerMetrics(
+        unifiedCustomer,
+        orders,
+        new Date('2024-02-10')
+      );
+
+      assert.equal(metrics.unified_customer_id, 7);
+      assert.equal(metrics.source_count, 2);
+      assert.equal(metrics.customer_id, undefined);
+      assert.equal(metrics.total_orders, 2);
+      assert.equal(metrics.total_revenue, 400);
+      assert.equal(metrics.days_since_last_purchase, 9);
+    });
   });
 
   describe('calculateChurnProbability', () => {
@@ -360,6 +446,126 @@ describe('CLVCalculator', () => {
       assert.equal(result.total_revenue, 225.00);
     });
 
+    it('should net refunds made on the day\'s orders out of revenue', () => {
+      const refundedOrders = [
+        { ...mockOrders[0], total_refunded: '40.00' },
+        ...mockOrders.slice(1),
+      ];
+
+      const result = calculator.calculateDailyMetrics(
+        refundedOrders,
+        mockProducts,
+        new Date('2024-01-15')
+      );
+
+      assertObjectPartialMatch(result, {
+        gross_revenue: 325,
+        total_refunds: 40,
+        total_revenue: 285,
+      });
+      assert.equal(result.refund_rate, 40 / 325);
+      assert.equal(result.revenue_by_source.web, 135);
+    });
+
+    it('should report converted order and product revenue', () => {
+      const converted = [{
+        id: 1,
+        currency: 'EUR',
+        total_price: '100.00',
+        total_refunded: '20.00',
+        total_price_reporting: '110.00',
+        total_refunded_reporting: '22.00',
+        processed_at: '2024-01-15T10:00:00',
+        line_items: [
+          { source_product_id: '1', quantity: 2, price: '50.00', price_reporting: '55.00' },
+        ],
+      }];
+
+      const result = calculator.calculateDailyMetrics(converted, [], new Date('2024-01-15'));
+
+      assertObjectPartialMatch(result, {
+        gross_revenue: 110,
+        total_refunds: 22,
+        total_revenue: 88,
+      });
+      assert.equal(result.top_selling_products[0].revenue, 110);
+    });
+
+    it('should calculate the checkout funnel from the day\'s carts', () => {
+      const carts = [
+        // Idle for days, abandoned
+        { status: 'open', total_price: '60.00', created_at: '2024-01-15T09:00:00Z' },
+        { status: 'open', total_price: '40.00', created_at: '2024-01-15T11:00:00Z' },
+        // Converted, merged or from another day: not counted
+        { status: 'converted', total_price: '100.00', created_at: '2024-01-15T09:30:00Z' },
+        { status: 'merged', total_price: '20.00', created_at: '2024-01-15T10:00:00Z' },
+        { status: 'open', total_price: '80.00', created_at: '2024-01-14T10:00:00Z' },
+      ];
+
+      const result = calculator.calculateDailyMetrics(
+        mockOrders,
+        mockProducts,
+        new Date('2024-01-15'),
+        carts
+      );
+
+      assertObjectPartialMatch(result, {
+        abandoned_carts: 2,
+        abandoned_revenue: 100,
+      });
+      assert.equal(result.conversion_rate, 3 / 5);
+      assert.equal(result.cart_abandonment_rate, 2 / 5);
+    });
+
+    it('should keep recently active carts open rather than abandoned', () => {
+      const now = new Date('2024-01-15T20:00:00Z');
+      const carts = [
+        { status: 'open', total_price: 30, created_at: '2024-01-15T09:00:00Z',
+          updated_at: '2024-01-15T19:00:00Z' },
+      ];
+
+      const funnel = calculator.calculateCartFunnel(carts, 1, new Date('2024-01-15'), now);
+
+      assert.deepEqual(funnel, {
+        conversion_rate: 0.5,
+        cart_abandonment_rate: 0,
+        abandoned_carts: 0,
+        abandoned_revenue: 0,
+      });
+    });
+
+    it('should bucket orders and carts in the store\'s local day', () => {
+      // Late evening in New York is already the next day in UTC
+      const orders = [
+        { id: 1, customer_id: 1, total_price: '30.00', processed_at: '2024-01-16T02:00:00Z' },
+        { id: 2, customer_id: 2, total_price: '50.00', processed_at: '2024-01-15T04:00:00Z' },
+      ];
+      const carts = [
+        { status: 'open', total_price: '20.00', created_at: '2024-01-16T03:00:00Z' },
+        { status: 'open', total_price: '10.00', created_at: '2024-01-15T03:00:00Z' },
+      ];
+
+      const result = calculator.calculateDailyMetrics(
+        orders,
+        [],
+        '2024-01-15',
+        carts,
+        'America/New_York'
+      );
+
+      assert.equal(result.total_orders, 1);
+      assert.equal(result.gross_revenue, 30);
+      assert.equal(result.abandoned_revenue, 20);
+    });
+
+    it('should leave the funnel empty for sources without carts', () => {
+      const result = calculator.calculateDailyMetrics(mockOrders, mockProducts, new Date());
+
+      assert.equal(result.conversion_rate, null);
+      assert.equal(result.cart_abandonment_rate, null);
+      assert.equal(result.abandoned_revenue, null);
+    });
+
     it('should handle empty orders', () => {
       const result = calculator.calculateDailyMetrics([], mockProducts, new Date());
 
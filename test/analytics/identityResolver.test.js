@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'assert';
+import { IdentityResolver, parseMatchRules } from '../../src/analytics/identityResolver.js';
+
+const customers = [
+  {
+    id: 1,
+    source_type: 'shopify',
+    email: 'jane@example.com',
+    phone: '+44 7700 900123',
+    first_name: 'Jane',
+    last_name: 'Smith',
+    postal_code: 'SW1A 1AA',
+    updated_at: '2024-01-01T00:00:00Z',
+  },
+  {
+    id: 2,
+    source_type: 'woocommerce',
+    email: ' Jane@Example.com ',
+    first_name: 'Jane',
+    last_name: 'Smith',
+    updated_at: '2024-02-01T00:00:00Z',
+  },
+  {
+    id: 3,
+    source_type: 'commercetools',
+    phone: '07700 900123',
+    first_name: 'J.',
+    last_name: 'Smith',
+    updated_at: '2024-03-01T00:00:00Z',
+  },
+  {
+    id: 4,
+    source_type: 'commercetools',
+    email: 'other@example.com',
+    first_name: 'jane',
+    last_name: 'smith',
+    postal_code: 'sw1a1aa',
+    updated_at: '2024-01-15T00:00:00Z',
+  },
+  {
+    id: 5,
+    source_type: 'shopify',
+    email: 'bob@example.com',
+    first_name: 'Bob',
+    updated_at: '2024-01-01T00:00:00Z',
+  },
+];
+
+const linkOf = (unified, customerId) =>
+  unified.flatMap(customer => customer.links).find(link => link.customer_id === customerId);
+
+describe('IdentityResolver', () => {
+  it('should link records across sources by email, phone and name with postal code', () => {
+    const unified = new IdentityResolver().resolve(customers);
+
+    assert.equal(unified.length, 2);
+    assert.deepEqual(unified[0].links.map(link => link.customer_id).sort(), [1, 2, 3, 4]);
+    assert.equal(unified[0].source_count, 3);
+    assert.deepEqual(
+      unified[1].links.map(link => link.customer_id),
+      [5]
+    );
+  });
+
+  it('should record the rule, key and confidence of every link', () => {
+    const unified = new IdentityResolver().resolve(customers);
+
+    assert.deepEqual(linkOf(unified, 1), {
+      customer_id: 1,
+      match_rule: 'anchor',
+      matched_customer_id: null,
+      match_key: null,
+      confidence: 1,
+    });
+    assert.deepEqual(linkOf(unified, 2), {
+      customer_id: 2,
+      match_rule: 'email',
+      matched_customer_id: 1,
+      match_key: 'jane@example.com',
+      confidence: 1,
+    });
+    assert.equal(linkOf(unified, 3).match_rule, 'phone');
+    assert.equal(linkOf(unified, 3).match_key, '7700900123');
+    assert.equal(linkOf(unified, 3).confidence, 0.9);
+    assert.equal(linkOf(unified, 4).match_rule, 'name_postal');
+    assert.equal(linkOf(unified, 4).match_key, 'jane|smith|SW1A1AA');
+    assert.equal(linkOf(unified, 4).confidence, 0.7);
+  });
+
+  it('should take the weakest confidence along a chain of matches', () => {
+    const unified = new IdentityResolver(['email', 'phone:0.8', 'name_postal']).resolve([
+      { id: 1, source_type: 'shopify', phone: '555 123 4567' },
+      { id: 2, source_type: 'woocommerce', phone: '(555) 123-4567', email: 'a@example.com' },
+      { id: 3, source_type: 'commercetools', email: 'a@example.com' },
+    ]);
+
+    assert.equal(linkOf(unified, 2).confidence, 0.8);
+    assert.equal(linkOf(unified, 3).matched_customer_id, 2);
+    assert.equal(linkOf(unified, 3).confidence, 0.8);
+  });
+
+  it('should only apply the configured rules', () => {
+    const unified = new IdentityResolver(['email']).resolve(customers);
+
+    assert.equal(unified.length, 4);
+    assert.equal(linkOf(unified, 3).match_rule, 'anchor');
+  });
+
+  it('should take the profile from the most recently updated record', () => {
+    const [jane] = new IdentityResolver().resolve(customers);
+
+    assert.equal(jane.first_name, 'J.');
+    assert.equal(jane.email, 'jane@example.com');
+    assert.equal(jane.phone, '07700 900123');
+    assert.equal(jane.postal_code, 'sw1a1aa');
+  });
+
+  it('should ignore keys shared by too many records', () => {
+    const resolver = new IdentityResolver(['phone']);
+    resolver.maxGroupSize = 2;
+
+    const unified = resolver.resolve([1, 2, 3].map(id => ({ id, phone: '0000000000' })));
+
+    assert.equal(unified.length, 3);
+  });
+
+  it('should keep the unified id most of the records already had', () => {
+    const unified = new IdentityResolver().resolve([
+      { ...customers[0], unified_customer_id: 10 },
+      { ...customers[1], unified_customer_id: 11 },
+      { ...customers[2], unified_customer_id: 11 },
+      { ...customers[4], unified_customer_id: 11 },
+    ]);
+
+    assert.equal(unified[0].id, 11);
+    assert.equal(unified[1].id, null);
+    assert.equal(unified[0].previous_ids, undefined);
+  });
+
+  describe('parseMatchRules', () => {
+    it('should read rules with their default or given confidence', () => {
+      assert.deepEqual(parseMatchRules(['email', 'name_postal:0.5']), [
+        { name: 'email', confidence: 1 },
+        { name: 'name_postal', confidence: 0.5 },
+      ]);
+    });
+
+    it('should reject unknown rules and confidences out of range', () => {
+      assert.throws(() => parseMatchRules(['address']), /Unknown identity match rule: address/);
+      assert.throws(() => parseMatchRules(['phone:2']), /must be above 0 and at most 1/);
+    });
+  });
+});
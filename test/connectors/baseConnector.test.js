@@ -0,0 +1,104 @@
+import { describe, it, beforeEach } from 'node:test';
+import { strict as assert } from 'assert';
+import { BaseConnector } from '../../src/connectors/baseConnector.js';
+import { WooCommerceConnector } from '../../src/connectors/woocommerce.js';
+
+// Serves pages from an array, the cursor being the index of the next page
+class ArrayConnector extends BaseConnector {
+  static source = 'array';
+  static label = 'Array';
+  static capabilities = ['customers'];
+
+  constructor(pages) {
+    super();
+    this.pages = pages;
+    this.requested = [];
+    this.reachable = true;
+  }
+
+  async fetchPage(endpoint, params, index = 0) {
+    this.requested.push(index);
+    return {
+      data: this.pages[index],
+      next: index + 1 < this.pages.length ? index + 1 : null,
+    };
+  }
+
+  async ping() {
+    if (!this.reachable) throw new Error('unreachable');
+  }
+
+  async *streamCustomers() {
+    yield* this.paginate('/customers');
+  }
+}
+
+describe('BaseConnector', () => {
+  let connector;
+
+  beforeEach(() => {
+    connector = new ArrayConnector([[{ id: 1 }, { id: 2 }], [{ id: 3 }]]);
+  });
+
+  it('should page through fetchPage until there is no next cursor', async () => {
+    const customers = await connector.getCustomers();
+
+    assert.deepEqual(
+      customers.map(customer => customer.id),
+      [1, 2, 3]
+    );
+    assert.deepEqual(connector.requested, [0, 1]);
+  });
+
+  it('should report its capabilities', () => {
+    assert.equal(connector.supports('customers'), true);
+    assert.equal(connector.supports('orders'), false);
+    assert.equal(connector.source, 'array');
+  });
+
+  it('should test the connection with ping', async () => {
+    assert.equal(await connector.testConnection(), true);
+
+    connector.reachable = false;
+    assert.equal(await connector.testConnection(), false);
+  });
+
+  it('should window backfilled orders by creation and everything else by modification', () => {
+    const until = new Date('2024-02-01T00:00:00Z');
+
+    assert.equal(connector.windowedByCreation('orders', until), true);
+    assert.equal(connector.windowedByCreation('orders', null), false);
+    assert.equal(connector.windowedByCreation('customers', until), false);
+    assert.equal(connector.inUpdateOrder('orders', null, until), false);
+    assert.equal(connector.inUpdateOrder('orders', new Date(), null), true);
+  });
+
+  it('should configure a single instance by default', () => {
+    const instances = ArrayConnector.instances([]);
+
+    assert.equal(instances.length, 1);
+    assert.ok(instances[0] instanceof ArrayConnector);
+  });
+
+  it('should leave records unchanged when there is no transform', () => {
+    const record = { id: 1 };
+    assert.equal(connector.normalize('customers', record), record);
+  });
+
+  it('should normalize records with the connector transforms', () => {
+    const woo = new WooCommerceConnector({ url: 'https://shop.test' });
+    const order = woo.normalize('orders', {
+      id: 7,
+      number: '1007',
+      status: 'completed',
+      total: '10.00',
+      billing: { email: 'a@example.com' },
+      line_items: [{ id: 3, product_id: 9, name: 'Mug', quantity: 1, price: 10 }],
+    });
+
+    assert.equal(order.id, '7');
+    assert.equal(order.email, 'a@example.com');
+    assert.equal(order.financial_status, 'paid');
+    assert.equal(order.line_items[0].product_id, '9');
+  });
+});
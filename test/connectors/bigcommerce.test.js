@@ -0,0 +1,303 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'assert';
+import { BigCommerceConnector } from '../../src/connectors/bigcommerce.js';
+import { DataTransformer } from '../../src/transformers/dataTransformer.js';
+import {
+  bigcommerceCustomers,
+  bigcommerceProducts,
+  bigcommerceOrders,
+  bigcommerceOrderProducts,
+} from '../fixtures/bigcommerce-data.js';
+import { installMockAxios } from '../utils/test-helpers.js';
+
+const BASE_URL = 'https://api.bigcommerce.com/stores/abc123';
+
+function v3Page(data, currentPage = 1, totalPages = 1) {
+  return {
+    data: { data, meta: { pagination: { current_page: currentPage, total_pages: totalPages } } },
+    headers: {},
+  };
+}
+
+const mockAxios = await installMockAxios(url => {
+  if (url.endsWith('/v3/customers')) {
+    return v3Page(bigcommerceCustomers);
+  }
+
+  if (url.endsWith('/v3/catalog/products')) {
+    return v3Page(bigcommerceProducts);
+  }
+
+  const orderProducts = url.match(/\/v2\/orders\/(\d+)\/products$/);
+  if (orderProducts) {
+    return { data: bigcommerceOrderProducts[orderProducts[1]], headers: {} };
+  }
+
+  if (url.endsWith('/v2/orders')) {
+    return { data: bigcommerceOrders, headers: {} };
+  }
+
+  if (url.endsWith('/v2/store')) {
+    return { data: { id: 'abc123', name: 'Test Store' }, headers: {} };
+  }
+
+  return { data: {}, headers: {} };
+});
+
+describe('BigCommerceConnector', () => {
+  let connector;
+  const config = {
+    storeHash: 'abc123',
+    accessToken: 'test-token',
+  };
+
+  beforeEach(() => {
+    connector = new BigCommerceConnector(config);
+    connector.rateLimitDelay = 0;
+    mockAxios.clearResponses();
+  });
+
+  afterEach(() => {
+    mockAxios.clearResponses();
+  });
+
+  describe('constructor', () => {
+    it('should initialize with correct configuration', () => {
+      assert.equal(connector.storeHash, 'abc123');
+      assert.equal(connector.accessToken, 'test-token');
+      assert.equal(connector.baseURL, BASE_URL);
+      assert.equal(connector.source, 'bigcommerce');
+    });
+  });
+
+  describe('makeRequest', () => {
+    it('should authenticate with X-Auth-Token', async () => {
+      await connector.makeRequest('/v2/store');
+
+      const request = mockAxios.requests[0];
+      assert.equal(request.url, `${BASE_URL}/v2/store`);
+      assert.equal(request.config.headers['X-Auth-Token'], 'test-token');
+      assert.equal(request.config.headers['Accept'], 'application/json');
+    });
+
+    it('should wait for the rate limit window when few requests are left', async () => {
+      const waits = [];
+      connector.sleep = async ms => waits.push(ms);
+      mockAxios.setResponse(`${BASE_URL}/v2/store`, {
+        data: {},
+        headers: {
+          'x-rate-limit-requests-left': '2',
+          'x-rate-limit-time-reset-ms': '1500',
+        },
+      });
+
+      await connector.makeRequest('/v2/store');
+
+      assert.deepEqual(waits, [1500]);
+    });
+
+    it('should not wait while plenty of requests are left', async () => {
+      const waits = [];
+      connector.sleep = async ms => waits.push(ms);
+      mockAxios.setResponse(`${BASE_URL}/v2/store`, {
+        data: {},
+        headers: {
+          'x-rate-limit-requests-left': '140',
+          'x-rate-limit-time-reset-ms': '1500',
+        },
+      });
+
+      await connector.makeRequest('/v2/store');
+
+      assert.deepEqual(waits, []);
+    });
+
+    it('should throw error on API failure', async () => {
+      const error = new Error('API Error');
+      error.response = { status: 403, data: { title: 'Forbidden' } };
+      mockAxios.setResponse(`${BASE_URL}/v2/store`, error);
+
+      await assert.rejects(() => connector.makeRequest('/v2/store'), /API Error/);
+    });
+  });
+
+  describe('getCustomers', () => {
+    it('should fetch customers with their addresses', async () => {
+      const customers = await connector.getCustomers();
+
+      assert.equal(customers.length, 2);
+      assert.equal(mockAxios.requests[0].config.params.include, 'addresses');
+      assert.equal(mockAxios.requests[0].config.params.sort, 'date_modified:asc');
+    });
+
+    it('should filter by modification date', async () => {
+      const since = new Date('2024-01-01T00:00:00Z');
+      const until = new Date('2024-02-01T00:00:00Z');
+      await connector.getCustomers(since, until);
+
+      const params = mockAxios.requests[0].config.params;
+      assert.equal(params['date_modified:min'], since.toISOString());
+      assert.equal(params['date_modified:max'], until.toISOString());
+    });
+
+    it('should follow V3 pagination', async () => {
+      mockAxios.setResponse(`${BASE_URL}/v3/customers`, requestConfig =>
+        requestConfig.params.page === 1
+          ? v3Page([bigcommerceCustomers[0]], 1, 2)
+          : v3Page([bigcommerceCustomers[1]], 2, 2)
+      );
+
+      const customers = await connector.getCustomers();
+
+      assert.deepEqual(
+        customers.map(customer => customer.id),
+        [11, 12]
+      );
+      assert.equal(mockAxios.requests.length, 2);
+    });
+  });
+
+  describe('getProducts', () => {
+    it('should fetch products with their variants', async () => {
+      const products = await connector.getProducts();
+
+      assert.equal(products.length, 2);
+      assert.equal(mockAxios.requests[0].config.params.include, 'variants');
+    });
+  });
+
+  describe('getOrders', () => {
+    it('should attach line items to each order', async () => {
+      const orders = await connector.getOrders();
+
+      assert.equal(orders.length, 2);
+      assert.equal(orders[0].products[0].sku, 'TS-42');
+      assert.equal(orders[1].products[0].sku, 'GIFT');
+    });
+
+    it('should filter V2 orders by modification date', async () => {
+      const since = new Date('2024-01-01T00:00:00Z');
+      await connector.getOrders(since);
+
+      const params = mockAxios.requests[0].config.params;
+      assert.equal(params.min_date_modified, since.toISOString());
+      assert.equal(params.sort, 'date_modified:asc');
+    });
+
+    it('should select a backfill window of V2 orders by creation date', async () => {
+      const since = new Date('2024-01-01T00:00:00Z');
+      const until = new Date('2024-02-01T00:00:00Z');
+      await connector.getOrders(since, until);
+
+      const params = mockAxios.requests[0].config.params;
+      assert.equal(params.min_date_created, since.toISOString());
+      assert.equal(params.max_date_created, until.toISOString());
+      assert.equal(params.sort, 'date_created:asc');
+      assert.equal(params.min_date_modified, undefined);
+    });
+
+    it('should request the next V2 page only after a full page', async () => {
+      const fullPage = Array.from({ length: 250 }, (_, i) => ({ ...bigcommerceOrders[1], id: i }));
+      mockAxios.setResponse(`${BASE_URL}/v2/orders`, requestConfig => ({
+        data: requestConfig.params.page === 1 ? fullPage : '',
+        headers: {},
+      }));
+      connector.getOrderProducts = async () => [];
+
+      const orders = await connector.getOrders();
+
+      assert.equal(orders.length, 250);
+      assert.equal(mockAxios.requests.length, 2);
+    });
+  });
+
+  describe('testConnection', () => {
+    it('should return true on successful connection', async () => {
+      assert.equal(await connector.testConnection(), true);
+    });
+
+    it('should return false on connection failure', async () => {
+      mockAxios.setResponse(`${BASE_URL}/v2/store`, new Error('Connection failed'));
+
+      assert.equal(await connector.testConnection(), false);
+    });
+  });
+
+  describe('transforms', () => {
+    const transformer = new DataTransformer();
+
+    it('should map customers for DataTransformer', () => {
+      const customer = transformer.transformCustomer(
+        connector.normalize('customers', bigcommerceCustomers[0]),
+        'bigcommerce'
+      );
+
+      assert.equal(customer.source_id, '11');
+      assert.equal(customer.email, 'ann.lee@example.com');
+      assert.equal(customer.city, 'Austin');
+      assert.equal(customer.state, 'Texas');
+      assert.equal(customer.country, 'US');
+      assert.equal(customer.phone, '+15125550100');
+      assert.deepEqual(customer.updated_at, new Date('2024-01-10T09:00:00Z'));
+    });
+
+    it('should map products and variants for DataTransformer', () => {
+      const raw = connector.normalize('products', bigcommerceProducts[0]);
+      const product = transformer.transformProduct(raw, 'bigcommerce');
+
+      assert.equal(raw.variants.length, 2);
+      assert.equal(raw.variants[1].title, '43');
+      assert.equal(product.sku, 'TS-42');
+      assert.equal(product.price, 120);
+      assert.equal(product.compare_at_price, 150);
+      assert.equal(product.inventory_quantity, 8);
+      assert.equal(product.status, 'active');
+    });
+
+    it('should treat a product without variants as its own variant', () => {
+      const product = transformer.transformProduct(
+        connector.normalize('products', bigcommerceProducts[1]),
+        'bigcommerce'
+      );
+
+      assert.equal(product.sku, 'GIFT');
+      assert.equal(product.price, 25);
+      assert.equal(product.status, 'draft');
+    });
+
+    it('should map V2 orders and their line items for DataTransformer', () => {
+      const raw = connector.normalize('orders', {
+        ...bigcommerceOrders[0],
+        products: bigcommerceOrderProducts[5001],
+      });
+      const order = transformer.transformOrder(raw, 'bigcommerce');
+      const item = transformer.transformOrderItem(raw.line_items[0], null, 'bigcommerce');
+
+      assert.equal(order.source_id, '5001');
+      assert.equal(order.email, 'ann.lee@example.com');
+      assert.equal(order.financial_status, 'paid');
+      assert.equal(order.fulfillment_status, 'fulfilled');
+      assert.equal(order.total_price, 264.8);
+      assert.equal(order.subtotal_price, 240);
+      assert.equal(order.total_discounts, 5);
+      assert.deepEqual(order.updated_at, new Date('2024-01-11T08:30:00Z'));
+
+      assert.equal(item.source_line_item_id, '9001');
+      assert.equal(item.source_product_id, '77');
+      assert.equal(item.source_variant_id, '701');
+      assert.equal(item.quantity, 2);
+      assert.equal(item.price, 120);
+      assert.equal(item.total_discount, 5);
+    });
+
+    it('should map unpaid orders to pending', () => {
+      const order = transformer.transformOrder(
+        connector.normalize('orders', { ...bigcommerceOrders[1], products: [] }),
+        'bigcommerce'
+      );
+
+      assert.equal(order.financial_status, 'pending');
+      assert.equal(order.fulfillment_status, null);
+    });
+  });
+});
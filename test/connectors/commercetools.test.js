@@ -0,0 +1,460 @@
+import { describe, it, beforeEach } from 'node:test';
+import { strict as assert } from 'assert';
+import { CommercetoolsConnector } from '../../src/connectors/commercetools.js';
+
+// Mock axios
+const mockAxios = {
+  tokens: [],
+  getOutcomes: [],
+  requests: [],
+};
+
+const originalAxios = await import('axios');
+originalAxios.default.post = async url => {
+  mockAxios.requests.push({ method: 'post', url });
+  return { data: { access_token: mockAxios.tokens.shift(), expires_in: 3600 } };
+};
+originalAxios.default.get = async (url, config) => {
+  mockAxios.requests.push({ method: 'get', url, config });
+  const outcome = mockAxios.getOutcomes.shift();
+  if (outcome instanceof Error) throw outcome;
+  return outcome;
+};
+
+describe('CommercetoolsConnector', () => {
+  let connector;
+
+  beforeEach(() => {
+    mockAxios.tokens = [];
+    mockAxios.getOutcomes = [];
+    mockAxios.requests = [];
+
+    connector = new CommercetoolsConnector({
+      projectKey: 'test-project',
+      clientId: 'client',
+      clientSecret: 'secret',
+      region: 'us-central1.gcp',
+      retry: { retryAttempts: 2, retryDelay: 1 },
+    });
+  });
+
+  describe('makeRequest', () => {
+    it('should reuse a valid access token', async () => {
+      mockAxios.tokens = ['token-1'];
+      mockAxios.getOutcomes = [{ data: { results: [] } }, { data: { results: [] } }];
+
+      await connector.makeRequest('/customers');
+      await connector.makeRequest('/orders');
+
+      assert.equal(mockAxios.requests.filter(r => r.method === 'post').length, 1);
+    });
+
+    it('should fetch a new token and retry when the API answers 401', async () => {
+      const unauthorized = new Error('Request failed with status code 401');
+      unauthorized.response = { status: 401, headers: {}, data: {} };
+
+      mockAxios.tokens = ['revoked', 'fresh'];
+      mockAxios.getOutcomes = [unauthorized, { data: { results: [{ id: 'c1' }] } }];
+
+      const data = await connector.makeRequest('/customers');
+
+      assert.deepEqual(data.results, [{ id: 'c1' }]);
+      const gets = mockAxios.requests.filter(r => r.method === 'get');
+      assert.equal(gets[0].config.headers.Authorization, 'Bearer revoked');
+      assert.equal(gets[1].config.headers.Authorization, 'Bearer fresh');
+    });
+
+    it('should retry server errors', async () => {
+      const unavailable = new Error('Request failed with status code 503');
+      unavailable.response = { status: 503, headers: {}, data: {} };
+
+      mockAxios.tokens = ['token-1'];
+      mockAxios.getOutcomes = [unavailable, { data: { results: [] } }];
+
+      await connector.makeRequest('/customers');
+
+      assert.equal(connector.http.stats.retries, 1);
+    });
+  });
+
+  describe('returns', () => {
+    it('should refund the returned items whose payment was refunded', () => {
+      const order = connector.transformOrder({
+        id: 'o1',
+        totalPrice: { centAmount: 5000, currencyCode: 'EUR' },
+        lineItems: [
+          { id: 'l1', quantity: 2, totalPrice: { centAmount: 3000 } },
+          { id: 'l2', quantity: 1, totalPrice: { centAmount: 2000 } },
+        ],
+        returnInfo: [
+          {
+            returnDate: '2024-02-01T00:00:00.000Z',
+            items: [
+              { id: 'ri1', lineItemId: 'l1', quantity: 1, paymentState: 'Refunded' },
+              { id: 'ri2', lineItemId: 'l2', quantity: 1, paymentState: 'NotRefunded' },
+            ],
+          },
+          { items: [{ id: 'ri3', lineItemId: 'l2', quantity: 1, paymentState: 'Initial' }] },
+        ],
+      });
+
+      assert.equal(order.refunds.length, 1);
+      assert.deepEqual(order.refunds[0], {
+        id: 'ri1',
+        order_id: 'o1',
+        amount: 15,
+        currency: 'EUR',
+        note: undefined,
+        processed_at: '2024-02-01T00:00:00.000Z',
+        created_at: undefined,
+        refund_line_items: [{ id: 'ri1', line_item_id: 'l1', quantity: 1, subtotal: 15 }],
+      });
+    });
+  });
+
+  describe('variants', () => {
+    it('should map the master and other variants with ids unique across products', () => {
+      const product = connector.transformProduct({
+        id: 'p1',
+        masterData: {
+          published: true,
+          current: {
+            name: { en: 'Shirt' },
+            masterVariant: {
+              id: 1,
+              sku: 'SHIRT-S',
+              prices: [{ value: { centAmount: 1500 } }],
+              attributes: [{ name: 'size', value: { key: 's', label: { en: 'Small' } } }],
+            },
+            variants: [
+              {
+                id: 2,
+                sku: 'SHIRT-M',
+                prices: [{ value: { centAmount: 1700 } }],
+                attributes: [{ name: 'size', value: { key: 'm', label: { en: 'Medium' } } }],
+                availability: { availableQuantity: 4 },
+              },
+            ],
+          },
+        },
+      });
+
+      assert.deepEqual(
+        product.variants.map(variant => variant.id),
+        ['p1/1', 'p1/2']
+      );
+      assert.deepEqual(product.variants[1], {
+        id: 'p1/2',
+        product_id: 'p1',
+        title: 'Shirt',
+        price: 17,
+        sku: 'SHIRT-M',
+        position: 2,
+        options: { size: 'Medium' },
+        inventory_quantity: 4,
+      });
+    });
+  });
+
+  describe('carts', () => {
+    it('should map cart states to converted, merged and open', () => {
+      const cart = {
+        id: 'c1',
+        customerEmail: 'jane@example.com',
+        cartState: 'Ordered',
+        totalPrice: { centAmount: 4500, currencyCode: 'EUR' },
+        createdAt: '2024-01-15T09:00:00.000Z',
+        lastModifiedAt: '2024-01-15T09:30:00.000Z',
+        lineItems: [
+          {
+            productId: 'p1',
+            variant: { id: 1, sku: 'SKU-1' },
+            name: { en: 'Shirt' },
+            quantity: 3,
+            price: { value: { centAmount: 1500 } },
+          },
+        ],
+      };
+
+      const converted = connector.transformCart(cart);
+
+      assert.equal(converted.status, 'converted');
+      assert.equal(converted.completed_at, '2024-01-15T09:30:00.000Z');
+      assert.equal(converted.total_price, 45);
+      assert.deepEqual(converted.line_items, [
+        {
+          product_id: 'p1',
+          variant_id: 'p1/1',
+          title: 'Shirt',
+          sku: 'SKU-1',
+          quantity: 3,
+          price: 15,
+        },
+      ]);
+      assert.equal(connector.transformCart({ ...cart, cartState: 'Merged' }).status, 'merged');
+      assert.equal(connector.transformCart({ ...cart, cartState: 'Active' }).status, 'open');
+      assert.equal(connector.transformCart({ ...cart, cartState: 'Active' }).completed_at, null);
+    });
+  });
+
+  describe('inventory', () => {
+    it('should read supply channels as locations', async () => {
+      mockAxios.tokens = ['token-1'];
+      mockAxios.getOutcomes = [{ data: { results: [{ id: 'ch1', name: { en: 'Berlin' } }] } }];
+
+      const locations = await connector.getLocations();
+
+      const get = mockAxios.requests.find(r => r.method === 'get');
+      assert.equal(get.config.params.where, '(roles contains any ("InventorySupply"))');
+      assert.equal(connector.transformLocation(locations[0]).name, 'Berlin');
+    });
+
+    it('should map inventory entries to levels keyed by SKU and channel', () => {
+      const level = connector.transformInventoryLevel({
+        sku: 'SKU-1',
+        supplyChannel: { typeId: 'channel', id: 'ch1' },
+        quantityOnStock: 10,
+        availableQuantity: 8,
+        lastModifiedAt: '2024-01-15T09:30:00.000Z',
+      });
+
+      assert.deepEqual(level, {
+        inventory_item_id: 'SKU-1',
+        sku: 'SKU-1',
+        location_id: 'ch1',
+        available: 8,
+        updated_at: '2024-01-15T09:30:00.000Z',
+      });
+    });
+  });
+
+  describe('query paging', () => {
+    beforeEach(() => {
+      mockAxios.tokens = ['token-1'];
+      connector.pageSize = 2;
+      connector.rateLimitDelay = 0;
+    });
+
+    const paramsOf = request => request.config.params;
+
+    it('should walk a full sync by id instead of offset', async () => {
+      mockAxios.getOutcomes = [
+        { data: { results: [{ id: 'a' }, { id: 'b' }] } },
+        { data: { results: [{ id: 'c' }] } },
+      ];
+
+      const customers = await connector.getCustomers();
+
+      assert.deepEqual(
+        customers.map(customer => customer.id),
+        ['a', 'b', 'c']
+      );
+      const gets = mockAxios.requests.filter(r => r.method === 'get');
+      assert.deepEqual(paramsOf(gets[0]).sort, ['id asc']);
+      assert.equal(paramsOf(gets[0]).where, undefined);
+      assert.equal(paramsOf(gets[1]).where, '(id > "b")');
+      assert.equal(paramsOf(gets[1]).offset, undefined);
+      assert.equal(paramsOf(gets[1]).withTotal, false);
+    });
+
+    it('should walk a window by lastModifiedAt and id', async () => {
+      const since = new Date('2024-01-01T00:00:00.000Z');
+      mockAxios.getOutcomes = [
+        {
+          data: {
+            results: [
+              { id: 'b', lastModifiedAt: '2024-01-02T00:00:00.000Z' },
+              { id: 'a', lastModifiedAt: '2024-01-03T00:00:00.000Z' },
+            ],
+          },
+        },
+        { data: { results: [] } },
+      ];
+
+      await connector.getOrders(since);
+
+      const gets = mockAxios.requests.filter(r => r.method === 'get');
+      assert.deepEqual(paramsOf(gets[0]).sort, ['lastModifiedAt asc', 'id asc']);
+      assert.equal(
+        paramsOf(gets[1]).where,
+        '(lastModifiedAt >= "2024-01-01T00:00:00.000Z") and ' +
+          '(lastModifiedAt > "2024-01-03T00:00:00.000Z" or ' +
+          '(lastModifiedAt = "2024-01-03T00:00:00.000Z" and id > "a"))'
+      );
+    });
+
+    it('should only report windowed query reads as in update order', () => {
+      const since = new Date('2024-01-01T00:00:00Z');
+
+      assert.equal(connector.inUpdateOrder('orders', null, null), false);
+      assert.equal(connector.inUpdateOrder('orders', since, null), true);
+
+      connector.syncMode = 'messages';
+      assert.equal(connector.inUpdateOrder('orders', since, null), false);
+      assert.equal(connector.inUpdateOrder('customers', since, new Date()), true);
+      // Backfill windows read orders by creation time
+      assert.equal(connector.inUpdateOrder('orders', since, new Date()), false);
+    });
+
+    it('should walk a backfill window of orders by createdAt', async () => {
+      const since = new Date('2024-01-01T00:00:00.000Z');
+      const until = new Date('2024-02-01T00:00:00.000Z');
+      mockAxios.getOutcomes = [{ data: { results: [] } }];
+
+      await connector.getOrders(since, until);
+
+      const gets = mockAxios.requests.filter(r => r.method === 'get');
+      assert.deepEqual(paramsOf(gets[0]).sort, ['createdAt asc', 'id asc']);
+      assert.equal(
+        paramsOf(gets[0]).where,
+        '(createdAt >= "2024-01-01T00:00:00.000Z" and createdAt < "2024-02-01T00:00:00.000Z")'
+      );
+    });
+  });
+
+  describe('messages mode', () => {
+    const since = new Date('2024-01-01T00:00:00.000Z');
+    let tracker;
+
+    beforeEach(() => {
+      mockAxios.tokens = ['token-1'];
+      tracker = {
+        deleted: [],
+        async markCustomersDeleted(source, deletions, client) {
+          this.deleted.push({ source, deletions, client });
+        },
+      };
+      connector.syncMode = 'messages';
+      connector.tracker = tracker;
+      connector.rateLimitDelay = 0;
+    });
+
+    function message(type, resourceId, sequenceNumber, fields = {}) {
+      return {
+        id: `m-${resourceId}-${sequenceNumber}`,
+        type,
+        resource: { typeId: 'x', id: resourceId },
+        sequenceNumber,
+        createdAt: `2024-01-02T00:00:0${sequenceNumber}.000Z`,
+        ...fields,
+      };
+    }
+
+    it('should read new customers from the feed and apply deletions once loaded', async () => {
+      mockAxios.getOutcomes = [
+        {
+          data: {
+            results: [
+              message('CustomerCreated', 'c1', 1, {
+                customer: { id: 'c1', email: 'a@example.com' },
+              }),
+              message('CustomerDeleted', 'c2', 2),
+            ],
+          },
+        },
+      ];
+
+      const customers = await connector.getCustomers(since);
+
+      assert.deepEqual(customers, [{ id: 'c1', email: 'a@example.com' }]);
+      const [request] = mockAxios.requests.filter(r => r.method === 'get');
+      assert.ok(request.url.endsWith('/test-project/messages'));
+      assert.equal(
+        request.config.params.where,
+        '(type in ("CustomerCreated", "CustomerDeleted") and ' +
+          'createdAt >= "2024-01-01T00:00:00.000Z")'
+      );
+      assert.deepEqual(tracker.deleted, []);
+
+      await connector.entityLoaded('customers', { id: 'tx' });
+
+      assert.deepEqual(tracker.deleted, [
+        {
+          source: 'commercetools',
+          deletions: [{ id: 'c2', deleted_at: '2024-01-02T00:00:02.000Z' }],
+          client: { id: 'tx' },
+        },
+      ]);
+    });
+
+    it('should fetch orders whose state changed after their creation message', async () => {
+      mockAxios.getOutcomes = [
+        {
+          data: {
+            results: [
+              message('OrderCreated', 'o1', 1, { order: { id: 'o1', orderState: 'Open' } }),
+              message('OrderCreated', 'o2', 1, { order: { id: 'o2', orderState: 'Open' } }),
+              message('OrderStateChanged', 'o2', 2, { orderState: 'Complete' }),
+            ],
+          },
+        },
+        { data: { results: [{ id: 'o2', orderState: 'Complete' }] } },
+      ];
+
+      const orders = await connector.getOrders(since);
+
+      assert.deepEqual(orders, [
+        { id: 'o1', orderState: 'Open' },
+        { id: 'o2', orderState: 'Complete' },
+      ]);
+      const gets = mockAxios.requests.filter(r => r.method === 'get');
+      assert.ok(gets[1].url.endsWith('/test-project/orders'));
+      assert.equal(gets[1].config.params.where, 'id in ("o2")');
+    });
+
+    it('should fetch changed orders in chunks of ids', async () => {
+      const ids = Array.from({ length: 150 }, (_, i) => `o${i}`);
+      mockAxios.getOutcomes = [
+        { data: { results: ids.map(id => message('OrderStateChanged', id, 1)) } },
+        { data: { results: ids.slice(0, 100).map(id => ({ id })) } },
+        { data: { results: ids.slice(100).map(id => ({ id })) } },
+      ];
+
+      const orders = await connector.getOrders(since);
+
+      assert.equal(orders.length, 150);
+      const fetches = mockAxios.requests.filter(r => r.url.endsWith('/test-project/orders'));
+      assert.deepEqual(
+        fetches.map(r => r.config.params.limit),
+        [100, 50]
+      );
+      assert.ok(fetches[1].config.params.where.startsWith('id in ("o100"'));
+    });
+
+    it('should load published product projections as products', async () => {
+      mockAxios.getOutcomes = [
+        {
+          data: {
+            results: [
+              message('ProductPublished', 'p1', 3, {
+                productProjection: {
+                  id: 'p1',
+                  name: { en: 'Mug' },
+                  masterVariant: { id: 1, sku: 'MUG', prices: [{ value: { centAmount: 1250 } }] },
+                  lastModifiedAt: '2024-01-02T00:00:03.000Z',
+                },
+              }),
+            ],
+          },
+        },
+      ];
+
+      const [product] = await connector.getProducts(since);
+      const normalized = connector.normalize('products', product);
+
+      assert.equal(normalized.id, 'p1');
+      assert.equal(normalized.title, 'Mug');
+      assert.equal(normalized.status, 'active');
+      assert.equal(normalized.variants[0].price, 12.5);
+    });
+
+    it('should query resources for full syncs', async () => {
+      mockAxios.getOutcomes = [{ data: { results: [{ id: 'c1' }] } }];
+
+      await connector.getCustomers();
+
+      const [request] = mockAxios.requests.filter(r => r.method === 'get');
+      assert.ok(request.url.endsWith('/test-project/customers'));
+    });
+  });
+});
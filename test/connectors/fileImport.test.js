@@ -0,0 +1,235 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileImportConnector, readMapping } from '../../src/connectors/fileImport.js';
+import { DataTransformer } from '../../src/transformers/dataTransformer.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/file-import');
+const AMAZON = path.join(FIXTURES, 'amazon.json');
+const WHOLESALE = path.join(FIXTURES, 'wholesale.json');
+
+function createTracker(imported = []) {
+  return {
+    recorded: [],
+    async getImportedChecksums() {
+      return new Set(imported);
+    },
+    async recordImportedFile(file, client) {
+      this.recorded.push({ ...file, client });
+    },
+  };
+}
+
+async function collect(stream) {
+  const records = [];
+  for await (const page of stream) {
+    records.push(...page);
+  }
+  return records;
+}
+
+describe('FileImportConnector', () => {
+  let tracker;
+  let amazon;
+  let wholesale;
+
+  beforeEach(() => {
+    tracker = createTracker();
+    [amazon, wholesale] = FileImportConnector.instances({
+      directory: FIXTURES,
+      mappings: [AMAZON, WHOLESALE],
+      tracker,
+    });
+  });
+
+  describe('instances', () => {
+    it('should create one connector per mapping under its source type', () => {
+      assert.equal(amazon.source, 'amazon');
+      assert.equal(wholesale.source, 'wholesale');
+      assert.equal(amazon.directory, path.join(FIXTURES, 'amazon'));
+    });
+
+    it('should support the entities its mapping has files for', () => {
+      assert.equal(amazon.supports('orders'), true);
+      assert.equal(amazon.supports('customers'), false);
+      assert.equal(wholesale.supports('products'), true);
+    });
+  });
+
+  describe('readMapping', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeMapping(mapping) {
+      const file = path.join(dir, 'mapping.json');
+      fs.writeFileSync(file, JSON.stringify(mapping));
+      return file;
+    }
+
+    it('should reject source types that do not fit the source_type columns', () => {
+      const file = writeMapping({ source_type: 'Amazon Marketplace EU', files: [] });
+
+      assert.throws(() => readMapping(file), /source_type must be/);
+    });
+
+    it('should require an id column for every file', () => {
+      const file = writeMapping({
+        source_type: 'pos',
+        files: [{ entity: 'orders', pattern: '*.csv', columns: { email: 'Email' } }],
+      });
+
+      assert.throws(() => readMapping(file), /orders needs an id column/);
+    });
+
+    it('should reject unknown entities', () => {
+      const file = writeMapping({
+        source_type: 'pos',
+        files: [{ entity: 'carts', pattern: '*.csv', columns: { id: 'Id' } }],
+      });
+
+      assert.throws(() => readMapping(file), /entity must be one of/);
+    });
+  });
+
+  describe('streamOrders', () => {
+    it('should group rows of the same order into line items', async () => {
+      const orders = await collect(amazon.streamOrders());
+
+      assert.deepEqual(
+        orders.map(order => order.id),
+        ['111-1', '222-2']
+      );
+      assert.deepEqual(
+        orders[0].line_items.map(item => item.sku),
+        ['MUG', 'CAP']
+      );
+      assert.equal(orders[0].line_items[0].title, 'Mug, large');
+      assert.equal(orders[0].financial_status, 'paid');
+    });
+
+    it('should add up the lines of orders mapped without a total', async () => {
+      const orders = await collect(amazon.streamOrders());
+
+      assert.equal(orders[0].total_price, 47.48);
+      assert.equal(orders[1].total_price, 5);
+    });
+
+    it('should read nested line items from JSONL records', async () => {
+      const [order] = await collect(wholesale.streamOrders());
+
+      assert.equal(order.id, 'INV-7');
+      assert.equal(order.total_price, '240.00');
+      assert.deepEqual(order.line_items, [{ id: 1, sku: 'MUG', quantity: 24, price: '10.00' }]);
+    });
+
+    it('should skip files already imported', async () => {
+      await collect(amazon.streamOrders());
+      await amazon.entityLoaded('orders');
+      const imported = tracker.recorded.map(file => file.checksum);
+      const again = FileImportConnector.instances({
+        directory: FIXTURES,
+        mappings: [AMAZON],
+        tracker: createTracker(imported),
+      })[0];
+
+      assert.deepEqual(await collect(again.streamOrders()), []);
+    });
+
+    it('should filter a backfill window of orders by creation date', async () => {
+      const orders = await collect(
+        amazon.streamOrders(new Date('2024-01-07T00:00:00Z'), new Date('2024-01-08T00:00:00Z'))
+      );
+
+      assert.deepEqual(
+        orders.map(order => order.id),
+        ['222-2']
+      );
+      await amazon.entityLoaded('orders');
+      assert.deepEqual(tracker.recorded, []);
+    });
+  });
+
+  describe('entityLoaded', () => {
+    it('should record the files read with the load transaction', async () => {
+      const client = { id: 'tx' };
+      await collect(amazon.streamOrders());
+
+      await amazon.entityLoaded('orders', client);
+
+      assert.equal(tracker.recorded.length, 1);
+      assert.equal(tracker.recorded[0].source_type, 'amazon');
+      assert.equal(tracker.recorded[0].entity, 'orders');
+      assert.equal(tracker.recorded[0].file_name, 'orders-2024-01.tsv');
+      assert.equal(tracker.recorded[0].records, 2);
+      assert.match(tracker.recorded[0].checksum, /^[0-9a-f]{64}$/);
+      assert.equal(tracker.recorded[0].client, client);
+    });
+  });
+
+  describe('streamProducts', () => {
+    it('should read quoted CSV fields and leave empty cells out', async () => {
+      const products = await collect(wholesale.streamProducts());
+
+      assert.equal(products[0].title, 'Mug, 12oz "classic"');
+      assert.equal(products[1].price, undefined);
+      assert.equal(products[1].inventory_quantity, undefined);
+    });
+  });
+
+  describe('testConnection', () => {
+    it('should return true when the directory is readable', async () => {
+      assert.equal(await amazon.testConnection(), true);
+    });
+
+    it('should return false when the directory is missing', async () => {
+      amazon.directory = path.join(FIXTURES, 'missing');
+
+      assert.equal(await amazon.testConnection(), false);
+    });
+  });
+
+  describe('transforms', () => {
+    const transformer = new DataTransformer();
+
+    it('should map flat customer columns for DataTransformer', async () => {
+      const [raw] = await collect(wholesale.streamCustomers());
+      const customer = transformer.transformCustomer(
+        wholesale.normalize('customers', raw),
+        'wholesale'
+      );
+
+      assert.equal(customer.source_id, 'W-100');
+      assert.equal(customer.source_type, 'wholesale');
+      assert.equal(customer.email, 'buyer@shop.example');
+      assert.equal(customer.city, 'Leeds');
+      assert.equal(customer.country, 'GB');
+      assert.equal(customer.postal_code, 'LS1 4AP');
+      assert.deepEqual(customer.updated_at, new Date('2024-01-03T09:00:00Z'));
+    });
+
+    it('should map grouped orders and their lines for DataTransformer', async () => {
+      const [raw] = await collect(amazon.streamOrders());
+      const order = transformer.transformOrder(amazon.normalize('orders', raw), 'amazon');
+      const item = transformer.transformOrderItem(raw.line_items[0], null, 'amazon');
+
+      assert.equal(order.source_id, '111-1');
+      assert.equal(order.email, 'buyer@example.com');
+      assert.equal(order.total_price, 47.48);
+      assert.equal(order.source_name, 'amazon');
+      assert.deepEqual(order.processed_at, new Date('2024-01-05T10:00:00Z'));
+      assert.equal(item.source_line_item_id, '9001');
+      assert.equal(item.quantity, 2);
+      assert.equal(item.price, 19.99);
+    });
+  });
+});
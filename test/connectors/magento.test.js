@@ -0,0 +1,258 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'assert';
+import { MagentoConnector } from '../../src/connectors/magento.js';
+import { DataTransformer } from '../../src/transformers/dataTransformer.js';
+import {
+  magentoCustomers,
+  magentoProducts,
+  magentoChildren,
+  magentoOrders,
+} from '../fixtures/magento-data.js';
+import { installMockAxios } from '../utils/test-helpers.js';
+
+const BASE_URL = 'https://magento.test/rest/default/V1';
+
+function searchResult(items, totalCount = items.length) {
+  return { data: { items, total_count: totalCount }, headers: {} };
+}
+
+const mockAxios = await installMockAxios(url => {
+  if (url.endsWith('/customers/search')) {
+    return searchResult(magentoCustomers);
+  }
+
+  const children = url.match(/\/configurable-products\/([^/]+)\/children$/);
+  if (children) {
+    return { data: magentoChildren[decodeURIComponent(children[1])] || [], headers: {} };
+  }
+
+  if (url.endsWith('/products')) {
+    return searchResult(magentoProducts);
+  }
+
+  if (url.endsWith('/orders')) {
+    return searchResult(magentoOrders);
+  }
+
+  if (url.endsWith('/store/storeConfigs')) {
+    return { data: [{ code: 'default' }], headers: {} };
+  }
+
+  return { data: {}, headers: {} };
+});
+
+describe('MagentoConnector', () => {
+  let connector;
+  const config = {
+    url: 'https://magento.test',
+    accessToken: 'integration-token',
+  };
+
+  beforeEach(() => {
+    connector = new MagentoConnector(config);
+    connector.rateLimitDelay = 0;
+    mockAxios.clearResponses();
+  });
+
+  afterEach(() => {
+    mockAxios.clearResponses();
+  });
+
+  describe('constructor', () => {
+    it('should initialize with correct configuration', () => {
+      assert.equal(connector.baseURL, BASE_URL);
+      assert.equal(connector.pageSize, 100);
+      assert.equal(connector.source, 'magento');
+    });
+
+    it('should use the configured store code', () => {
+      const store = new MagentoConnector({ ...config, storeCode: 'de' });
+      assert.equal(store.baseURL, 'https://magento.test/rest/de/V1');
+    });
+  });
+
+  describe('makeRequest', () => {
+    it('should send the integration token as a bearer token', async () => {
+      await connector.makeRequest('/store/storeConfigs');
+
+      const request = mockAxios.requests[0];
+      assert.equal(request.url, `${BASE_URL}/store/storeConfigs`);
+      assert.equal(request.config.headers['Authorization'], 'Bearer integration-token');
+    });
+
+    it('should throw error on API failure', async () => {
+      const error = new Error('API Error');
+      error.response = { status: 401, data: { message: "The consumer isn't authorized" } };
+      mockAxios.setResponse(`${BASE_URL}/orders`, error);
+
+      await assert.rejects(() => connector.makeRequest('/orders'), /API Error/);
+    });
+  });
+
+  describe('buildSearchCriteria', () => {
+    it('should sort by updated_at without filters for a full sync', () => {
+      assert.deepEqual(connector.buildSearchCriteria(null, null), {
+        'searchCriteria[sortOrders][0][field]': 'updated_at',
+        'searchCriteria[sortOrders][0][direction]': 'ASC',
+      });
+    });
+
+    it('should filter updated_at in separate filter groups', () => {
+      const params = connector.buildSearchCriteria(
+        new Date('2024-01-01T00:00:00Z'),
+        new Date('2024-01-02T06:30:00Z')
+      );
+
+      const since = 'searchCriteria[filter_groups][0][filters][0]';
+      const until = 'searchCriteria[filter_groups][1][filters][0]';
+      assert.equal(params[`${since}[field]`], 'updated_at');
+      assert.equal(params[`${since}[value]`], '2024-01-01 00:00:00');
+      assert.equal(params[`${since}[condition_type]`], 'gteq');
+      assert.equal(params[`${until}[value]`], '2024-01-02 06:30:00');
+      assert.equal(params[`${until}[condition_type]`], 'lt');
+    });
+
+    it('should filter and sort a backfill window of orders by created_at', async () => {
+      await connector.getOrders(new Date('2024-01-01T00:00:00Z'), new Date('2024-02-01T00:00:00Z'));
+
+      const params = mockAxios.requests[0].config.params;
+      assert.equal(params['searchCriteria[sortOrders][0][field]'], 'created_at');
+      assert.equal(params['searchCriteria[filter_groups][0][filters][0][field]'], 'created_at');
+      assert.equal(params['searchCriteria[filter_groups][1][filters][0][field]'], 'created_at');
+    });
+  });
+
+  describe('getCustomers', () => {
+    it('should search customers modified since the given date', async () => {
+      const customers = await connector.getCustomers(new Date('2024-01-01T00:00:00Z'));
+
+      assert.equal(customers.length, 1);
+      const params = mockAxios.requests[0].config.params;
+      const filter = 'searchCriteria[filter_groups][0][filters][0]';
+      assert.equal(params[`${filter}[value]`], '2024-01-01 00:00:00');
+      assert.equal(params['searchCriteria[currentPage]'], 1);
+    });
+
+    it('should stop paging at total_count', async () => {
+      connector.pageSize = 1;
+      mockAxios.setResponse(`${BASE_URL}/customers/search`, requestConfig => {
+        const page = requestConfig.params['searchCriteria[currentPage]'];
+        return searchResult([{ ...magentoCustomers[0], id: page }], 2);
+      });
+
+      const customers = await connector.getCustomers();
+
+      assert.deepEqual(
+        customers.map(customer => customer.id),
+        [1, 2]
+      );
+      assert.equal(mockAxios.requests.length, 2);
+    });
+  });
+
+  describe('getProducts', () => {
+    it('should skip products that are only sold as variants', async () => {
+      await connector.getProducts();
+
+      const params = mockAxios.requests[0].config.params;
+      const filter = 'searchCriteria[filter_groups][0][filters][0]';
+      assert.equal(params[`${filter}[field]`], 'visibility');
+      assert.equal(params[`${filter}[condition_type]`], 'neq');
+    });
+
+    it('should attach the children of configurable products', async () => {
+      const products = await connector.getProducts();
+
+      assert.equal(products[0].children.length, 2);
+      assert.equal(products[1].children, undefined);
+      const urls = mockAxios.requests.map(request => request.url);
+      assert.ok(urls.includes(`${BASE_URL}/configurable-products/HOODIE/children`));
+    });
+  });
+
+  describe('testConnection', () => {
+    it('should return true on successful connection', async () => {
+      assert.equal(await connector.testConnection(), true);
+    });
+
+    it('should return false on connection failure', async () => {
+      mockAxios.setResponse(`${BASE_URL}/store/storeConfigs`, new Error('Connection failed'));
+
+      assert.equal(await connector.testConnection(), false);
+    });
+  });
+
+  describe('transforms', () => {
+    const transformer = new DataTransformer();
+
+    it('should map customers using the default billing address', () => {
+      const customer = transformer.transformCustomer(
+        connector.normalize('customers', magentoCustomers[0]),
+        'magento'
+      );
+
+      assert.equal(customer.source_id, '21');
+      assert.equal(customer.email, 'mia.rossi@example.com');
+      assert.equal(customer.first_name, 'Mia');
+      assert.equal(customer.city, 'Portland');
+      assert.equal(customer.state, 'Oregon');
+      assert.equal(customer.postal_code, '97201');
+      assert.deepEqual(customer.updated_at, new Date('2024-01-09T17:45:00Z'));
+    });
+
+    it('should map configurable products to their children as variants', () => {
+      const raw = connector.normalize('products', {
+        ...magentoProducts[0],
+        children: magentoChildren.HOODIE,
+      });
+      const product = transformer.transformProduct(raw, 'magento');
+
+      assert.deepEqual(
+        raw.variants.map(variant => variant.sku),
+        ['HOODIE-S', 'HOODIE-M']
+      );
+      assert.equal(product.source_id, '300');
+      assert.equal(product.sku, 'HOODIE-S');
+      assert.equal(product.price, 55);
+      assert.equal(product.inventory_quantity, 7);
+      assert.equal(product.status, 'active');
+    });
+
+    it('should map simple products to a single variant', () => {
+      const product = transformer.transformProduct(
+        connector.normalize('products', magentoProducts[1]),
+        'magento'
+      );
+
+      assert.equal(product.sku, 'MUG');
+      assert.equal(product.price, 12.5);
+      assert.equal(product.inventory_quantity, 40);
+      assert.equal(product.status, 'draft');
+    });
+
+    it('should map orders with one line per ordered product', () => {
+      const raw = connector.normalize('orders', magentoOrders[0]);
+      const order = transformer.transformOrder(raw, 'magento');
+      const items = raw.line_items.map((item, position) =>
+        transformer.transformOrderItem(item, null, 'magento', position)
+      );
+
+      assert.equal(order.source_id, '4001');
+      assert.equal(order.order_number, '000000401');
+      assert.equal(order.financial_status, 'paid');
+      assert.equal(order.fulfillment_status, 'fulfilled');
+      assert.equal(order.total_price, 127.5);
+      assert.equal(order.total_discounts, 5);
+      assert.equal(order.currency, 'EUR');
+      assert.deepEqual(order.updated_at, new Date('2024-01-10T09:30:00Z'));
+
+      assert.equal(items.length, 2);
+      assert.equal(items[0].source_product_id, '300');
+      assert.equal(items[0].source_variant_id, '301');
+      assert.equal(items[0].price, 55);
+      assert.equal(items[0].quantity, 2);
+      assert.equal(items[0].total_discount, 5);
+      assert.equal(items[1].source_variant_id, '310');
+    });
+  });
+});
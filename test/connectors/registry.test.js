@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'assert';
+import { BaseConnector } from '../../src/connectors/baseConnector.js';
+import { ShopifyConnector } from '../../src/connectors/shopify.js';
+import {
+  registerConnector,
+  getConnector,
+  listConnectors,
+  enableVariable,
+  readSourceConfig,
+  validateSourceConfig,
+} from '../../src/connectors/registry.js';
+
+class ExampleConnector extends BaseConnector {
+  static source = 'example';
+  static label = 'Example';
+  static capabilities = ['customers', 'orders'];
+  static configSchema = {
+    apiUrl: { env: 'EXAMPLE_API_URL', required: true },
+    pageSize: { env: 'EXAMPLE_PAGE_SIZE', type: 'integer', default: 50 },
+    entities: { env: 'EXAMPLE_ENTITIES', type: 'list', values: ['customers', 'orders'] },
+  };
+}
+
+describe('connector registry', () => {
+  it('should register the built-in connectors', () => {
+    const sources = listConnectors().map(Connector => Connector.source);
+
+    assert.ok(sources.includes('shopify'));
+    assert.ok(sources.includes('woocommerce'));
+    assert.ok(sources.includes('commercetools'));
+    assert.equal(getConnector('shopify'), ShopifyConnector);
+  });
+
+  it('should register a new connector once', () => {
+    registerConnector(ExampleConnector);
+
+    assert.equal(getConnector('example'), ExampleConnector);
+    assert.throws(() => registerConnector(ExampleConnector), /already registered/);
+  });
+
+  it('should reject classes that do not extend BaseConnector', () => {
+    class Plain {}
+    assert.throws(() => registerConnector(Plain), /must extend BaseConnector/);
+  });
+
+  it('should reject unknown capabilities', () => {
+    class Broken extends BaseConnector {
+      static source = 'broken';
+      static label = 'Broken';
+      static capabilities = ['customers', 'wishlists'];
+    }
+
+    assert.throws(() => registerConnector(Broken), /unknown capabilities: wishlists/);
+  });
+
+  it('should throw for an unknown source', () => {
+    assert.throws(() => getConnector('nope'), /Unknown source: nope/);
+  });
+
+  describe('readSourceConfig', () => {
+    it('should read values from the environment variables in the schema', () => {
+      const sourceConfig = readSourceConfig(ExampleConnector, {
+        ENABLE_EXAMPLE: 'true',
+        EXAMPLE_API_URL: 'https://example.test',
+        EXAMPLE_PAGE_SIZE: '25',
+        EXAMPLE_ENTITIES: 'customers, orders',
+      });
+
+      assert.deepEqual(sourceConfig, {
+        enabled: true,
+        apiUrl: 'https://example.test',
+        pageSize: 25,
+        entities: ['customers', 'orders'],
+      });
+    });
+
+    it('should apply defaults for missing values', () => {
+      const sourceConfig = readSourceConfig(ExampleConnector, {});
+
+      assert.equal(sourceConfig.enabled, false);
+      assert.equal(sourceConfig.apiUrl, undefined);
+      assert.equal(sourceConfig.pageSize, 50);
+      assert.deepEqual(sourceConfig.entities, []);
+    });
+
+    it('should derive the enable flag from the source', () => {
+      assert.equal(enableVariable('woocommerce'), 'ENABLE_WOOCOMMERCE');
+    });
+  });
+
+  describe('validateSourceConfig', () => {
+    it('should accept a complete config', () => {
+      const sourceConfig = readSourceConfig(ExampleConnector, {
+        EXAMPLE_API_URL: 'https://example.test',
+      });
+
+      assert.deepEqual(validateSourceConfig(ExampleConnector, sourceConfig), []);
+    });
+
+    it('should report missing, malformed and unsupported values', () => {
+      const sourceConfig = readSourceConfig(ExampleConnector, {
+        EXAMPLE_PAGE_SIZE: 'lots',
+        EXAMPLE_ENTITIES: 'customers,refunds',
+      });
+
+      assert.deepEqual(validateSourceConfig(ExampleConnector, sourceConfig), [
+        'EXAMPLE_API_URL is required when Example is enabled',
+        'EXAMPLE_PAGE_SIZE must be an integer',
+        'EXAMPLE_ENTITIES contains unsupported values: refunds',
+      ]);
+    });
+
+    it('should reject a value outside the allowed ones', () => {
+      class ModeConnector extends BaseConnector {
+        static source = 'mode';
+        static label = 'Mode';
+        static capabilities = ['orders'];
+        static configSchema = {
+          mode: { env: 'MODE_SYNC', values: ['query', 'messages'], default: 'query' },
+        };
+      }
+
+      const validate = env =>
+        validateSourceConfig(ModeConnector, readSourceConfig(ModeConnector, env));
+
+      assert.deepEqual(validate({}), []);
+      assert.deepEqual(validate({ MODE_SYNC: 'feed' }), [
+        'MODE_SYNC must be one of: query, messages',
+      ]);
+    });
+
+    it('should reject an unknown time zone', () => {
+      class ZoneConnector extends BaseConnector {
+        static source = 'zone';
+        static label = 'Zone';
+        static capabilities = ['orders'];
+        static configSchema = {
+          timezone: { env: 'ZONE_TIMEZONE', type: 'timezone' },
+        };
+      }
+
+      const validate = env =>
+        validateSourceConfig(ZoneConnector, readSourceConfig(ZoneConnector, env));
+
+      assert.deepEqual(validate({}), []);
+      assert.deepEqual(validate({ ZONE_TIMEZONE: 'Europe/Berlin' }), []);
+      assert.deepEqual(validate({ ZONE_TIMEZONE: 'CEST+2' }), [
+        'ZONE_TIMEZONE must be an IANA time zone, e.g. Europe/Berlin',
+      ]);
+    });
+
+    it('should treat an empty required list as missing', () => {
+      class ListConnector extends BaseConnector {
+        static source = 'list';
+        static label = 'List';
+        static capabilities = ['orders'];
+        static configSchema = {
+          files: { env: 'LIST_FILES', type: 'list', required: true },
+        };
+      }
+      const sourceConfig = readSourceConfig(ListConnector, { LIST_FILES: ' , ' });
+
+      assert.deepEqual(validateSourceConfig(ListConnector, sourceConfig), [
+        'LIST_FILES is required when List is enabled',
+      ]);
+    });
+  });
+});
@@ -1,73 +1,47 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import { strict as assert } from 'assert';
+import crypto from 'crypto';
 import { ShopifyConnector } from '../../src/connectors/shopify.js';
 import { shopifyCustomers, shopifyProducts, shopifyOrders } from '../fixtures/shopify-data.js';
+import { installMockAxios } from '../utils/test-helpers.js';
+
+const mockAxios = await installMockAxios(url => {
+  if (url.includes('/customers.json')) {
+    return {
+      data: { customers: shopifyCustomers },
+      headers: {}
+    };
+  }
 
-// Mock axios
-let mockAxios = {
-  responses: new Map(),
-  requests: [],
-  get: async function(url, config) {
-    this.requests.push({ url, config });
-
-    if (this.responses.has(url)) {
-      const response = this.responses.get(url);
-      if (response instanceof Error) {
-        throw response;
-      }
-      return response;
-    }
-
-    // Default responses
-    if (url.includes('/customers.json')) {
-      return {
-        data: { customers: shopifyCustomers },
-        headers: {}
-      };
-    }
+  if (url.includes('/products.json')) {
+    return {
+      data: { products: shopifyProducts },
+      headers: {}
+    };
+  }
 
-    if (url.includes('/products.json')) {
-      return {
-        data: { products: shopifyProducts },
-        headers: {}
-      };
-    }
+  if (url.includes('/orders.json')) {
+    return {
+      data: { orders: shopifyOrders },
+      headers: {}
+    };
+  }
 
-    if (url.includes('/orders.json')) {
-      return {
-        data: { orders: shopifyOrders },
-        headers: {}
-      };
-    }
-
-    if (url.includes('/shop.json')) {
-      return {
-        data: {
-          shop: {
-            name: 'Test Store',
-            currency: 'USD',
-            timezone: 'America/New_York'
-          }
+  if (url.includes('/shop.json')) {
+    return {
+      data: {
+        shop: {
+          name: 'Test Store',
+          currency: 'USD',
+          timezone: '(GMT-05:00) Eastern Time (US & Canada)',
+          iana_timezone: 'America/New_York'
         }
-      };
-    }
-
-    return { data: {} };
-  },
-
-  setResponse: function(url, response) {
-    this.responses.set(url, response);
-  },
-
-  clearResponses: function() {
-    this.responses.clear();
-    this.requests = [];
+      }
+    };
   }
-};
 
-// Mock axios module
-const originalAxios = await import('axios');
-originalAxios.default.get = mockAxios.get.bind(mockAxios);
+  return { data: {} };
+});
 
 describe('ShopifyConnector', () => {
   let connector;
@@ -195,6 +169,27 @@ describe('ShopifyConnector', () => {
       const request = mockAxios.requests[0];
       assert.ok(request.config.params.updated_at_min === since.toISOString());
     });
+
+    it('should select a backfill window of orders by creation time', async () => {
+      const since = new Date('2025-03-01');
+      const until = new Date('2025-04-01');
+      await connector.getOrders(since, until);
+
+      const { params } = mockAxios.requests[0].config;
+      assert.equal(params.created_at_min, since.toISOString());
+      assert.equal(params.created_at_max, until.toISOString());
+      assert.equal(params.order, 'created_at asc');
+      assert.equal(params.updated_at_min, undefined);
+    });
+
+    it('should keep filtering incremental orders by updated_at', async () => {
+      const since = new Date('2025-03-01');
+      await connector.getOrders(since);
+
+      const { params } = mockAxios.requests[0].config;
+      assert.equal(params.updated_at_min, since.toISOString());
+      assert.equal(params.order, 'updated_at asc');
+    });
   });
 
   describe('getAnalytics', () => {
@@ -215,6 +210,39 @@ describe('ShopifyConnector', () => {
       assert.equal(analytics.orderStats.totalOrders, 2);
       assert.equal(analytics.orderStats.totalRevenue, 162.67); // 124.98 + 37.69
     });
+
+    it('should convert revenue into the reporting currency when given rates', async () => {
+      const converted = [];
+      const fx = {
+        reportingCurrency: 'EUR',
+        convert: (amount, currency) => {
+          converted.push(currency);
+          return amount / 2;
+        },
+      };
+
+      const analytics = await connector.getAnalytics(fx);
+
+      assert.deepEqual(converted, ['USD', 'USD']);
+      assert.equal(analytics.orderStats.currency, 'EUR');
+      assert.equal(analytics.orderStats.totalRevenue.toFixed(3), '81.335');
+      assert.equal(analytics.orderStats.averageOrderValue.toFixed(4), '40.6675');
+    });
+  });
+
+  describe('getTimezone', () => {
+    it('should read the shop\'s IANA time zone', async () => {
+      assert.equal(await connector.getTimezone(), 'America/New_York');
+    });
+
+    it('should fall back to the configured time zone', async () => {
+      mockAxios.setResponse('https://test-store.myshopify.com/admin/api/2024-01/shop.json', {
+        data: { shop: { name: 'Test Store' } },
+      });
+      connector = new ShopifyConnector({ ...config, timezone: 'Europe/Berlin' });
+
+      assert.equal(await connector.getTimezone(), 'Europe/Berlin');
+    });
   });
 
   describe('testConnection', () => {
@@ -232,6 +260,51 @@ describe('ShopifyConnector', () => {
     });
   });
 
+  describe('streamCarts', () => {
+    it('should read open and closed abandoned checkouts', async () => {
+      mockAxios.setResponse('https://test-store.myshopify.com/admin/api/2024-01/checkouts.json', {
+        data: { checkouts: [{ id: 7001, total_price: '45.00' }] },
+        headers: {},
+      });
+
+      const pages = [];
+      for await (const page of connector.streamCarts(new Date('2024-01-01'))) {
+        pages.push(page);
+      }
+
+      assert.equal(pages.length, 2);
+      assert.deepEqual(mockAxios.requests.map(request => request.config.params.status), [
+        'open',
+        'closed',
+      ]);
+      assert.equal(connector.inUpdateOrder('carts'), false);
+      assert.equal(connector.inUpdateOrder('orders'), true);
+    });
+  });
+
+  describe('streamInventory', () => {
+    it('should read levels for at most 50 locations per request', async () => {
+      mockAxios.setResponse(
+        'https://test-store.myshopify.com/admin/api/2024-01/inventory_levels.json',
+        {
+          data: { inventory_levels: [{ inventory_item_id: 808950810, available: 7 }] },
+          headers: {},
+        }
+      );
+      const locations = Array.from({ length: 60 }, (_, i) => ({ id: i + 1 }));
+
+      const pages = [];
+      for await (const page of connector.streamInventory(locations)) {
+        pages.push(page);
+      }
+
+      assert.equal(pages.length, 2);
+      const locationIds = mockAxios.requests.map(request => request.config.params.location_ids);
+      assert.equal(locationIds[0].split(',').length, 50);
+      assert.equal(locationIds[1], '51,52,53,54,55,56,57,58,59,60');
+    });
+  });
+
   describe('pagination', () => {
     it('should handle pagination correctly', async () => {
       // Mock paginated response
@@ -266,6 +339,36 @@ describe('ShopifyConnector', () => {
     });
   });
 
+  describe('webhooks', () => {
+    it('should only accept webhooks with a secret configured', () => {
+      assert.equal(connector.acceptsWebhooks(), false);
+
+      const signed = new ShopifyConnector({ ...config, webhookSecret: 'secret' });
+      assert.equal(signed.acceptsWebhooks(), true);
+    });
+
+    it('should read the delivery from the Shopify headers', () => {
+      const delivery = connector.readWebhook({
+        'x-shopify-webhook-id': 'wh-1',
+        'x-shopify-topic': 'customers/update',
+        'x-shopify-hmac-sha256': 'c2ln',
+      });
+
+      assert.deepEqual(delivery, { id: 'wh-1', topic: 'customers/update', signature: 'c2ln' });
+    });
+
+    it('should verify the HMAC of the raw body', () => {
+      const signed = new ShopifyConnector({ ...config, webhookSecret: 'secret' });
+      const body = Buffer.from('{"id":1}');
+      const signature = crypto.createHmac('sha256', 'secret').update(body).digest('base64');
+
+      assert.equal(signed.verifyWebhook(body, signature), true);
+      assert.equal(signed.verifyWebhook(Buffer.from('{"id":2}'), signature), false);
+      assert.equal(signed.verifyWebhook(body, 'short'), false);
+      assert.equal(signed.verifyWebhook(body, undefined), false);
+    });
+  });
+
   describe('sleep', () => {
     it('should wait for specified duration', async () => {
       const start = Date.now();
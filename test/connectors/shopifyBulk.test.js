@@ -0,0 +1,348 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import { strict as assert } from 'assert';
+import http from 'http';
+import { ShopifyConnector } from '../../src/connectors/shopify.js';
+import { DataTransformer } from '../../src/transformers/dataTransformer.js';
+
+const ORDER_GID = 'gid://shopify/Order/555666777';
+
+const bulkResults = {
+  orders: [
+    {
+      id: ORDER_GID,
+      name: '#1001',
+      email: 'John.Doe@example.com',
+      createdAt: '2024-01-10T10:00:00Z',
+      updatedAt: '2024-01-11T10:00:00Z',
+      processedAt: '2024-01-10T10:00:00Z',
+      cancelledAt: null,
+      tags: ['online'],
+      sourceName: 'web',
+      displayFinancialStatus: 'PAID',
+      displayFulfillmentStatus: 'FULFILLED',
+      currencyCode: 'USD',
+      subtotalPriceSet: { shopMoney: { amount: '109.98' } },
+      totalTaxSet: { shopMoney: { amount: '10.00' } },
+      totalDiscountsSet: { shopMoney: { amount: '5.00' } },
+      totalShippingPriceSet: { shopMoney: { amount: '10.00' } },
+      totalPriceSet: { shopMoney: { amount: '124.98' } },
+      refunds: [
+        {
+          id: 'gid://shopify/Refund/999',
+          note: 'Too small',
+          createdAt: '2024-01-11T10:00:00Z',
+          updatedAt: '2024-01-11T10:00:00Z',
+          totalRefundedSet: { shopMoney: { amount: '29.99' } },
+        },
+      ],
+    },
+    {
+      id: 'gid://shopify/LineItem/888999000',
+      title: 'Premium T-Shirt',
+      variantTitle: 'Large',
+      sku: 'PTS-L-001',
+      quantity: 2,
+      originalUnitPriceSet: { shopMoney: { amount: '29.99' } },
+      totalDiscountSet: { shopMoney: { amount: '5.00' } },
+      product: { id: 'gid://shopify/Product/111222333' },
+      variant: { id: 'gid://shopify/ProductVariant/444555666' },
+      __parentId: ORDER_GID,
+    },
+    {
+      id: 'gid://shopify/Order/666777888',
+      name: '#1002',
+      email: 'jane.smith@example.com',
+      createdAt: '2024-01-15T10:00:00Z',
+      updatedAt: '2024-01-15T10:00:00Z',
+      processedAt: '2024-01-15T10:00:00Z',
+      tags: [],
+      displayFinancialStatus: 'PENDING',
+      currencyCode: 'USD',
+      totalPriceSet: { shopMoney: { amount: '37.69' } },
+    },
+  ],
+  customers: [
+    {
+      id: 'gid://shopify/Customer/123456789',
+      email: 'john.doe@example.com',
+      firstName: 'John',
+      lastName: 'Doe',
+      phone: '+1234567890',
+      tags: ['VIP'],
+      numberOfOrders: '5',
+      amountSpent: { amount: '1500.00' },
+      defaultAddress: { city: 'New York', province: 'NY', country: 'US', zip: '10001' },
+      createdAt: '2023-01-15T10:00:00Z',
+      updatedAt: '2024-01-15T10:00:00Z',
+    },
+  ],
+  products: [
+    {
+      id: 'gid://shopify/Product/111222333',
+      title: 'Premium T-Shirt',
+      vendor: 'Acme Clothing',
+      productType: 'Shirts',
+      status: 'ACTIVE',
+      tags: ['summer'],
+      createdAt: '2023-01-01T10:00:00Z',
+      updatedAt: '2024-01-01T10:00:00Z',
+    },
+    {
+      id: 'gid://shopify/ProductVariant/444555666',
+      title: 'Large',
+      sku: 'PTS-L-001',
+      price: '29.99',
+      compareAtPrice: '39.99',
+      inventoryQuantity: 100,
+      barcode: '0012345678905',
+      weight: 0.2,
+      weightUnit: 'KILOGRAMS',
+      selectedOptions: [
+        { name: 'Size', value: 'L' },
+        { name: 'Color', value: 'Navy' },
+      ],
+      __parentId: 'gid://shopify/Product/111222333',
+    },
+  ],
+};
+
+// Minimal stand-in for the Shopify Admin GraphQL endpoint and the result download
+function createStubServer(state) {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      if (req.url.startsWith('/results/')) {
+        const entity = req.url.split('/').pop().replace('.jsonl', '');
+        res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+        res.end(`${bulkResults[entity].map(row => JSON.stringify(row)).join('\n')}\n`);
+        return;
+      }
+
+      const { query, variables } = JSON.parse(body);
+      state.requests.push({ query, variables, token: req.headers['x-shopify-access-token'] });
+
+      // Requests answered 503 before the endpoint recovers, per kind of request
+      const kind = query.includes('bulkOperationRunQuery') ? 'run' : 'poll';
+      if (state.unavailable[kind] > 0) {
+        state.unavailable[kind]--;
+        res.writeHead(503);
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+
+      if (query.includes('bulkOperationRunQuery')) {
+        if (state.rejectRun) {
+          res.end(
+            JSON.stringify({
+              data: {
+                bulkOperationRunQuery: {
+                  bulkOperation: null,
+                  userErrors: [
+                    { field: ['query'], message: 'A bulk operation is already running' },
+                  ],
+                },
+              },
+            })
+          );
+          return;
+        }
+
+        state.entity = variables.query.match(/^\s*\{\s*(\w+)/)[1];
+        state.polls = 0;
+        res.end(
+          JSON.stringify({
+            data: {
+              bulkOperationRunQuery: {
+                bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' },
+                userErrors: [],
+              },
+            },
+          })
+        );
+        return;
+      }
+
+      state.polls++;
+      const done = state.polls >= 2;
+      res.end(
+        JSON.stringify({
+          data: {
+            node: {
+              id: 'gid://shopify/BulkOperation/1',
+              status: done ? state.finalStatus : 'RUNNING',
+              errorCode: state.finalStatus === 'FAILED' ? 'INTERNAL_SERVER_ERROR' : null,
+              objectCount: String(bulkResults[state.entity].length),
+              url:
+                done && state.finalStatus === 'COMPLETED'
+                  ? `${state.baseUrl}/results/${state.entity}.jsonl`
+                  : null,
+            },
+          },
+        })
+      );
+    });
+  });
+}
+
+describe('ShopifyConnector bulk operations', () => {
+  let server;
+  let connector;
+  const state = { requests: [] };
+
+  before(async () => {
+    server = createStubServer(state);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.requests = [];
+    state.finalStatus = 'COMPLETED';
+    state.rejectRun = false;
+    state.unavailable = { run: 0, poll: 0 };
+
+    connector = new ShopifyConnector({
+      storeUrl: state.baseUrl,
+      accessToken: 'test-token',
+      bulkEntities: ['orders', 'customers', 'products'],
+      bulkPollInterval: 1,
+    });
+  });
+
+  it('should only use bulk mode for configured entities', () => {
+    const restConnector = new ShopifyConnector({
+      storeUrl: state.baseUrl,
+      accessToken: 'test-token',
+      bulkEntities: ['orders'],
+    });
+
+    assert.equal(restConnector.useBulk('orders'), true);
+    assert.equal(restConnector.useBulk('customers'), false);
+  });
+
+  it('should submit, poll and download orders with nested line items', async () => {
+    const orders = await connector.getOrders();
+
+    assert.equal(orders.length, 2);
+    assert.equal(orders[0].id, '555666777');
+    assert.equal(orders[0].order_number, '1001');
+    assert.equal(orders[0].financial_status, 'paid');
+    assert.equal(orders[0].total_price, '124.98');
+    assert.equal(orders[0].line_items.length, 1);
+    assert.equal(orders[0].line_items[0].product_id, '111222333');
+    assert.equal(orders[0].line_items[0].variant_id, '444555666');
+    assert.equal(orders[1].line_items.length, 0);
+
+    assert.ok(state.requests[0].query.includes('bulkOperationRunQuery'));
+    assert.equal(state.requests[0].token, 'test-token');
+    assert.ok(state.polls >= 2);
+  });
+
+  it('should filter by updated_at when since is provided', async () => {
+    const since = new Date('2024-01-01T00:00:00Z');
+    await connector.getOrders(since);
+
+    const submitted = state.requests[0].variables.query;
+    assert.ok(submitted.includes(`updated_at:>='${since.toISOString()}'`));
+    assert.ok(submitted.includes('sortKey: UPDATED_AT'));
+  });
+
+  it('should bound the query when until is provided', async () => {
+    const since = new Date('2025-03-01T00:00:00Z');
+    const until = new Date('2025-04-01T00:00:00Z');
+    await connector.getOrders(since, until);
+
+    const submitted = state.requests[0].variables.query;
+    assert.ok(
+      submitted.includes(
+        `created_at:>='${since.toISOString()}' AND created_at:<'${until.toISOString()}'`
+      )
+    );
+    assert.ok(submitted.includes('sortKey: CREATED_AT'));
+  });
+
+  it('should produce records DataTransformer can consume', async () => {
+    const transformer = new DataTransformer();
+
+    const [order] = await connector.getOrders();
+    const transformedOrder = transformer.transformOrder(order, 'shopify');
+    assert.equal(transformedOrder.source_id, '555666777');
+    assert.equal(transformedOrder.email, 'john.doe@example.com');
+    assert.equal(transformedOrder.total_price, 124.98);
+    assert.equal(transformedOrder.total_shipping, 10);
+
+    const item = transformer.transformOrderItem(order.line_items[0], null, 'shopify');
+    assert.equal(item.source_product_id, '111222333');
+    assert.equal(item.price, 29.99);
+
+    const refund = transformer.transformRefund(order.refunds[0], 'shopify');
+    assert.equal(refund.source_id, '999');
+    assert.equal(refund.source_order_id, '555666777');
+    assert.equal(refund.amount, 29.99);
+    assert.equal(refund.reason, 'Too small');
+
+    const [customer] = await connector.getCustomers();
+    const transformedCustomer = transformer.transformCustomer(customer, 'shopify');
+    assert.equal(transformedCustomer.source_id, '123456789');
+    assert.equal(transformedCustomer.city, 'New York');
+    assert.equal(transformedCustomer.total_spent, 1500);
+    assert.equal(transformedCustomer.orders_count, 5);
+
+    const [product] = await connector.getProducts();
+    const transformedProduct = transformer.transformProduct(product, 'shopify');
+    assert.equal(transformedProduct.sku, 'PTS-L-001');
+    assert.equal(transformedProduct.price, 29.99);
+    assert.equal(transformedProduct.inventory_quantity, 100);
+    assert.equal(transformedProduct.status, 'active');
+
+    const variant = transformer.transformProductVariant(product.variants[0], product, 'shopify');
+    assert.equal(variant.source_id, '444555666');
+    assert.equal(variant.source_product_id, '111222333');
+    assert.equal(variant.barcode, '0012345678905');
+    assert.deepEqual(variant.options, { Size: 'L', Color: 'Navy' });
+    assert.equal(variant.weight, 0.2);
+    assert.equal(variant.weight_unit, 'kg');
+  });
+
+  it('should throw when the bulk operation fails', async () => {
+    state.finalStatus = 'FAILED';
+
+    await assert.rejects(
+      () => connector.getOrders(),
+      /ended with status FAILED \(INTERNAL_SERVER_ERROR\)/
+    );
+  });
+
+  it('should not resubmit a bulk operation whose submission failed', async () => {
+    connector.http.sleep = async () => {};
+    state.unavailable.run = 1;
+
+    await assert.rejects(() => connector.getOrders(), /status code 503/);
+
+    assert.equal(state.requests.length, 1);
+  });
+
+  it('should retry status polls that fail', async () => {
+    connector.http.sleep = async () => {};
+    state.unavailable.poll = 1;
+
+    const orders = await connector.getOrders();
+
+    assert.equal(orders.length, 2);
+    assert.equal(connector.http.stats.retries, 1);
+    assert.equal(state.requests.filter(r => r.query.includes('bulkOperationRunQuery')).length, 1);
+  });
+
+  it('should throw on userErrors from bulkOperationRunQuery', async () => {
+    state.rejectRun = true;
+
+    await assert.rejects(() => connector.getOrders(), /already running/);
+  });
+});
@@ -0,0 +1,275 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'assert';
+import { StripeConnector } from '../../src/connectors/stripe.js';
+import { DataTransformer } from '../../src/transformers/dataTransformer.js';
+import { stripeCharges, stripeRefunds, stripeDisputes } from '../fixtures/stripe-data.js';
+import { installMockAxios } from '../utils/test-helpers.js';
+
+const BASE_URL = 'https://api.stripe.com/v1';
+
+function list(data, hasMore = false) {
+  return { data: { object: 'list', data, has_more: hasMore }, headers: {} };
+}
+
+// Pages newest-first objects the way Stripe does: starting_after walks to older
+// objects, ending_before to the newer ones just before the given object
+function pagedList(objects, params) {
+  const limit = params.limit || 100;
+
+  if (params.ending_before) {
+    const end = objects.findIndex(object => object.id === params.ending_before);
+    const start = Math.max(0, end - limit);
+    return list(objects.slice(start, end), start > 0);
+  }
+
+  const start = params.starting_after
+    ? objects.findIndex(object => object.id === params.starting_after) + 1
+    : 0;
+  return list(objects.slice(start, start + limit), start + limit < objects.length);
+}
+
+const mockAxios = await installMockAxios((url, config) => {
+  if (url.endsWith('/charges')) {
+    return pagedList(stripeCharges, config.params);
+  }
+
+  if (url.endsWith('/refunds')) {
+    return pagedList(stripeRefunds, config.params);
+  }
+
+  if (url.endsWith('/disputes')) {
+    return pagedList(stripeDisputes, config.params);
+  }
+
+  if (url.endsWith('/balance')) {
+    return { data: { object: 'balance', available: [] }, headers: {} };
+  }
+
+  return { data: {}, headers: {} };
+});
+
+async function collect(stream) {
+  const pages = [];
+  for await (const page of stream) {
+    pages.push(page);
+  }
+  return pages;
+}
+
+describe('StripeConnector', () => {
+  let connector;
+  const config = {
+    secretKey: 'sk_test_123',
+  };
+
+  beforeEach(() => {
+    connector = new StripeConnector(config);
+    connector.rateLimitDelay = 0;
+    mockAxios.clearResponses();
+  });
+
+  afterEach(() => {
+    mockAxios.clearResponses();
+  });
+
+  describe('constructor', () => {
+    it('should initialize with correct configuration', () => {
+      assert.equal(connector.baseURL, BASE_URL);
+      assert.equal(connector.orderMetadataKey, 'order_id');
+      assert.equal(connector.source, 'stripe');
+      assert.equal(connector.supports('payments'), true);
+      assert.equal(connector.supports('orders'), false);
+    });
+  });
+
+  describe('makeRequest', () => {
+    it('should send the secret key as a bearer token', async () => {
+      await connector.makeRequest('/balance');
+
+      const request = mockAxios.requests[0];
+      assert.equal(request.url, `${BASE_URL}/balance`);
+      assert.equal(request.config.headers['Authorization'], 'Bearer sk_test_123');
+    });
+
+    it('should throw error on API failure', async () => {
+      const error = new Error('API Error');
+      error.response = { status: 401, data: { error: { type: 'invalid_request_error' } } };
+      mockAxios.setResponse(`${BASE_URL}/charges`, error);
+
+      await assert.rejects(() => connector.makeRequest('/charges'), /API Error/);
+    });
+  });
+
+  describe('streamPayments', () => {
+    it('should page down with starting_after while has_more is set', async () => {
+      connector.pageSize = 1;
+
+      await collect(connector.streamPayments());
+
+      const params = mockAxios.requests.map(request => request.config.params);
+      assert.equal(params[0].starting_after, undefined);
+      assert.equal(params[0].limit, 1);
+      assert.equal(params[1].starting_after, 'ch_2');
+    });
+
+    it('should yield charges oldest first', async () => {
+      connector.pageSize = 1;
+
+      const pages = await collect(connector.streamPayments());
+
+      assert.deepEqual(pages, [[stripeCharges[1]], [stripeCharges[0]]]);
+    });
+
+    it('should hand out one page at a time, walking up with ending_before', async () => {
+      const charges = Array.from({ length: 5 }, (_, i) => ({
+        ...stripeCharges[0],
+        id: `ch_${5 - i}`,
+        created: 1704067200 + (5 - i) * 60,
+      }));
+      mockAxios.setResponse(`${BASE_URL}/charges`, requestConfig =>
+        pagedList(charges, requestConfig.params)
+      );
+      connector.pageSize = 2;
+
+      const stream = connector.streamPayments();
+      const first = await stream.next();
+
+      // Down to the oldest page, which is handed out before anything newer is read
+      assert.deepEqual(
+        first.value.map(charge => charge.id),
+        ['ch_1']
+      );
+      assert.equal(mockAxios.requests.length, 3);
+
+      const rest = await collect(stream);
+      assert.deepEqual(
+        rest.map(page => page.map(charge => charge.id)),
+        [
+          ['ch_2', 'ch_3'],
+          ['ch_4', 'ch_5'],
+        ]
+      );
+      const endingBefore = mockAxios.requests.slice(3).map(r => r.config.params.ending_before);
+      assert.deepEqual(endingBefore, ['ch_1', 'ch_3']);
+    });
+
+    it('should expand balance transactions', async () => {
+      await collect(connector.streamPayments());
+
+      assert.deepEqual(mockAxios.requests[0].config.params.expand, ['data.balance_transaction']);
+    });
+
+    it('should filter a backfill window by creation time', async () => {
+      await collect(
+        connector.streamPayments(new Date('2024-01-01T00:00:00Z'), new Date('2024-01-02T00:00:00Z'))
+      );
+
+      const params = mockAxios.requests[0].config.params;
+      assert.equal(params['created[gte]'], 1704067200);
+      assert.equal(params['created[lt]'], 1704153600);
+    });
+
+    it('should reach back on incremental reads to pick up settled charges', async () => {
+      await collect(connector.streamPayments(new Date('2024-01-08T00:00:00Z')));
+
+      const params = mockAxios.requests[0].config.params;
+      assert.equal(params['created[gte]'], 1704067200);
+      assert.equal(params['created[lt]'], undefined);
+    });
+  });
+
+  describe('streamPaymentDisputes', () => {
+    it('should reach back further for disputes', async () => {
+      await collect(connector.streamPaymentDisputes(new Date('2024-05-01T00:00:00Z')));
+
+      const params = mockAxios.requests[0].config.params;
+      assert.equal(params['created[gte]'], Date.parse('2024-01-02T00:00:00Z') / 1000);
+    });
+  });
+
+  describe('testConnection', () => {
+    it('should return true on successful connection', async () => {
+      assert.equal(await connector.testConnection(), true);
+    });
+
+    it('should return false on connection failure', async () => {
+      mockAxios.setResponse(`${BASE_URL}/balance`, new Error('Connection failed'));
+
+      assert.equal(await connector.testConnection(), false);
+    });
+  });
+
+  describe('transforms', () => {
+    const transformer = new DataTransformer();
+
+    it('should map charges with fees from their balance transaction', () => {
+      const payment = transformer.transformPayment(
+        connector.normalize('payments', stripeCharges[1]),
+        'stripe'
+      );
+
+      assert.equal(payment.source_id, 'ch_1');
+      assert.equal(payment.order_reference, '4001');
+      assert.equal(payment.email, 'mia.rossi@example.com');
+      assert.equal(payment.currency, 'USD');
+      assert.equal(payment.amount, 127.5);
+      assert.equal(payment.amount_refunded, 25);
+      assert.equal(payment.fee, 3.72);
+      assert.equal(payment.net, 114.28);
+      assert.equal(payment.settlement_currency, 'EUR');
+      assert.equal(payment.balance_transaction_id, 'txn_1');
+      assert.equal(payment.captured, true);
+      assert.deepEqual(payment.updated_at, new Date('2024-01-09T10:00:00Z'));
+    });
+
+    it('should keep zero-decimal currencies as they are', () => {
+      const payment = transformer.transformPayment(
+        connector.normalize('payments', stripeCharges[0]),
+        'stripe'
+      );
+
+      assert.equal(payment.amount, 5000);
+      assert.equal(payment.email, 'kenji@example.com');
+      assert.equal(payment.order_reference, null);
+      assert.equal(payment.fee, null);
+      assert.equal(payment.balance_transaction_id, 'txn_2');
+    });
+
+    it('should read the order reference from the configured metadata key', () => {
+      const custom = new StripeConnector({ ...config, orderMetadataKey: 'order_number' });
+      const raw = custom.normalize('payments', {
+        ...stripeCharges[1],
+        metadata: { order_number: '#1001' },
+      });
+
+      assert.equal(raw.order_reference, '#1001');
+    });
+
+    it('should map refunds to their charge', () => {
+      const refund = transformer.transformPaymentRefund(
+        connector.normalize('payment_refunds', stripeRefunds[0]),
+        'stripe'
+      );
+
+      assert.equal(refund.source_id, 're_1');
+      assert.equal(refund.source_payment_id, 'ch_1');
+      assert.equal(refund.amount, 25);
+      assert.equal(refund.fee, 0);
+      assert.equal(refund.status, 'succeeded');
+    });
+
+    it('should map disputes with their fees', () => {
+      const dispute = transformer.transformPaymentDispute(
+        connector.normalize('payment_disputes', stripeDisputes[0]),
+        'stripe'
+      );
+
+      assert.equal(dispute.source_id, 'dp_1');
+      assert.equal(dispute.source_payment_id, 'ch_1');
+      assert.equal(dispute.status, 'lost');
+      assert.equal(dispute.amount, 102.5);
+      assert.equal(dispute.fee, 15);
+      assert.deepEqual(dispute.created_at, new Date('2024-01-12T10:00:00Z'));
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'assert';
+import { WooCommerceConnector } from '../../src/connectors/woocommerce.js';
+import { DataTransformer } from '../../src/transformers/dataTransformer.js';
+import { localDay } from '../../src/utils/timezone.js';
+import { installMockAxios } from '../utils/test-helpers.js';
+
+// A Los Angeles store: the plain dates are Pacific time, the _gmt ones UTC
+const lateOrder = {
+  id: 501,
+  number: '501',
+  status: 'processing',
+  total: '30.00',
+  currency: 'USD',
+  billing: { email: 'late@example.com' },
+  date_created: '2024-03-01T20:30:00',
+  date_created_gmt: '2024-03-02T04:30:00',
+  date_modified: '2024-03-01T21:00:00',
+  date_modified_gmt: '2024-03-02T05:00:00',
+  line_items: [{ id: 9, product_id: 4, name: 'Mug', quantity: 1, price: 30 }],
+  refunds: [],
+};
+
+const mockAxios = await installMockAxios(url => {
+  if (url.endsWith('/orders')) {
+    return { data: [lateOrder], headers: { 'x-wp-totalpages': '1' } };
+  }
+
+  if (url.endsWith('/system_status')) {
+    return { data: { settings: { timezone_string: 'America/Los_Angeles' } }, headers: {} };
+  }
+
+  return { data: [], headers: {} };
+});
+
+describe('WooCommerceConnector', () => {
+  let connector;
+
+  beforeEach(() => {
+    connector = new WooCommerceConnector({
+      url: 'https://woo.test',
+      consumerKey: 'ck_test',
+      consumerSecret: 'cs_test',
+    });
+    connector.rateLimitDelay = 0;
+    mockAxios.clearResponses();
+  });
+
+  afterEach(() => {
+    mockAxios.clearResponses();
+  });
+
+  describe('streamCustomers', () => {
+    it('should read every customer and keep those modified in the window', async () => {
+      mockAxios.setResponse('https://woo.test/wp-json/wc/v3/customers', {
+        data: [
+          {
+            id: 1,
+            date_created_gmt: '2023-01-01T00:00:00',
+            date_modified_gmt: '2024-03-02T00:00:00',
+          },
+          {
+            id: 2,
+            date_created_gmt: '2024-02-01T00:00:00',
+            date_modified_gmt: '2024-02-01T00:00:00',
+          },
+          { id: 3, date_created_gmt: '2024-03-05T00:00:00', date_modified_gmt: null },
+        ],
+        headers: { 'x-wp-totalpages': '1' },
+      });
+
+      const customers = await connector.getCustomers(
+        new Date('2024-03-01T00:00:00Z'),
+        new Date('2024-03-04T00:00:00Z')
+      );
+
+      assert.deepEqual(
+        customers.map(customer => customer.id),
+        [1]
+      );
+      const { params } = mockAxios.requests[0].config;
+      assert.equal(params.orderby, 'id');
+      assert.equal(params.after, undefined);
+    });
+
+    it('should not checkpoint customers by page', () => {
+      assert.equal(connector.inUpdateOrder('customers', new Date(), null), false);
+      assert.equal(connector.inUpdateOrder('orders', new Date(), null), true);
+    });
+  });
+
+  describe('streamOrders', () => {
+    it('should send an incremental window as GMT modification dates', async () => {
+      const since = new Date('2024-03-01T00:00:00Z');
+      await connector.getOrders(since);
+
+      const { params } = mockAxios.requests[0].config;
+      assert.equal(params.modified_after, since.toISOString());
+      assert.equal(params.dates_are_gmt, true);
+      assert.equal(params.orderby, 'modified');
+    });
+
+    it('should send a backfill window as GMT creation dates', async () => {
+      const since = new Date('2024-03-01T00:00:00Z');
+      const until = new Date('2024-03-02T00:00:00Z');
+      await connector.getOrders(since, until);
+
+      const { params } = mockAxios.requests[0].config;
+      assert.equal(params.after, since.toISOString());
+      assert.equal(params.before, until.toISOString());
+      assert.equal(params.dates_are_gmt, true);
+      assert.equal(params.orderby, 'date');
+    });
+  });
+
+  describe('transformOrder', () => {
+    it('should read the GMT dates whatever the process time zone', () => {
+      const order = connector.transformOrder(lateOrder);
+
+      assert.equal(order.created_at, '2024-03-02T04:30:00Z');
+      assert.equal(order.updated_at, '2024-03-02T05:00:00Z');
+    });
+
+    it('should put an evening order on its store-local day', async () => {
+      const [raw] = await connector.getOrders();
+      const timezone = await connector.getTimezone();
+      const order = new DataTransformer().transformOrder(
+        connector.normalize('orders', raw),
+        'woocommerce'
+      );
+
+      assert.equal(timezone, 'America/Los_Angeles');
+      assert.equal(order.created_at.toISOString(), '2024-03-02T04:30:00.000Z');
+      assert.equal(localDay(order.created_at, timezone), '2024-03-01');
+    });
+
+    it('should keep refunds without a date for the next run', () => {
+      const order = connector.transformOrder({
+        ...lateOrder,
+        refunds: [
+          { id: 1, amount: '5.00' },
+          { id: 2, amount: '3.00', date_created_gmt: '2024-03-03T10:00:00', line_items: [] },
+        ],
+      });
+
+      assert.deepEqual(
+        order.refunds.map(refund => refund.id),
+        ['2']
+      );
+      assert.equal(order.refunds[0].created_at, '2024-03-03T10:00:00Z');
+    });
+  });
+
+  describe('transformProduct', () => {
+    it('should read product and variation dates in GMT', () => {
+      const product = connector.transformProduct({
+        id: 4,
+        name: 'Mug',
+        type: 'variable',
+        status: 'publish',
+        date_created_gmt: '2024-01-05T08:00:00',
+        date_modified_gmt: '2024-02-05T08:00:00',
+        variations: [{ id: 41, attributes: [], date_created_gmt: '2024-01-06T08:00:00' }],
+      });
+
+      assert.equal(product.created_at, '2024-01-05T08:00:00Z');
+      assert.equal(product.updated_at, '2024-02-05T08:00:00Z');
+      assert.equal(product.variants[0].created_at, '2024-01-06T08:00:00Z');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'assert';
+import { formatCopyValue, formatCopyRow } from '../../src/db/bulkCopy.js';
+
+describe('bulkCopy', () => {
+  describe('formatCopyValue', () => {
+    it('should encode null and undefined as \\N', () => {
+      assert.equal(formatCopyValue(null), '\\N');
+      assert.equal(formatCopyValue(undefined), '\\N');
+    });
+
+    it('should escape characters that are special in COPY text', () => {
+      assert.equal(formatCopyValue('a\tb\nc\\d\re'), 'a\\tb\\nc\\\\d\\re');
+    });
+
+    it('should encode dates as ISO strings', () => {
+      assert.equal(formatCopyValue(new Date('2024-01-15T10:00:00Z')), '2024-01-15T10:00:00.000Z');
+    });
+
+    it('should encode arrays as quoted array literals', () => {
+      assert.equal(formatCopyValue(['vip', 'say "hi"', null]), '{"vip","say \\\\"hi\\\\"",NULL}');
+    });
+
+    it('should encode objects as JSON', () => {
+      assert.equal(formatCopyValue({ a: 1 }), '{"a":1}');
+    });
+  });
+
+  describe('formatCopyRow', () => {
+    it('should join the columns in order with tabs', () => {
+      const row = { id: 1, email: 'a@example.com', tags: [] };
+
+      assert.equal(
+        formatCopyRow(row, ['email', 'id', 'tags', 'phone']),
+        'a@example.com\t1\t{}\t\\N\n'
+      );
+    });
+  });
+});
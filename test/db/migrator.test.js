@@ -0,0 +1,249 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Migrator, MIGRATIONS_DIR } from '../../src/db/migrator.js';
+
+// Keeps schema_migrations in memory and records every statement
+class MockMigrationPool {
+  constructor() {
+    this.applied = new Map();
+    this.queries = [];
+    this.failOn = null;
+  }
+
+  async query(sql, params = []) {
+    this.queries.push(sql);
+
+    if (this.failOn && sql.includes(this.failOn)) {
+      throw new Error(`Failed on ${this.failOn}`);
+    }
+    if (sql.startsWith('SELECT version')) {
+      return { rows: [...this.applied.values()] };
+    }
+    if (sql.startsWith('INSERT INTO schema_migrations')) {
+      const [version, name, checksum] = params;
+      this.applied.set(version, { version, name, checksum, applied_at: new Date() });
+    }
+    if (sql.startsWith('DELETE FROM schema_migrations')) {
+      this.applied.delete(params[0]);
+    }
+    return { rows: [] };
+  }
+
+  async connect() {
+    return { query: (sql, params) => this.query(sql, params), release: () => {} };
+  }
+}
+
+describe('Migrator', () => {
+  let directory;
+  let pool;
+  let migrator;
+
+  const writeMigration = (file, sql) => fs.writeFileSync(path.join(directory, file), sql);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigration('0001_create_things.up.sql', 'CREATE TABLE things (id INT);');
+    writeMigration('0001_create_things.down.sql', 'DROP TABLE things;');
+    writeMigration('0002_add_name.up.sql', 'ALTER TABLE things ADD COLUMN name TEXT;');
+    writeMigration('0002_add_name.down.sql', 'ALTER TABLE things DROP COLUMN name;');
+
+    pool = new MockMigrationPool();
+    migrator = new Migrator(pool, directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('loadMigrations', () => {
+    it('should pair up and down files in version order', () => {
+      const migrations = migrator.loadMigrations();
+
+      assert.deepEqual(
+        migrations.map(migration => [migration.version, migration.name]),
+        [
+          ['0001', 'create_things'],
+          ['0002', 'add_name'],
+        ]
+      );
+      assert.equal(migrations[0].down, 'DROP TABLE things;');
+      assert.equal(migrations[0].checksum.length, 64);
+    });
+
+    it('should reject a migration without a down file', () => {
+      writeMigration('0003_orphan.up.sql', 'SELECT 1;');
+
+      assert.throws(() => migrator.loadMigrations(), /0003_orphan needs both an up and a down/);
+    });
+
+    it('should ship the initial schema as migration 0001', () => {
+      const migrations = new Migrator(pool, MIGRATIONS_DIR).loadMigrations();
+
+      assert.equal(migrations[0].version, '0001');
+      assert.ok(migrations[0].up.includes('CREATE TABLE customers'));
+      assert.ok(!migrations[0].up.includes('DROP TABLE'));
+    });
+
+    it('should keep later schema changes out of 0001 so baselined databases receive them', () => {
+      const migrations = new Migrator(pool, MIGRATIONS_DIR).loadMigrations();
+      const [initial, ...later] = migrations;
+
+      for (const object of ['sync_state', 'source_line_item_id']) {
+        assert.ok(!initial.up.includes(object), `${object} is not part of the initial schema`);
+        assert.ok(later.some(migration => migration.up.includes(object)));
+      }
+    });
+
+    it('should remove data sources of registry-only types before restoring the type check', () => {
+      const migrations = new Migrator(pool, MIGRATIONS_DIR).loadMigrations();
+      const { down } = migrations.find(migration => migration.version === '0004');
+
+      const deletion = down.indexOf('DELETE FROM data_sources');
+      assert.ok(deletion >= 0);
+      assert.ok(deletion < down.indexOf('ADD CONSTRAINT data_sources_type_check'));
+    });
+  });
+
+  describe('up', () => {
+    it('should apply pending migrations in order, each in a transaction', async () => {
+      const applied = await migrator.up();
+
+      assert.deepEqual(
+        applied.map(migration => migration.version),
+        ['0001', '0002']
+      );
+      assert.deepEqual([...pool.applied.keys()], ['0001', '0002']);
+
+      const statements = pool.queries.filter(sql => !sql.includes('schema_migrations'));
+      assert.deepEqual(statements, [
+        'BEGIN',
+        'CREATE TABLE things (id INT);',
+        'COMMIT',
+        'BEGIN',
+        'ALTER TABLE things ADD COLUMN name TEXT;',
+        'COMMIT',
+      ]);
+    });
+
+    it('should skip migrations that were already applied', async () => {
+      await migrator.up({ to: '0001' });
+      const applied = await migrator.up();
+
+      assert.deepEqual(
+        applied.map(migration => migration.version),
+        ['0002']
+      );
+    });
+
+    it('should roll back and stop when a migration fails', async () => {
+      pool.failOn = 'ADD COLUMN';
+
+      await assert.rejects(() => migrator.up(), /Failed on ADD COLUMN/);
+
+      assert.deepEqual([...pool.applied.keys()], ['0001']);
+      assert.equal(pool.queries[pool.queries.length - 1], 'ROLLBACK');
+    });
+
+    it('should refuse to run when an applied migration was edited', async () => {
+      await migrator.up();
+      writeMigration('0001_create_things.up.sql', 'CREATE TABLE things (id BIGINT);');
+
+      await assert.rejects(
+        () => migrator.up(),
+        /do not match their files: 0001_create_things \(changed\)/
+      );
+    });
+  });
+
+  describe('target versions', () => {
+    it('should pad a short version before comparing', async () => {
+      await migrator.up({ to: '1' });
+      assert.deepEqual([...pool.applied.keys()], ['0001']);
+
+      await migrator.up();
+      const reverted = await migrator.down({ to: '1' });
+      assert.deepEqual(
+        reverted.map(migration => migration.version),
+        ['0002']
+      );
+    });
+
+    it('should reject a version no migration has', async () => {
+      await assert.rejects(() => migrator.up({ to: '0005' }), /Unknown migration version 0005/);
+      await assert.rejects(() => migrator.down({ to: 'x' }), /Unknown migration version x/);
+      assert.equal(pool.applied.size, 0);
+    });
+  });
+
+  describe('down', () => {
+    it('should revert the latest migration by default', async () => {
+      await migrator.up();
+      const reverted = await migrator.down();
+
+      assert.deepEqual(
+        reverted.map(migration => migration.version),
+        ['0002']
+      );
+      assert.deepEqual([...pool.applied.keys()], ['0001']);
+      assert.ok(pool.queries.includes('ALTER TABLE things DROP COLUMN name;'));
+    });
+
+    it('should revert every migration newer than the target version', async () => {
+      await migrator.up();
+      await migrator.down({ to: '0000' });
+
+      assert.equal(pool.applied.size, 0);
+    });
+  });
+
+  describe('status', () => {
+    it('should report pending, applied and missing migrations', async () => {
+      await migrator.up({ to: '0001' });
+      pool.applied.set('0009', { version: '0009', name: 'gone', checksum: 'x', applied_at: null });
+
+      const status = await migrator.status();
+
+      assert.deepEqual(
+        status.map(row => [row.version, row.state]),
+        [
+          ['0001', 'applied'],
+          ['0002', 'pending'],
+          ['0009', 'missing'],
+        ]
+      );
+    });
+  });
+
+  describe('isLatest', () => {
+    it('should only hold once every migration is applied', async () => {
+      await migrator.up({ to: '0001' });
+      assert.equal(await migrator.isLatest(), false);
+
+      await migrator.up();
+      assert.equal(await migrator.isLatest(), true);
+    });
+  });
+
+  describe('baseline', () => {
+    it('should record migrations as applied without running them', async () => {
+      const recorded = await migrator.baseline('0001');
+
+      assert.deepEqual(
+        recorded.map(migration => migration.version),
+        ['0001']
+      );
+      assert.ok(!pool.queries.includes('CREATE TABLE things (id INT);'));
+      assert.deepEqual([...pool.applied.keys()], ['0001']);
+    });
+
+    it('should refuse once migrations were applied', async () => {
+      await migrator.up();
+
+      await assert.rejects(() => migrator.baseline('0002'), /only possible before/);
+    });
+  });
+});
@@ -4,10 +4,37 @@ import { PostgresLoader } from '../../src/db/postgresLoader.js';
 import { MockDatabase, createMockLogger } from '../utils/test-helpers.js';
 import { transformedCustomer, transformedProduct, transformedOrder } from '../fixtures/transformed-data.js';
 
+// Answers bulk merge statements with an id for every row last staged by COPY
+function answerMerges(mockDb, copied) {
+  const originalQuery = mockDb.query.bind(mockDb);
+  const stagedRows = table => copied.findLast(copy => copy.table === table)?.rows || [];
+
+  mockDb.query = async (sql, params) => {
+    if (sql.includes('RETURNING id, source_id')) {
+      mockDb.queries.push({ sql, params });
+      const table = sql.match(/FROM (\w+_stage)/)[1];
+      return { rows: stagedRows(table).map((row, i) => ({ id: i + 1, source_id: row.source_id })) };
+    }
+    if (sql.includes('RETURNING id, order_id, source_line_item_id')) {
+      mockDb.queries.push({ sql, params });
+      const orders = stagedRows('orders_stage').map(order => order.source_id);
+      return {
+        rows: stagedRows('order_items_stage').map((item, i) => ({
+          id: 100 + i,
+          order_id: orders.indexOf(item.source_order_id) + 1,
+          source_line_item_id: item.source_line_item_id,
+        })),
+      };
+    }
+    return originalQuery(sql, params);
+  };
+}
+
 describe('PostgresLoader', () => {
   let loader;
   let mockDb;
   let originalPool;
+  let copied;
 
   beforeEach(() => {
     mockDb = new MockDatabase();
@@ -29,6 +56,11 @@ describe('PostgresLoader', () => {
       query: (sql, params) => mockDb.query(sql, params),
       end: () => Promise.resolve(),
     };
+
+    copied = [];
+    loader.copyRows = async (client, table, columns, rows) => {
+      copied.push({ table, columns, rows });
+    };
   });
 
   afterEach(() => {
@@ -49,6 +81,12 @@ describe('PostgresLoader', () => {
 
       const newLoader = new PostgresLoader(config);
       assert.ok(newLoader.pool);
+      assert.equal(newLoader.batchSize, 100);
+    });
+
+    it('should take the batch size from options', () => {
+      const newLoader = new PostgresLoader({}, { batchSize: 500 });
+      assert.equal(newLoader.batchSize, 500);
     });
   });
 
@@ -104,6 +142,10 @@ describe('PostgresLoader', () => {
   });
 
   describe('upsertCustomerBatch', () => {
+    beforeEach(() => {
+      answerMerges(mockDb, copied);
+    });
+
     it('should process customer batch successfully', async () => {
       const customers = [transformedCustomer];
 
@@ -114,18 +156,78 @@ describe('PostgresLoader', () => {
       assert.ok(result.inserted[0].id);
     });
 
+    it('should stage the batch with COPY and merge it in one statement', async () => {
+      const customers = [transformedCustomer, { ...transformedCustomer, source_id: '2' }];
+
+      await loader.upsertCustomerBatch(customers);
+
+      assert.equal(copied.length, 1);
+      assert.equal(copied[0].table, 'customers_stage');
+      assert.equal(copied[0].rows.length, 2);
+
+      const queries = mockDb.getQueries().map(q => q.sql);
+      const merges = queries.filter(sql => sql.includes('INSERT INTO customers'));
+      assert.equal(merges.length, 1);
+      assert.ok(merges[0].includes('ON CONFLICT (source_id, source_type)'));
+      assert.equal(queries[0], 'BEGIN');
+      assert.equal(queries[queries.length - 1], 'COMMIT');
+    });
+
+    it('should split rows into batches of the configured size', async () => {
+      loader.batchSize = 2;
+      const customers = ['1', '2', '3', '4', '5'].map(id => ({
+        ...transformedCustomer,
+        source_id: id,
+      }));
+
+      const result = await loader.upsertCustomerBatch(customers);
+
+      assert.deepEqual(copied.map(copy => copy.rows.length), [2, 2, 1]);
+      assert.equal(result.inserted.length, 5);
+    });
+
+    it('should keep only the last copy of a record repeated in the batch', async () => {
+      const customers = [
+        { ...transformedCustomer, email: 'old@example.com' },
+        { ...transformedCustomer, email: 'new@example.com' },
+      ];
+
+      await loader.upsertCustomerBatch(customers);
+
+      assert.equal(copied[0].rows.length, 1);
+      assert.equal(copied[0].rows[0].email, 'new@example.com');
+    });
+
+    it('should keep the source updated_at and skip customers older than the stored ones', async () => {
+      const customers = [transformedCustomer, { ...transformedCustomer, source_id: '2' }];
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async function(sql, params) {
+        if (sql.includes('FROM customers_stage')) {
+          mockDb.queries.push({ sql, params });
+          return { rows: [{ id: 2, source_id: '2' }] };
+        }
+        return originalQuery(sql, params);
+      };
+
+      const result = await loader.upsertCustomerBatch(customers);
+
+      const merge = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO customers'));
+      assert.ok(merge.sql.includes('source_updated_at = EXCLUDED.source_updated_at'));
+      assert.ok(merge.sql.includes('customers.source_updated_at <= EXCLUDED.source_updated_at'));
+      assert.deepEqual(result.inserted.map(customer => customer.source_id), ['2']);
+      assert.equal(result.failed.length, 0);
+    });
+
     it('should handle partial failures in batch', async () => {
       const customers = [
         transformedCustomer,
         { ...transformedCustomer, source_id: 'invalid' },
       ];
 
-      // Set up mock to fail on second insert
-      let callCount = 0;
-      const originalQuery = mockDb.query.bind(mockDb);
+      // Fail the bulk merge, then the invalid row when retried on its own
+      const originalQuery = mockDb.query;
       mockDb.query = async function(sql, params) {
-        callCount++;
-        if (callCount === 2) {
+        if (sql.includes('FROM customers_stage') || params?.[0] === 'invalid') {
           throw new Error('Duplicate key error');
         }
         return originalQuery(sql, params);
@@ -135,7 +237,9 @@ describe('PostgresLoader', () => {
 
       assert.equal(result.inserted.length, 1);
       assert.equal(result.failed.length, 1);
+      assert.equal(result.failed[0].customer.source_id, 'invalid');
       assert.equal(result.failed[0].error, 'Duplicate key error');
+      assert.ok(mockDb.getQueries().some(q => q.sql === 'ROLLBACK'));
     });
   });
 
@@ -163,6 +267,427 @@ describe('PostgresLoader', () => {
     });
   });
 
+  describe('upsertProductBatch', () => {
+    it('should merge products through the bulk path', async () => {
+      answerMerges(mockDb, copied);
+
+      const result = await loader.upsertProductBatch([transformedProduct]);
+
+      assert.equal(copied[0].table, 'products_stage');
+      assert.equal(result.inserted.length, 1);
+      assert.equal(result.inserted[0].id, 1);
+    });
+
+    it('should merge variants into their products and prune the rest', async () => {
+      answerMerges(mockDb, copied);
+      const variants = [{
+        source_id: '444555666',
+        source_type: transformedProduct.source_type,
+        source_product_id: transformedProduct.source_id,
+        options: { Size: 'Large' },
+      }];
+
+      await loader.upsertProductBatch([transformedProduct], variants);
+
+      const staged = copied.find(copy => copy.table === 'product_variants_stage');
+      assert.ok(staged.columns.includes('source_product_id'));
+      assert.deepEqual(staged.rows.map(variant => variant.source_id), ['444555666']);
+      const queries = mockDb.getQueries();
+      assert.ok(queries.some(q => q.sql.includes('JOIN products p ON p.source_id')));
+      const prune = queries.find(q => q.sql.includes('DELETE FROM product_variants'));
+      assert.deepEqual(prune.params[0], [1]);
+    });
+
+    it('should write a product and its variants together when the batch fails', async () => {
+      loader.mergeBySource = async () => {
+        throw new Error('invalid input syntax');
+      };
+      const variants = [{
+        source_id: '444555666',
+        source_type: transformedProduct.source_type,
+        source_product_id: transformedProduct.source_id,
+      }];
+
+      const result = await loader.upsertProductBatch([transformedProduct], variants);
+
+      assert.equal(result.inserted.length, 1);
+      const insert = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO product_variants'));
+      assert.equal(insert.params[0], result.inserted[0].id);
+      assert.equal(insert.params[1], '444555666');
+    });
+  });
+
+  describe('upsertOrderBatch', () => {
+    const orders = [
+      { ...transformedOrder, source_id: '1' },
+      { ...transformedOrder, source_id: '2' },
+    ];
+    const items = [
+      { source_order_id: '1', source_line_item_id: 'a', source_product_id: '10' },
+      { source_order_id: '2', source_line_item_id: 'b', source_product_id: '20' },
+      { source_order_id: '1', source_line_item_id: 'c', source_product_id: '10' },
+    ];
+
+    it('should resolve customers and products with joins', async () => {
+      answerMerges(mockDb, copied);
+
+      const result = await loader.upsertOrderBatch(orders, items);
+
+      const queries = mockDb.getQueries().map(q => q.sql);
+      assert.ok(!queries.some(sql => sql.includes('WHERE email = $1')));
+      assert.ok(queries.some(sql => sql.includes('LEFT JOIN LATERAL')));
+      assert.ok(queries.some(sql => sql.includes('LEFT JOIN products p')));
+      assert.ok(queries.some(sql => sql.includes('LEFT JOIN product_variants v')));
+
+      const stagedItems = copied.find(copy => copy.table === 'order_items_stage');
+      assert.ok(stagedItems.columns.includes('source_order_id'));
+      assert.ok(stagedItems.rows.every(item => item.source_type === transformedOrder.source_type));
+
+      assert.equal(result.orders.inserted.length, 2);
+      assert.deepEqual(
+        result.orderItems.inserted.map(item => [item.source_line_item_id, item.order_id]),
+        [['a', 1], ['c', 1], ['b', 2]]
+      );
+    });
+
+    it('should create guest customers for buyers no registered customer has', async () => {
+      answerMerges(mockDb, copied);
+      const guestOrders = [
+        { ...orders[0], email: 'guest@example.com', billing: { first_name: 'Ann' } },
+        { ...orders[1], email: 'guest@example.com', billing: { first_name: 'Annie' } },
+      ];
+
+      await loader.upsertOrderBatch(guestOrders, []);
+
+      const guests = copied.find(copy => copy.table === 'customers_stage');
+      assert.equal(guests.rows.length, 1);
+      assert.match(guests.rows[0].source_id, /^guest:[0-9a-f]{40}$/);
+      assert.equal(guests.rows[0].first_name, 'Annie');
+      assert.equal(guests.rows[0].is_guest, true);
+      const queries = mockDb.getQueries().map(q => q.sql);
+      const insert = queries.find(sql => sql.includes('INSERT INTO customers'));
+      assert.ok(insert.includes('NOT c.is_guest'));
+      const merge = queries.findIndex(sql => sql.includes('INSERT INTO orders'));
+      assert.ok(queries.indexOf(insert) < merge);
+      assert.ok(queries[merge].includes('ORDER BY is_guest'));
+    });
+
+    it('should clear the reporting amounts of reloaded orders', async () => {
+      answerMerges(mockDb, copied);
+
+      await loader.upsertOrderBatch(orders, items);
+
+      const merge = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO orders'));
+      assert.ok(merge.sql.includes('fx_rate = NULL'));
+      assert.ok(merge.sql.includes('total_price_reporting = NULL'));
+    });
+
+    it('should skip older orders together with their items', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async function(sql, params) {
+        if (sql.includes('FROM orders_stage')) {
+          mockDb.queries.push({ sql, params });
+          return { rows: [{ id: 2, source_id: '2' }] };
+        }
+        if (sql.includes('FROM order_items_stage')) {
+          mockDb.queries.push({ sql, params });
+          return { rows: [{ id: 101, order_id: 2, source_line_item_id: 'b' }] };
+        }
+        return originalQuery(sql, params);
+      };
+
+      const result = await loader.upsertOrderBatch(orders, items);
+
+      const merge = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO orders'));
+      assert.ok(merge.sql.includes('s.updated_at'));
+      assert.deepEqual(result.orders.inserted.map(order => order.source_id), ['2']);
+      const stagedItems = copied.find(copy => copy.table === 'order_items_stage');
+      assert.deepEqual(stagedItems.rows.map(item => item.source_line_item_id), ['b']);
+      const prune = mockDb.getQueries().find(q => q.sql.includes('DELETE FROM order_items'));
+      assert.deepEqual(prune.params[0], [2]);
+    });
+
+    it('should delete items the merged orders no longer have', async () => {
+      answerMerges(mockDb, copied);
+
+      await loader.upsertOrderBatch(orders, items);
+
+      const prune = mockDb.getQueries().find(q => q.sql.includes('DELETE FROM order_items'));
+      assert.deepEqual(prune.params, [[1, 2], [100, 101, 102]]);
+    });
+
+    it('should link items to their variant\'s product when retried row by row', async () => {
+      loader.mergeOrders = async () => {
+        throw new Error('invalid input syntax');
+      };
+      loader.findProductId = async () => null;
+
+      const result = await loader.upsertOrderBatch([orders[0]], [items[0]]);
+
+      assert.equal(result.orderItems.inserted.length, 1);
+      const insert = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO order_items'));
+      assert.equal(insert.params[2], null);
+      assert.ok(insert.sql.includes('SELECT product_id FROM product_variants WHERE source_id = $5'));
+      assert.equal(insert.params[12], transformedOrder.source_type);
+    });
+
+    it('should fall back to one transaction per order when the batch fails', async () => {
+      const written = [];
+      loader.mergeOrders = async () => {
+        throw new Error('invalid input syntax');
+      };
+      loader.upsertOrderWithItems = async (order, orderItems) => {
+        written.push({ order: order.source_id, items: orderItems.map(i => i.source_line_item_id) });
+        return { orderId: 1, items: orderItems };
+      };
+
+      const result = await loader.upsertOrderBatch(orders, items);
+
+      assert.deepEqual(written, [
+        { order: '1', items: ['a', 'c'] },
+        { order: '2', items: ['b'] },
+      ]);
+      assert.equal(result.orders.inserted.length, 2);
+      assert.equal(result.orderItems.inserted.length, 3);
+    });
+  });
+
+  describe('upsertRefundBatch', () => {
+    const refunds = [
+      { source_id: 'r1', source_type: 'shopify', source_order_id: '1', amount: 20 },
+      { source_id: 'r2', source_type: 'shopify', source_order_id: '2', amount: 5 },
+    ];
+    const refundItems = [{
+      source_id: 'ri1',
+      source_type: 'shopify',
+      source_refund_id: 'r1',
+      source_line_item_id: 'a',
+      quantity: 1,
+      amount: 20,
+    }];
+
+    it('should link refunds to their orders and items to the refunded lines', async () => {
+      answerMerges(mockDb, copied);
+
+      const result = await loader.upsertRefundBatch(refunds, refundItems);
+
+      const stagedRefunds = copied.find(copy => copy.table === 'refunds_stage');
+      assert.ok(stagedRefunds.columns.includes('source_order_id'));
+      const stagedItems = copied.find(copy => copy.table === 'refund_items_stage');
+      assert.deepEqual(stagedItems.rows.map(item => item.source_id), ['ri1']);
+
+      const queries = mockDb.getQueries().map(q => q.sql);
+      assert.ok(queries.some(sql => sql.includes('LEFT JOIN orders o')));
+      assert.ok(queries.some(sql => sql.includes('LEFT JOIN order_items oi')));
+
+      assert.deepEqual(result.inserted.map(refund => [refund.source_id, refund.id]), [
+        ['r1', 1],
+        ['r2', 2],
+      ]);
+      const prune = mockDb.getQueries().find(q => q.sql.includes('DELETE FROM refund_items'));
+      assert.deepEqual(prune.params[0], [1, 2]);
+    });
+
+    it('should report a refund whose order is not loaded', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        const orderMissing = sql.includes('FROM refunds_stage') ||
+          (sql.includes('INSERT INTO refunds') && params.at(-1) === '2');
+        if (orderMissing) {
+          throw new Error('null value in column "order_id" violates not-null constraint');
+        }
+        return originalQuery(sql, params);
+      };
+
+      const result = await loader.upsertRefundBatch(refunds, refundItems);
+
+      assert.deepEqual(result.inserted.map(refund => refund.source_id), ['r1']);
+      assert.equal(result.failed.length, 1);
+      assert.equal(result.failed[0].refund.source_id, 'r2');
+
+      const itemInsert = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO refund_items'));
+      assert.deepEqual(itemInsert.params.slice(1), ['ri1', 'a', 1, 20]);
+    });
+  });
+
+  describe('upsertCartBatch', () => {
+    const carts = [{
+      source_id: 'c1',
+      source_type: 'shopify',
+      email: 'jane@example.com',
+      status: 'open',
+      total_price: 45,
+      line_items: [{ source_product_id: '1', quantity: 2, price: 15 }],
+    }];
+
+    it('should stage line items as JSON and link carts to customers by email', async () => {
+      answerMerges(mockDb, copied);
+
+      const result = await loader.upsertCartBatch(carts);
+
+      const staged = copied.find(copy => copy.table === 'carts_stage');
+      assert.equal(staged.rows[0].line_items, JSON.stringify(carts[0].line_items));
+      const merge = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO carts'));
+      assert.ok(merge.sql.includes('WHERE email = s.email'));
+      assert.deepEqual(result.inserted.map(cart => [cart.source_id, cart.id]), [['c1', 1]]);
+    });
+
+    it('should write a cart row by row when its batch fails', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('FROM carts_stage')) throw new Error('bulk failed');
+        return originalQuery(sql, params);
+      };
+
+      const result = await loader.upsertCartBatch(carts);
+
+      assert.equal(result.inserted.length, 1);
+      const insert = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO carts'));
+      assert.equal(insert.params[0], 'c1');
+      assert.equal(insert.params[7], JSON.stringify(carts[0].line_items));
+    });
+  });
+
+  describe('upsertInventorySnapshotBatch', () => {
+    const levels = [
+      {
+        snapshot_date: '2024-01-16',
+        source_type: 'shopify',
+        source_item_id: '808950810',
+        source_location_id: '655441491',
+        sku: null,
+        available: 7,
+      },
+      {
+        snapshot_date: '2024-01-16',
+        source_type: 'shopify',
+        source_item_id: '808950810',
+        source_location_id: '655441491',
+        sku: null,
+        available: 5,
+      },
+    ];
+
+    it('should keep the last level per item and location and link variants', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('INSERT INTO inventory_snapshots')) {
+          mockDb.queries.push({ sql, params });
+          return {
+            rows: [{ id: 9, source_item_id: '808950810', source_location_id: '655441491' }],
+          };
+        }
+        return originalQuery(sql, params);
+      };
+
+      const result = await loader.upsertInventorySnapshotBatch(levels);
+
+      const staged = copied.find(copy => copy.table === 'inventory_snapshots_stage');
+      assert.deepEqual(staged.rows.map(level => level.available), [5]);
+      const merge = mockDb.getQueries()
+        .find(q => q.sql.includes('INSERT INTO inventory_snapshots'));
+      assert.ok(merge.sql.includes('inventory_item_id = s.source_item_id OR sku = s.sku'));
+      assert.ok(merge.sql.includes('LEFT JOIN locations l'));
+      assert.deepEqual(result.inserted.map(level => level.id), [9]);
+    });
+
+    it('should write levels row by row when their batch fails', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('FROM inventory_snapshots_stage')) throw new Error('bulk failed');
+        return originalQuery(sql, params);
+      };
+
+      const result = await loader.upsertInventorySnapshotBatch([levels[0]]);
+
+      assert.equal(result.inserted.length, 1);
+      const insert = mockDb.getQueries()
+        .find(q => q.sql.includes('INSERT INTO inventory_snapshots'));
+      assert.deepEqual(insert.params, [
+        '2024-01-16', 'shopify', '808950810', '655441491', null, 7,
+      ]);
+    });
+  });
+
+  describe('mergeRegisteredGuests', () => {
+    it('should move the orders and carts of registered guests before removing them', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('DELETE FROM customers')) {
+          mockDb.queries.push({ sql, params });
+          return { rows: [], rowCount: 2 };
+        }
+        return originalQuery(sql, params);
+      };
+
+      const merged = await loader.mergeRegisteredGuests('woocommerce');
+
+      assert.equal(merged, 2);
+      const queries = mockDb.getQueries().filter(q => q.params?.[0] === 'woocommerce');
+      assert.deepEqual(
+        queries.map(q => q.sql.trim().split(/\s+/).slice(0, 2).join(' ')),
+        ['UPDATE orders', 'UPDATE carts', 'DELETE FROM']
+      );
+      assert.ok(queries.every(q => q.sql.includes('NOT r.is_guest')));
+    });
+  });
+
+  describe('exchange rates', () => {
+    it('should upsert rates once each, keeping the last of repeated ones', async () => {
+      await loader.upsertFxRates([
+        { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'USD', rate: 1.09 },
+        { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'USD', rate: 1.1 },
+        { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'GBP', rate: 0.86 },
+      ]);
+
+      const staged = copied.find(copy => copy.table === 'fx_rates_stage');
+      assert.deepEqual(staged.rows.map(rate => rate.rate), [1.1, 0.86]);
+      const insert = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO fx_rates'));
+      assert.ok(insert.sql.includes('ON CONFLICT (rate_date, base_currency, currency)'));
+      assert.ok(insert.sql.includes('IS DISTINCT FROM'));
+    });
+
+    it('should convert order amounts at the saved rates', async () => {
+      await loader.saveOrderConversions([{ id: 1, reporting_currency: 'USD', fx_rate: 1.1 }]);
+
+      const staged = copied.find(copy => copy.table === 'orders_stage');
+      assert.deepEqual(staged.columns, ['id', 'reporting_currency', 'fx_rate']);
+      const update = mockDb.getQueries().find(q => q.sql.includes('UPDATE orders o'));
+      assert.ok(update.sql.includes('total_price_reporting = ROUND(o.total_price * s.fx_rate, 2)'));
+    });
+
+    it('should skip empty conversions', async () => {
+      assert.equal(await loader.saveOrderConversions([]), 0);
+      assert.equal(mockDb.getQueries().length, 0);
+    });
+  });
+
+  describe('recomputeDailyMetrics', () => {
+    it('should recompute every day in one statement in the store\'s time zone', async () => {
+      const cartRates = [{ currency: 'GBP', day: '2024-01-05', rate: 1.28 }];
+
+      await loader.recomputeDailyMetrics('shopify', ['2024-01-04', '2024-01-05'], {
+        timezone: 'America/New_York',
+        withCarts: true,
+        cartRates,
+      });
+
+      const queries = mockDb.getQueries();
+      assert.equal(queries.length, 1);
+      assert.ok(queries[0].sql.includes('INSERT INTO daily_metrics'));
+      assert.ok(queries[0].sql.includes('ON CONFLICT (metric_date, source_type)'));
+      assert.ok(queries[0].sql.includes('(o.processed_at AT TIME ZONE $3)::date'));
+      assert.deepEqual(queries[0].params, [
+        'shopify',
+        ['2024-01-04', '2024-01-05'],
+        'America/New_York',
+        true,
+        JSON.stringify(cartRates),
+        24,
+      ]);
+    });
+  });
+
   describe('upsertOrder', () => {
     it('should insert order successfully', async () => {
       const orderId = await loader.upsertOrder(transformedOrder);
@@ -195,11 +720,25 @@ describe('PostgresLoader', () => {
       assert.equal(params[2], transformedOrder.order_number);
       assert.equal(params[4], transformedOrder.email);
     });
+
+    it('should return null when the stored order is newer', async () => {
+      mockDb.query = async (sql, params) => {
+        mockDb.queries.push({ sql, params });
+        return { rows: [] };
+      };
+
+      const orderId = await loader.upsertOrder(transformedOrder);
+
+      assert.equal(orderId, null);
+      const { sql } = mockDb.getQueries()[0];
+      assert.ok(sql.includes('orders.source_updated_at <= EXCLUDED.source_updated_at'));
+    });
   });
 
-  describe('insertOrderItems', () => {
+  describe('upsertOrderItems', () => {
     const mockOrderItems = [
       {
+        source_line_item_id: '987654321',
         source_product_id: '111222333',
         source_variant_id: '444555666',
         title: 'Test Product',
@@ -209,29 +748,109 @@ describe('PostgresLoader', () => {
       },
     ];
 
-    it('should insert order items successfully', async () => {
+    it('should upsert order items successfully', async () => {
       const orderId = 123;
-      const result = await loader.insertOrderItems(mockOrderItems, orderId);
+      const result = await loader.upsertOrderItems(mockOrderItems, orderId);
 
       assert.equal(result.length, 1);
       assert.ok(result[0].id);
 
       const queries = mockDb.getQueries();
-      // Should have 2 queries: one to find product, one to insert item
-      assert.ok(queries.length >= 1);
+      const upsert = queries.find(q => q.sql.includes('INSERT INTO order_items'));
+      assert.ok(upsert.sql.includes('ON CONFLICT (order_id, source_line_item_id)'));
+      assert.equal(upsert.params[0], orderId);
+      assert.equal(upsert.params[1], '987654321');
+      assert.ok(upsert.sql.includes('FROM product_variants WHERE source_id = $5'));
+    });
+
+    it('should delete items no longer present at the source', async () => {
+      await loader.upsertOrderItems(mockOrderItems, 123);
+
+      const queries = mockDb.getQueries();
+      const prune = queries[queries.length - 1];
+      assert.ok(prune.sql.includes('DELETE FROM order_items'));
+      assert.deepEqual(prune.params, [123, ['987654321']]);
     });
 
     it('should handle empty order items', async () => {
-      const result = await loader.insertOrderItems([], 123);
+      const result = await loader.upsertOrderItems([], 123);
       assert.equal(result.length, 0);
+
+      const queries = mockDb.getQueries();
+      assert.deepEqual(queries[0].params, [123, []]);
     });
 
     it('should handle null order items', async () => {
-      const result = await loader.insertOrderItems(null, 123);
+      const result = await loader.upsertOrderItems(null, 123);
       assert.equal(result.length, 0);
     });
   });
 
+  describe('upsertOrderWithItems', () => {
+    it('should write the order and its items in one transaction', async () => {
+      const { orderId, items } = await loader.upsertOrderWithItems(transformedOrder, [
+        { source_line_item_id: '1', title: 'Test Product' },
+      ]);
+
+      assert.ok(typeof orderId === 'number');
+      assert.equal(items.length, 1);
+
+      const statements = mockDb
+        .getQueries()
+        .map(q => q.sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      assert.equal(statements[0], 'BEGIN');
+      assert.equal(statements[1], 'INSERT INTO customers');
+      assert.equal(statements[2], 'SELECT id FROM');
+      assert.equal(statements[3], 'INSERT INTO orders');
+      assert.equal(statements[statements.length - 1], 'COMMIT');
+    });
+
+    it('should look up the guest customer under the savepoint of an open transaction', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('INSERT INTO customers')) {
+          mockDb.queries.push({ sql, params });
+          throw new Error('deadlock detected');
+        }
+        return originalQuery(sql, params);
+      };
+
+      await assert.rejects(
+        () => loader.upsertOrderWithItems(transformedOrder, [], mockDb),
+        /deadlock detected/
+      );
+
+      const statements = mockDb
+        .getQueries()
+        .map(q => q.sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      assert.deepEqual(statements, [
+        'SAVEPOINT load_step',
+        'INSERT INTO customers',
+        'ROLLBACK TO SAVEPOINT',
+      ]);
+    });
+
+    it('should roll back when an item cannot be written', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('INSERT INTO order_items')) {
+          mockDb.queries.push({ sql, params });
+          throw new Error('value too long');
+        }
+        return originalQuery(sql, params);
+      };
+
+      await assert.rejects(
+        () => loader.upsertOrderWithItems(transformedOrder, [{ source_line_item_id: '1' }]),
+        /value too long/
+      );
+
+      const queries = mockDb.getQueries();
+      assert.ok(queries.some(q => q.sql === 'ROLLBACK'));
+      assert.ok(!queries.some(q => q.sql === 'COMMIT'));
+    });
+  });
+
   describe('findProductId', () => {
     it('should find existing product', async () => {
       mockDb.setData('products', [{ id: 456 }]);
@@ -285,6 +904,162 @@ describe('PostgresLoader', () => {
     });
   });
 
+  describe('payments', () => {
+    const payment = {
+      source_id: 'ch_1',
+      source_type: 'stripe',
+      order_reference: '4001',
+      email: 'mia.rossi@example.com',
+      status: 'succeeded',
+      captured: true,
+      currency: 'USD',
+      amount: 127.5,
+      amount_refunded: 0,
+      fee: 3.72,
+      net: 114.28,
+      settlement_currency: 'EUR',
+      balance_transaction_id: 'txn_1',
+      created_at: new Date('2024-01-09T10:00:00Z'),
+      updated_at: new Date('2024-01-09T10:00:00Z'),
+    };
+    const dispute = {
+      source_id: 'dp_1',
+      source_type: 'stripe',
+      source_payment_id: 'ch_1',
+      status: 'lost',
+      reason: 'fraudulent',
+      amount: 102.5,
+      fee: 15,
+      created_at: new Date('2024-01-12T10:00:00Z'),
+      updated_at: new Date('2024-01-12T10:00:00Z'),
+    };
+
+    it('should merge payments without touching their order match', async () => {
+      answerMerges(mockDb, copied);
+
+      const result = await loader.upsertPaymentBatch([payment]);
+
+      assert.equal(copied[0].table, 'payments_stage');
+      assert.equal(result.inserted[0].id, 1);
+      const merge = mockDb.getQueries().find(q => q.sql.includes('INSERT INTO payments'));
+      assert.ok(merge.sql.includes('amount = EXCLUDED.amount'));
+      assert.ok(!merge.sql.includes('order_id = EXCLUDED.order_id'));
+    });
+
+    it('should link refunds to payments already loaded', async () => {
+      answerMerges(mockDb, copied);
+
+      const result = await loader.upsertPaymentRefundBatch([
+        { source_id: 're_1', source_type: 'stripe', source_payment_id: 'ch_1', amount: 25 },
+      ]);
+
+      assert.equal(copied[0].table, 'payment_refunds_stage');
+      assert.ok(mockDb.getQueries().some(q => q.sql.includes('LEFT JOIN payments p')));
+      assert.equal(result.inserted.length, 1);
+    });
+
+    it('should fail disputes whose payment is not loaded', async () => {
+      const loaded = ['ch_1'];
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('RETURNING p.id, s.dispute_id')) {
+          const staged = copied.find(copy => copy.table === 'payments_stage').rows;
+          return {
+            rows: staged
+              .filter(row => loaded.includes(row.source_payment_id))
+              .map(row => ({ id: 7, dispute_id: row.dispute_id })),
+          };
+        }
+        if (sql.includes('UPDATE payments') && sql.includes('WHERE source_id = $1')) {
+          return { rows: loaded.includes(params[0]) ? [{ id: 7 }] : [] };
+        }
+        return originalQuery(sql, params);
+      };
+
+      const result = await loader.applyPaymentDisputeBatch([
+        dispute,
+        { ...dispute, source_id: 'dp_2', source_payment_id: 'ch_9' },
+      ]);
+
+      assert.deepEqual(result.inserted.map(row => [row.source_id, row.payment_id]), [['dp_1', 7]]);
+      assert.equal(result.failed.length, 1);
+      assert.equal(result.failed[0].dispute.source_id, 'dp_2');
+      assert.equal(result.failed[0].error, 'Payment ch_9 is not loaded');
+    });
+
+    it('should stage disputes as payment columns', async () => {
+      mockDb.query = async sql => ({
+        rows: sql.includes('RETURNING p.id') ? [{ id: 7, dispute_id: 'dp_1' }] : [],
+      });
+
+      await loader.applyPaymentDisputeBatch([dispute]);
+
+      const staged = copied.find(copy => copy.table === 'payments_stage');
+      assert.ok(staged.columns.includes('source_payment_id'));
+      assert.equal(staged.rows[0].dispute_status, 'lost');
+      assert.equal(staged.rows[0].dispute_fee, 15);
+    });
+
+    it('should match by metadata before email and amount', async () => {
+      const statements = [];
+      loader.pool.query = async (sql, params) => {
+        statements.push({ sql, params });
+        if (sql.includes('AS by_source_id')) {
+          return { rows: [{ payment_id: 1, order_id: 10, by_source_id: true }] };
+        }
+        return { rows: [], rowCount: statements.length - 1 };
+      };
+
+      const matched = await loader.matchPaymentsToOrders();
+
+      assert.deepEqual(matched, { metadata: 1, email: 2 });
+      assert.ok(statements[1].sql.includes("match_method = 'metadata'"));
+      assert.deepEqual(statements[1].params, [[1], [10]]);
+      assert.ok(statements[2].sql.includes("match_method = 'email_amount'"));
+      assert.ok(statements[2].sql.includes('o.total_price = p.amount'));
+    });
+
+    it('should leave a reference to order numbers shared by several stores unmatched', async () => {
+      const statements = [];
+      loader.pool.query = async (sql, params) => {
+        statements.push({ sql, params });
+        if (sql.includes('AS by_source_id')) {
+          return {
+            rows: [
+              // "1001" is an order number in both the Shopify and the WooCommerce store
+              { payment_id: 1, order_id: 10, by_source_id: false },
+              { payment_id: 1, order_id: 20, by_source_id: false },
+              // A source id wins over another store's order number
+              { payment_id: 2, order_id: 30, by_source_id: true },
+              { payment_id: 2, order_id: 40, by_source_id: false },
+              { payment_id: 3, order_id: 50, by_source_id: false },
+            ],
+          };
+        }
+        return { rows: [], rowCount: params ? params[0].length : 0 };
+      };
+
+      const matched = await loader.matchPaymentsToOrders();
+
+      const update = statements.find(statement => statement.sql.includes("'metadata'"));
+      assert.deepEqual(update.params, [[2, 3], [30, 50]]);
+      assert.equal(matched.metadata, 2);
+    });
+
+    it('should report only mismatched orders unless all are asked for', async () => {
+      const from = new Date('2024-01-01T00:00:00Z');
+
+      await loader.getPaymentReconciliation({ from });
+      await loader.getPaymentReconciliation({ sourceType: 'magento', all: true });
+
+      const [mismatched, all] = mockDb.getQueries();
+      assert.ok(mismatched.sql.includes('FROM payment_reconciliation'));
+      assert.ok(mismatched.sql.includes('$1::timestamptz IS NULL'));
+      assert.deepEqual(mismatched.params, [from, null, null, false]);
+      assert.deepEqual(all.params, [null, null, 'magento', true]);
+    });
+  });
+
   describe('upsertCustomerMetrics', () => {
     const mockMetrics = {
       customer_id: 1,
@@ -327,6 +1102,63 @@ describe('PostgresLoader', () => {
     });
   });
 
+  describe('saveUnifiedCustomers', () => {
+    const link = customerId => ({
+      customer_id: customerId,
+      match_rule: 'email',
+      matched_customer_id: 1,
+      match_key: 'jane@example.com',
+      confidence: 1,
+    });
+
+    it('should allocate ids for new unified customers and link their records', async () => {
+      const originalQuery = mockDb.query.bind(mockDb);
+      mockDb.query = async (sql, params) => {
+        if (sql.includes('nextval')) {
+          mockDb.queries.push({ sql, params });
+          return { rows: [{ id: 21 }] };
+        }
+        return originalQuery(sql, params);
+      };
+
+      const saved = await loader.saveUnifiedCustomers([
+        { id: 5, email: 'jane@example.com', source_count: 2, links: [link(1), link(2)] },
+        { id: null, email: 'bob@example.com', source_count: 1, links: [link(3)] },
+      ]);
+
+      assert.deepEqual(mockDb.getQueries().find(q => q.sql.includes('nextval')).params, [1]);
+      const unified = copied.find(copy => copy.table === 'unified_customers_stage');
+      assert.deepEqual(unified.rows.map(customer => customer.id), [5, 21]);
+      const links = copied.find(copy => copy.table === 'customer_identity_links_stage');
+      assert.deepEqual(
+        links.rows.map(row => [row.customer_id, row.unified_customer_id]),
+        [[1, 5], [2, 5], [3, 21]]
+      );
+      const merge = mockDb.getQueries()
+        .find(q => q.sql.includes('INSERT INTO customer_identity_links'));
+      assert.ok(merge.sql.includes('ON CONFLICT (customer_id)'));
+      assert.ok(merge.sql.includes('IS DISTINCT FROM (EXCLUDED.unified_customer_id'));
+      assert.ok(mockDb.getQueries().some(q => q.sql.includes('DELETE FROM unified_customers')));
+      assert.equal(saved.unified, 2);
+      assert.equal(saved.links, 3);
+    });
+  });
+
+  describe('upsertUnifiedCustomerMetrics', () => {
+    it('should upsert the metrics of a unified customer for the day', async () => {
+      await loader.upsertUnifiedCustomerMetrics({
+        unified_customer_id: 7,
+        calculation_date: new Date('2024-01-15'),
+        source_count: 2,
+        total_revenue: 400,
+      });
+
+      const [query] = mockDb.getQueries();
+      assert.ok(query.sql.includes('ON CONFLICT (unified_customer_id, calculation_date)'));
+      assert.deepEqual(query.params.slice(0, 4), [7, new Date('2024-01-15'), 2, 400]);
+    });
+  });
+
   describe('upsertDailyMetrics', () => {
     const mockDailyMetrics = {
       metric_date: new Date('2024-01-15'),
@@ -444,6 +1276,136 @@ describe('PostgresLoader', () => {
     });
   });
 
+  describe('getCompletedBackfillWindows', () => {
+    it('should return successful windows keyed by start and end', async () => {
+      loader.pool.query = async (sql, params) => {
+        mockDb.queries.push({ sql, params });
+        return {
+          rows: [
+            { window_start: '2025-03-01T00:00:00.000Z', window_end: '2025-03-02T00:00:00.000Z' },
+          ],
+        };
+      };
+
+      const windows = await loader.getCompletedBackfillWindows('shopify', 'orders');
+
+      assert.ok(windows.has('2025-03-01T00:00:00.000Z/2025-03-02T00:00:00.000Z'));
+
+      const queries = mockDb.getQueries();
+      assert.ok(queries[0].sql.includes("pipeline_name = 'backfill'"));
+      assert.ok(queries[0].sql.includes("status = 'success'"));
+      assert.deepEqual(queries[0].params, ['shopify', 'orders']);
+    });
+  });
+
+  describe('watermarks', () => {
+    it('should return null when no watermark is stored', async () => {
+      const watermark = await loader.getWatermark('shopify', 'orders');
+
+      assert.equal(watermark, null);
+
+      const queries = mockDb.getQueries();
+      assert.ok(queries[0].sql.includes('FROM sync_state'));
+      assert.deepEqual(queries[0].params, ['shopify', 'orders']);
+    });
+
+    it('should only move the watermark forward', async () => {
+      const watermark = new Date('2024-01-15T10:00:00Z');
+      await loader.advanceWatermark('shopify', 'orders', watermark);
+
+      const queries = mockDb.getQueries();
+      assert.ok(queries[0].sql.includes('INSERT INTO sync_state'));
+      assert.ok(queries[0].sql.includes('GREATEST(sync_state.watermark, EXCLUDED.watermark)'));
+      assert.deepEqual(queries[0].params, ['shopify', 'orders', watermark]);
+    });
+
+    it('should clear the watermark on reset without a date', async () => {
+      await loader.resetWatermark('shopify', 'orders');
+
+      const queries = mockDb.getQueries();
+      assert.ok(queries[0].sql.includes('DELETE FROM sync_state'));
+      assert.deepEqual(queries[0].params, ['shopify', 'orders']);
+    });
+
+    it('should overwrite the watermark on reset with a date', async () => {
+      const watermark = new Date('2024-01-01T00:00:00Z');
+      await loader.resetWatermark('shopify', 'orders', watermark);
+
+      const queries = mockDb.getQueries();
+      assert.ok(queries[0].sql.includes('DO UPDATE SET watermark = EXCLUDED.watermark'));
+      assert.ok(!queries[0].sql.includes('GREATEST'));
+      assert.deepEqual(queries[0].params, ['shopify', 'orders', watermark]);
+    });
+  });
+
+  describe('markCustomersDeleted', () => {
+    it('should flag the deleted customers of a source', async () => {
+      await loader.markCustomersDeleted('commercetools', [
+        { id: 'c2', deleted_at: '2024-01-02T00:00:00Z' },
+      ]);
+
+      const [query] = mockDb.getQueries();
+      assert.ok(query.sql.includes('SET deleted_at = d.deleted_at'));
+      assert.ok(query.sql.includes('$3::timestamptz[]'));
+      assert.deepEqual(query.params, [
+        'commercetools', ['c2'], [new Date('2024-01-02T00:00:00Z')],
+      ]);
+    });
+
+    it('should not query without deletions', async () => {
+      assert.equal(await loader.markCustomersDeleted('commercetools', []), 0);
+      assert.equal(mockDb.getQueries().length, 0);
+    });
+  });
+
+  describe('imported files', () => {
+    it('should return the checksums imported for a source and entity', async () => {
+      const checksums = await loader.getImportedChecksums('amazon', 'orders');
+
+      assert.ok(checksums instanceof Set);
+      const queries = mockDb.getQueries();
+      assert.ok(queries[0].sql.includes('FROM imported_files'));
+      assert.deepEqual(queries[0].params, ['amazon', 'orders']);
+    });
+
+    it('should record a file with the given client', async () => {
+      const client = new MockDatabase();
+      await loader.recordImportedFile({
+        source_type: 'amazon',
+        entity: 'orders',
+        file_name: 'orders-2024-01.tsv',
+        checksum: 'a'.repeat(64),
+        records: 2,
+      }, client);
+
+      assert.equal(mockDb.getQueries().length, 0);
+      const [query] = client.getQueries();
+      assert.ok(query.sql.includes('ON CONFLICT (source_type, entity, checksum)'));
+      assert.deepEqual(query.params, [
+        'amazon', 'orders', 'orders-2024-01.tsv', 'a'.repeat(64), 2,
+      ]);
+    });
+  });
+
+  describe('webhook deliveries', () => {
+    const delivery = { source_type: 'shopify', webhook_id: 'wh-1', topic: 'orders/create' };
+
+    it('should report a delivery recorded for the first time', async () => {
+      const fresh = await loader.recordWebhookDelivery(delivery);
+
+      assert.equal(fresh, true);
+      const [query] = mockDb.getQueries();
+      assert.ok(query.sql.includes('ON CONFLICT (source_type, webhook_id) DO NOTHING'));
+      assert.deepEqual(query.params, ['shopify', 'wh-1', 'orders/create']);
+    });
+
+    it('should report a delivery already recorded', async () => {
+      const client = { query: async () => ({ rows: [] }) };
+
+      assert.equal(await loader.recordWebhookDelivery(delivery, client), false);
+    });
+  });
+
   describe('transaction management', () => {
     it('should begin transaction successfully', async () => {
       const client = await loader.beginTransaction();
@@ -472,6 +1434,56 @@ describe('PostgresLoader', () => {
     });
   });
 
+  describe('transaction', () => {
+    it('should commit work on a connection of its own', async () => {
+      const result = await loader.transaction(async client => {
+        await client.query('SELECT 1');
+        return 'done';
+      });
+
+      assert.equal(result, 'done');
+      assert.deepEqual(mockDb.getQueries().map(q => q.sql), ['BEGIN', 'SELECT 1', 'COMMIT']);
+    });
+
+    it('should use a savepoint inside an open transaction', async () => {
+      await loader.transaction(client => client.query('SELECT 1'), mockDb);
+
+      assert.deepEqual(mockDb.getQueries().map(q => q.sql), [
+        'SAVEPOINT load_step',
+        'SELECT 1',
+        'RELEASE SAVEPOINT load_step',
+      ]);
+    });
+
+    it('should only roll back to the savepoint when nested work fails', async () => {
+      await assert.rejects(
+        () =>
+          loader.transaction(async () => {
+            throw new Error('constraint violation');
+          }, mockDb),
+        /constraint violation/
+      );
+
+      assert.deepEqual(mockDb.getQueries().map(q => q.sql), [
+        'SAVEPOINT load_step',
+        'ROLLBACK TO SAVEPOINT load_step',
+      ]);
+    });
+
+    it('should run batches inside the caller transaction', async () => {
+      answerMerges(mockDb, copied);
+
+      const result = await loader.upsertCustomerBatch([transformedCustomer], mockDb);
+
+      const queries = mockDb.getQueries().map(q => q.sql);
+      assert.equal(result.inserted.length, 1);
+      assert.ok(!queries.includes('BEGIN'));
+      assert.ok(!queries.includes('COMMIT'));
+      assert.equal(queries[0], 'SAVEPOINT load_step');
+      assert.ok(queries.some(sql => sql.startsWith('DROP TABLE IF EXISTS customers_stage')));
+    });
+  });
+
   describe('error handling', () => {
     it('should handle database connection errors gracefully', async () => {
       mockDb.setShouldFail(true, 'Connection timeout');
@@ -0,0 +1,147 @@
+// V3 customers with include=addresses
+export const bigcommerceCustomers = [
+  {
+    id: 11,
+    email: 'Ann.Lee@example.com',
+    first_name: 'Ann',
+    last_name: 'Lee',
+    phone: '',
+    date_created: '2023-03-01T09:00:00Z',
+    date_modified: '2024-01-10T09:00:00Z',
+    addresses: [
+      {
+        id: 1,
+        city: 'Austin',
+        state_or_province: 'Texas',
+        country_code: 'US',
+        postal_code: '73301',
+        phone: '+15125550100',
+      },
+    ],
+  },
+  {
+    id: 12,
+    email: 'bo.chen@example.com',
+    first_name: 'Bo',
+    last_name: 'Chen',
+    phone: '+14155550111',
+    date_created: '2023-05-20T12:00:00Z',
+    date_modified: '2024-01-11T12:00:00Z',
+    addresses: [],
+  },
+];
+
+// V3 catalog products with include=variants
+export const bigcommerceProducts = [
+  {
+    id: 77,
+    name: 'Trail Shoe',
+    type: 'physical',
+    sku: 'TS',
+    price: 120,
+    retail_price: 150,
+    is_visible: true,
+    date_created: '2023-02-01T00:00:00Z',
+    date_modified: '2024-01-05T00:00:00Z',
+    variants: [
+      {
+        id: 701,
+        product_id: 77,
+        sku: 'TS-42',
+        price: null,
+        calculated_price: 120,
+        inventory_level: 8,
+        option_values: [{ label: '42' }],
+      },
+      {
+        id: 702,
+        product_id: 77,
+        sku: 'TS-43',
+        price: 125,
+        calculated_price: 125,
+        inventory_level: 3,
+        option_values: [{ label: '43' }],
+      },
+    ],
+  },
+  {
+    id: 78,
+    name: 'Gift Card',
+    type: 'digital',
+    sku: 'GIFT',
+    price: 25,
+    is_visible: false,
+    date_created: '2023-04-01T00:00:00Z',
+    date_modified: '2024-01-06T00:00:00Z',
+    variants: [],
+  },
+];
+
+// V2 orders; line items are fetched from /v2/orders/{id}/products
+export const bigcommerceOrders = [
+  {
+    id: 5001,
+    customer_id: 11,
+    status: 'Shipped',
+    date_created: 'Wed, 10 Jan 2024 10:00:00 +0000',
+    date_modified: 'Thu, 11 Jan 2024 08:30:00 +0000',
+    subtotal_ex_tax: '240.0000',
+    total_tax: '19.8000',
+    shipping_cost_inc_tax: '10.0000',
+    total_inc_tax: '264.8000',
+    discount_amount: '0.0000',
+    coupon_discount: '5.0000',
+    currency_code: 'USD',
+    order_source: 'www',
+    billing_address: { email: 'Ann.Lee@example.com' },
+    products: { url: 'https://api.bigcommerce.com/stores/abc/v2/orders/5001/products' },
+  },
+  {
+    id: 5002,
+    customer_id: 0,
+    status: 'Awaiting Payment',
+    date_created: 'Fri, 12 Jan 2024 15:00:00 +0000',
+    date_modified: 'Fri, 12 Jan 2024 15:00:00 +0000',
+    subtotal_ex_tax: '25.0000',
+    total_tax: '0.0000',
+    shipping_cost_inc_tax: '0.0000',
+    total_inc_tax: '25.0000',
+    discount_amount: '0.0000',
+    coupon_discount: '0.0000',
+    currency_code: 'USD',
+    order_source: 'manual',
+    billing_address: { email: 'guest@example.com' },
+    products: { url: 'https://api.bigcommerce.com/stores/abc/v2/orders/5002/products' },
+  },
+];
+
+export const bigcommerceOrderProducts = {
+  5001: [
+    {
+      id: 9001,
+      order_id: 5001,
+      product_id: 77,
+      variant_id: 701,
+      name: 'Trail Shoe',
+      sku: 'TS-42',
+      quantity: 2,
+      base_price: '120.0000',
+      price_inc_tax: '120.0000',
+      applied_discounts: [{ id: 'coupon', amount: '5.0000' }],
+    },
+  ],
+  5002: [
+    {
+      id: 9002,
+      order_id: 5002,
+      product_id: 78,
+      variant_id: 0,
+      name: 'Gift Card',
+      sku: 'GIFT',
+      quantity: 1,
+      base_price: '25.0000',
+      price_inc_tax: '25.0000',
+      applied_discounts: [],
+    },
+  ],
+};
@@ -0,0 +1,129 @@
+// /V1/customers/search items
+export const magentoCustomers = [
+  {
+    id: 21,
+    email: 'Mia.Rossi@example.com',
+    firstname: 'Mia',
+    lastname: 'Rossi',
+    created_at: '2023-04-02 08:15:00',
+    updated_at: '2024-01-09 17:45:00',
+    addresses: [
+      {
+        id: 1,
+        city: 'Shipping Town',
+        region: { region: 'Oregon', region_code: 'OR' },
+        country_id: 'US',
+        postcode: '97035',
+        telephone: '+15035550101',
+      },
+      {
+        id: 2,
+        default_billing: true,
+        city: 'Portland',
+        region: { region: 'Oregon', region_code: 'OR' },
+        country_id: 'US',
+        postcode: '97201',
+        telephone: '+15035550100',
+      },
+    ],
+  },
+];
+
+// /V1/products items; the configurable product's children come from
+// /V1/configurable-products/{sku}/children
+export const magentoProducts = [
+  {
+    id: 300,
+    sku: 'HOODIE',
+    name: 'Hoodie',
+    type_id: 'configurable',
+    price: 0,
+    status: 1,
+    visibility: 4,
+    created_at: '2023-01-01 00:00:00',
+    updated_at: '2024-01-03 10:00:00',
+  },
+  {
+    id: 310,
+    sku: 'MUG',
+    name: 'Mug',
+    type_id: 'simple',
+    price: 12.5,
+    status: 2,
+    visibility: 4,
+    created_at: '2023-01-02 00:00:00',
+    updated_at: '2024-01-04 10:00:00',
+    extension_attributes: { stock_item: { qty: 40 } },
+  },
+];
+
+export const magentoChildren = {
+  HOODIE: [
+    {
+      id: 301,
+      sku: 'HOODIE-S',
+      name: 'Hoodie S',
+      type_id: 'simple',
+      price: 55,
+      extension_attributes: { stock_item: { qty: 7 } },
+    },
+    {
+      id: 302,
+      sku: 'HOODIE-M',
+      name: 'Hoodie M',
+      type_id: 'simple',
+      price: 55,
+      extension_attributes: { stock_item: { qty: 0 } },
+    },
+  ],
+};
+
+// /V1/orders items: a configurable line (parent + child item) and a simple line
+export const magentoOrders = [
+  {
+    entity_id: 4001,
+    increment_id: '000000401',
+    customer_email: 'Mia.Rossi@example.com',
+    status: 'complete',
+    grand_total: 127.5,
+    subtotal: 122.5,
+    tax_amount: 0,
+    shipping_amount: 10,
+    discount_amount: -5,
+    order_currency_code: 'EUR',
+    created_at: '2024-01-08 12:00:00',
+    updated_at: '2024-01-10 09:30:00',
+    items: [
+      {
+        item_id: 1,
+        product_id: 300,
+        product_type: 'configurable',
+        sku: 'HOODIE-S',
+        name: 'Hoodie',
+        qty_ordered: 2,
+        price: 55,
+        discount_amount: 5,
+      },
+      {
+        item_id: 2,
+        parent_item_id: 1,
+        product_id: 301,
+        product_type: 'simple',
+        sku: 'HOODIE-S',
+        name: 'Hoodie S',
+        qty_ordered: 2,
+        price: 0,
+      },
+      {
+        item_id: 3,
+        product_id: 310,
+        product_type: 'simple',
+        sku: 'MUG',
+        name: 'Mug',
+        qty_ordered: 1,
+        price: 12.5,
+        discount_amount: 0,
+      },
+    ],
+  },
+];
@@ -0,0 +1,73 @@
+// /v1/charges with expand[]=data.balance_transaction, newest first as Stripe lists them
+export const stripeCharges = [
+  {
+    id: 'ch_2',
+    object: 'charge',
+    amount: 5000,
+    amount_refunded: 0,
+    currency: 'jpy',
+    status: 'succeeded',
+    captured: true,
+    created: 1704880800, // 2024-01-10T10:00:00Z
+    metadata: {},
+    billing_details: { email: null },
+    receipt_email: 'Kenji@example.com',
+    balance_transaction: 'txn_2',
+  },
+  {
+    id: 'ch_1',
+    object: 'charge',
+    amount: 12750,
+    amount_refunded: 2500,
+    currency: 'usd',
+    status: 'succeeded',
+    captured: true,
+    created: 1704794400, // 2024-01-09T10:00:00Z
+    metadata: { order_id: '4001' },
+    billing_details: { email: 'Mia.Rossi@example.com' },
+    receipt_email: null,
+    balance_transaction: {
+      id: 'txn_1',
+      object: 'balance_transaction',
+      amount: 11800,
+      currency: 'eur',
+      fee: 372,
+      net: 11428,
+    },
+  },
+];
+
+// /v1/refunds with expand[]=data.balance_transaction
+export const stripeRefunds = [
+  {
+    id: 're_1',
+    object: 'refund',
+    charge: 'ch_1',
+    amount: 2500,
+    currency: 'usd',
+    status: 'succeeded',
+    reason: 'requested_by_customer',
+    created: 1704967200, // 2024-01-11T10:00:00Z
+    balance_transaction: {
+      id: 'txn_3',
+      amount: -2310,
+      currency: 'eur',
+      fee: 0,
+      net: -2310,
+    },
+  },
+];
+
+export const stripeDisputes = [
+  {
+    id: 'dp_1',
+    object: 'dispute',
+    charge: 'ch_1',
+    amount: 10250,
+    currency: 'usd',
+    status: 'lost',
+    reason: 'fraudulent',
+    created: 1705053600, // 2024-01-12T10:00:00Z
+    balance_transactions: [{ id: 'txn_4', amount: -9440, currency: 'eur', fee: 1500, net: -10940 }],
+  },
+];
@@ -1,6 +1,9 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import { strict as assert } from 'assert';
-import { ETLPipeline } from '../../src/pipelines/etlPipeline.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ETLPipeline, backfillWindowKey } from '../../src/pipelines/etlPipeline.js';
 import { MockConnector, MockDatabase, createMockLogger } from '../utils/test-helpers.js';
 import { shopifyCustomers, shopifyProducts, shopifyOrders } from '../fixtures/shopify-data.js';
 
@@ -46,6 +49,9 @@ describe('ETLPipeline', () => {
       pool: mockDatabase,
       testConnection: () => Promise.resolve(true),
       getLastETLRun: () => Promise.resolve(null),
+      transaction: work => work(mockDatabase),
+      getWatermark: () => Promise.resolve(null),
+      advanceWatermark: (source, entity, watermark) => Promise.resolve(watermark),
       upsertCustomerBatch: (customers) => Promise.resolve({
         inserted: customers.map((c, i) => ({ ...c, id: i + 1 })),
         failed: [],
@@ -54,11 +60,28 @@ describe('ETLPipeline', () => {
         inserted: products.map((p, i) => ({ ...p, id: i + 1 })),
         failed: [],
       }),
-      upsertOrder: (order) => Promise.resolve(Math.floor(Math.random() * 1000)),
-      insertOrderItems: (items) => Promise.resolve(items.map((item, i) => ({ ...item, id: i + 1 }))),
+      upsertOrderBatch: (orders, items) => Promise.resolve({
+        orders: { inserted: orders.map((o, i) => ({ ...o, id: i + 1 })), failed: [] },
+        orderItems: { inserted: items.map((item, i) => ({ ...item, id: i + 1 })), failed: [] },
+      }),
       findCustomerId: () => Promise.resolve(1),
+      mergeRegisteredGuests: () => Promise.resolve(0),
+      getUnconvertedOrders: () => Promise.resolve([]),
+      getFxRates: () => Promise.resolve([]),
+      saveOrderConversions: conversions => Promise.resolve(conversions.length),
+      getSourceTimezone: () => Promise.resolve(null),
+      saveSourceTimezone: () => Promise.resolve(1),
       upsertCustomerMetrics: () => Promise.resolve(1),
       upsertDailyMetrics: () => Promise.resolve(1),
+      recomputeDailyMetrics: (sourceType, days) => Promise.resolve(days.length),
+      getCartCurrencyDays: () => Promise.resolve([]),
+      getIdentityCandidates: () => Promise.resolve([]),
+      saveUnifiedCustomers: (unified) => Promise.resolve({
+        unified: unified.length,
+        links: 0,
+        removed: 0,
+      }),
+      upsertUnifiedCustomerMetrics: () => Promise.resolve(1),
       logETLRun: () => Promise.resolve(1),
       close: () => Promise.resolve(),
     };
@@ -163,6 +186,804 @@ describe('ETLPipeline', () => {
     });
   });
 
+  describe('watermarks', () => {
+    it('should extract each entity from its own watermark', async () => {
+      const watermarks = {
+        customers: new Date('2024-01-01T00:00:00Z'),
+        products: new Date('2024-02-01T00:00:00Z'),
+        orders: new Date('2024-03-01T00:00:00Z'),
+      };
+      pipeline.loader.getWatermark = async (source, entity) => watermarks[entity];
+
+      const calls = {};
+      for (const method of ['getCustomers', 'getProducts', 'getOrders']) {
+        mockShopifyConnector[method] = async since => {
+          calls[method] = since;
+          return [];
+        };
+      }
+
+      await pipeline.runForSource('shopify');
+
+      assert.equal(calls.getCustomers, watermarks.customers);
+      assert.equal(calls.getProducts, watermarks.products);
+      assert.equal(calls.getOrders, watermarks.orders);
+    });
+
+    it('should advance each watermark to the highest loaded updated_at', async () => {
+      const advanced = [];
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        advanced.push({ source, entity, watermark });
+        return watermark;
+      };
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(
+        advanced.map(call => call.entity),
+        ['customers', 'products', 'orders']
+      );
+
+      const orders = advanced.find(call => call.entity === 'orders');
+      assert.equal(orders.source, 'shopify');
+      assert.equal(orders.watermark.toISOString(), '2024-01-15T10:00:00.000Z');
+      assert.equal(
+        result.metadata.watermarks.customers.toISOString(),
+        '2024-01-15T10:00:00.000Z'
+      );
+    });
+
+    it('should not move the watermark of an entity that failed', async () => {
+      const advanced = [];
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        advanced.push(entity);
+        return watermark;
+      };
+      mockShopifyConnector.getOrders = async () => {
+        throw new Error('Orders endpoint unavailable');
+      };
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, false);
+      assert.deepEqual(advanced, ['customers', 'products']);
+    });
+
+    it('should stop short of the earliest failed row', async () => {
+      let advancedTo = null;
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        advancedTo = watermark;
+        return watermark;
+      };
+
+      await pipeline.advanceWatermark('shopify', 'orders', {
+        inserted: [
+          { updated_at: new Date('2024-01-01T00:00:00Z') },
+          { updated_at: new Date('2024-01-05T00:00:00Z') },
+        ],
+        failed: [{ order: { updated_at: new Date('2024-01-03T00:00:00Z') }, error: 'boom' }],
+      });
+
+      assert.equal(advancedTo.toISOString(), '2024-01-01T00:00:00.000Z');
+    });
+
+    it('should keep the current watermark when nothing was loaded', async () => {
+      const current = new Date('2024-01-01T00:00:00Z');
+      pipeline.loader.getWatermark = async () => current;
+      pipeline.loader.advanceWatermark = async () => {
+        throw new Error('should not be called');
+      };
+
+      const watermark = await pipeline.advanceWatermark('shopify', 'orders', {
+        inserted: [],
+        failed: [],
+      });
+
+      assert.equal(watermark, current);
+    });
+  });
+
+  describe('streaming', () => {
+    const pagedCustomers = [
+      [
+        { ...shopifyCustomers[0], id: 1, updated_at: '2024-01-01T00:00:00Z' },
+        { ...shopifyCustomers[1], id: 2, updated_at: '2024-01-02T00:00:00Z' },
+      ],
+      [{ ...shopifyCustomers[0], id: 3, updated_at: '2024-01-03T00:00:00Z' }],
+    ];
+
+    it('should load and checkpoint each page before requesting the next', async () => {
+      const events = [];
+      mockShopifyConnector.streamCustomers = async function* () {
+        for (const [index, page] of pagedCustomers.entries()) {
+          events.push(`page ${index + 1}`);
+          yield page;
+        }
+      };
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        events.push(`checkpoint ${watermark.toISOString()}`);
+        return watermark;
+      };
+
+      const run = await pipeline.processEntity(
+        mockShopifyConnector,
+        'shopify',
+        'customers',
+        null,
+        null,
+        { checkpoint: true }
+      );
+
+      assert.deepEqual(events, [
+        'page 1',
+        'checkpoint 2024-01-02T00:00:00.000Z',
+        'page 2',
+        'checkpoint 2024-01-03T00:00:00.000Z',
+      ]);
+      assert.equal(run.pages, 2);
+      assert.equal(run.extracted, 3);
+      assert.equal(run.inserted, 3);
+    });
+
+    it('should keep earlier checkpoints when the stream fails mid-way', async () => {
+      const checkpoints = [];
+      mockShopifyConnector.streamCustomers = async function* () {
+        yield pagedCustomers[0];
+        throw new Error('Connection reset');
+      };
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        checkpoints.push(watermark.toISOString());
+        return watermark;
+      };
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, false);
+      assert.equal(result.error_message, 'Connection reset');
+      assert.deepEqual(checkpoints, ['2024-01-02T00:00:00.000Z']);
+    });
+
+    it('should not checkpoint past a row that failed on an earlier page', async () => {
+      const checkpoints = [];
+      mockShopifyConnector.streamCustomers = async function* () {
+        yield* pagedCustomers;
+      };
+      pipeline.loader.upsertCustomerBatch = async customers => ({
+        inserted: customers.filter(c => c.source_id !== '2'),
+        failed: customers
+          .filter(c => c.source_id === '2')
+          .map(customer => ({ customer, error: 'constraint violation' })),
+      });
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        checkpoints.push(watermark.toISOString());
+        return watermark;
+      };
+
+      const run = await pipeline.processEntity(
+        mockShopifyConnector,
+        'shopify',
+        'customers',
+        null,
+        null,
+        { checkpoint: true }
+      );
+
+      assert.deepEqual(checkpoints, ['2024-01-01T00:00:00.000Z']);
+      assert.equal(run.failed, 1);
+      assert.deepEqual(run.errors, ['constraint violation']);
+    });
+
+    it('should checkpoint reads out of update order only after the last page', async () => {
+      const events = [];
+      mockShopifyConnector.inUpdateOrder = () => false;
+      mockShopifyConnector.streamCustomers = async function* () {
+        events.push('page 1');
+        yield [pagedCustomers[1][0]];
+        events.push('page 2');
+        yield pagedCustomers[0];
+      };
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        events.push(`checkpoint ${watermark.toISOString()}`);
+        return watermark;
+      };
+
+      const run = await pipeline.processEntity(
+        mockShopifyConnector,
+        'shopify',
+        'customers',
+        null,
+        null,
+        { checkpoint: true }
+      );
+
+      assert.deepEqual(events, ['page 1', 'page 2', 'checkpoint 2024-01-03T00:00:00.000Z']);
+      assert.equal(run.watermark.toISOString(), '2024-01-03T00:00:00.000Z');
+    });
+
+    it('should hold an out of order read short of its earliest failure', async () => {
+      const checkpoints = [];
+      mockShopifyConnector.inUpdateOrder = () => false;
+      mockShopifyConnector.streamCustomers = async function* () {
+        yield [pagedCustomers[1][0]];
+        yield pagedCustomers[0];
+      };
+      pipeline.loader.upsertCustomerBatch = async customers => ({
+        inserted: customers.filter(c => c.source_id !== '2'),
+        failed: customers
+          .filter(c => c.source_id === '2')
+          .map(customer => ({ customer, error: 'constraint violation' })),
+      });
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        checkpoints.push(watermark.toISOString());
+        return watermark;
+      };
+
+      await pipeline.processEntity(
+        mockShopifyConnector,
+        'shopify',
+        'customers',
+        null,
+        null,
+        { checkpoint: true }
+      );
+
+      assert.deepEqual(checkpoints, ['2024-01-01T00:00:00.000Z']);
+    });
+  });
+
+  describe('http usage', () => {
+    it('should record the retries a run needed', async () => {
+      mockShopifyConnector.http = { stats: { requests: 10, retries: 4 } };
+      const getCustomers = mockShopifyConnector.getCustomers.bind(mockShopifyConnector);
+      mockShopifyConnector.getCustomers = async (...args) => {
+        mockShopifyConnector.http.stats.requests += 3;
+        mockShopifyConnector.http.stats.retries += 2;
+        return getCustomers(...args);
+      };
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.metadata.http, { requests: 3, retries: 2 });
+    });
+  });
+
+  describe('connector capabilities', () => {
+    it('should only extract entities the connector supports', async () => {
+      const requested = [];
+      mockShopifyConnector.supports = entity => entity !== 'products';
+      mockShopifyConnector.getProducts = async () => {
+        requested.push('products');
+        return [];
+      };
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(requested, []);
+      assert.equal(result.metadata.products, undefined);
+      assert.ok(result.metadata.customers);
+    });
+
+    it('should pass extracted records through the connector normalize', async () => {
+      mockShopifyConnector.normalize = (entity, record) => ({ ...record, email: 'x@example.com' });
+
+      const pages = [];
+      for await (const page of pipeline.extractPages(mockShopifyConnector, 'customers', null)) {
+        pages.push(page);
+      }
+
+      assert.equal(pages.length, 1);
+      assert.ok(pages[0].every(customer => customer.email === 'x@example.com'));
+    });
+
+    it('should refuse to backfill an unsupported entity', async () => {
+      mockShopifyConnector.supports = entity => entity !== 'products';
+
+      await assert.rejects(
+        () =>
+          pipeline.backfill({
+            sourceType: 'shopify',
+            entities: ['products'],
+            from: new Date('2024-01-01T00:00:00Z'),
+            to: new Date('2024-01-02T00:00:00Z'),
+          }),
+        /shopify does not support products/
+      );
+    });
+  });
+
+  describe('payments', () => {
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+      pipeline.connectors = {
+        stripe: {
+          supports: capability => capability === 'payments',
+          testConnection: async () => true,
+          async *streamPayments() {
+            yield [{ id: 'ch_1', amount: 10, currency: 'usd', created_at: '2024-01-09T10:00:00Z' }];
+          },
+          async *streamPaymentRefunds() {},
+          async *streamPaymentDisputes() {
+            yield [
+              { id: 'dp_1', payment_id: 'ch_9', created_at: '2024-01-11T10:00:00Z' },
+              { id: 'dp_2', payment_id: 'ch_1', created_at: '2024-01-12T10:00:00Z' },
+            ];
+          },
+        },
+      };
+
+      Object.assign(pipeline.loader, {
+        async upsertPaymentBatch(payments) {
+          calls.push('payments');
+          return { inserted: payments, failed: [] };
+        },
+        async upsertPaymentRefundBatch(refunds) {
+          calls.push('refunds');
+          return { inserted: refunds, failed: [] };
+        },
+        async applyPaymentDisputeBatch(disputes) {
+          calls.push('disputes');
+          return {
+            inserted: disputes.filter(dispute => dispute.source_payment_id === 'ch_1'),
+            failed: disputes
+              .filter(dispute => dispute.source_payment_id !== 'ch_1')
+              .map(dispute => ({ dispute, error: 'Payment ch_9 is not loaded' })),
+          };
+        },
+        async linkPaymentRefunds() {
+          calls.push('link');
+          return 0;
+        },
+        async matchPaymentsToOrders() {
+          calls.push('match');
+          return { metadata: 1, email: 0 };
+        },
+      });
+      pipeline.calculateMetrics = async () => calls.push('metrics');
+    });
+
+    it('should load payments and match them to orders once per run', async () => {
+      const result = await pipeline.runForSource('stripe');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(calls, ['payments', 'disputes', 'link', 'match']);
+      assert.deepEqual(result.metadata.matched, { metadata: 1, email: 0 });
+      assert.equal(result.metadata.customers, undefined);
+    });
+
+    it('should hold the dispute watermark before a dispute that failed', async () => {
+      const result = await pipeline.runForSource('stripe');
+
+      assert.deepEqual(result.metadata.watermarks.payments, new Date('2024-01-09T10:00:00Z'));
+      assert.equal(result.metadata.watermarks.payment_disputes, null);
+      assert.equal(result.metadata.payment_disputes.failed, 1);
+    });
+  });
+
+  describe('inventory', () => {
+    let loaded;
+
+    beforeEach(() => {
+      loaded = {};
+      Object.assign(mockShopifyConnector, {
+        supports: () => true,
+        getLocations: async () => [{ id: 655441491, name: 'Warehouse' }],
+        async *streamInventory(locations) {
+          yield locations.map(location => ({
+            inventory_item_id: 808950810,
+            location_id: location.id,
+            available: 7,
+          }));
+        },
+      });
+      Object.assign(pipeline.loader, {
+        async upsertLocationBatch(locations) {
+          loaded.locations = locations;
+          return { inserted: locations, failed: [] };
+        },
+        async upsertInventorySnapshotBatch(levels) {
+          loaded.levels = levels;
+          return { inserted: levels, failed: [] };
+        },
+      });
+    });
+
+    it('should snapshot the levels at every location for the run date', async () => {
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.equal(loaded.locations[0].source_id, '655441491');
+      assert.deepEqual(loaded.levels.map(level => level.source_location_id), ['655441491']);
+      assert.equal(loaded.levels[0].snapshot_date, new Date().toISOString().slice(0, 10));
+      assert.deepEqual(result.metadata.inventory, {
+        locations: 1,
+        levels: 1,
+        failed: 0,
+        errors: [],
+      });
+    });
+
+    it('should skip connectors that do not support inventory', async () => {
+      mockShopifyConnector.supports = capability => capability !== 'inventory';
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(loaded.levels, undefined);
+      assert.equal(result.metadata.inventory, undefined);
+    });
+  });
+
+  describe('identity resolution', () => {
+    it('should resolve identities across sources once every source has run', async () => {
+      const calls = [];
+      const runForSource = pipeline.runForSource.bind(pipeline);
+      pipeline.runForSource = async sourceType => {
+        calls.push(sourceType);
+        return runForSource(sourceType);
+      };
+      pipeline.loader.getIdentityCandidates = async () => {
+        calls.push('identities');
+        return [
+          { id: 1, source_type: 'shopify', email: 'jane@example.com' },
+          { id: 2, source_type: 'woocommerce', email: 'JANE@example.com' },
+        ];
+      };
+      let saved;
+      pipeline.loader.saveUnifiedCustomers = async unified => {
+        saved = unified;
+        return { unified: unified.length, links: 2, removed: 0 };
+      };
+
+      await pipeline.run();
+
+      assert.deepEqual(calls, ['shopify', 'identities']);
+      assert.equal(saved.length, 1);
+      assert.equal(saved[0].source_count, 2);
+    });
+
+    it('should calculate metrics for unified customers with orders', async () => {
+      mockDatabase.query = async () => ({
+        rows: [
+          {
+            id: 7,
+            source_count: 2,
+            orders: [
+              { id: 1, total_price: '100.00', processed_at: '2024-01-01T00:00:00Z' },
+              { id: 2, total_price: '50.00', processed_at: '2024-01-05T00:00:00Z' },
+            ],
+          },
+          { id: 8, source_count: 1, orders: null },
+        ],
+      });
+      const upserted = [];
+      pipeline.loader.upsertUnifiedCustomerMetrics = async metrics => upserted.push(metrics);
+
+      await pipeline.calculateUnifiedMetrics(new Date('2024-01-10'));
+
+      assert.equal(upserted.length, 1);
+      assert.equal(upserted[0].unified_customer_id, 7);
+      assert.equal(upserted[0].total_orders, 2);
+      assert.equal(upserted[0].total_revenue, 150);
+    });
+  });
+
+  describe('load transactions', () => {
+    let transactions;
+
+    beforeEach(() => {
+      transactions = [];
+      pipeline.loader.transaction = async work => {
+        const client = { id: transactions.length + 1 };
+        const transaction = { client, status: 'open' };
+        transactions.push(transaction);
+        try {
+          const result = await work(client);
+          transaction.status = 'committed';
+          return result;
+        } catch (error) {
+          transaction.status = 'rolled back';
+          throw error;
+        }
+      };
+    });
+
+    it('should not open transactions by default', async () => {
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.equal(transactions.length, 0);
+    });
+
+    it('should load a whole source in one transaction', async () => {
+      pipeline.loadTransaction = 'source';
+      const clients = [];
+      pipeline.loader.upsertCustomerBatch = async (customers, client) => {
+        clients.push(client);
+        return { inserted: customers, failed: [] };
+      };
+      pipeline.loader.advanceWatermark = async (source, entity, watermark, client) => {
+        clients.push(client);
+        return watermark;
+      };
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.equal(transactions.length, 1);
+      assert.equal(transactions[0].status, 'committed');
+      assert.ok(clients.length > 0);
+      assert.ok(clients.every(client => client === transactions[0].client));
+    });
+
+    it('should tell the connector each entity was loaded, inside the transaction', async () => {
+      pipeline.loadTransaction = 'source';
+      const loaded = [];
+      mockShopifyConnector.entityLoaded = async (entity, client) => {
+        loaded.push({ entity, client });
+      };
+
+      await pipeline.runForSource('shopify');
+
+      assert.deepEqual(loaded.map(call => call.entity), ['customers', 'products', 'orders']);
+      assert.ok(loaded.every(call => call.client === transactions[0].client));
+    });
+
+    it('should roll back the source when too many rows fail', async () => {
+      pipeline.loadTransaction = 'source';
+      pipeline.maxErrorRate = 0.1;
+      pipeline.loader.upsertCustomerBatch = async customers => ({
+        inserted: customers.slice(1),
+        failed: [{ customer: customers[0], error: 'invalid email' }],
+      });
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, false);
+      assert.match(result.error_message, /1 of \d+ rows failed to load/);
+      assert.equal(transactions[0].status, 'rolled back');
+    });
+
+    it('should commit each page on its own', async () => {
+      pipeline.loadTransaction = 'page';
+      mockShopifyConnector.streamCustomers = async function* () {
+        yield [{ ...shopifyCustomers[0], id: 1 }];
+        yield [{ ...shopifyCustomers[1], id: 2 }];
+      };
+
+      const run = await pipeline.processEntity(
+        mockShopifyConnector,
+        'shopify',
+        'customers',
+        null,
+        null,
+        { checkpoint: true }
+      );
+
+      assert.equal(run.pages, 2);
+      assert.deepEqual(
+        transactions.map(transaction => transaction.status),
+        ['committed', 'committed']
+      );
+    });
+
+    it('should roll back a page whose error rate is too high', async () => {
+      pipeline.loadTransaction = 'page';
+      pipeline.maxErrorRate = 0;
+      const checkpoints = [];
+      pipeline.loader.upsertCustomerBatch = async customers => ({
+        inserted: [],
+        failed: customers.map(customer => ({ customer, error: 'invalid email' })),
+      });
+      pipeline.loader.advanceWatermark = async (source, entity, watermark) => {
+        checkpoints.push(watermark);
+        return watermark;
+      };
+
+      await assert.rejects(
+        () => pipeline.processEntity(mockShopifyConnector, 'shopify', 'customers', null, null, {
+          checkpoint: true,
+        }),
+        /rows failed to load/
+      );
+
+      assert.equal(transactions[0].status, 'rolled back');
+      assert.equal(checkpoints.length, 0);
+    });
+  });
+
+  describe('backfill', () => {
+    const range = {
+      sourceType: 'shopify',
+      entities: ['orders'],
+      from: new Date('2025-03-01T00:00:00Z'),
+      to: new Date('2025-03-04T00:00:00Z'),
+      window: 'day',
+    };
+
+    it('should extract each window with its own bounds and log it', async () => {
+      const calls = [];
+      mockShopifyConnector.getOrders = async (since, until) => {
+        calls.push({ since, until });
+        return shopifyOrders;
+      };
+      pipeline.loader.getCompletedBackfillWindows = async () => new Set();
+
+      const logged = [];
+      pipeline.loader.logETLRun = async entry => {
+        logged.push(entry);
+        return 1;
+      };
+
+      const summary = await pipeline.backfill(range);
+
+      assert.deepEqual(summary, { windows: 3, completed: 3, skipped: 0, failed: 0 });
+      assert.equal(calls.length, 3);
+      assert.equal(calls[1].since.toISOString(), '2025-03-02T00:00:00.000Z');
+      assert.equal(calls[1].until.toISOString(), '2025-03-03T00:00:00.000Z');
+
+      assert.equal(logged.length, 3);
+      assert.equal(logged[0].pipeline_name, 'backfill');
+      assert.equal(logged[0].status, 'success');
+      assert.equal(logged[0].metadata.entity, 'orders');
+      assert.equal(logged[0].records_extracted, 2);
+    });
+
+    it('should skip windows that already completed', async () => {
+      const calls = [];
+      mockShopifyConnector.getOrders = async since => {
+        calls.push(since);
+        return [];
+      };
+      pipeline.loader.getCompletedBackfillWindows = async () =>
+        new Set([
+          backfillWindowKey(new Date('2025-03-01T00:00:00Z'), new Date('2025-03-02T00:00:00Z')),
+        ]);
+
+      const summary = await pipeline.backfill(range);
+
+      assert.equal(summary.skipped, 1);
+      assert.equal(summary.completed, 2);
+      assert.equal(calls[0].toISOString(), '2025-03-02T00:00:00.000Z');
+    });
+
+    it('should stop at the first failed window', async () => {
+      let calls = 0;
+      mockShopifyConnector.getOrders = async () => {
+        calls++;
+        if (calls === 2) throw new Error('Rate limited');
+        return [];
+      };
+      pipeline.loader.getCompletedBackfillWindows = async () => new Set();
+
+      const logged = [];
+      pipeline.loader.logETLRun = async entry => {
+        logged.push(entry);
+        return 1;
+      };
+
+      const summary = await pipeline.backfill(range);
+
+      assert.deepEqual(summary, { windows: 3, completed: 1, skipped: 0, failed: 1 });
+      assert.equal(logged[1].status, 'failed');
+      assert.equal(logged[1].error_message, 'Rate limited');
+    });
+
+    it('should not touch watermarks', async () => {
+      pipeline.loader.getCompletedBackfillWindows = async () => new Set();
+      pipeline.loader.advanceWatermark = async () => {
+        throw new Error('should not be called');
+      };
+
+      const summary = await pipeline.backfill(range);
+
+      assert.equal(summary.failed, 0);
+    });
+  });
+
+  describe('ingestWebhook', () => {
+    let deliveries;
+    let clients;
+
+    beforeEach(() => {
+      deliveries = new Set();
+      clients = [];
+      pipeline.loader.transaction = async work => work({ id: 'tx' });
+      pipeline.loader.recordWebhookDelivery = async (delivery, client) => {
+        clients.push(client);
+        const key = `${delivery.source_type}/${delivery.webhook_id}`;
+        const fresh = !deliveries.has(key);
+        deliveries.add(key);
+        return fresh;
+      };
+      pipeline.loader.upsertOrderBatch = async (orders, items, client) => {
+        clients.push(client);
+        return {
+          orders: { inserted: orders.map((o, i) => ({ ...o, id: i + 1 })), failed: [] },
+          orderItems: { inserted: items, failed: [] },
+        };
+      };
+      pipeline.updateCustomerPurchaseDates = async () => {};
+    });
+
+    const delivery = {
+      id: 'wh-1',
+      topic: 'orders/create',
+      entity: 'orders',
+      payload: shopifyOrders[0],
+    };
+
+    it('should load the delivered record with its delivery id in one transaction', async () => {
+      const result = await pipeline.ingestWebhook('shopify', delivery);
+
+      assert.equal(result.duplicate, false);
+      assert.ok(result.loaded > 0);
+      assert.deepEqual(clients, [{ id: 'tx' }, { id: 'tx' }]);
+    });
+
+    it('should recompute the daily metrics of the delivered order\'s day', async () => {
+      const recomputed = [];
+      pipeline.loader.recomputeDailyMetrics = async (sourceType, days) => recomputed.push(days);
+
+      await pipeline.ingestWebhook('shopify', delivery);
+
+      assert.deepEqual(recomputed, [['2024-01-10']]);
+    });
+
+    it('should keep a delivery whose day cannot be recomputed', async () => {
+      pipeline.loader.getUnconvertedOrders = async () => [
+        { id: 1, currency: 'JPY', order_date: '2024-01-10T10:00:00Z' },
+      ];
+
+      const result = await pipeline.ingestWebhook('shopify', delivery);
+
+      assert.equal(result.duplicate, false);
+    });
+
+    it('should skip a delivery it has ingested before', async () => {
+      await pipeline.ingestWebhook('shopify', delivery);
+      clients = [];
+
+      const result = await pipeline.ingestWebhook('shopify', delivery);
+
+      assert.deepEqual(result, { duplicate: true, loaded: 0 });
+      assert.equal(clients.length, 1);
+    });
+
+    it('should fail the delivery when its record is rejected', async () => {
+      pipeline.loader.upsertOrderBatch = async orders => ({
+        orders: { inserted: [], failed: [{ order: orders[0], error: 'invalid total' }] },
+        orderItems: { inserted: [], failed: [] },
+      });
+
+      await assert.rejects(
+        () => pipeline.ingestWebhook('shopify', delivery),
+        /shopify webhook wh-1 failed to load: invalid total/
+      );
+    });
+
+    it('should not move any watermark', async () => {
+      let advanced = false;
+      pipeline.loader.advanceWatermark = async () => {
+        advanced = true;
+      };
+
+      await pipeline.ingestWebhook('shopify', delivery);
+
+      assert.equal(advanced, false);
+    });
+
+    it('should reject deliveries for sources that are not enabled', async () => {
+      await assert.rejects(
+        () => pipeline.ingestWebhook('woocommerce', delivery),
+        /Connector for woocommerce not initialized/
+      );
+    });
+  });
+
   describe('extractData', () => {
     it('should extract all data types from connector', async () => {
       const data = await pipeline.extractData(mockShopifyConnector);
@@ -268,6 +1089,53 @@ describe('ETLPipeline', () => {
       assert.equal(relatedItems[0].source_order_id, order.source_id);
     });
 
+    it('should take every variant from its product', async () => {
+      const product = {
+        ...shopifyProducts[0],
+        variants: [
+          ...shopifyProducts[0].variants,
+          { ...shopifyProducts[0].variants[0], id: 444555667, sku: 'PTS-XL-001' },
+        ],
+      };
+
+      const transformedData = await pipeline.transformData(
+        { customers: [], products: [product], orders: [] },
+        'shopify'
+      );
+
+      assert.deepEqual(
+        transformedData.productVariants.map(variant => [variant.source_product_id, variant.sku]),
+        [['111222333', 'PTS-L-001'], ['111222333', 'PTS-XL-001']]
+      );
+      assert.equal(transformedData.productVariants[1].position, 2);
+    });
+
+    it('should take refunds and their line items from their orders', async () => {
+      const refundedOrder = {
+        ...shopifyOrders[0],
+        refunds: [{
+          id: 900,
+          created_at: '2024-01-16T09:00:00Z',
+          transactions: [{ kind: 'refund', status: 'success', amount: '10.00' }],
+          refund_line_items: [{ id: 901, line_item_id: 5, quantity: 1, subtotal: 10 }],
+        }],
+      };
+
+      const transformedData = await pipeline.transformData(
+        { customers: [], products: [], orders: [refundedOrder] },
+        'shopify'
+      );
+
+      const [refund] = transformedData.refunds;
+      assert.equal(refund.source_order_id, String(shopifyOrders[0].id));
+      assert.equal(refund.currency, transformedData.orders[0].currency);
+      assert.equal(refund.amount, 10);
+      assert.deepEqual(
+        transformedData.refundItems.map(item => [item.source_refund_id, item.source_line_item_id]),
+        [['900', '5']]
+      );
+    });
+
     it('should handle transformation errors', async () => {
       // Create invalid data that will cause transformation to fail
       const invalidData = {
@@ -328,19 +1196,112 @@ describe('ETLPipeline', () => {
       assert.equal(results.totalLoaded, 4);
     });
 
-    it('should link orders to customers by email', async () => {
-      // Track calls to findCustomerId
-      let customerLookups = [];
-      pipeline.loader.findCustomerId = async function(email, sourceType) {
-        customerLookups.push({ email, sourceType });
-        return email === 'test@example.com' ? 123 : null;
+    it('should hand all orders and their items to the loader in one call', async () => {
+      const calls = [];
+      pipeline.loader.upsertOrderBatch = async (orders, items) => {
+        calls.push({ orders, items });
+        return {
+          orders: { inserted: orders, failed: [] },
+          orderItems: { inserted: items, failed: [] },
+        };
+      };
+
+      const results = await pipeline.loadData(transformedData, 'shopify');
+
+      assert.equal(calls.length, 1);
+      assert.deepEqual(calls[0].orders, transformedData.orders);
+      assert.deepEqual(calls[0].items, transformedData.orderItems);
+      assert.equal(results.orderItems.inserted.length, 1);
+    });
+
+    it('should load refunds after the orders they belong to', async () => {
+      const calls = [];
+      pipeline.loader.upsertOrderBatch = async (orders, items) => {
+        calls.push('orders');
+        return {
+          orders: { inserted: orders, failed: [] },
+          orderItems: { inserted: items, failed: [] },
+        };
+      };
+      pipeline.loader.upsertRefundBatch = async (refunds, items) => {
+        calls.push({ refunds, items });
+        return { inserted: refunds, failed: [] };
+      };
+      const refunds = [{ source_id: '900', source_type: 'shopify', source_order_id: '789' }];
+      const refundItems = [{ source_id: '901', source_refund_id: '900' }];
+
+      const results = await pipeline.loadData(
+        { ...transformedData, refunds, refundItems },
+        'shopify'
+      );
+
+      assert.deepEqual(calls, ['orders', { refunds, items: refundItems }]);
+      assert.equal(results.refunds.inserted.length, 1);
+      assert.equal(results.totalLoaded, 5);
+    });
+
+    it('should load carts when there are any', async () => {
+      const loadedCarts = [];
+      pipeline.loader.upsertCartBatch = async carts => {
+        loadedCarts.push(...carts);
+        return { inserted: carts, failed: [] };
+      };
+      const carts = [{ source_id: '7001', source_type: 'shopify', status: 'open' }];
+
+      const results = await pipeline.loadData({ ...transformedData, carts }, 'shopify');
+
+      assert.deepEqual(loadedCarts, carts);
+      assert.equal(results.carts.inserted.length, 1);
+      assert.equal(results.totalLoaded, 5);
+    });
+
+    it('should merge guest customers into customers who have since registered', async () => {
+      const calls = [];
+      pipeline.loader.upsertCustomerBatch = async customers => {
+        calls.push('customers');
+        return { inserted: customers, failed: [] };
+      };
+      pipeline.loader.mergeRegisteredGuests = async sourceType => {
+        calls.push(sourceType);
+        return 1;
+      };
+
+      await pipeline.loadData(transformedData, 'shopify');
+      await pipeline.loadData({ ...transformedData, customers: [] }, 'shopify');
+
+      assert.deepEqual(calls, ['customers', 'shopify', 'customers']);
+    });
+
+    it('should convert the source\'s orders once they are loaded', async () => {
+      const calls = [];
+      pipeline.loader.upsertRefundBatch = async refunds => {
+        calls.push('refunds');
+        return { inserted: refunds, failed: [] };
+      };
+      pipeline.loader.getUnconvertedOrders = async (currency, sourceType) => {
+        calls.push(`convert ${sourceType}`);
+        return [];
+      };
+
+      await pipeline.loadData(
+        { ...transformedData, refunds: [{ source_id: '900' }], refundItems: [] },
+        'shopify'
+      );
+      await pipeline.loadData({ ...transformedData, orders: [], orderItems: [] }, 'shopify');
+
+      assert.deepEqual(calls, ['convert shopify', 'refunds']);
+    });
+
+    it('should only convert the orders the load wrote', async () => {
+      const requested = [];
+      pipeline.loader.getUnconvertedOrders = async (currency, sourceType, client, filter) => {
+        requested.push(filter.orderIds);
+        return [];
       };
 
       await pipeline.loadData(transformedData, 'shopify');
 
-      assert.ok(customerLookups.length > 0);
-      assert.equal(customerLookups[0].email, 'test@example.com');
-      assert.equal(customerLookups[0].sourceType, 'shopify');
+      assert.deepEqual(requested, [transformedData.orders.map((order, i) => i + 1)]);
     });
 
     it('should handle load failures gracefully', async () => {
@@ -356,15 +1317,127 @@ describe('ETLPipeline', () => {
     });
   });
 
-  describe('calculateMetrics', () => {
-    it('should calculate customer and daily metrics', async () => {
-      const transformedData = {
-        customers: [{ source_id: '123' }],
-        products: [{ source_id: '456', title: 'Test Product' }],
-        orders: [],
-        orderItems: [],
+  describe('currency conversion', () => {
+    const rates = [
+      { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'USD', rate: '1.1' },
+      { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'GBP', rate: '0.86' },
+    ];
+
+    beforeEach(() => {
+      pipeline.reportingCurrency = 'USD';
+    });
+
+    it('should convert orders at the latest rate of their day', async () => {
+      const requested = [];
+      const saved = [];
+      pipeline.loader.getUnconvertedOrders = async () => [
+        { id: 1, currency: 'EUR', order_date: '2024-01-06' },
+        { id: 2, currency: 'USD', order_date: '2024-01-06' },
+        { id: 3, currency: 'JPY', order_date: '2024-01-05' },
+      ];
+      pipeline.loader.getFxRates = async (...args) => {
+        requested.push(args.slice(0, 3));
+        return rates;
+      };
+      pipeline.loader.saveOrderConversions = async conversions => saved.push(...conversions);
+
+      const result = await pipeline.convertOrderAmounts('shopify');
+
+      assert.deepEqual(requested, [[['EUR', 'USD', 'JPY'], '2023-12-29', '2024-01-06']]);
+      assert.deepEqual(saved, [
+        { id: 1, reporting_currency: 'USD', fx_rate: 1.1 },
+        { id: 2, reporting_currency: 'USD', fx_rate: 1 },
+      ]);
+      assert.deepEqual(result, { converted: 2, missing: ['JPY 2024-01-05'] });
+    });
+
+    it('should load a rates file and convert the orders waiting for it', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fx-')), 'rates.csv');
+      fs.writeFileSync(file, 'date,currency,rate\n2024-01-05,USD,1.1\n2024-01-05,GBP,N/A\n');
+      const loaded = [];
+      let convertedSource;
+      pipeline.loader.upsertFxRates = async rows => loaded.push(...rows);
+      pipeline.loader.getUnconvertedOrders = async (currency, sourceType) => {
+        convertedSource = sourceType;
+        return [];
+      };
+
+      const result = await pipeline.loadFxRates(file);
+
+      assert.deepEqual(loaded, [
+        { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'USD', rate: 1.1 },
+      ]);
+      assert.equal(convertedSource, null);
+      assert.equal(result.rates, 1);
+    });
+
+    it('should give the rates of the currencies of carts on each day', async () => {
+      pipeline.loader.getFxRates = async () => rates;
+      pipeline.loader.getCartCurrencyDays = async () => [{ currency: 'GBP', day: '2024-01-05' }];
+
+      const cartRates = await pipeline.getCartRates('shopify', ['2024-01-05'], 'UTC');
+
+      assert.equal(cartRates.rates.length, 1);
+      assert.equal(cartRates.rates[0].currency, 'GBP');
+      assert.equal(cartRates.rates[0].day, '2024-01-05');
+      assert.equal((43 * cartRates.rates[0].rate).toFixed(2), '55.00');
+      assert.deepEqual(cartRates.missing, []);
+    });
+
+    it('should report the cart currencies and days without a rate', async () => {
+      pipeline.loader.getCartCurrencyDays = async () => [{ currency: 'JPY', day: '2024-01-05' }];
+
+      const cartRates = await pipeline.getCartRates('shopify', ['2024-01-05'], 'UTC');
+
+      assert.deepEqual(cartRates, { rates: [], missing: [{ currency: 'JPY', day: '2024-01-05' }] });
+    });
+  });
+
+  describe('store time zones', () => {
+    it('should take and save the time zone the store reports', async () => {
+      const saved = [];
+      mockShopifyConnector.getTimezone = async () => 'America/New_York';
+      pipeline.loader.saveSourceTimezone = async (...args) => saved.push(args);
+
+      assert.equal(await pipeline.getTimezone('shopify'), 'America/New_York');
+      assert.equal(await pipeline.getTimezone('shopify'), 'America/New_York');
+      assert.deepEqual(saved, [['shopify', 'America/New_York']]);
+    });
+
+    it('should fall back to the saved time zone, then the default', async () => {
+      mockShopifyConnector.getTimezone = async () => {
+        throw new Error('Service unavailable');
       };
+      pipeline.loader.getSourceTimezone = async () => 'Europe/Berlin';
+
+      assert.equal(await pipeline.getTimezone('shopify'), 'Europe/Berlin');
+
+      pipeline.timezones = {};
+      pipeline.defaultTimezone = 'Asia/Tokyo';
+      pipeline.loader.getSourceTimezone = async () => null;
+      mockShopifyConnector.getTimezone = async () => 'GMT+9';
+
+      assert.equal(await pipeline.getTimezone('shopify'), 'Asia/Tokyo');
+    });
+
+    it('should calculate the metrics of the store\'s current day', async () => {
+      mockShopifyConnector.getTimezone = async () => 'Pacific/Kiritimati';
+      const recomputed = [];
+      pipeline.loader.recomputeDailyMetrics = async (...args) => recomputed.push(args);
 
+      await pipeline.calculateMetrics('shopify');
+
+      const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Pacific/Kiritimati' })
+        .format(new Date());
+      const [[sourceType, days, options]] = recomputed;
+      assert.equal(sourceType, 'shopify');
+      assert.deepEqual(days, [today]);
+      assert.equal(options.timezone, 'Pacific/Kiritimati');
+    });
+  });
+
+  describe('calculateMetrics', () => {
+    it('should calculate customer and daily metrics', async () => {
       // Mock database queries for metrics calculation
       mockDatabase.setData('customers_with_orders', [
         {
@@ -402,34 +1475,189 @@ describe('ETLPipeline', () => {
         return 1;
       };
 
-      let dailyMetricsUpserted = [];
-      pipeline.loader.upsertDailyMetrics = async function(metrics) {
-        dailyMetricsUpserted.push(metrics);
-        return 1;
+      const dailyMetricsRecomputed = [];
+      pipeline.loader.recomputeDailyMetrics = async function(sourceType, days) {
+        dailyMetricsRecomputed.push({ sourceType, days });
+        return days.length;
       };
 
-      await pipeline.calculateMetrics(transformedData, 'shopify');
+      await pipeline.calculateMetrics('shopify');
 
       assert.ok(metricsUpserted.length > 0);
-      assert.ok(dailyMetricsUpserted.length > 0);
-      assert.equal(dailyMetricsUpserted[0].source_type, 'shopify');
+      assert.ok(dailyMetricsRecomputed.length > 0);
+      assert.equal(dailyMetricsRecomputed[0].sourceType, 'shopify');
     });
 
-    it('should handle metrics calculation errors', async () => {
-      const transformedData = { customers: [], products: [], orders: [], orderItems: [] };
+    it('should calculate the checkout funnel for sources with carts', async () => {
+      mockShopifyConnector.getCarts = async () => [];
+      pipeline.loader.getFxRates = async () => [
+        { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'USD', rate: '1.1' },
+        { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'GBP', rate: '0.86' },
+      ];
+      pipeline.loader.getCartCurrencyDays = async () => [{ currency: 'GBP', day: '2024-01-05' }];
+      const recomputed = [];
+      pipeline.loader.recomputeDailyMetrics = async (...args) => recomputed.push(args);
+
+      await pipeline.calculateMetrics('shopify', ['2024-01-05']);
+
+      const [, days, options] = recomputed[0];
+      assert.equal(days.includes('2024-01-05'), true);
+      assert.equal(options.withCarts, true);
+      assert.equal(options.abandonmentHours, 24);
+      assert.equal(options.cartRates[0].currency, 'GBP');
+    });
+
+    it('should leave the funnel empty for sources without carts', async () => {
+      const recomputed = [];
+      pipeline.loader.recomputeDailyMetrics = async (...args) => recomputed.push(args);
+      pipeline.loader.getCartCurrencyDays = async () => {
+        throw new Error('carts read for a source without carts');
+      };
 
+      await pipeline.calculateMetrics('shopify');
+
+      assert.equal(recomputed[0][2].withCarts, false);
+      assert.deepEqual(recomputed[0][2].cartRates, []);
+    });
+
+    it('should handle metrics calculation errors', async () => {
       // Make metrics calculation fail
       pipeline.loader.pool.query = async () => {
         throw new Error('Query timeout');
       };
 
       await assert.rejects(
-        () => pipeline.calculateMetrics(transformedData, 'shopify'),
+        () => pipeline.calculateMetrics('shopify'),
         /Query timeout/
       );
     });
   });
 
+  describe('daily metrics recomputation', () => {
+    let recomputed;
+
+    beforeEach(() => {
+      recomputed = [];
+      pipeline.loader.recomputeDailyMetrics = async (sourceType, days) => {
+        recomputed.push({ sourceType, days });
+        return days.length;
+      };
+    });
+
+    it('should recompute today and the days of the orders a run loaded', async () => {
+      pipeline.calculateMetrics = async function(sourceType, loadedDays) {
+        return this.recomputeDailyMetrics(sourceType, ['2024-02-01', ...loadedDays]);
+      };
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(recomputed, [
+        { sourceType: 'shopify', days: ['2024-01-10', '2024-01-15', '2024-02-01'] },
+      ]);
+    });
+
+    it('should recompute the days of backfilled orders', async () => {
+      pipeline.loader.getCompletedBackfillWindows = async () => new Set();
+      pipeline.loader.logETLRun = async () => 1;
+
+      await pipeline.backfill({
+        sourceType: 'shopify',
+        entities: ['orders'],
+        from: new Date('2024-01-01T00:00:00Z'),
+        to: new Date('2024-01-02T00:00:00Z'),
+      });
+
+      assert.deepEqual(recomputed, [
+        { sourceType: 'shopify', days: ['2024-01-10', '2024-01-15'] },
+      ]);
+    });
+
+    it('should skip the days of unconverted orders and recompute the rest', async () => {
+      pipeline.loader.getUnconvertedOrders = async () => [
+        { id: 7, currency: 'JPY', order_date: new Date('2024-01-20T12:00:00Z') },
+        { id: 8, currency: 'GBP', order_date: new Date('2024-01-05T12:00:00Z') },
+      ];
+
+      assert.equal(await pipeline.recomputeDailyMetrics('shopify', ['2024-01-06']), 1);
+      assert.equal(
+        await pipeline.recomputeDailyMetrics('shopify', ['2024-01-04', '2024-01-05']),
+        1
+      );
+      assert.equal(await pipeline.recomputeDailyMetrics('shopify', ['2024-01-05']), 0);
+      assert.deepEqual(recomputed.map(call => call.days), [['2024-01-06'], ['2024-01-04']]);
+    });
+
+    it('should only read the unconverted orders around the days', async () => {
+      let filter;
+      pipeline.loader.getUnconvertedOrders = async (currency, sourceType, client, options) => {
+        filter = options;
+        return [];
+      };
+
+      await pipeline.recomputeDailyMetrics('shopify', ['2024-01-06', '2024-01-04']);
+
+      assert.deepEqual(filter, {
+        from: new Date('2024-01-03T00:00:00Z'),
+        to: new Date('2024-01-08T00:00:00Z'),
+      });
+    });
+
+    it('should skip the days of carts without a rate', async () => {
+      mockShopifyConnector.getCarts = async () => [];
+      pipeline.loader.getFxRates = async () => [];
+      pipeline.loader.getCartCurrencyDays = async () => [{ currency: 'JPY', day: '2024-01-05' }];
+
+      await pipeline.recomputeDailyMetrics('shopify', ['2024-01-05', '2024-01-06']);
+
+      assert.deepEqual(recomputed.map(call => call.days), [['2024-01-06']]);
+    });
+
+    it('should finish a run whose days have orders without a rate', async () => {
+      pipeline.loader.getUnconvertedOrders = async () => [
+        { id: 8, currency: 'GBP', order_date: new Date('2024-01-10T12:00:00Z') },
+      ];
+      const unconvertedOrder = {
+        id: 8,
+        customer_id: 1,
+        currency: 'GBP',
+        total_price: '10',
+        total_price_reporting: null,
+        processed_at: new Date('2024-01-10T12:00:00Z'),
+      };
+      pipeline.loader.pool.query = async () => ({ rows: [{ id: 1, orders: [unconvertedOrder] }] });
+      const customerMetrics = [];
+      pipeline.loader.upsertCustomerMetrics = async metrics => customerMetrics.push(metrics);
+
+      const result = await pipeline.runForSource('shopify');
+
+      assert.equal(result.success, true);
+      assert.deepEqual(customerMetrics, []);
+      assert.equal(recomputed[0].days.includes('2024-01-10'), false);
+      assert.equal(recomputed[0].days.includes('2024-01-15'), true);
+    });
+
+    it('should recompute a range of days for every enabled source', async () => {
+      const result = await pipeline.recomputeMetrics({ from: '2024-02-27', to: '2024-03-01' });
+
+      assert.deepEqual(result, { shopify: 4 });
+      assert.deepEqual(recomputed[0].days, [
+        '2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01',
+      ]);
+    });
+
+    it('should reject sources that are not enabled', async () => {
+      await assert.rejects(
+        () => pipeline.recomputeMetrics({
+          sourceType: 'magento',
+          from: '2024-01-01',
+          to: '2024-01-01',
+        }),
+        /Connector for magento not initialized/
+      );
+    });
+  });
+
   describe('updateCustomerPurchaseDates', () => {
     it('should update customer purchase dates', async () => {
       let updateQueries = [];
@@ -156,6 +156,11 @@ describe('DataTransformer', () => {
       assert.equal(transformer.transformOrder(pendingOrder, 'shopify').financial_status, 'pending');
     });
 
+    it('should uppercase the currency so it matches the exchange rates', () => {
+      const result = transformer.transformOrder({ id: 1, currency: 'eur' }, 'file');
+      assert.equal(result.currency, 'EUR');
+    });
+
     it('should handle missing email', () => {
       const orderWithoutEmail = {
         id: 999,
@@ -165,6 +170,46 @@ describe('DataTransformer', () => {
       const result = transformer.transformOrder(orderWithoutEmail, 'shopify');
       assert.equal(result.email, null);
     });
+
+    it('should trim and lowercase emails so the same shopper always matches', () => {
+      const order = transformer.transformOrder({ id: 1, email: ' Ann@Example.com ' }, 'shopify');
+      const customer = transformer.transformCustomer(
+        { id: 2, email: 'ANN@example.com\n' },
+        'shopify'
+      );
+
+      assert.equal(order.email, 'ann@example.com');
+      assert.equal(customer.email, order.email);
+      assert.equal(transformer.transformOrder({ id: 3, email: '  ' }, 'shopify').email, null);
+    });
+
+    it('should keep the billing details guest customers are created from', () => {
+      const result = transformer.transformOrder({
+        id: 1000,
+        email: 'Guest@Example.com',
+        billing_address: {
+          first_name: 'Ann',
+          last_name: 'Lee',
+          phone: '555-0100',
+          city: 'Portland',
+          province: 'Oregon',
+          country: 'United States',
+          country_code: 'US',
+          zip: '97201',
+        },
+      }, 'woocommerce');
+
+      assert.equal(result.email, 'guest@example.com');
+      assert.deepEqual(result.billing, {
+        first_name: 'Ann',
+        last_name: 'Lee',
+        phone: '555-0100',
+        city: 'Portland',
+        state: 'Oregon',
+        country: 'United States',
+        postal_code: '97201',
+      });
+    });
   });
 
   describe('transformOrderItem', () => {
@@ -176,6 +221,7 @@ describe('DataTransformer', () => {
 
       assertObjectPartialMatch(result, {
         order_id: mockOrderId,
+        source_line_item_id: String(orderItem.id),
         source_product_id: '111222333',
         source_variant_id: '444555666',
         title: 'Premium T-Shirt',
@@ -202,6 +248,236 @@ describe('DataTransformer', () => {
       assert.equal(result.price, 0);
       assert.equal(result.source_product_id, '');
     });
+
+    it('should key items without a source id by their position', () => {
+      const item = { title: 'Test Item' };
+      const result = transformer.transformOrderItem(item, mockOrderId, 'shopify', 2);
+
+      assert.equal(result.source_line_item_id, 'line-3');
+    });
+  });
+
+  describe('transformProductVariant', () => {
+    const product = {
+      id: 111222333,
+      options: [{ name: 'Size', position: 1 }, { name: 'Color', position: 2 }],
+      created_at: '2023-01-01T10:00:00Z',
+      updated_at: '2024-01-01T10:00:00Z',
+    };
+
+    it('should name Shopify option values after the product options', () => {
+      const result = transformer.transformProductVariant({
+        id: 444555666,
+        product_id: 111222333,
+        title: 'Large / Navy',
+        sku: 'PTS-L-001',
+        barcode: '0012345678905',
+        option1: 'Large',
+        option2: 'Navy',
+        option3: null,
+        price: '29.99',
+        compare_at_price: null,
+        inventory_quantity: 0,
+        weight: 0.2,
+        weight_unit: 'kg',
+      }, product, 'shopify');
+
+      assertObjectPartialMatch(result, {
+        source_id: '444555666',
+        source_type: 'shopify',
+        source_product_id: '111222333',
+        sku: 'PTS-L-001',
+        barcode: '0012345678905',
+        price: 29.99,
+        compare_at_price: null,
+        inventory_quantity: 0,
+        weight: 0.2,
+        weight_unit: 'kg',
+        position: 1,
+      });
+      assert.deepEqual(result.options, { Size: 'Large', Color: 'Navy' });
+      assertDateEquals(result.updated_at, new Date('2024-01-01T10:00:00Z'));
+    });
+
+    it('should keep options the connector already named', () => {
+      const result = transformer.transformProductVariant(
+        { id: 'p1/2', options: { size: 'Medium' } },
+        product,
+        'commercetools',
+        1
+      );
+
+      assert.equal(result.source_product_id, '111222333');
+      assert.deepEqual(result.options, { size: 'Medium' });
+      assert.equal(result.inventory_quantity, null);
+      assert.equal(result.position, 2);
+    });
+  });
+
+  describe('transformRefund', () => {
+    const shopifyRefund = {
+      id: 900,
+      order_id: 450789469,
+      note: 'Damaged in transit',
+      created_at: '2024-01-16T09:00:00Z',
+      processed_at: '2024-01-16T09:05:00Z',
+      transactions: [
+        { kind: 'refund', status: 'success', amount: '20.00', currency: 'USD' },
+        { kind: 'refund', status: 'failure', amount: '20.00', currency: 'USD' },
+      ],
+      refund_line_items: [{ id: 901, line_item_id: 466157049, quantity: 1, subtotal: 20 }],
+    };
+
+    it('should total the successful refund transactions of a Shopify refund', () => {
+      const result = transformer.transformRefund(shopifyRefund, 'shopify');
+
+      assertObjectPartialMatch(result, {
+        source_id: '900',
+        source_type: 'shopify',
+        source_order_id: '450789469',
+        currency: 'USD',
+        amount: 20,
+        reason: 'Damaged in transit',
+      });
+      assertDateEquals(result.processed_at, new Date('2024-01-16T09:05:00Z'));
+    });
+
+    it('should take the amount given by other connectors', () => {
+      const result = transformer.transformRefund(
+        { id: 'r1', amount: '-12.50', reason: 'Wrong size', created_at: '2024-01-16T09:00:00Z' },
+        'woocommerce'
+      );
+
+      assert.equal(result.amount, 12.5);
+      assert.equal(result.reason, 'Wrong size');
+      assert.equal(result.currency, null);
+      assertDateEquals(result.processed_at, new Date('2024-01-16T09:00:00Z'));
+    });
+
+    it('should transform refund line items with positive quantities and amounts', () => {
+      const result = transformer.transformRefundItem(
+        { id: 55, line_item_id: 12, quantity: -2, subtotal: '-30.00' },
+        'woocommerce'
+      );
+
+      assert.deepEqual(result, {
+        source_id: '55',
+        source_type: 'woocommerce',
+        source_line_item_id: '12',
+        quantity: 2,
+        amount: 30,
+      });
+    });
+  });
+
+  describe('transformCart', () => {
+    const shopifyCheckout = {
+      id: 7001,
+      email: 'Jane@Example.com',
+      currency: 'USD',
+      total_price: '45.00',
+      created_at: '2024-01-16T09:00:00Z',
+      updated_at: '2024-01-16T09:20:00Z',
+      completed_at: null,
+      line_items: [
+        {
+          product_id: 632910392,
+          variant_id: 808950810,
+          title: 'IPod Nano',
+          quantity: 2,
+          price: '15.00',
+        },
+        { product_id: 632910393, title: 'Case', quantity: 1, price: '15.00' },
+      ],
+    };
+
+    it('should transform an abandoned Shopify checkout with its line items', () => {
+      const result = transformer.transformCart(shopifyCheckout, 'shopify');
+
+      assertObjectPartialMatch(result, {
+        source_id: '7001',
+        source_type: 'shopify',
+        email: 'jane@example.com',
+        status: 'open',
+        currency: 'USD',
+        total_price: 45,
+        item_count: 3,
+        completed_at: null,
+      });
+      assert.deepEqual(result.line_items[0], {
+        source_product_id: '632910392',
+        source_variant_id: '808950810',
+        title: 'IPod Nano',
+        variant_title: null,
+        sku: null,
+        quantity: 2,
+        price: 15,
+      });
+      assertDateEquals(result.last_activity_at, new Date('2024-01-16T09:20:00Z'));
+    });
+
+    it('should mark a completed checkout converted and keep a given status', () => {
+      const completed = transformer.transformCart(
+        { ...shopifyCheckout, completed_at: '2024-01-16T09:30:00Z' },
+        'shopify'
+      );
+      const merged = transformer.transformCart(
+        { ...shopifyCheckout, status: 'merged' },
+        'commercetools'
+      );
+
+      assert.equal(completed.status, 'converted');
+      assert.equal(merged.status, 'merged');
+    });
+  });
+
+  describe('transformLocation', () => {
+    it('should transform a Shopify location', () => {
+      const result = transformer.transformLocation(
+        { id: 655441491, name: 'Warehouse', city: 'Ottawa', country_code: 'CA', active: true },
+        'shopify'
+      );
+
+      assert.deepEqual(result, {
+        source_id: '655441491',
+        source_type: 'shopify',
+        name: 'Warehouse',
+        city: 'Ottawa',
+        country: 'CA',
+        active: true,
+      });
+    });
+  });
+
+  describe('transformInventoryLevel', () => {
+    it('should key a level by inventory item and location for the snapshot date', () => {
+      const result = transformer.transformInventoryLevel(
+        { inventory_item_id: 808950810, location_id: 655441491, available: '7' },
+        'shopify',
+        '2024-01-16'
+      );
+
+      assert.deepEqual(result, {
+        snapshot_date: '2024-01-16',
+        source_type: 'shopify',
+        source_item_id: '808950810',
+        source_location_id: '655441491',
+        sku: null,
+        available: 7,
+      });
+    });
+
+    it('should leave the location empty and keep untracked stock null', () => {
+      const result = transformer.transformInventoryLevel(
+        { inventory_item_id: 'SKU-1', sku: 'SKU-1', available: null },
+        'commercetools',
+        '2024-01-16'
+      );
+
+      assert.equal(result.source_location_id, '');
+      assert.equal(result.sku, 'SKU-1');
+      assert.equal(result.available, null);
+    });
   });
 
   describe('batch transformation methods', () => {
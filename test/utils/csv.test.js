@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'assert';
+import { parseCsv } from '../../src/utils/csv.js';
+
+describe('parseCsv', () => {
+  it('should key each row by the header', () => {
+    assert.deepEqual(parseCsv('id,name\n1,Mug\n2,Cap\n'), [
+      { id: '1', name: 'Mug' },
+      { id: '2', name: 'Cap' },
+    ]);
+  });
+
+  it('should read quoted delimiters, quotes and line breaks', () => {
+    const rows = parseCsv('id,title\r\n1,"Mug, 12oz ""classic"""\r\n2,"two\nlines"\r\n');
+
+    assert.equal(rows[0].title, 'Mug, 12oz "classic"');
+    assert.equal(rows[1].title, 'two\nlines');
+  });
+
+  it('should use the given delimiter', () => {
+    assert.deepEqual(parseCsv('a\tb\n1\t2', { delimiter: '\t' }), [{ a: '1', b: '2' }]);
+  });
+
+  it('should skip blank lines and a byte order mark', () => {
+    assert.deepEqual(parseCsv('﻿id\n\n1\n\n'), [{ id: '1' }]);
+  });
+
+  it('should read missing trailing fields as empty', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1'), [{ a: '1', b: '', c: '' }]);
+  });
+
+  it('should reject an unterminated quote', () => {
+    assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field/);
+  });
+});
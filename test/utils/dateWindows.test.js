@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'assert';
+import { listDays, splitDateRange } from '../../src/utils/dateWindows.js';
+
+describe('splitDateRange', () => {
+  it('should split a range into daily windows', () => {
+    const windows = splitDateRange(
+      new Date('2025-03-01T00:00:00Z'),
+      new Date('2025-03-04T00:00:00Z'),
+      'day'
+    );
+
+    assert.equal(windows.length, 3);
+    assert.equal(windows[0].start.toISOString(), '2025-03-01T00:00:00.000Z');
+    assert.equal(windows[0].end.toISOString(), '2025-03-02T00:00:00.000Z');
+    assert.equal(windows[2].end.toISOString(), '2025-03-04T00:00:00.000Z');
+  });
+
+  it('should clip the last window to the end of the range', () => {
+    const windows = splitDateRange(
+      new Date('2025-03-01T00:00:00Z'),
+      new Date('2025-03-10T00:00:00Z'),
+      'week'
+    );
+
+    assert.equal(windows.length, 2);
+    assert.equal(windows[1].start.toISOString(), '2025-03-08T00:00:00.000Z');
+    assert.equal(windows[1].end.toISOString(), '2025-03-10T00:00:00.000Z');
+  });
+
+  it('should produce contiguous windows', () => {
+    const windows = splitDateRange(
+      new Date('2025-01-01T00:00:00Z'),
+      new Date('2025-06-15T00:00:00Z'),
+      'month'
+    );
+
+    for (let i = 1; i < windows.length; i++) {
+      assert.equal(windows[i].start.getTime(), windows[i - 1].end.getTime());
+    }
+  });
+
+  it('should reject unknown window sizes', () => {
+    assert.throws(
+      () => splitDateRange(new Date('2025-01-01'), new Date('2025-02-01'), 'year'),
+      /Unknown window size "year"/
+    );
+  });
+
+  it('should reject empty or inverted ranges', () => {
+    assert.throws(
+      () => splitDateRange(new Date('2025-02-01'), new Date('2025-01-01')),
+      /must be before its end/
+    );
+  });
+});
+
+describe('listDays', () => {
+  it('should list every day of a range, both ends included', () => {
+    assert.deepEqual(listDays('2024-02-28', '2024-03-01'), [
+      '2024-02-28',
+      '2024-02-29',
+      '2024-03-01',
+    ]);
+    assert.deepEqual(listDays('2024-03-10', '2024-03-10'), ['2024-03-10']);
+  });
+
+  it('should reject malformed days and inverted ranges', () => {
+    assert.throws(() => listDays('2024-02-30', '2024-03-01'), /Invalid day "2024-02-30"/);
+    assert.throws(() => listDays('03/01/2024', '2024-03-02'), /expected YYYY-MM-DD/);
+    assert.throws(() => listDays('2024-03-02', '2024-03-01'), /must not be after its end/);
+  });
+});
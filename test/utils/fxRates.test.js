@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  FxRates,
+  MissingRateError,
+  dayOf,
+  parseEcbXml,
+  parseFxCsv,
+  rateWindow,
+  readFxRatesFile,
+} from '../../src/utils/fxRates.js';
+
+const ecbXml = `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01">
+  <gesmes:subject>Reference rates</gesmes:subject>
+  <Cube>
+    <Cube time='2024-01-05'>
+      <Cube currency='USD' rate='1.0921'/>
+      <Cube currency='GBP' rate='0.86'/>
+    </Cube>
+    <Cube time='2024-01-04'>
+      <Cube currency='USD' rate='1.0953'/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>`;
+
+describe('parseFxCsv', () => {
+  it('should read date, currency and rate rows against the euro by default', () => {
+    const rates = parseFxCsv(
+      'date,currency,rate,base\n2024-01-05,usd,1.09,\n2024-01-05,EUR,0.92,USD\n'
+    );
+
+    assert.deepEqual(rates, [
+      { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'USD', rate: 1.09 },
+      { rate_date: '2024-01-05', base_currency: 'USD', currency: 'EUR', rate: 0.92 },
+    ]);
+  });
+
+  it('should read the ECB CSV with a column per currency, skipping N/A', () => {
+    const rates = parseFxCsv('Date,USD,JPY,\n2024-01-05,1.0921,N/A,\n');
+
+    assert.deepEqual(rates, [
+      { rate_date: '2024-01-05', base_currency: 'EUR', currency: 'USD', rate: 1.0921 },
+    ]);
+  });
+
+  it('should read the dates of the ECB daily CSV', () => {
+    const rates = parseFxCsv('Date, USD, JPY, \n17 October 2025, 1.1681, 175.37, \n');
+
+    assert.deepEqual(rates, [
+      { rate_date: '2025-10-17', base_currency: 'EUR', currency: 'USD', rate: 1.1681 },
+      { rate_date: '2025-10-17', base_currency: 'EUR', currency: 'JPY', rate: 175.37 },
+    ]);
+  });
+
+  it('should reject files without a date column', () => {
+    assert.throws(() => parseFxCsv('day,rate\n2024-01-05,1\n'), /needs either date/);
+  });
+});
+
+describe('readFxRatesFile', () => {
+  it('should reject a file that gives no rates', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fx-')), 'rates.csv');
+    fs.writeFileSync(file, 'Date,USD,\n2025/10/17,1.1681,\n');
+
+    await assert.rejects(() => readFxRatesFile(file), /no exchange rates with a valid date/);
+  });
+});
+
+describe('parseEcbXml', () => {
+  it('should read a rate per currency for every day', () => {
+    const rates = parseEcbXml(ecbXml);
+
+    assert.equal(rates.length, 3);
+    assert.deepEqual(rates[1], {
+      rate_date: '2024-01-05',
+      base_currency: 'EUR',
+      currency: 'GBP',
+      rate: 0.86,
+    });
+    assert.equal(rates[2].rate_date, '2024-01-04');
+  });
+});
+
+describe('FxRates', () => {
+  const fx = new FxRates('USD', parseEcbXml(ecbXml));
+
+  it('should convert through the base currency', () => {
+    assert.equal(fx.rate('EUR', '2024-01-05'), 1.0921);
+    assert.equal(fx.rate('GBP', '2024-01-05'), 1.0921 / 0.86);
+    assert.equal(fx.convert('10', 'USD', '2024-01-05'), 10);
+  });
+
+  it('should take the latest rate of the days before a day without rates', () => {
+    assert.equal(fx.rate('EUR', '2024-01-07'), 1.0921);
+    assert.equal(fx.rate('EUR', new Date('2024-01-04T15:00:00Z')), 1.0953);
+  });
+
+  it('should take the rate of the UTC day whatever the process time zone', () => {
+    assert.equal(dayOf(new Date('2024-01-04T23:30:00Z')), '2024-01-04');
+    assert.equal(dayOf('2024-01-05T00:30:00+02:00'), '2024-01-04');
+    assert.equal(fx.rate('EUR', new Date('2024-01-04T23:30:00Z')), 1.0953);
+  });
+
+  it('should throw when no rate is recent enough', () => {
+    assert.throws(() => fx.rate('EUR', '2024-01-13'), MissingRateError);
+    assert.throws(() => fx.rate('EUR', '2024-01-03'), /No EUR to USD exchange rate for 2024-01-03/);
+    assert.throws(() => fx.rate('JPY', '2024-01-05'), /No JPY to USD/);
+  });
+
+  it('should give the days whose rates the dates need', () => {
+    assert.deepEqual(rateWindow(['2024-03-10', '2024-03-02']), {
+      from: '2024-02-24',
+      to: '2024-03-10',
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, beforeEach } from 'node:test';
+import { strict as assert } from 'assert';
+import {
+  HttpClient,
+  backoffDelay,
+  isRetryable,
+  parseRetryAfter,
+} from '../../src/utils/httpClient.js';
+
+// Mock axios: each call takes the next queued outcome
+const mockAxios = {
+  outcomes: [],
+  requests: [],
+  next(method, url, config) {
+    this.requests.push({ method, url, config });
+    const outcome = this.outcomes.shift();
+    if (outcome instanceof Error) throw outcome;
+    return outcome || { data: {}, headers: {} };
+  },
+};
+
+const originalAxios = await import('axios');
+originalAxios.default.get = async (url, config) => mockAxios.next('get', url, config);
+originalAxios.default.post = async (url, data, config) => mockAxios.next('post', url, config);
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('HttpClient', () => {
+  let client;
+  let delays;
+
+  beforeEach(() => {
+    mockAxios.outcomes = [];
+    mockAxios.requests = [];
+    delays = [];
+
+    client = new HttpClient({ name: 'Test', retryAttempts: 3, retryDelay: 100 });
+    client.sleep = async ms => {
+      delays.push(ms);
+    };
+  });
+
+  describe('isRetryable', () => {
+    it('should retry rate limits, server errors and connection resets', () => {
+      assert.equal(isRetryable(httpError(429)), true);
+      assert.equal(isRetryable(httpError(503)), true);
+      assert.equal(isRetryable(networkError('ECONNRESET')), true);
+    });
+
+    it('should not retry client errors', () => {
+      assert.equal(isRetryable(httpError(400)), false);
+      assert.equal(isRetryable(httpError(404)), false);
+      assert.equal(isRetryable(new Error('Unexpected token')), false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should read delays in seconds', () => {
+      assert.equal(parseRetryAfter('2'), 2000);
+      assert.equal(parseRetryAfter('0.5'), 500);
+    });
+
+    it('should read HTTP dates', () => {
+      const now = Date.parse('2024-01-15T10:00:00Z');
+      assert.equal(parseRetryAfter('Mon, 15 Jan 2024 10:00:30 GMT', now), 30000);
+    });
+
+    it('should ignore missing or invalid values', () => {
+      assert.equal(parseRetryAfter(undefined), null);
+      assert.equal(parseRetryAfter('soon'), null);
+    });
+  });
+
+  describe('backoffDelay', () => {
+    it('should grow exponentially up to the maximum', () => {
+      const full = () => 1;
+      assert.equal(backoffDelay(0, 100, 1000, full), 100);
+      assert.equal(backoffDelay(2, 100, 1000, full), 400);
+      assert.equal(backoffDelay(5, 100, 1000, full), 1000);
+    });
+
+    it('should apply jitter within the ceiling', () => {
+      assert.equal(
+        backoffDelay(2, 100, 1000, () => 0.5),
+        200
+      );
+    });
+  });
+
+  describe('request', () => {
+    it('should retry transient failures and return the eventual response', async () => {
+      mockAxios.outcomes = [httpError(503), networkError('ECONNRESET'), { data: { ok: true } }];
+
+      const response = await client.get('https://api.test/items');
+
+      assert.deepEqual(response.data, { ok: true });
+      assert.equal(mockAxios.requests.length, 3);
+      assert.equal(delays.length, 2);
+      assert.ok(delays[0] <= 100 && delays[1] <= 200);
+      assert.deepEqual(client.stats, { requests: 3, retries: 2 });
+    });
+
+    it('should wait as long as Retry-After asks', async () => {
+      mockAxios.outcomes = [httpError(429, { 'retry-after': '3' }), { data: {} }];
+
+      await client.get('https://api.test/items');
+
+      assert.deepEqual(delays, [3000]);
+    });
+
+    it('should wait no longer than maxRetryDelay whatever Retry-After asks', async () => {
+      client.maxRetryDelay = 5000;
+      mockAxios.outcomes = [httpError(503, { 'retry-after': '3600' }), { data: {} }];
+
+      await client.get('https://api.test/items');
+
+      assert.deepEqual(delays, [5000]);
+    });
+
+    it('should give up after the configured attempts', async () => {
+      mockAxios.outcomes = [httpError(502), httpError(502), httpError(502), httpError(502)];
+
+      await assert.rejects(() => client.get('https://api.test/items'), /status code 502/);
+
+      assert.equal(mockAxios.requests.length, 4);
+      assert.equal(client.stats.retries, 3);
+    });
+
+    it('should not retry errors that are not transient', async () => {
+      mockAxios.outcomes = [httpError(404)];
+
+      await assert.rejects(() => client.get('https://api.test/items'), /status code 404/);
+
+      assert.equal(mockAxios.requests.length, 1);
+      assert.equal(client.stats.retries, 0);
+    });
+
+    it('should refresh credentials once on 401 and rebuild the request', async () => {
+      let token = 'expired';
+      mockAxios.outcomes = [httpError(401), { data: { ok: true } }];
+
+      const response = await client.get(
+        'https://api.test/items',
+        async () => ({ headers: { Authorization: `Bearer ${token}` } }),
+        {
+          onUnauthorized: () => {
+            token = 'fresh';
+          },
+        }
+      );
+
+      assert.deepEqual(response.data, { ok: true });
+      assert.equal(mockAxios.requests[0].config.headers.Authorization, 'Bearer expired');
+      assert.equal(mockAxios.requests[1].config.headers.Authorization, 'Bearer fresh');
+    });
+
+    it('should not refresh credentials twice for the same request', async () => {
+      let refreshes = 0;
+      mockAxios.outcomes = [httpError(401), httpError(401)];
+
+      await assert.rejects(
+        () =>
+          client.get(
+            'https://api.test/items',
+            {},
+            {
+              onUnauthorized: () => {
+                refreshes++;
+              },
+            }
+          ),
+        /status code 401/
+      );
+
+      assert.equal(refreshes, 1);
+    });
+
+    it('should send posts with their body', async () => {
+      mockAxios.outcomes = [{ data: { id: 1 } }];
+
+      const response = await client.post('https://api.test/items', { name: 'x' });
+
+      assert.equal(mockAxios.requests[0].method, 'post');
+      assert.deepEqual(response.data, { id: 1 });
+    });
+
+    it('should not retry posts that could repeat a side effect', async () => {
+      mockAxios.outcomes = [httpError(503), { data: { id: 1 } }];
+
+      await assert.rejects(
+        () => client.post('https://api.test/items', { name: 'x' }),
+        /status code 503/
+      );
+
+      assert.equal(mockAxios.requests.length, 1);
+      assert.equal(client.stats.retries, 0);
+    });
+
+    it('should retry posts the caller marks idempotent', async () => {
+      mockAxios.outcomes = [networkError('ECONNRESET'), { data: { id: 1 } }];
+
+      const response = await client.post(
+        'https://api.test/token',
+        'grant',
+        {},
+        {
+          idempotent: true,
+        }
+      );
+
+      assert.deepEqual(response.data, { id: 1 });
+      assert.equal(mockAxios.requests.length, 2);
+    });
+  });
+});
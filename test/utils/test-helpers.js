@@ -107,6 +107,42 @@ export function createMockLogger() {
   };
 }
 
+// Replaces axios.get, which the connectors' HttpClient calls, with a mock that
+// records every request. A response set for a URL (an error to throw, a
+// response, or a function of the request config) wins over defaultResponse(url).
+export async function installMockAxios(defaultResponse = () => ({ data: {}, headers: {} })) {
+  const mockAxios = {
+    responses: new Map(),
+    requests: [],
+    async get(url, config) {
+      this.requests.push({ url, config });
+
+      if (this.responses.has(url)) {
+        const response = this.responses.get(url);
+        if (response instanceof Error) {
+          throw response;
+        }
+        return typeof response === 'function' ? response(config) : response;
+      }
+
+      return defaultResponse(url, config);
+    },
+
+    setResponse(url, response) {
+      this.responses.set(url, response);
+    },
+
+    clearResponses() {
+      this.responses.clear();
+      this.requests = [];
+    },
+  };
+
+  const axios = await import('axios');
+  axios.default.get = mockAxios.get.bind(mockAxios);
+  return mockAxios;
+}
+
 export function assertDateEquals(actual, expected, message = 'Dates should be equal') {
   if (actual instanceof Date && expected instanceof Date) {
     assert.equal(actual.getTime(), expected.getTime(), message);
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'assert';
+import { isValidTimezone, localDay } from '../../src/utils/timezone.js';
+
+describe('localDay', () => {
+  it('should give the calendar day of an instant in the time zone', () => {
+    const instant = new Date('2024-03-10T03:30:00Z');
+
+    assert.equal(localDay(instant, 'UTC'), '2024-03-10');
+    assert.equal(localDay(instant, 'America/New_York'), '2024-03-09');
+    assert.equal(localDay('2024-03-09T23:30:00Z', 'Asia/Tokyo'), '2024-03-10');
+  });
+
+  it('should keep a day given as YYYY-MM-DD', () => {
+    assert.equal(localDay('2024-03-10', 'Pacific/Kiritimati'), '2024-03-10');
+  });
+});
+
+describe('isValidTimezone', () => {
+  it('should accept IANA time zones only', () => {
+    assert.equal(isValidTimezone('Europe/Berlin'), true);
+    assert.equal(isValidTimezone('UTC'), true);
+    assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimezone(''), false);
+    assert.equal(isValidTimezone(null), false);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'assert';
+import crypto from 'crypto';
+import { WebhookServer } from '../../src/webhooks/server.js';
+import { ShopifyConnector } from '../../src/connectors/shopify.js';
+import { WooCommerceConnector } from '../../src/connectors/woocommerce.js';
+
+const SECRET = 'whsec_test';
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+describe('WebhookServer', () => {
+  let server;
+  let ingested;
+  let baseUrl;
+
+  beforeEach(async () => {
+    ingested = [];
+    const pipeline = {
+      connectors: {
+        shopify: new ShopifyConnector({ storeUrl: 'https://shop.test', webhookSecret: SECRET }),
+        woocommerce: new WooCommerceConnector({ url: 'https://woo.test', webhookSecret: SECRET }),
+        magento: { acceptsWebhooks: () => false },
+      },
+      async ingestWebhook(source, delivery) {
+        ingested.push({ source, ...delivery });
+        return { duplicate: ingested.filter(d => d.id === delivery.id).length > 1, loaded: 1 };
+      },
+    };
+
+    server = new WebhookServer(pipeline, { port: 0 });
+    const port = await server.start();
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  function postShopify(body, headers = {}) {
+    return fetch(`${baseUrl}/webhooks/shopify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': 'orders/create',
+        'X-Shopify-Webhook-Id': 'wh-1',
+        'X-Shopify-Hmac-Sha256': sign(body),
+        ...headers,
+      },
+      body,
+    });
+  }
+
+  it('should ingest a signed Shopify delivery under the topic entity', async () => {
+    const body = JSON.stringify({ id: 4001, email: 'a@example.com' });
+
+    const response = await postShopify(body);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { status: 'ingested' });
+    assert.deepEqual(ingested, [
+      {
+        source: 'shopify',
+        id: 'wh-1',
+        topic: 'orders/create',
+        entity: 'orders',
+        payload: { id: 4001, email: 'a@example.com' },
+      },
+    ]);
+  });
+
+  it('should acknowledge a redelivery without loading it again', async () => {
+    const body = JSON.stringify({ id: 4001 });
+
+    await postShopify(body);
+    const response = await postShopify(body);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { status: 'duplicate' });
+  });
+
+  it('should reject a delivery signed with another secret', async () => {
+    const body = JSON.stringify({ id: 4001 });
+
+    const response = await postShopify(body, { 'X-Shopify-Hmac-Sha256': sign(body, 'other') });
+
+    assert.equal(response.status, 401);
+    assert.equal(ingested.length, 0);
+  });
+
+  it('should reject a body changed after signing', async () => {
+    const response = await postShopify('{"id":4002}', {
+      'X-Shopify-Hmac-Sha256': sign('{"id":4001}'),
+    });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('should acknowledge topics it does not load', async () => {
+    const body = JSON.stringify({ id: 1 });
+
+    const response = await postShopify(body, { 'X-Shopify-Topic': 'app/uninstalled' });
+
+    assert.deepEqual(await response.json(), { status: 'ignored' });
+    assert.equal(ingested.length, 0);
+  });
+
+  it('should verify WooCommerce deliveries by their own headers', async () => {
+    const body = JSON.stringify({ id: 77, status: 'processing' });
+
+    const response = await fetch(`${baseUrl}/webhooks/woocommerce`, {
+      method: 'POST',
+      headers: {
+        'X-WC-Webhook-Topic': 'order.updated',
+        'X-WC-Webhook-Delivery-ID': 'd-9',
+        'X-WC-Webhook-Signature': sign(body),
+      },
+      body,
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(ingested[0].source, 'woocommerce');
+    assert.equal(ingested[0].id, 'd-9');
+    assert.equal(ingested[0].entity, 'orders');
+  });
+
+  it('should answer 404 for sources without webhooks', async () => {
+    const response = await fetch(`${baseUrl}/webhooks/magento`, { method: 'POST', body: '{}' });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('should answer 400 for a signed delivery that is not JSON', async () => {
+    const response = await postShopify('not json');
+
+    assert.equal(response.status, 400);
+  });
+
+  it('should answer 500 when the load fails so the platform retries', async () => {
+    server.pipeline.ingestWebhook = async () => {
+      throw new Error('deadlock detected');
+    };
+
+    const response = await postShopify(JSON.stringify({ id: 4001 }));
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: 'Ingestion failed' });
+  });
+
+  it('should refuse to start when no source accepts webhooks', async () => {
+    const idle = new WebhookServer({ connectors: { shopify: new ShopifyConnector({}) } });
+
+    await assert.rejects(() => idle.start(), /No enabled source accepts webhooks/);
+  });
+});